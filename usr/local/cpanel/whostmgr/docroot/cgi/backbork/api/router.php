@@ -203,6 +203,36 @@ if (!$isCLI && $earlyAction === 'serve_download') {
     exit;
 }
 
+// ============================================================================
+// STREAM EVENTS - Early-exit live update stream
+// Pushes queue changes and job log output to the UI (replaces interval polling).
+// mode=sse (default): text/event-stream, resumed via the Last-Event-ID header.
+// mode=poll: long-poll fallback returning JSON, resumed via the cursor param.
+// Both transports hold the connection for BackBorkEvents::STREAM_LIFETIME.
+// ============================================================================
+if (!$isCLI && $earlyAction === 'stream_events') {
+
+    $events = new BackBorkEvents($currentUser, $isRoot);
+
+    // Subscriptions: queue state (default on) and any job logs being tailed
+    $events->setWatchQueue(!isset($_GET['queue']) || $_GET['queue'] !== '0');
+    $events->watchLogsFromString(isset($_GET['logs']) ? $_GET['logs'] : '');
+
+    // Resume position - EventSource sends Last-Event-ID on automatic reconnect
+    $cursor = !empty($_SERVER['HTTP_LAST_EVENT_ID'])
+        ? $_SERVER['HTTP_LAST_EVENT_ID']
+        : (isset($_GET['cursor']) ? $_GET['cursor'] : '');
+    $events->setCursor($cursor);
+
+    $mode = isset($_GET['mode']) ? $_GET['mode'] : 'sse';
+    if ($mode === 'poll') {
+        echo json_encode($events->longPoll());
+    } else {
+        $events->streamSSE();
+    }
+    exit;
+}
+
 // ============================================================================
 // ROUTE REQUEST TO HANDLER
 // ============================================================================
@@ -226,6 +256,17 @@ function backbork_get_request_data() {
     return json_decode(file_get_contents('php://input'), true);
 }
 
+/**
+ * Whether a backup archive was taken of the given account
+ * Archive names end in _<account>.tar.gz (or .tar), so the name ties it to its account
+ * @param string $account cPanel username
+ * @param string $backupFile Archive filename or path
+ * @return bool True if the archive is the account's own
+ */
+function backbork_backup_belongs_to($account, $backupFile) {
+    return (bool)preg_match('/_' . preg_quote($account, '/') . '\.tar(\.gz)?$/i', basename($backupFile));
+}
+
 // For backwards compatibility, also store in a variable that can be used directly
 $requestData = backbork_get_request_data();
 
@@ -295,6 +336,8 @@ switch ($action) {
         }
         $config = new BackBorkConfig();
         $data = backbork_get_request_data();
+        // Clamp queue limits and backup window settings to their supported ranges
+        $data = array_merge($data, $config->sanitiseResourceLimits($data), $config->sanitiseBackupWindow($data));
         $result = $config->saveGlobalConfig($data, $currentUser);
         echo json_encode($result);
         break;
@@ -326,9 +369,14 @@ switch ($action) {
         
         // Root-only: handle batched global settings (single save, single log entry)
         if ($isRoot && isset($data['_global_settings']) && is_array($data['_global_settings'])) {
-            $globalUpdates = [];
+            // Limits and the backup window have their own validation, everything else is a toggle
+            $globalUpdates = array_merge(
+                $config->sanitiseResourceLimits($data['_global_settings']),
+                $config->sanitiseBackupWindow($data['_global_settings']),
+                $config->sanitiseHealthChecks($data['_global_settings'])
+            );
             foreach ($data['_global_settings'] as $key => $value) {
-                if ($value !== null) {
+                if ($value !== null && !array_key_exists($key, $globalUpdates)) {
                     $globalUpdates[$key] = (bool)$value;
                 }
             }
@@ -342,6 +390,39 @@ switch ($action) {
         echo json_encode($result);
         break;
     
+    // ========================================================================
+    // BACKUP PROFILES
+    // ========================================================================
+    
+    /**
+     * List backup profiles the current user can pick
+     * Resellers see their own plus any root has shared
+     */
+    case 'get_profiles':
+        $profiles = new BackBorkProfiles();
+        echo json_encode(['success' => true, 'profiles' => $profiles->listProfiles($currentUser, $isRoot)]);
+        break;
+    
+    /**
+     * Create or update a backup profile
+     * Only root can share a profile with resellers
+     */
+    case 'save_profile':
+        $data = backbork_get_request_data();
+        $profiles = new BackBorkProfiles();
+        echo json_encode($profiles->saveProfile($data, $currentUser, $isRoot));
+        break;
+    
+    /**
+     * Delete a backup profile
+     * Jobs and schedules using it go back to their owner's settings
+     */
+    case 'delete_profile':
+        $data = backbork_get_request_data();
+        $profiles = new BackBorkProfiles();
+        echo json_encode($profiles->deleteProfile($data['profile_id'] ?? '', $currentUser, $isRoot));
+        break;
+    
     // ========================================================================
     // DATABASE INFO
     // ========================================================================
@@ -466,11 +547,12 @@ switch ($action) {
     /**
      * Create an immediate backup
      * Returns backup_id immediately, then runs backup with real-time logging
+     * 'destinations' (primary first) copies each archive to several destinations
      */
     case 'create_backup':
         $data = backbork_get_request_data();
         $accounts = isset($data['accounts']) ? $data['accounts'] : [];
-        $destinationID = isset($data['destination']) ? $data['destination'] : '';
+        $destinationIDs = BackBorkQueue::normaliseDestinations($data['destinations'] ?? ($data['destination'] ?? ''));
         
         // Security: Validate user can access requested accounts
         $accessibleAccounts = $acl->getAccessibleAccounts();
@@ -481,6 +563,19 @@ switch ($action) {
             break;
         }
         
+        if (count($destinationIDs) > BackBorkQueue::MAX_DESTINATIONS) {
+            echo json_encode(['success' => false, 'message' => 'Too many destinations (maximum ' . BackBorkQueue::MAX_DESTINATIONS . ')']);
+            break;
+        }
+        
+        // Optional backup profile in place of the user's saved pkgacct settings
+        $profileID = isset($data['profile_id']) ? (string)$data['profile_id'] : '';
+        $profiles = new BackBorkProfiles();
+        if ($profileID !== '' && !$profiles->getProfile($profileID, $currentUser, $isRoot)) {
+            echo json_encode(['success' => false, 'message' => 'Backup profile not found']);
+            break;
+        }
+        
         // Generate backup_id early and create initial log file
         $backupID = 'backup_' . time() . '_' . substr(md5(uniqid()), 0, 8);
         $logDir = '/usr/local/cpanel/3rdparty/backbork/logs';
@@ -496,9 +591,11 @@ switch ($action) {
             'type' => 'backup',
             'backup_id' => $backupID,
             'accounts' => array_values($validAccounts),
-            'destination' => $destinationID,
+            'destination' => $destinationIDs[0] ?? '',
+            'destinations' => $destinationIDs,
             'user' => $currentUser,
             'requestor' => $requestor,
+            'profile_id' => $profileID !== '' ? $profileID : null,
             'created_at' => date('Y-m-d H:i:s')
         ];
         file_put_contents($jobFile, json_encode($jobData));
@@ -520,7 +617,7 @@ switch ($action) {
     case 'queue_backup':
         $data = backbork_get_request_data();
         $accounts = isset($data['accounts']) ? $data['accounts'] : [];
-        $destinationID = isset($data['destination']) ? $data['destination'] : '';
+        $destinationID = isset($data['destinations']) ? $data['destinations'] : (isset($data['destination']) ? $data['destination'] : '');
         $schedule = isset($data['schedule']) ? $data['schedule'] : 'daily';
         
         // Security: Validate user can access requested accounts
@@ -537,6 +634,20 @@ switch ($action) {
         $options = [];
         if (isset($data['retention'])) $options['retention'] = (int)$data['retention'];
         if (isset($data['preferred_time'])) $options['preferred_time'] = (int)$data['preferred_time'];
+        if (isset($data['priority'])) $options['priority'] = $data['priority'];
+        if (!empty($data['profile_id'])) $options['profile_id'] = (string)$data['profile_id'];
+        
+        // Security: Urgent jumps every other user's jobs, so it's root only
+        if (!$isRoot && isset($options['priority']) && $options['priority'] === 'urgent') {
+            echo json_encode(['success' => false, 'message' => 'Access denied: urgent priority requires root']);
+            break;
+        }
+        
+        $profiles = new BackBorkProfiles();
+        if (isset($options['profile_id']) && !$profiles->getProfile($options['profile_id'], $currentUser, $isRoot)) {
+            echo json_encode(['success' => false, 'message' => 'Backup profile not found']);
+            break;
+        }
         
         $result = $queue->addToQueue($validAccounts, $destinationID, $schedule, $currentUser, $options);
         echo json_encode($result);
@@ -553,7 +664,7 @@ switch ($action) {
     case 'create_schedule':
         $data = backbork_get_request_data();
         $accounts = isset($data['accounts']) ? $data['accounts'] : [];
-        $destinationID = isset($data['destination']) ? $data['destination'] : '';
+        $destinationID = isset($data['destinations']) ? $data['destinations'] : (isset($data['destination']) ? $data['destination'] : '');
         $schedule = isset($data['schedule']) ? $data['schedule'] : 'daily';
         $allAccounts = isset($data['all_accounts']) ? (bool)$data['all_accounts'] : false;
         
@@ -563,8 +674,14 @@ switch ($action) {
             break;
         }
         
+        // Account selector (owner, package, state, disk, pattern) - matched at execution time
+        $accountSelector = BackBorkQueue::normaliseAccountSelector($data['account_selector'] ?? null);
+        
         // Handle "all accounts" mode - store wildcard for runtime resolution
-        if ($allAccounts || (is_array($accounts) && in_array('*', $accounts))) {
+        if ($accountSelector !== null) {
+            $validAccounts = [];
+            $allAccounts = false;
+        } elseif ($allAccounts || (is_array($accounts) && in_array('*', $accounts))) {
             // Store ['*'] as placeholder - resolved to actual accounts at execution time
             $validAccounts = ['*'];
         } else {
@@ -582,14 +699,85 @@ switch ($action) {
         $queue = new BackBorkQueue();
         $options = [];
         if (isset($data['retention'])) $options['retention'] = (int)$data['retention'];
+        if (isset($data['retention_gfs'])) $options['retention_gfs'] = $data['retention_gfs'];
         if (isset($data['preferred_time'])) $options['preferred_time'] = (int)$data['preferred_time'];
         if (isset($data['day_of_week'])) $options['day_of_week'] = (int)$data['day_of_week'];
+        if (isset($data['cron'])) $options['cron'] = (string)$data['cron'];
         if ($allAccounts) $options['all_accounts'] = true;
+        if ($accountSelector !== null) $options['account_selector'] = $accountSelector;
+        if (isset($data['exclude_accounts'])) $options['exclude_accounts'] = $data['exclude_accounts'];
+        if (isset($data['pkgacct_overrides'])) $options['pkgacct_overrides'] = BackBorkQueue::normalisePkgacctOverrides($data['pkgacct_overrides'], $isRoot);
+        if (!empty($data['fallback_destination'])) $options['fallback_destination'] = (string)$data['fallback_destination'];
+        if (!empty($data['profile_id'])) {
+            $profiles = new BackBorkProfiles();
+            if (!$profiles->getProfile((string)$data['profile_id'], $currentUser, $isRoot)) {
+                echo json_encode(['success' => false, 'message' => 'Backup profile not found']);
+                break;
+            }
+            $options['profile_id'] = (string)$data['profile_id'];
+        }
+        if (isset($data['retry_attempts'])) {
+            $options['retry'] = [
+                'attempts' => (int)$data['retry_attempts'],
+                'backoff' => (int)($data['retry_backoff'] ?? BackBorkQueue::DEFAULT_RETRY_BACKOFF),
+                'failed_only' => (bool)($data['retry_failed_only'] ?? true)
+            ];
+        }
 
         $result = $queue->addToQueue($validAccounts, $destinationID, $schedule, $currentUser, $options);
+        
+        // Still created, but tell the caller its runs will wait for the backup window
+        $warning = BackBorkConfig::getScheduleWindowWarning($schedule, $options['preferred_time'] ?? 2, $options['cron'] ?? null);
+        if (!empty($result['success']) && $warning !== null) {
+            $result['warning'] = $warning;
+        }
         echo json_encode($result);
         break;
     
+    /**
+     * Preview a schedule's timing before saving
+     * Returns a plain-English description and the next few run times
+     */
+    case 'preview_schedule':
+        $data = backbork_get_request_data();
+        $queue = new BackBorkQueue();
+        $schedule = isset($data['schedule']) ? $data['schedule'] : 'daily';
+        $preferredTime = isset($data['preferred_time']) ? (int)$data['preferred_time'] : 2;
+        $cron = isset($data['cron']) ? (string)$data['cron'] : null;
+        
+        $result = $queue->previewSchedule($schedule, $preferredTime, isset($data['day_of_week']) ? (int)$data['day_of_week'] : 0, $cron);
+        if ($result['success']) {
+            $warning = BackBorkConfig::getScheduleWindowWarning($schedule, $preferredTime, $result['cron']);
+            if ($warning !== null) {
+                $result['warning'] = $warning;
+            }
+        }
+        echo json_encode($result);
+        break;
+    
+    /**
+     * Preview which archives a retention policy would prune, before saving it
+     * Users can only preview their own schedules unless root
+     */
+    case 'preview_prune':
+        $data = backbork_get_request_data();
+        $jobID = isset($data['job_id']) ? $data['job_id'] : '';
+        
+        if (empty($jobID)) {
+            echo json_encode(['success' => false, 'message' => 'Schedule ID required']);
+            break;
+        }
+        
+        $queue = new BackBorkQueue();
+        echo json_encode($queue->previewPrune(
+            $jobID,
+            isset($data['retention']) ? (int)$data['retention'] : 30,
+            isset($data['retention_gfs']) ? $data['retention_gfs'] : null,
+            $currentUser,
+            $isRoot
+        ));
+        break;
+    
     /**
      * Delete a schedule
      * Users can only delete their own schedules unless root
@@ -632,8 +820,10 @@ switch ($action) {
         $allAccounts = isset($data['all_accounts']) ? (bool)$data['all_accounts'] : false;
         $updates = [];
         
-        // Prepare accounts update
-        if (isset($data['accounts']) || $allAccounts) {
+        // Prepare accounts update (a selector replaces the list)
+        if (!empty($data['account_selector'])) {
+            $updates['account_selector'] = $data['account_selector'];
+        } elseif (isset($data['accounts']) || $allAccounts) {
             if ($allAccounts) {
                 $updates['accounts'] = ['*'];
                 $updates['all_accounts'] = true;
@@ -654,16 +844,201 @@ switch ($action) {
             }
         }
         
-        // Pass through other update fields
-        if (isset($data['destination'])) $updates['destination'] = $data['destination'];
+        // Pass through other update fields ('destinations' replaces the whole list, primary first)
+        if (isset($data['destinations'])) {
+            $updates['destination'] = $data['destinations'];
+        } elseif (isset($data['destination'])) {
+            $updates['destination'] = $data['destination'];
+        }
         if (isset($data['schedule'])) $updates['schedule'] = $data['schedule'];
         if (isset($data['retention'])) $updates['retention'] = (int)$data['retention'];
+        if (isset($data['retention_gfs'])) $updates['retention_gfs'] = $data['retention_gfs'];
+        if (isset($data['exclude_accounts'])) $updates['exclude_accounts'] = $data['exclude_accounts'];
+        if (isset($data['pkgacct_overrides'])) $updates['pkgacct_overrides'] = $data['pkgacct_overrides'];
+        if (isset($data['profile_id'])) $updates['profile_id'] = (string)$data['profile_id'];
+        if (isset($data['fallback_destination'])) $updates['fallback_destination'] = (string)$data['fallback_destination'];
         if (isset($data['preferred_time'])) $updates['preferred_time'] = (int)$data['preferred_time'];
         if (isset($data['day_of_week'])) $updates['day_of_week'] = (int)$data['day_of_week'];
+        if (isset($data['cron'])) $updates['cron'] = (string)$data['cron'];
+        if (isset($data['retry_attempts'])) {
+            $updates['retry'] = [
+                'attempts' => (int)$data['retry_attempts'],
+                'backoff' => (int)($data['retry_backoff'] ?? BackBorkQueue::DEFAULT_RETRY_BACKOFF),
+                'failed_only' => (bool)($data['retry_failed_only'] ?? true)
+            ];
+        }
         
         // Update the schedule
         $queue = new BackBorkQueue();
-        echo json_encode($queue->updateSchedule($jobID, $updates, $currentUser, $isRoot));
+        $result = $queue->updateSchedule($jobID, $updates, $currentUser, $isRoot);
+        
+        if (!empty($result['success'])) {
+            $warning = BackBorkConfig::getScheduleWindowWarning(
+                $result['schedule']['schedule'],
+                $result['schedule']['preferred_time'] ?? 2,
+                $result['schedule']['cron'] ?? null
+            );
+            if ($warning !== null) {
+                $result['warning'] = $warning;
+            }
+        }
+        echo json_encode($result);
+        break;
+    
+    /**
+     * Pause or resume a schedule, or (root only) every schedule a reseller owns
+     * Paused schedules keep their settings and history but are skipped by cron
+     */
+    case 'pause_schedule':
+    case 'resume_schedule':
+        $data = backbork_get_request_data();
+        $jobID = isset($data['job_id']) ? $data['job_id'] : '';
+        $owner = isset($data['owner']) ? $data['owner'] : '';
+        
+        // Security: Check if schedules are locked for resellers
+        if (!$isRoot && BackBorkConfig::areSchedulesLocked()) {
+            echo json_encode(['success' => false, 'message' => 'Schedules are locked by administrator']);
+            break;
+        }
+        
+        $queue = new BackBorkQueue();
+        if ($owner !== '') {
+            // Security: Only root can pause/resume another user's schedules in bulk
+            if (!$isRoot) {
+                echo json_encode(['success' => false, 'message' => 'Access denied: requires root']);
+                break;
+            }
+            $scheduleIDs = $queue->getScheduleIDsForOwner($owner);
+            if (empty($scheduleIDs)) {
+                echo json_encode(['success' => false, 'message' => 'No schedules found for ' . $owner]);
+                break;
+            }
+        } elseif (!empty($jobID)) {
+            $scheduleIDs = [$jobID];
+        } else {
+            echo json_encode(['success' => false, 'message' => 'Schedule ID or owner required']);
+            break;
+        }
+        
+        $result = $queue->setSchedulesEnabled($scheduleIDs, $action === 'resume_schedule', $currentUser, $isRoot);
+        
+        // Partial runs still log the schedules that did change
+        if (!empty($result['schedules']) && class_exists('BackBorkLog')) {
+            $logType = ($action === 'pause_schedule') ? 'schedule_pause' : 'schedule_resume';
+            $logMessage = $result['message'] . ($owner !== '' ? ' for ' . $owner : '');
+            BackBorkLog::logEvent($currentUser, $logType, $result['schedules'], true, $logMessage, $requestor);
+        }
+        
+        echo json_encode($result);
+        break;
+    
+    /**
+     * Apply one change to several schedules at once (bulk edit from the schedules table)
+     * Operations: destination, retention, time or delete; each schedule is checked
+     * and logged on its own, so one failure doesn't stop the rest
+     */
+    case 'bulk_schedules':
+        $data = backbork_get_request_data();
+        $jobIDs = isset($data['job_ids']) && is_array($data['job_ids']) ? $data['job_ids'] : [];
+        $operation = isset($data['operation']) ? $data['operation'] : '';
+        
+        if (empty($jobIDs)) {
+            echo json_encode(['success' => false, 'message' => 'No schedules selected']);
+            break;
+        }
+        
+        // Security: Check if schedules are locked for resellers
+        if (!$isRoot && BackBorkConfig::areSchedulesLocked()) {
+            echo json_encode(['success' => false, 'message' => 'Schedules are locked by administrator']);
+            break;
+        }
+        
+        // Build the update applied to every selected schedule
+        $updates = [];
+        switch ($operation) {
+            case 'destination':
+                if (empty($data['destination'])) {
+                    echo json_encode(['success' => false, 'message' => 'Destination required']);
+                    break 2;
+                }
+                $updates['destination'] = $data['destination'];
+                break;
+            case 'retention':
+                $updates['retention'] = (int)($data['retention'] ?? 30);
+                $updates['retention_gfs'] = $data['retention_gfs'] ?? false;
+                break;
+            case 'time':
+                // updateSchedule() skips an out-of-range hour without failing, so check it here
+                $hour = $data['preferred_time'] ?? null;
+                if (!is_numeric($hour) || (int)$hour < 0 || (int)$hour > 23) {
+                    echo json_encode(['success' => false, 'message' => 'Preferred time must be an hour from 0 to 23']);
+                    break 2;
+                }
+                $updates['preferred_time'] = (int)$hour;
+                break;
+            case 'delete':
+                break;
+            default:
+                echo json_encode(['success' => false, 'message' => 'Unknown bulk operation']);
+                break 2;
+        }
+        
+        $queue = new BackBorkQueue();
+        $results = ['updated' => [], 'failed' => []];
+        
+        foreach ($jobIDs as $jobID) {
+            $jobID = basename((string)$jobID);
+            
+            if ($operation === 'delete') {
+                $result = $queue->removeFromQueue($jobID, $currentUser, $isRoot);
+            } else {
+                // Custom schedules take their hours from the cron expression
+                $schedule = $queue->getJob($jobID);
+                if ($operation === 'time' && $schedule && ($schedule['schedule'] ?? '') === 'custom') {
+                    $results['failed'][] = ['job_id' => $jobID, 'reason' => 'Custom schedule - edit its cron expression'];
+                    continue;
+                }
+                // A new primary destination keeps the schedule's other copies
+                if ($operation === 'destination' && $schedule) {
+                    $updates['destination'] = array_merge([$data['destination']], array_slice(BackBorkQueue::getJobDestinations($schedule), 1));
+                }
+                $result = $queue->updateSchedule($jobID, $updates, $currentUser, $isRoot);
+            }
+            
+            if (!empty($result['success'])) {
+                $results['updated'][] = $jobID;
+            } else {
+                $results['failed'][] = ['job_id' => $jobID, 'reason' => $result['message'] ?? 'Update failed'];
+            }
+        }
+        
+        $updatedCount = count($results['updated']);
+        $failedCount = count($results['failed']);
+        $verb = $operation === 'delete' ? 'Deleted' : 'Updated';
+        
+        echo json_encode([
+            'success' => $updatedCount > 0,
+            'message' => "{$verb} {$updatedCount} schedule(s)" . ($failedCount > 0 ? ", {$failedCount} failed" : ""),
+            'updated' => $results['updated'],
+            'failed' => $results['failed']
+        ]);
+        break;
+    
+    /**
+     * Queue a schedule's backup now ("Run now"), without changing its next run
+     * Users can only run their own schedules unless root
+     */
+    case 'run_schedule':
+        $data = backbork_get_request_data();
+        $jobID = isset($data['job_id']) ? $data['job_id'] : '';
+        
+        if (empty($jobID)) {
+            echo json_encode(['success' => false, 'message' => 'Schedule ID required']);
+            break;
+        }
+        
+        $queue = new BackBorkQueue();
+        echo json_encode($queue->runScheduleNow($jobID, $currentUser, $isRoot));
         break;
     
     // ========================================================================
@@ -719,6 +1094,146 @@ switch ($action) {
         echo json_encode($result);
         break;
     
+    /**
+     * Pause a queued or running job
+     * Queued jobs are held; running backups stop after the current account
+     * and return to the queue with their remaining accounts
+     * Users can only pause their own jobs unless root
+     */
+    case 'pause_job':
+        $data = backbork_get_request_data();
+        $jobID = isset($data['job_id']) ? $data['job_id'] : '';
+        
+        if (empty($jobID)) {
+            echo json_encode(['success' => false, 'message' => 'Job ID required']);
+            break;
+        }
+        
+        $queue = new BackBorkQueue();
+        $result = $queue->requestPause($jobID, $currentUser, $isRoot);
+        
+        if ($result['success'] && class_exists('BackBorkLog')) {
+            BackBorkLog::logEvent($currentUser, 'job_pause', [$jobID], true, $result['message'], $requestor);
+        }
+        
+        echo json_encode($result);
+        break;
+    
+    /**
+     * Resume a paused job (or withdraw a pending pause request)
+     * Users can only resume their own jobs unless root
+     */
+    case 'resume_job':
+        $data = backbork_get_request_data();
+        $jobID = isset($data['job_id']) ? $data['job_id'] : '';
+        
+        if (empty($jobID)) {
+            echo json_encode(['success' => false, 'message' => 'Job ID required']);
+            break;
+        }
+        
+        $queue = new BackBorkQueue();
+        $result = $queue->resumeJob($jobID, $currentUser, $isRoot);
+        
+        if ($result['success'] && class_exists('BackBorkLog')) {
+            BackBorkLog::logEvent($currentUser, 'job_resume', [$jobID], true, $result['message'], $requestor);
+        }
+        
+        echo json_encode($result);
+        break;
+    
+    /**
+     * Pause or resume the queue processor (root only)
+     * While paused, process_queue and cron dispatch nothing; running jobs finish
+     */
+    case 'pause_queue':
+    case 'resume_queue':
+        // Security: Only root can stop/start queue dispatch
+        if (!$isRoot) {
+            echo json_encode(['success' => false, 'message' => 'Access denied: requires root']);
+            break;
+        }
+        
+        $queue = new BackBorkQueue();
+        $result = $queue->setQueuePaused($action === 'pause_queue', $currentUser);
+        
+        if ($result['success'] && class_exists('BackBorkLog')) {
+            BackBorkLog::logEvent($currentUser, $action, [], true, $result['message'], $requestor);
+        }
+        
+        echo json_encode($result);
+        break;
+    
+    /**
+     * Reorder queued jobs (drag-and-drop)
+     * Non-root users reorder their own jobs within the slots they already hold
+     */
+    case 'reorder_queue':
+        $data = backbork_get_request_data();
+        $order = isset($data['order']) ? $data['order'] : [];
+        
+        $queue = new BackBorkQueue();
+        $result = $queue->reorderQueue($order, $currentUser, $isRoot);
+        
+        if ($result['success'] && class_exists('BackBorkLog')) {
+            BackBorkLog::logEvent($currentUser, 'queue_reorder', $order, true, 'Queue reordered', $requestor);
+        }
+        
+        echo json_encode($result);
+        break;
+    
+    /**
+     * Change a queued job's priority (urgent/normal/low)
+     * Users can only change their own jobs unless root; urgent is root only
+     */
+    case 'set_job_priority':
+        $data = backbork_get_request_data();
+        $jobID = isset($data['job_id']) ? $data['job_id'] : '';
+        $priority = isset($data['priority']) ? $data['priority'] : '';
+        
+        if (empty($jobID)) {
+            echo json_encode(['success' => false, 'message' => 'Job ID required']);
+            break;
+        }
+        
+        $queue = new BackBorkQueue();
+        $result = $queue->setPriority($jobID, $priority, $currentUser, $isRoot);
+        
+        if ($result['success'] && class_exists('BackBorkLog')) {
+            BackBorkLog::logEvent($currentUser, 'queue_priority', [$jobID], true, $result['message'], $requestor);
+        }
+        
+        echo json_encode($result);
+        break;
+    
+    /**
+     * Move a queued job to the front of the queue (root only)
+     */
+    case 'run_next':
+        // Security: Only root can push a job ahead of everyone else's
+        if (!$isRoot) {
+            echo json_encode(['success' => false, 'message' => 'Access denied: requires root']);
+            break;
+        }
+        
+        $data = backbork_get_request_data();
+        $jobID = isset($data['job_id']) ? $data['job_id'] : '';
+        
+        if (empty($jobID)) {
+            echo json_encode(['success' => false, 'message' => 'Job ID required']);
+            break;
+        }
+        
+        $queue = new BackBorkQueue();
+        $result = $queue->runNext($jobID);
+        
+        if ($result['success'] && class_exists('BackBorkLog')) {
+            BackBorkLog::logEvent($currentUser, 'queue_run_next', [$jobID], true, $result['message'], $requestor);
+        }
+        
+        echo json_encode($result);
+        break;
+    
     /**
      * Manually trigger queue processing (root only)
      * Processes schedules and runs pending queue jobs
@@ -833,9 +1348,176 @@ switch ($action) {
         echo json_encode($backupManager->listRemoteBackups($destinationID, $currentUser, $account));
         break;
     
+    /**
+     * Browse the home directory stored in a backup (for file-level restore)
+     * Lists one folder at a time; the archive listing is cached after the first call
+     */
+    case 'browse_backup_files':
+        $destinationID = isset($_GET['destination']) ? $_GET['destination'] : '';
+        $backupFile = isset($_GET['backup_file']) ? $_GET['backup_file'] : '';
+        $account = isset($_GET['account']) ? $_GET['account'] : '';
+        $path = isset($_GET['path']) ? $_GET['path'] : '';
+        
+        // Security: Validate user can access this account, and that the backup is that account's
+        if (!$acl->canAccessAccount($account)) {
+            echo json_encode(['success' => false, 'message' => 'Access denied']);
+            break;
+        }
+        if (!backbork_backup_belongs_to($account, $backupFile)) {
+            echo json_encode(['success' => false, 'message' => 'Backup file does not belong to this account']);
+            break;
+        }
+        
+        $fileRestore = new BackBorkFileRestore();
+        echo json_encode($fileRestore->browse($destinationID, $backupFile, $path));
+        break;
+    
+    /**
+     * List the MySQL databases dumped into a backup (for single-database restore)
+     * Shares the cached archive listing with browse_backup_files
+     */
+    case 'list_backup_databases':
+        $destinationID = isset($_GET['destination']) ? $_GET['destination'] : '';
+        $backupFile = isset($_GET['backup_file']) ? $_GET['backup_file'] : '';
+        $account = isset($_GET['account']) ? $_GET['account'] : '';
+        
+        // Security: Validate user can access this account, and that the backup is that account's
+        if (!$acl->canAccessAccount($account)) {
+            echo json_encode(['success' => false, 'message' => 'Access denied']);
+            break;
+        }
+        if (!backbork_backup_belongs_to($account, $backupFile)) {
+            echo json_encode(['success' => false, 'message' => 'Backup file does not belong to this account']);
+            break;
+        }
+        
+        $fileRestore = new BackBorkFileRestore();
+        echo json_encode($fileRestore->listDatabases($destinationID, $backupFile));
+        break;
+    
+    /**
+     * List the email accounts and mail folders in a backup (for mailbox restore)
+     * Shares the cached archive listing with browse_backup_files
+     */
+    case 'list_backup_mailboxes':
+        $destinationID = isset($_GET['destination']) ? $_GET['destination'] : '';
+        $backupFile = isset($_GET['backup_file']) ? $_GET['backup_file'] : '';
+        $account = isset($_GET['account']) ? $_GET['account'] : '';
+        
+        // Security: Validate user can access this account, and that the backup is that account's
+        if (!$acl->canAccessAccount($account)) {
+            echo json_encode(['success' => false, 'message' => 'Access denied']);
+            break;
+        }
+        if (!backbork_backup_belongs_to($account, $backupFile)) {
+            echo json_encode(['success' => false, 'message' => 'Backup file does not belong to this account']);
+            break;
+        }
+        
+        $mailRestore = new BackBorkMailRestore();
+        echo json_encode($mailRestore->listMailboxes($destinationID, $backupFile, $account));
+        break;
+    
+    /**
+     * Pre-flight check for a restore (shown in the restore modal before confirming)
+     * Takes the same body as restore_backup; returns preflight_id immediately and
+     * runs the checks in the background (poll get_preflight_status for the report)
+     */
+    case 'preflight_restore':
+        $data = backbork_get_request_data();
+        $backupFile = isset($data['backup_file']) ? $data['backup_file'] : '';
+        $account = isset($data['account']) ? $data['account'] : '';
+        $restoreOptions = isset($data['options']) && is_array($data['options']) ? $data['options'] : [];
+        $destinationID = isset($data['destination']) ? $data['destination'] : '';
+        
+        // Security: Validate user can access this account, and that the backup is that account's
+        if (!$acl->canAccessAccount($account)) {
+            echo json_encode(['success' => false, 'message' => 'Access denied']);
+            break;
+        }
+        if (!$isRoot && !backbork_backup_belongs_to($account, $backupFile)) {
+            echo json_encode(['success' => false, 'message' => 'Backup file does not belong to this account']);
+            break;
+        }
+        
+        // Remote archives have to be downloaded and read first, which can outlast a web request
+        $preflightID = 'preflight_' . time() . '_' . bin2hex(random_bytes(8));
+        BackBorkRestorePreflight::writeResult($preflightID, [
+            'status' => 'running',
+            'user' => $currentUser,
+            'account' => $account,
+            'can_override' => $isRoot,  // Lets the modal offer the override only to those who may use it
+            'created_at' => date('Y-m-d H:i:s')
+        ]);
+        
+        // Create a job file that the CLI runner will pick up
+        $logDir = '/usr/local/cpanel/3rdparty/backbork/logs';
+        $jobFile = $logDir . '/' . $preflightID . '.job';
+        file_put_contents($jobFile, json_encode([
+            'type' => 'preflight',
+            'preflight_id' => $preflightID,
+            'backup_file' => $backupFile,
+            'account' => $account,
+            'destination' => $destinationID,
+            'options' => $restoreOptions,
+            'user' => $currentUser,
+            'requestor' => $requestor,
+            'created_at' => date('Y-m-d H:i:s')
+        ]));
+        
+        $phpBin = '/usr/local/cpanel/3rdparty/bin/php';
+        $runnerScript = __DIR__ . '/runner.php';
+        $cmd = escapeshellarg($phpBin) . ' ' . escapeshellarg($runnerScript) . ' ' . escapeshellarg($jobFile) . ' > /dev/null 2>&1 &';
+        exec($cmd);
+        
+        echo json_encode(['success' => true, 'preflight_id' => $preflightID, 'status' => 'running']);
+        break;
+    
+    /**
+     * Poll a background restore pre-flight
+     * status is 'running' until the report is ready ('complete', report fields included)
+     * or the check could not run ('failed', success false with a message)
+     */
+    case 'get_preflight_status':
+        $preflightID = isset($_GET['preflight_id']) ? trim($_GET['preflight_id']) : '';
+        
+        if (!BackBorkRestorePreflight::isValidID($preflightID)) {
+            echo json_encode(['success' => false, 'message' => 'Invalid pre-flight ID']);
+            break;
+        }
+        
+        $result = BackBorkRestorePreflight::readResult($preflightID);
+        if (!$result) {
+            echo json_encode(['success' => false, 'message' => 'Pre-flight check not found or expired']);
+            break;
+        }
+        
+        // Security: only the user who started the check (or root) may read it
+        if ($result['user'] !== $currentUser && !$isRoot) {
+            echo json_encode(['success' => false, 'message' => 'Access denied']);
+            break;
+        }
+        
+        // A runner killed or stopped by a fatal error never writes its report
+        if ($result['status'] === 'running' && strtotime($result['created_at']) < time() - BackBorkRestorePreflight::RUNNING_TIMEOUT) {
+            $result['status'] = 'failed';
+            $result['message'] = 'Pre-flight check did not finish within ' . (BackBorkRestorePreflight::RUNNING_TIMEOUT / 60) . ' minutes';
+        }
+        
+        unset($result['user']);
+        $result['success'] = $result['status'] !== 'failed';
+        $result['preflight_id'] = $preflightID;
+        echo json_encode($result);
+        break;
+    
     /**
      * Restore account from backup
      * Returns restore_id immediately, then runs restore in background
+     * options.files (+ options.file_target 'live' or 'directory') restores only those home directory paths
+     * options.databases ([{name, target, user}]) restores only those databases, optionally renamed
+     * options.mailboxes ([{path, folders}]) + options.mail_mode ('merge' or 'folder') restores only that mail
+     * options.newuser (+ newdomain or temp_domain, ip, owner) restores the whole account as a new account (root only)
+     * options.override_conflicts (root only) lets the restore run despite pre-flight conflicts
      */
     case 'restore_backup':
         $data = backbork_get_request_data();
@@ -850,6 +1532,75 @@ switch ($action) {
             break;
         }
         
+        if (!empty($restoreOptions['override_conflicts']) && !$isRoot) {
+            echo json_encode(['success' => false, 'message' => 'Root access required to override pre-flight conflicts']);
+            break;
+        }
+        
+        // File, database and mail restores write into the account's home/databases, so the backup must be its own
+        if (!empty($restoreOptions['files']) || !empty($restoreOptions['databases']) || !empty($restoreOptions['mailboxes'])) {
+            if (!backbork_backup_belongs_to($account, $backupFile)) {
+                echo json_encode(['success' => false, 'message' => 'Backup file does not belong to this account']);
+                break;
+            }
+        }
+        
+        if (!empty($restoreOptions['files'])) {
+            $restoreOptions['files'] = BackBorkFileRestore::normalisePaths($restoreOptions['files']);
+            unset($restoreOptions['databases'], $restoreOptions['mailboxes']);
+            if (empty($restoreOptions['files'])) {
+                echo json_encode(['success' => false, 'message' => 'No valid paths selected']);
+                break;
+            }
+            if (count($restoreOptions['files']) > BackBorkFileRestore::MAX_PATHS) {
+                echo json_encode(['success' => false, 'message' => 'Too many paths selected (max ' . BackBorkFileRestore::MAX_PATHS . ')']);
+                break;
+            }
+            $fileTarget = $restoreOptions['file_target'] ?? 'live';
+            if (!in_array($fileTarget, BackBorkFileRestore::TARGETS, true)) {
+                echo json_encode(['success' => false, 'message' => 'Invalid restore target']);
+                break;
+            }
+        } elseif (!empty($restoreOptions['databases'])) {
+            $normalised = BackBorkSQLRestore::normaliseDatabaseRestores($restoreOptions['databases']);
+            if (!$normalised['success']) {
+                echo json_encode(['success' => false, 'message' => $normalised['message']]);
+                break;
+            }
+            $restoreOptions['databases'] = $normalised['databases'];
+            unset($restoreOptions['mailboxes']);
+        } elseif (!empty($restoreOptions['mailboxes'])) {
+            $normalised = BackBorkMailRestore::normaliseMailboxRestores($restoreOptions['mailboxes']);
+            if (!$normalised['success']) {
+                echo json_encode(['success' => false, 'message' => $normalised['message']]);
+                break;
+            }
+            $restoreOptions['mailboxes'] = $normalised['mailboxes'];
+            $restoreOptions['mail_mode'] = $restoreOptions['mail_mode'] ?? 'merge';
+            if (!in_array($restoreOptions['mail_mode'], BackBorkMailRestore::MODES, true)) {
+                echo json_encode(['success' => false, 'message' => 'Invalid mail restore mode']);
+                break;
+            }
+        } else {
+            $normalised = BackBorkRestoreManager::normaliseTargetOptions($restoreOptions, $account);
+            if (!$normalised['success']) {
+                echo json_encode(['success' => false, 'message' => $normalised['message']]);
+                break;
+            }
+            // Restoring under a new name creates an account, which only root may do
+            if ($normalised['target'] !== null && !$isRoot) {
+                echo json_encode(['success' => false, 'message' => 'Root access required to restore as a new account']);
+                break;
+            }
+            if ($normalised['target'] !== null) {
+                $restoreOptions['newuser'] = $normalised['target']['newuser'];
+                $restoreOptions['newdomain'] = $normalised['target']['domain'];
+                $restoreOptions['temp_domain'] = $normalised['target']['temp_domain'];
+                $restoreOptions['ip'] = $normalised['target']['ip'];
+                $restoreOptions['owner'] = $normalised['target']['owner'];
+            }
+        }
+        
         // Generate restore_id early and create initial log file
         $restoreID = 'restore_' . time() . '_' . substr(md5(uniqid()), 0, 8);
         $logDir = '/usr/local/cpanel/3rdparty/backbork/logs';
@@ -1659,6 +2410,41 @@ switch ($action) {
         }
         break;
     
+    /**
+     * Destination health dashboard (root only)
+     * Latest check, recent trend and dependent schedules per destination
+     */
+    case 'get_destination_health':
+        if (!$isRoot) {
+            echo json_encode(['success' => false, 'message' => 'Access denied']);
+            break;
+        }
+        $health = new BackBorkDestinationsHealth();
+        echo json_encode([
+            'success' => true,
+            'interval' => BackBorkConfig::getHealthCheckInterval(),
+            'destinations' => $health->getDashboard()
+        ]);
+        break;
+    
+    /**
+     * Run destination health checks now (root only)
+     * One destination when destination_id is given, otherwise every enabled one
+     */
+    case 'check_destination_health':
+        if (!$isRoot) {
+            echo json_encode(['success' => false, 'message' => 'Access denied']);
+            break;
+        }
+        $data = backbork_get_request_data();
+        $health = new BackBorkDestinationsHealth();
+        $result = $health->runChecks(!empty($data['destination_id']) ? (string)$data['destination_id'] : null);
+        if ($result['success']) {
+            BackBorkLog::logEvent($currentUser, 'destination_health', array_keys($result['checks']), true, 'Health check run manually: ' . $result['message'], $requestor);
+        }
+        echo json_encode($result);
+        break;
+    
     // ========================================================================
     // NOTIFICATIONS
     // ========================================================================
@@ -1699,10 +2485,11 @@ switch ($action) {
         $limit = isset($_GET['limit']) ? (int)$_GET['limit'] : 50;
         $filter = isset($_GET['filter']) ? $_GET['filter'] : 'all';
         $accountFilter = isset($_GET['account']) ? $_GET['account'] : '';
+        $relatedTo = isset($_GET['related_to']) ? $_GET['related_to'] : '';
         
         // Use centralised logger
         if (class_exists('BackBorkLog')) {
-            echo json_encode(BackBorkLog::getLogs($currentUser, $isRoot, $page, $limit, $filter, $accountFilter));
+            echo json_encode(BackBorkLog::getLogs($currentUser, $isRoot, $page, $limit, $filter, $accountFilter, $relatedTo));
         } else {
             // Fallback to backup manager's log method
             $backupManager = new BackBorkBackupManager();
@@ -1712,10 +2499,12 @@ switch ($action) {
     
     /**
      * Get verbose log content for viewing from logs tab
-     * Returns full content of backup_* or restore_* log files
+     * Returns full content of backup_* or restore_* log files,
+     * or just one account's section when 'account' is given (queue tab breakdown)
      */
     case 'get_verbose_log':
         $jobID = isset($_GET['job_id']) ? $_GET['job_id'] : '';
+        $account = isset($_GET['account']) ? $_GET['account'] : '';
         
         // Validate job_id format (backup_* or restore_*)
         if (!preg_match('/^(backup|restore)_[0-9]+_[a-f0-9]+$/', $jobID)) {
@@ -1730,8 +2519,24 @@ switch ($action) {
             break;
         }
         
-        $content = file_get_contents($logFile);
-        echo json_encode(['success' => true, 'content' => $content]);
+        if ($account === '') {
+            $content = file_get_contents($logFile);
+            echo json_encode(['success' => true, 'content' => $content]);
+            break;
+        }
+        
+        // Account slice: byte range recorded by the progress tracker
+        $range = BackBorkProgress::getAccountLogRange($jobID, $account);
+        if ($range === null) {
+            echo json_encode(['success' => false, 'message' => 'No log section for this account yet']);
+            break;
+        }
+        
+        // Open-ended while the account is still running
+        list($start, $end) = $range;
+        $length = ($end !== null) ? $end - $start : null;
+        $content = ($length === null) ? file_get_contents($logFile, false, null, $start) : file_get_contents($logFile, false, null, $start, $length);
+        echo json_encode(['success' => true, 'content' => $content, 'account' => $account]);
         break;
     
     /**
@@ -1748,39 +2553,21 @@ switch ($action) {
             break;
         }
         
-        $logFile = '/usr/local/cpanel/3rdparty/backbork/logs/' . $restoreID . '.log';
+        $log = BackBorkEvents::readLog($restoreID, $offset);
         
-        if (!file_exists($logFile)) {
+        if (!$log['exists']) {
             echo json_encode(['success' => false, 'message' => 'Log file not found', 'content' => '', 'offset' => 0, 'complete' => false]);
             break;
         }
         
-        // Clear file stat cache to get fresh file size (critical for real-time tailing)
-        clearstatcache(true, $logFile);
-        
-        // Read log content from offset
-        $content = '';
-        $fileSize = filesize($logFile);
-        
-        if ($offset < $fileSize) {
-            $handle = fopen($logFile, 'r');
-            fseek($handle, $offset);
-            $content = fread($handle, $fileSize - $offset);
-            fclose($handle);
-        }
-        
-        // Check if restore is complete (look for completion markers)
-        // Re-read file for completion check to ensure we have latest content
-        clearstatcache(true, $logFile);
-        $fullContent = file_get_contents($logFile);
-        $isComplete = (strpos($fullContent, 'RESTORE COMPLETED SUCCESSFULLY') !== false) ||
-                      (strpos($fullContent, 'RESTORE FAILED') !== false);
-        
+        // complete is set once the progress sidecar reports a final state (or the log marker, for older jobs)
+        // progress is null for restores started before structured progress existed
         echo json_encode([
             'success' => true,
-            'content' => $content,
-            'offset' => $fileSize,
-            'complete' => $isComplete
+            'content' => $log['content'],
+            'offset' => $log['offset'],
+            'complete' => $log['complete'],
+            'progress' => BackBorkProgress::read($restoreID)
         ]);
         break;
     
@@ -1798,39 +2585,21 @@ switch ($action) {
             break;
         }
         
-        $logFile = '/usr/local/cpanel/3rdparty/backbork/logs/' . $backupID . '.log';
+        $log = BackBorkEvents::readLog($backupID, $offset);
         
-        if (!file_exists($logFile)) {
+        if (!$log['exists']) {
             echo json_encode(['success' => false, 'message' => 'Log file not found', 'content' => '', 'offset' => 0, 'complete' => false]);
             break;
         }
         
-        // Clear file stat cache to get fresh file size (critical for real-time tailing)
-        clearstatcache(true, $logFile);
-        
-        // Read log content from offset
-        $content = '';
-        $fileSize = filesize($logFile);
-        
-        if ($offset < $fileSize) {
-            $handle = fopen($logFile, 'r');
-            fseek($handle, $offset);
-            $content = fread($handle, $fileSize - $offset);
-            fclose($handle);
-        }
-        
-        // Check if backup is complete (look for completion markers)
-        // Re-read file for completion check to ensure we have latest content
-        clearstatcache(true, $logFile);
-        $fullContent = file_get_contents($logFile);
-        $isComplete = (strpos($fullContent, 'BACKUP COMPLETED SUCCESSFULLY') !== false) ||
-                      (strpos($fullContent, 'BACKUP FAILED') !== false);
-        
+        // complete is set once the progress sidecar reports a final state (or the log marker, for older jobs)
+        // progress carries phase, per-account state, bytes, throughput and ETA (null for older jobs)
         echo json_encode([
             'success' => true,
-            'content' => $content,
-            'offset' => $fileSize,
-            'complete' => $isComplete
+            'content' => $log['content'],
+            'offset' => $log['offset'],
+            'complete' => $log['complete'],
+            'progress' => BackBorkProgress::read($backupID)
         ]);
         break;
     
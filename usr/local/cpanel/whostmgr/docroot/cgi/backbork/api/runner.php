@@ -81,7 +81,7 @@ try {
             runner_log("Background runner started for backup");
             
             $accounts = isset($jobData['accounts']) ? $jobData['accounts'] : [];
-            $destinationID = isset($jobData['destination']) ? $jobData['destination'] : '';
+            $destinationID = isset($jobData['destinations']) ? $jobData['destinations'] : (isset($jobData['destination']) ? $jobData['destination'] : '');
             $backupID = $jobData['backup_id'];
             $user = isset($jobData['user']) ? $jobData['user'] : 'root';
             $jobRequestor = isset($jobData['requestor']) ? $jobData['requestor'] : 'cron';
@@ -93,6 +93,10 @@ try {
             
             $backupManager = new BackBorkBackupManager();
             $backupManager->setRequestor($jobRequestor);
+            if (!empty($jobData['profile_id'])) {
+                $resolved = BackBorkProfiles::resolveSettings($jobData['profile_id'], $user);
+                $backupManager->setConfigOverrides($resolved['settings'], $resolved['profile'], $jobData['profile_id']);
+            }
             $backupManager->createBackupWithID($accounts, $destinationID, $user, $backupID);
             
             runner_log("Backup job completed");
@@ -158,6 +162,49 @@ try {
             runner_log("Stage download job completed");
             break;
             
+        case 'preflight':
+            // Restore pre-flight for the restore modal; the report replaces the 'running' result file
+            $preflightID = isset($jobData['preflight_id']) ? $jobData['preflight_id'] : '';
+            $result = BackBorkRestorePreflight::readResult($preflightID);
+            
+            if (!$result) {
+                BackBorkConfig::debugLog('runner: Pre-flight result missing for ' . $preflightID);
+                break;
+            }
+            
+            try {
+                $preflight = new BackBorkRestorePreflight();
+                $report = $preflight->check(
+                    isset($jobData['destination']) ? $jobData['destination'] : '',
+                    isset($jobData['backup_file']) ? $jobData['backup_file'] : '',
+                    isset($jobData['account']) ? $jobData['account'] : '',
+                    isset($jobData['options']) ? $jobData['options'] : []
+                );
+                $result = array_merge($result, $report, ['status' => $report['success'] ? 'complete' : 'failed']);
+            } catch (Throwable $e) {
+                // The modal is polling; leave it an answer rather than 'running' forever
+                $result = array_merge($result, ['status' => 'failed', 'message' => $e->getMessage()]);
+            }
+            
+            BackBorkRestorePreflight::writeResult($preflightID, $result);
+            break;
+            
+        case 'queue_job':
+            // Queue worker dispatched by BackBorkQueueProcessor; the backup/restore
+            // writes its own operation log, so only problems are noted here
+            $jobID = isset($jobData['job_id']) ? $jobData['job_id'] : '';
+            
+            if (empty($jobID)) {
+                runner_log("ERROR: No queue job specified");
+                break;
+            }
+            
+            $processor = new BackBorkQueueProcessor();
+            $result = $processor->runWorker($jobID);
+            
+            BackBorkConfig::debugLog('runner: Queue job ' . $jobID . ' finished - ' . ($result['message'] ?? 'no message'));
+            break;
+            
         default:
             runner_log("ERROR: Unknown job type: $type");
     }
@@ -102,7 +102,11 @@ class BackBorkBootstrap {
         require_once(BACKBORK_BASE_PATH . '/app/Config.php');     // Configuration management
         require_once(BACKBORK_BASE_PATH . '/app/Notify.php');     // Email/Slack notifications
         require_once(BACKBORK_BASE_PATH . '/app/Queue.php');      // Job queue management
+        require_once(BACKBORK_BASE_PATH . '/app/Profiles.php');   // Named backup profiles
+        require_once(BACKBORK_BASE_PATH . '/app/Cron.php');       // Cron expressions for custom schedules
         require_once(BACKBORK_BASE_PATH . '/app/Log.php');        // Operation logging
+        require_once(BACKBORK_BASE_PATH . '/app/Progress.php');   // Structured job progress
+        require_once(BACKBORK_BASE_PATH . '/app/Events.php');     // Live UI event stream
         
         // === LOAD ENGINE CLASSES ===
         // WHM API wrappers
@@ -117,6 +121,7 @@ class BackBorkBootstrap {
         // Destination handling
         require_once(BACKBORK_BASE_PATH . '/engine/destinations/Parser.php');     // Parse WHM destinations
         require_once(BACKBORK_BASE_PATH . '/engine/destinations/Validator.php');  // Validate destinations
+        require_once(BACKBORK_BASE_PATH . '/engine/destinations/Health.php');     // Background health checks
         
         // Backup engine
         require_once(BACKBORK_BASE_PATH . '/engine/backup/SQL.php');              // Hot DB backups (mariadb-backup/mysqlbackup)
@@ -127,6 +132,9 @@ class BackBorkBootstrap {
         // Restore engine
         require_once(BACKBORK_BASE_PATH . '/engine/restore/SQL.php');             // Database restore
         require_once(BACKBORK_BASE_PATH . '/engine/restore/Retrieval.php');       // Download backups
+        require_once(BACKBORK_BASE_PATH . '/engine/restore/Files.php');           // File-level restore
+        require_once(BACKBORK_BASE_PATH . '/engine/restore/Mail.php');            // Mailbox restore
+        require_once(BACKBORK_BASE_PATH . '/engine/restore/Preflight.php');       // Restore pre-flight checks
         require_once(BACKBORK_BASE_PATH . '/engine/restore/RestoreManager.php');  // Restore orchestration
         
         // Queue processing
@@ -34,6 +34,24 @@ class BackBorkConfig {
     // Global configuration file (shared settings like schedule locks)
     const GLOBAL_CONFIG_FILE = '/usr/local/cpanel/3rdparty/backbork/global.json';
     
+    // Upper bound for any of the queue concurrency limits
+    const MAX_PARALLEL_JOBS = 16;
+    
+    // ionice scheduling classes accepted in settings ('' = leave I/O priority alone)
+    const IONICE_CLASSES = ['' => null, 'best-effort' => 2, 'idle' => 3];
+    
+    // Heavy child processes with their own nice/ionice settings (key prefix in global config)
+    const PRIORITY_TARGETS = ['pkgacct', 'upload'];
+    
+    // Most blackout entries kept in global config
+    const MAX_BLACKOUT_DATES = 100;
+    
+    // How far ahead to look for the next open backup window (hours)
+    const BACKUP_WINDOW_LOOKAHEAD = 8784;
+    
+    // Longest gap allowed between destination health checks (minutes)
+    const MAX_HEALTH_CHECK_INTERVAL = 1440;
+    
     /**
      * Constructor - Initialise config directories
      * 
@@ -99,6 +117,12 @@ class BackBorkConfig {
      * - notify_cron_errors: Alert root when cron health check fails
      * - notify_queue_failure: Alert root when queue processing fails
      * - notify_pruning: Alert root when backups are pruned
+     * - notify_destination_health: Alert root when a destination schedules use turns unhealthy
+     * - health_check_interval: Minutes between background destination health checks (0 = off)
+     * - max_concurrent_jobs / max_jobs_per_destination / max_jobs_per_reseller: Queue dispatch limits
+     * - pkgacct_* / upload_* (nice_level, ionice_class, ionice_level): CPU and I/O priority for pkgacct and for uploads
+     * - backup_window_enabled / backup_window_start / backup_window_end: Hours queued backups may start
+     * - blackout_dates: Date ranges on which no queued backup starts
      * 
      * @return array Merged defaults with saved global config
      */
@@ -169,6 +193,8 @@ class BackBorkConfig {
             foreach ($config as $key => $value) {
                 if (is_bool($value)) {
                     $changes[] = $key . '=' . ($value ? 'true' : 'false');
+                } elseif (is_array($value)) {
+                    $changes[] = $key . '=' . json_encode($value);
                 } else {
                     $changes[] = $key . '=' . $value;
                 }
@@ -195,6 +221,21 @@ class BackBorkConfig {
             'notify_cron_errors' => true,           // Root-only: alert on cron health issues
             'notify_queue_failure' => true,         // Root-only: alert on queue processing failures
             'notify_pruning' => true,               // Root-only: alert when backups are pruned
+            'notify_destination_health' => true,    // Root-only: alert when a destination in use turns unhealthy
+            'health_check_interval' => 60,          // Minutes between destination health checks (0 = off)
+            'max_concurrent_jobs' => 1,             // Queue jobs run at once (1 = sequential)
+            'max_jobs_per_destination' => 0,        // Running jobs per destination (0 = no limit)
+            'max_jobs_per_reseller' => 0,           // Running jobs per reseller (0 = no limit)
+            'pkgacct_nice_level' => 0,              // CPU niceness for pkgacct (0 = normal)
+            'pkgacct_ionice_class' => '',           // I/O class for pkgacct ('' = unchanged)
+            'pkgacct_ionice_level' => 4,            // best-effort I/O level (0 = highest, 7 = lowest)
+            'upload_nice_level' => 0,               // CPU niceness for uploads (0 = normal)
+            'upload_ionice_class' => '',            // I/O class for uploads ('' = unchanged)
+            'upload_ionice_level' => 4,             // best-effort I/O level (0 = highest, 7 = lowest)
+            'backup_window_enabled' => false,       // Queued backups may start at any hour
+            'backup_window_start' => 1,             // Window opens at this hour (0-23)
+            'backup_window_end' => 6,               // Window closes at this hour (wraps past midnight if < start)
+            'blackout_dates' => [],                 // [{from, to, label}] days with no backups
             'created_at' => date('Y-m-d H:i:s'),
             'updated_at' => date('Y-m-d H:i:s')
         ];
@@ -316,6 +357,339 @@ class BackBorkConfig {
         return file_put_contents(self::GLOBAL_CONFIG_FILE, json_encode($config, JSON_PRETTY_PRINT)) !== false;
     }
     
+    /**
+     * Get the queue concurrency and process priority limits
+     * 
+     * Values are re-validated on read so a hand-edited global.json can't
+     * push the processor outside the supported ranges.
+     * 
+     * @return array Normalised limits (see sanitiseResourceLimits)
+     */
+    public static function getResourceLimits() {
+        $config = new self();
+        $defaults = $config->sanitiseResourceLimits($config->getGlobalDefaults());
+        return array_merge($defaults, $config->sanitiseResourceLimits($config->getGlobalConfig()));
+    }
+    
+    /**
+     * Validate queue concurrency and process priority settings
+     * 
+     * Only keys present in the input are returned, so partial updates from
+     * the Settings panel leave the other limits untouched.
+     * 
+     * @param array $input Raw settings (e.g. from the request)
+     * @return array Clamped settings safe to store in global config
+     */
+    public function sanitiseResourceLimits($input) {
+        $limits = [];
+        
+        // Concurrency: at least one job must be able to run
+        if (isset($input['max_concurrent_jobs'])) {
+            $limits['max_concurrent_jobs'] = max(1, min(self::MAX_PARALLEL_JOBS, (int)$input['max_concurrent_jobs']));
+        }
+        
+        // Per-destination and per-reseller caps: 0 disables the cap
+        foreach (['max_jobs_per_destination', 'max_jobs_per_reseller'] as $key) {
+            if (isset($input[$key])) {
+                $limits[$key] = max(0, min(self::MAX_PARALLEL_JOBS, (int)$input[$key]));
+            }
+        }
+        
+        foreach (self::PRIORITY_TARGETS as $target) {
+            // nice only allows lowering priority from here (0-19)
+            if (isset($input[$target . '_nice_level'])) {
+                $limits[$target . '_nice_level'] = max(0, min(19, (int)$input[$target . '_nice_level']));
+            }
+            
+            // ionice class must be one we know how to map to -c
+            if (isset($input[$target . '_ionice_class'])) {
+                $class = (string)$input[$target . '_ionice_class'];
+                $limits[$target . '_ionice_class'] = array_key_exists($class, self::IONICE_CLASSES) ? $class : '';
+            }
+            
+            if (isset($input[$target . '_ionice_level'])) {
+                $limits[$target . '_ionice_level'] = max(0, min(7, (int)$input[$target . '_ionice_level']));
+            }
+        }
+        
+        return $limits;
+    }
+    
+    /**
+     * Build the nice/ionice prefix for heavy child processes
+     * 
+     * Prepended to the pkgacct and upload commands so backups can run
+     * without starving the sites they are backing up. pkgacct is CPU and
+     * disk heavy while uploads are mostly network bound, so each has its
+     * own settings. Returns an empty string when no priority is configured
+     * or the tools are missing.
+     * 
+     * @param string $target Which process: 'pkgacct' or 'upload' (see PRIORITY_TARGETS)
+     * @return string Command prefix ending in a space, or ''
+     */
+    public static function getProcessPriorityPrefix($target) {
+        if (!in_array($target, self::PRIORITY_TARGETS, true)) {
+            return '';
+        }
+        $limits = self::getResourceLimits();
+        $prefix = '';
+        
+        if ($limits[$target . '_nice_level'] > 0 && is_executable('/bin/nice')) {
+            $prefix .= '/bin/nice -n ' . $limits[$target . '_nice_level'] . ' ';
+        }
+        
+        $ioClass = self::IONICE_CLASSES[$limits[$target . '_ionice_class']] ?? null;
+        if ($ioClass !== null && is_executable('/usr/bin/ionice')) {
+            $prefix .= '/usr/bin/ionice -c ' . $ioClass;
+            // Levels only apply to the best-effort class
+            if ($ioClass === 2) {
+                $prefix .= ' -n ' . $limits[$target . '_ionice_level'];
+            }
+            $prefix .= ' ';
+        }
+        
+        return $prefix;
+    }
+    
+    /**
+     * Get the minutes between background destination health checks
+     * 
+     * @return int Interval in minutes (0 = health checks off)
+     */
+    public static function getHealthCheckInterval() {
+        $config = new self();
+        $settings = array_merge(
+            $config->sanitiseHealthChecks($config->getGlobalDefaults()),
+            $config->sanitiseHealthChecks($config->getGlobalConfig())
+        );
+        return $settings['health_check_interval'];
+    }
+    
+    /**
+     * Validate destination health check settings
+     * 
+     * @param array $input Raw settings (e.g. from the request)
+     * @return array Clamped settings, only for keys present in the input
+     */
+    public function sanitiseHealthChecks($input) {
+        $settings = [];
+        if (isset($input['health_check_interval'])) {
+            $settings['health_check_interval'] = max(0, min(self::MAX_HEALTH_CHECK_INTERVAL, (int)$input['health_check_interval']));
+        }
+        return $settings;
+    }
+    
+    /**
+     * Get the server-wide backup window and blackout dates
+     * 
+     * @return array Normalised window (see sanitiseBackupWindow)
+     */
+    public static function getBackupWindow() {
+        $config = new self();
+        $defaults = $config->sanitiseBackupWindow($config->getGlobalDefaults());
+        return array_merge($defaults, $config->sanitiseBackupWindow($config->getGlobalConfig()));
+    }
+    
+    /**
+     * Validate backup window and blackout settings
+     * 
+     * Blackouts are accepted either as stored ({from, to, label}) or as the
+     * lines typed in Settings: "YYYY-MM-DD" or "YYYY-MM-DD..YYYY-MM-DD",
+     * optionally followed by a label. Unparseable entries are dropped.
+     * 
+     * @param array $input Raw settings (e.g. from the request)
+     * @return array Clean settings, only for keys present in the input
+     */
+    public function sanitiseBackupWindow($input) {
+        $window = [];
+        
+        if (isset($input['backup_window_enabled'])) {
+            $window['backup_window_enabled'] = (bool)$input['backup_window_enabled'];
+        }
+        
+        foreach (['backup_window_start', 'backup_window_end'] as $key) {
+            if (isset($input[$key])) {
+                $window[$key] = max(0, min(23, (int)$input[$key]));
+            }
+        }
+        
+        if (isset($input['blackout_dates'])) {
+            $entries = is_array($input['blackout_dates']) ? $input['blackout_dates'] : preg_split('/\r?\n/', (string)$input['blackout_dates']);
+            $blackouts = [];
+            foreach ($entries as $entry) {
+                $blackout = self::parseBlackout($entry);
+                if ($blackout !== null) {
+                    $blackouts[] = $blackout;
+                }
+            }
+            usort($blackouts, function($a, $b) {
+                return strcmp($a['from'], $b['from']);
+            });
+            $window['blackout_dates'] = array_slice($blackouts, 0, self::MAX_BLACKOUT_DATES);
+        }
+        
+        return $window;
+    }
+    
+    /**
+     * Parse one blackout entry into {from, to, label}
+     * 
+     * @param array|string $entry Stored entry or a line from Settings
+     * @return array|null Blackout with from <= to, or null if invalid
+     */
+    private static function parseBlackout($entry) {
+        if (is_array($entry)) {
+            $from = (string)($entry['from'] ?? '');
+            $to = (string)($entry['to'] ?? $from);
+            $label = (string)($entry['label'] ?? '');
+        } elseif (preg_match('/^\s*(\d{4}-\d{2}-\d{2})(?:\s*\.\.\s*(\d{4}-\d{2}-\d{2}))?\s*(.*)$/', (string)$entry, $m)) {
+            $from = $m[1];
+            $to = $m[2] !== '' ? $m[2] : $m[1];
+            $label = $m[3];
+        } else {
+            return null;
+        }
+        
+        foreach ([$from, $to] as $date) {
+            $parts = explode('-', $date);
+            if (count($parts) !== 3 || !checkdate((int)$parts[1], (int)$parts[2], (int)$parts[0])) {
+                return null;
+            }
+        }
+        if ($from > $to) {
+            list($from, $to) = [$to, $from];
+        }
+        
+        return ['from' => $from, 'to' => $to, 'label' => substr(trim(strip_tags($label)), 0, 64)];
+    }
+    
+    /**
+     * Check whether queued backups may start at a given time
+     * 
+     * The window covers [start, end) in server time and wraps past midnight
+     * when end < start (start == end means all day). Blackout dates block
+     * the whole day regardless of the window.
+     * 
+     * @param int|null $time Unix timestamp (default: now)
+     * @param array|null $window Window from getBackupWindow() (default: load it)
+     * @return bool True if a backup may start
+     */
+    public static function isBackupWindowOpen($time = null, $window = null) {
+        $time = $time ?? time();
+        $window = $window ?? self::getBackupWindow();
+        
+        $date = date('Y-m-d', $time);
+        foreach ($window['blackout_dates'] as $blackout) {
+            if ($date >= $blackout['from'] && $date <= $blackout['to']) {
+                return false;
+            }
+        }
+        
+        if (!$window['backup_window_enabled']) {
+            return true;
+        }
+        
+        $hour = (int)date('G', $time);
+        return self::isHourInBackupWindow($hour, $window);
+    }
+    
+    /**
+     * Check whether an hour of the day falls inside the backup window
+     * 
+     * Used to warn when a schedule's preferred time would leave its jobs
+     * waiting in the queue. Ignores blackout dates.
+     * 
+     * @param int $hour Hour of day (0-23)
+     * @param array|null $window Window from getBackupWindow() (default: load it)
+     * @return bool True if the window is disabled or includes the hour
+     */
+    public static function isHourInBackupWindow($hour, $window = null) {
+        $window = $window ?? self::getBackupWindow();
+        if (!$window['backup_window_enabled']) {
+            return true;
+        }
+        
+        $start = $window['backup_window_start'];
+        $end = $window['backup_window_end'];
+        if ($start === $end) {
+            return true;
+        }
+        if ($start < $end) {
+            return $hour >= $start && $hour < $end;
+        }
+        return $hour >= $start || $hour < $end;
+    }
+    
+    /**
+     * Explain why a schedule's runs would wait for the backup window
+     * 
+     * @param string $frequency Schedule frequency (hourly, daily, weekly, monthly, custom)
+     * @param int $hour Preferred hour (ignored for hourly and custom schedules)
+     * @param string|null $cron Cron expression for custom schedules
+     * @return string|null Warning text, or null if the schedule fits the window
+     */
+    public static function getScheduleWindowWarning($frequency, $hour, $cron = null) {
+        $window = self::getBackupWindow();
+        if (!$window['backup_window_enabled'] || $window['backup_window_start'] === $window['backup_window_end']) {
+            return null;
+        }
+        
+        $range = sprintf('%02d:00-%02d:00', $window['backup_window_start'], $window['backup_window_end']);
+        if ($frequency === 'hourly') {
+            return "Hourly runs outside the backup window ({$range}) wait in the queue until it opens";
+        }
+        if ($frequency === 'custom') {
+            $parsed = BackBorkCron::parse((string)$cron);
+            $outside = array_filter($parsed['hour'] ?? [], function($cronHour) use ($window) {
+                return !self::isHourInBackupWindow($cronHour, $window);
+            });
+            if (empty($outside)) {
+                return null;
+            }
+            $hours = implode(', ', array_map(function($cronHour) {
+                return sprintf('%02d:00', $cronHour);
+            }, $outside));
+            return "Runs at {$hours} are outside the backup window ({$range}) and will wait in the queue until it opens";
+        }
+        if (!self::isHourInBackupWindow((int)$hour, $window)) {
+            return sprintf('%02d:00 is outside the backup window (%s); runs will wait in the queue until it opens', (int)$hour, $range);
+        }
+        return null;
+    }
+    
+    /**
+     * Describe the backup window for the Queue tab and schedule forms
+     * 
+     * @return array Window settings plus 'open' and 'next_open' (Y-m-d H:i:s, null if open or none within a year)
+     */
+    public static function getBackupWindowStatus() {
+        $window = self::getBackupWindow();
+        $now = time();
+        $open = self::isBackupWindowOpen($now, $window);
+        
+        // Window changes only happen on the local hour, so step hour by hour from its start
+        $nextOpen = null;
+        if (!$open) {
+            $time = strtotime(date('Y-m-d H:00:00', $now));
+            for ($i = 0; $i < self::BACKUP_WINDOW_LOOKAHEAD; $i++) {
+                $time += 3600;
+                if (self::isBackupWindowOpen($time, $window)) {
+                    $nextOpen = date('Y-m-d H:i:s', $time);
+                    break;
+                }
+            }
+        }
+        
+        return [
+            'enabled' => $window['backup_window_enabled'],
+            'start' => $window['backup_window_start'],
+            'end' => $window['backup_window_end'],
+            'blackout_dates' => $window['blackout_dates'],
+            'open' => $open,
+            'next_open' => $nextOpen
+        ];
+    }
+    
     /**
      * Get the path to a user's configuration file
      * 
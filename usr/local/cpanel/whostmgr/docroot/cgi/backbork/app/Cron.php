@@ -0,0 +1,369 @@
+<?php
+/**
+ *  BackBork KISS :: Open-source Disaster Recovery Plugin (for WHM)
+ *   Copyright (C) The Network Crew Pty Ltd & Velocity Host Pty Ltd
+ *   https://github.com/The-Network-Crew/BackBork-KISS-for-WHM/
+ *
+ *  THIS FILE:
+ *   Cron expression parsing for custom backup schedules.
+ *   Validates expressions, finds upcoming run times and describes them in plain English.
+ *
+ *  This program is free software: you can redistribute it and/or modify
+ *   it under the terms of the GNU Affero General Public License as published by
+ *   the Free Software Foundation, either version 3 of the License, or
+ *   (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *   but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *   MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *   GNU Affero General Public License for more details.
+ *
+ *  You should have received a copy of the GNU Affero General Public License
+ *   along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ *
+ *  @package BackBork
+ *  @version See version.php (constant: BACKBORK_VERSION)
+ *  @author The Network Crew Pty Ltd & Velocity Host Pty Ltd
+ */
+
+/**
+ * Class BackBorkCron
+ *
+ * Standard five-field expressions: minute hour day-of-month month day-of-week.
+ * Fields accept *, numbers, ranges (1-5), lists (1,15) and steps (*\/6, 8-18/2);
+ * months and weekdays also accept three-letter names. As in Vixie cron, when
+ * both day fields are restricted a day matches if either one does.
+ *
+ * Backups run at most once an hour, so the minute field must be a single value.
+ * Times are server local time.
+ */
+class BackBorkCron {
+    
+    // ========================================================================
+    // CONSTANTS
+    // ========================================================================
+    
+    /** Field order and allowed range: name => [min, max] */
+    const FIELDS = [
+        'minute' => [0, 59],
+        'hour' => [0, 23],
+        'day' => [1, 31],
+        'month' => [1, 12],
+        'weekday' => [0, 7]     // 0 and 7 are both Sunday
+    ];
+    
+    /** Names accepted in the month field */
+    const MONTH_NAMES = ['jan' => 1, 'feb' => 2, 'mar' => 3, 'apr' => 4, 'may' => 5, 'jun' => 6,
+                         'jul' => 7, 'aug' => 8, 'sep' => 9, 'oct' => 10, 'nov' => 11, 'dec' => 12];
+    
+    /** Names accepted in the weekday field */
+    const WEEKDAY_NAMES = ['sun' => 0, 'mon' => 1, 'tue' => 2, 'wed' => 3, 'thu' => 4, 'fri' => 5, 'sat' => 6];
+    
+    /** How far ahead to search for a match (covers 29 February schedules) */
+    const MAX_SEARCH_DAYS = 1830;
+    
+    // ========================================================================
+    // PARSING & VALIDATION
+    // ========================================================================
+    
+    /**
+     * Tidy an expression for storage (single spaces, lower case)
+     *
+     * @param string $expression Raw expression
+     * @return string Normalised expression
+     */
+    public static function normalise($expression) {
+        return strtolower(trim(preg_replace('/\s+/', ' ', (string)$expression)));
+    }
+    
+    /**
+     * Check an expression can be used for a backup schedule
+     *
+     * @param string $expression Cron expression
+     * @return string|null Error message, or null if valid
+     */
+    public static function validate($expression) {
+        $fields = explode(' ', self::normalise($expression));
+        if (count($fields) !== 5) {
+            return 'Expected 5 fields (minute hour day month weekday)';
+        }
+        
+        $parsed = self::parse($expression);
+        if ($parsed === null) {
+            return 'Invalid value or range in expression';
+        }
+        if (count($parsed['minute']) !== 1) {
+            return 'Minute must be a single value (backups run at most once an hour)';
+        }
+        if (self::nextRun($expression) === null) {
+            return 'Expression never matches a date';
+        }
+        return null;
+    }
+    
+    /**
+     * Expand an expression into the values each field matches
+     *
+     * @param string $expression Cron expression
+     * @return array|null Sorted value lists per field, plus day_any/weekday_any
+     *                    flags for unrestricted day fields, or null if invalid
+     */
+    public static function parse($expression) {
+        $fields = explode(' ', self::normalise($expression));
+        if (count($fields) !== 5) {
+            return null;
+        }
+        
+        $parsed = [];
+        $i = 0;
+        foreach (self::FIELDS as $name => $range) {
+            $names = $name === 'month' ? self::MONTH_NAMES : ($name === 'weekday' ? self::WEEKDAY_NAMES : []);
+            $values = self::parseField($fields[$i], $range[0], $range[1], $names);
+            if ($values === null) {
+                return null;
+            }
+            $parsed[$name] = $values;
+            $i++;
+        }
+        
+        // Sunday can be written as 0 or 7
+        $parsed['weekday'] = array_values(array_unique(array_map(function($day) {
+            return $day % 7;
+        }, $parsed['weekday'])));
+        sort($parsed['weekday']);
+        
+        $parsed['day_any'] = $fields[2][0] === '*';
+        $parsed['weekday_any'] = $fields[4][0] === '*';
+        $parsed['hour_step'] = preg_match('/^\*\/(\d+)$/', $fields[1], $m) ? (int)$m[1] : null;
+        
+        return $parsed;
+    }
+    
+    /**
+     * Expand one field into the values it matches
+     *
+     * @param string $field Field text (e.g. "1-5", "*\/6", "mon,wed")
+     * @param int $min Lowest allowed value
+     * @param int $max Highest allowed value
+     * @param array $names Name => value aliases for this field
+     * @return array|null Sorted unique values, or null if invalid
+     */
+    private static function parseField($field, $min, $max, $names) {
+        $values = [];
+        
+        foreach (explode(',', $field) as $part) {
+            $step = 1;
+            if (strpos($part, '/') !== false) {
+                list($part, $stepText) = explode('/', $part, 2);
+                if (!ctype_digit($stepText) || (int)$stepText < 1) {
+                    return null;
+                }
+                $step = (int)$stepText;
+            }
+            
+            if ($part === '*') {
+                $from = $min;
+                $to = $max;
+            } elseif (strpos($part, '-') !== false) {
+                list($fromText, $toText) = explode('-', $part, 2);
+                $from = self::parseValue($fromText, $names);
+                $to = self::parseValue($toText, $names);
+            } else {
+                $from = self::parseValue($part, $names);
+                // "5/15" means from 5 to the end in steps of 15
+                $to = $step > 1 ? $max : $from;
+            }
+            
+            if ($from === null || $to === null || $from < $min || $to > $max || $from > $to) {
+                return null;
+            }
+            
+            for ($value = $from; $value <= $to; $value += $step) {
+                $values[] = $value;
+            }
+        }
+        
+        $values = array_values(array_unique($values));
+        sort($values);
+        return $values;
+    }
+    
+    /**
+     * Read a single number or name
+     *
+     * @param string $text Field value
+     * @param array $names Name => value aliases
+     * @return int|null Value, or null if not a number or known name
+     */
+    private static function parseValue($text, $names) {
+        if (ctype_digit($text)) {
+            return (int)$text;
+        }
+        return $names[$text] ?? null;
+    }
+    
+    // ========================================================================
+    // RUN TIMES
+    // ========================================================================
+    
+    /**
+     * Find the next time an expression matches, after a given time
+     *
+     * @param string $expression Cron expression
+     * @param int|null $after Unix timestamp to search from (default: now)
+     * @return int|null Timestamp of the next run, or null if none within MAX_SEARCH_DAYS
+     */
+    public static function nextRun($expression, $after = null) {
+        $parsed = self::parse($expression);
+        if ($parsed === null) {
+            return null;
+        }
+        
+        $after = $after ?? time();
+        $limit = $after + self::MAX_SEARCH_DAYS * 86400;
+        
+        // Start at the next whole minute
+        $next = new DateTime();
+        $next->setTimestamp($after - ($after % 60) + 60);
+        
+        // Skip forward a month, day or hour at a time until every field matches
+        while ($next->getTimestamp() <= $limit) {
+            if (!in_array((int)$next->format('n'), $parsed['month'], true)) {
+                $next->modify('first day of next month');
+                $next->setTime(0, 0, 0);
+                continue;
+            }
+            if (!self::dayMatches($parsed, (int)$next->format('j'), (int)$next->format('w'))) {
+                $next->modify('+1 day');
+                $next->setTime(0, 0, 0);
+                continue;
+            }
+            if (!in_array((int)$next->format('G'), $parsed['hour'], true)) {
+                $next->setTime((int)$next->format('G') + 1, 0, 0);
+                continue;
+            }
+            if (!in_array((int)$next->format('i'), $parsed['minute'], true)) {
+                $next->modify('+1 minute');
+                continue;
+            }
+            return $next->getTimestamp();
+        }
+        
+        return null;
+    }
+    
+    /**
+     * List the next few run times of an expression
+     *
+     * @param string $expression Cron expression
+     * @param int $count Number of runs to return
+     * @param int|null $after Unix timestamp to search from (default: now)
+     * @return array Timestamps in order (fewer than $count if the search runs out)
+     */
+    public static function nextRuns($expression, $count, $after = null) {
+        $runs = [];
+        $time = $after ?? time();
+        
+        while (count($runs) < $count) {
+            $time = self::nextRun($expression, $time);
+            if ($time === null) {
+                break;
+            }
+            $runs[] = $time;
+        }
+        
+        return $runs;
+    }
+    
+    /**
+     * Check the day-of-month and day-of-week fields against a date
+     *
+     * @param array $parsed Result of parse()
+     * @param int $day Day of month (1-31)
+     * @param int $weekday Day of week (0=Sunday)
+     * @return bool True if the date matches
+     */
+    private static function dayMatches($parsed, $day, $weekday) {
+        $dayMatch = in_array($day, $parsed['day'], true);
+        $weekdayMatch = in_array($weekday, $parsed['weekday'], true);
+        
+        if ($parsed['day_any'] || $parsed['weekday_any']) {
+            return $dayMatch && $weekdayMatch;
+        }
+        return $dayMatch || $weekdayMatch;
+    }
+    
+    // ========================================================================
+    // DESCRIPTION
+    // ========================================================================
+    
+    /**
+     * Describe an expression in plain English for the schedule forms and table
+     *
+     * e.g. "0 2,14 * * 1-5" => "At 02:00 and 14:00, Monday to Friday"
+     *
+     * @param string $expression Cron expression
+     * @return string Description, or 'Invalid cron expression'
+     */
+    public static function describe($expression) {
+        $parsed = self::parse($expression);
+        if ($parsed === null) {
+            return 'Invalid cron expression';
+        }
+        
+        $minute = $parsed['minute'][0];
+        
+        // Time of day
+        if (count($parsed['hour']) === 24) {
+            $text = $minute === 0 ? 'Every hour' : sprintf('Every hour at :%02d', $minute);
+        } elseif ($parsed['hour_step'] !== null) {
+            $text = 'Every ' . $parsed['hour_step'] . ' hours' . ($minute === 0 ? '' : sprintf(' at :%02d', $minute));
+        } else {
+            $times = array_map(function($hour) use ($minute) {
+                return sprintf('%02d:%02d', $hour, $minute);
+            }, $parsed['hour']);
+            $text = 'At ' . self::joinList($times);
+        }
+        
+        // Days
+        $dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+        $weekdays = $parsed['weekday'] === [1, 2, 3, 4, 5]
+            ? 'Monday to Friday'
+            : self::joinList(array_map(function($day) use ($dayNames) {
+                return $dayNames[$day];
+            }, $parsed['weekday']));
+        $monthDays = 'day ' . self::joinList($parsed['day']) . ' of the month';
+        
+        if (!$parsed['day_any'] && !$parsed['weekday_any']) {
+            $text .= ', on ' . $monthDays . ' or ' . $weekdays;
+        } elseif (!$parsed['day_any']) {
+            $text .= ', on ' . $monthDays;
+        } elseif (!$parsed['weekday_any']) {
+            $text .= $weekdays === 'Monday to Friday' ? ', ' . $weekdays : ', on ' . $weekdays;
+        }
+        
+        // Months
+        if (count($parsed['month']) < 12) {
+            $monthNames = array_flip(self::MONTH_NAMES);
+            $text .= ', in ' . self::joinList(array_map(function($month) use ($monthNames) {
+                return ucfirst($monthNames[$month]);
+            }, $parsed['month']));
+        }
+        
+        return $text;
+    }
+    
+    /**
+     * Join items as "a, b and c"
+     *
+     * @param array $items Strings to join
+     * @return string Joined text
+     */
+    private static function joinList($items) {
+        if (count($items) <= 1) {
+            return (string)($items[0] ?? '');
+        }
+        $last = array_pop($items);
+        return implode(', ', $items) . ' and ' . $last;
+    }
+}
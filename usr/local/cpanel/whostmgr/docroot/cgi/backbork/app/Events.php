@@ -0,0 +1,498 @@
+<?php
+/**
+ *  BackBork KISS :: Open-source Disaster Recovery Plugin (for WHM)
+ *   Copyright (C) The Network Crew Pty Ltd & Velocity Host Pty Ltd
+ *   https://github.com/The-Network-Crew/BackBork-KISS-for-WHM/
+ *
+ *  THIS FILE:
+ *   Live event stream for the UI (queue changes and job log tailing).
+ *   Serves Server-Sent Events with a long-poll fallback and a resume cursor.
+ *
+ *  This program is free software: you can redistribute it and/or modify
+ *   it under the terms of the GNU Affero General Public License as published by
+ *   the Free Software Foundation, either version 3 of the License, or
+ *   (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *   but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *   MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *   GNU Affero General Public License for more details.
+ *
+ *  You should have received a copy of the GNU Affero General Public License
+ *   along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ *
+ *  @package BackBork
+ *  @version See version.php (constant: BACKBORK_VERSION)
+ *  @author The Network Crew Pty Ltd & Velocity Host Pty Ltd
+ */
+
+/**
+ * Class BackBorkEvents
+ *
+ * Watches the queue state files and verbose job logs on behalf of one
+ * browser tab, emitting 'queue' and 'log' events only when something changed.
+ *
+ * The cursor records the last queue state hash and the byte offset of each
+ * watched log. Clients echo it back on reconnect (SSE Last-Event-ID or the
+ * long-poll 'cursor' parameter) so no log lines are skipped or repeated.
+ */
+class BackBorkEvents {
+
+    // ========================================================================
+    // CONSTANTS
+    // ========================================================================
+
+    /** Directory containing verbose job logs (backup_*.log, restore_*.log) */
+    const LOG_DIR = '/usr/local/cpanel/3rdparty/backbork/logs';
+
+    /** Seconds a single connection is held open before the client reconnects */
+    const STREAM_LIFETIME = 25;
+
+    /** Seconds between change checks while a connection is held open */
+    const CHECK_INTERVAL = 1;
+
+    /** Minimum seconds between queue state rebuilds (log tailing still runs every check) */
+    const QUEUE_INTERVAL = 3;
+
+    /** Seconds of silence before an SSE keep-alive comment is sent */
+    const HEARTBEAT_INTERVAL = 10;
+
+    /** Reconnect delay advertised to EventSource (milliseconds) */
+    const RETRY_MS = 2000;
+
+    /** Maximum log bytes sent per event (large logs arrive over several events) */
+    const MAX_CHUNK = 65536;
+
+    /** Maximum number of logs a single connection may watch */
+    const MAX_WATCHED_LOGS = 10;
+
+    // ========================================================================
+    // PROPERTIES
+    // ========================================================================
+
+    /** @var array Log markers that indicate a job has finished, keyed by job type */
+    private static $completionMarkers = [
+        'backup'  => ['BACKUP COMPLETED SUCCESSFULLY', 'BACKUP FAILED', 'BACKUP CANCELLED', 'BACKUP PAUSED'],
+        'restore' => ['RESTORE COMPLETED SUCCESSFULLY', 'RESTORE FAILED']
+    ];
+
+    /** @var string Username the stream is scoped to */
+    private $user;
+
+    /** @var bool Whether the user is root */
+    private $isRoot;
+
+    /** @var bool Whether queue events are wanted on this connection */
+    private $watchQueue = true;
+
+    /** @var string Hash of the last queue state sent to the client */
+    private $queueHash = '';
+
+    /** @var string File listing the queue state was last built from */
+    private $queueSignature = '';
+
+    /** @var int When the queue signature was last checked (unix time) */
+    private $queueCheckedAt = 0;
+
+    /** @var array Watched logs: job ID => byte offset already delivered */
+    private $logOffsets = [];
+
+    /** @var array Watched logs that have already reported completion */
+    private $completedLogs = [];
+
+    /** @var array Watched logs: job ID => progress 'updated_at' already delivered */
+    private $progressStamps = [];
+
+    // ========================================================================
+    // CONSTRUCTOR
+    // ========================================================================
+
+    /**
+     * @param string $user Current username
+     * @param bool $isRoot Whether user is root
+     */
+    public function __construct($user, $isRoot) {
+        $this->user = $user;
+        $this->isRoot = $isRoot;
+    }
+
+    // ========================================================================
+    // SUBSCRIPTIONS & CURSOR
+    // ========================================================================
+
+    /**
+     * Enable or disable queue events for this connection
+     *
+     * @param bool $enabled True to receive 'queue' events
+     */
+    public function setWatchQueue($enabled) {
+        $this->watchQueue = (bool)$enabled;
+    }
+
+    /**
+     * Start tailing a verbose job log
+     *
+     * Invalid IDs are ignored silently so a stale subscription can't
+     * break the rest of the stream.
+     *
+     * @param string $jobID Job ID (backup_* or restore_*)
+     * @param int $offset Byte offset the client already has
+     * @return bool True if the log is now watched
+     */
+    public function watchLog($jobID, $offset = 0) {
+        if (!self::isValidJobID($jobID)) {
+            return false;
+        }
+        // Finished logs stay in logOffsets but no longer take up a slot
+        $watched = count(array_diff_key($this->logOffsets, $this->completedLogs));
+        if (!isset($this->logOffsets[$jobID]) && $watched >= self::MAX_WATCHED_LOGS) {
+            return false;
+        }
+        $this->logOffsets[$jobID] = max(0, (int)$offset);
+        return true;
+    }
+
+    /**
+     * Parse a comma-separated "jobID:offset" list (the 'logs' request parameter)
+     *
+     * @param string $spec e.g. "backup_1702234567_a1b2c3d4:1024,restore_..."
+     */
+    public function watchLogsFromString($spec) {
+        foreach (explode(',', (string)$spec) as $item) {
+            $item = trim($item);
+            if ($item === '') continue;
+            $parts = explode(':', $item, 2);
+            $this->watchLog($parts[0], isset($parts[1]) ? (int)$parts[1] : 0);
+        }
+    }
+
+    /**
+     * Restore position from a cursor previously issued by getCursor()
+     *
+     * Cursor offsets override the 'logs' parameter for logs present in both,
+     * since the cursor reflects what the client actually received.
+     *
+     * @param string $cursor Opaque cursor string
+     */
+    public function setCursor($cursor) {
+        $cursor = (string)$cursor;
+        if ($cursor === '') {
+            return;
+        }
+
+        // Format: queueHash|jobID:offset,jobID:offset
+        $parts = explode('|', $cursor, 2);
+        if (preg_match('/^[a-f0-9]{32}$/', $parts[0])) {
+            $this->queueHash = $parts[0];
+        }
+        if (isset($parts[1])) {
+            $this->watchLogsFromString($parts[1]);
+        }
+    }
+
+    /**
+     * Build the cursor describing everything delivered so far
+     *
+     * Finished logs are left out, so a reconnect doesn't read them again
+     * or send a second 'complete' event.
+     *
+     * @return string Opaque cursor string
+     */
+    public function getCursor() {
+        $logs = [];
+        foreach ($this->logOffsets as $jobID => $offset) {
+            if (isset($this->completedLogs[$jobID])) {
+                continue;
+            }
+            $logs[] = $jobID . ':' . $offset;
+        }
+        return $this->queueHash . '|' . implode(',', $logs);
+    }
+
+    // ========================================================================
+    // LOG TAILING
+    // ========================================================================
+
+    /**
+     * Validate a verbose log job ID (prevents path traversal)
+     *
+     * @param string $jobID Job ID to check
+     * @param string|null $type Restrict to 'backup' or 'restore' (null = either)
+     * @return bool True if valid
+     */
+    public static function isValidJobID($jobID, $type = null) {
+        $types = $type ? preg_quote($type, '/') : 'backup|restore';
+        return (bool)preg_match('/^(' . $types . ')_[0-9]+_[a-f0-9]+$/', (string)$jobID);
+    }
+
+    /**
+     * Read a verbose job log from a byte offset
+     *
+     * @param string $jobID Validated job ID (backup_* or restore_*)
+     * @param int $offset Byte offset to read from
+     * @param int $maxBytes Maximum bytes to return (0 = no limit)
+     * @return array ['exists', 'content', 'offset', 'complete']
+     */
+    public static function readLog($jobID, $offset = 0, $maxBytes = 0) {
+        $logFile = self::LOG_DIR . '/' . $jobID . '.log';
+
+        if (!file_exists($logFile)) {
+            return ['exists' => false, 'content' => '', 'offset' => 0, 'complete' => false];
+        }
+
+        // Clear file stat cache to get fresh file size (critical for real-time tailing)
+        clearstatcache(true, $logFile);
+        $fileSize = filesize($logFile);
+
+        // Log was truncated or replaced - start over
+        if ($offset > $fileSize) {
+            $offset = 0;
+        }
+
+        // Read new content from offset
+        $content = '';
+        $length = $fileSize - $offset;
+        if ($maxBytes > 0 && $length > $maxBytes) {
+            $length = $maxBytes;
+        }
+        if ($length > 0) {
+            $handle = fopen($logFile, 'r');
+            fseek($handle, $offset);
+            $content = fread($handle, $length);
+            fclose($handle);
+        }
+
+        // The progress sidecar is finalised after the last log line, so it is
+        // authoritative when present; older jobs fall back to completion markers
+        $progress = BackBorkProgress::load($jobID);
+        $isComplete = false;
+        if ($progress !== null) {
+            $isComplete = ($progress['status'] !== 'running');
+        } else {
+            $type = strstr($jobID, '_', true);
+            $fullContent = file_get_contents($logFile);
+            foreach (self::$completionMarkers[$type] ?? [] as $marker) {
+                if (strpos($fullContent, $marker) !== false) {
+                    $isComplete = true;
+                    break;
+                }
+            }
+        }
+
+        return [
+            'exists'   => true,
+            'content'  => $content,
+            'offset'   => $offset + strlen($content),
+            'complete' => $isComplete
+        ];
+    }
+
+    // ========================================================================
+    // CHANGE DETECTION
+    // ========================================================================
+
+    /**
+     * Check watched sources once and return any pending events
+     *
+     * @return array List of ['event' => name, 'data' => payload]
+     */
+    public function collect() {
+        $events = [];
+
+        // --- Queue state (queued, running, schedules, restores) ---
+        // Rebuilt only when the state files changed; the first check on a connection always builds
+        if ($this->watchQueue && time() - $this->queueCheckedAt >= self::QUEUE_INTERVAL) {
+            $this->queueCheckedAt = time();
+            $signature = self::getQueueSignature();
+            if ($signature !== $this->queueSignature) {
+                $this->queueSignature = $signature;
+                $queue = new BackBorkQueue();
+                $state = $queue->getQueue($this->user, $this->isRoot);
+                $hash = md5(json_encode($state));
+                if ($hash !== $this->queueHash) {
+                    $this->queueHash = $hash;
+                    $events[] = ['event' => 'queue', 'data' => $state];
+                }
+            }
+        }
+
+        // --- Watched job logs ---
+        foreach ($this->logOffsets as $jobID => $offset) {
+            if (isset($this->completedLogs[$jobID])) {
+                continue;
+            }
+
+            $log = self::readLog($jobID, $offset, self::MAX_CHUNK);
+            if (!$log['exists']) {
+                continue;  // Runner hasn't created the log yet
+            }
+
+            // Only report completion once the client has the whole file
+            $caughtUp = ($log['content'] === '' || strlen($log['content']) < self::MAX_CHUNK);
+            $complete = $log['complete'] && $caughtUp;
+
+            // Progress can move without new log lines (e.g. archive bytes growing)
+            $progress = BackBorkProgress::read($jobID);
+            $stamp = $progress['updated_at'] ?? null;
+            $progressChanged = $stamp !== ($this->progressStamps[$jobID] ?? null);
+
+            if ($log['content'] !== '' || $complete || $log['offset'] < $offset || $progressChanged) {
+                $this->logOffsets[$jobID] = $log['offset'];
+                $this->progressStamps[$jobID] = $stamp;
+                $events[] = ['event' => 'log', 'data' => [
+                    'job_id'   => $jobID,
+                    'content'  => $log['content'],
+                    'offset'   => $log['offset'],
+                    'reset'    => ($log['offset'] - strlen($log['content'])) < $offset,
+                    'complete' => $complete,
+                    'progress' => $progress
+                ]];
+            }
+
+            if ($complete) {
+                $this->completedLogs[$jobID] = true;
+            }
+        }
+
+        return $events;
+    }
+
+    /**
+     * Cheap fingerprint of everything the queue state is built from
+     *
+     * Names, sizes and mtimes of the files getQueue() reads. Only stat calls,
+     * plus a read of the running job files, which are few.
+     *
+     * @return string Signature; changes whenever getQueue() could return something new
+     */
+    private static function getQueueSignature() {
+        clearstatcache();
+        // Backup window status moves with the hour and with the saved settings
+        $parts = [date('Y-m-d H'), 'config:' . @filemtime(BackBorkConfig::GLOBAL_CONFIG_FILE)];
+
+        $dirs = [
+            BackBorkQueue::QUEUE_DIR,
+            BackBorkQueue::RUNNING_DIR,
+            BackBorkQueue::SCHEDULES_DIR,
+            BackBorkQueue::RESTORES_DIR,
+            BackBorkQueue::PAUSE_DIR,
+            BackBorkProfiles::PROFILES_DIR  // Schedules show their profile's name
+        ];
+        foreach ($dirs as $dir) {
+            foreach (glob($dir . '/*') ?: [] as $file) {
+                $parts[] = $file . ':' . @filesize($file) . ':' . @filemtime($file);
+            }
+        }
+
+        if (file_exists(BackBorkQueue::QUEUE_PAUSE_FILE)) {
+            $parts[] = 'paused:' . @filemtime(BackBorkQueue::QUEUE_PAUSE_FILE);
+        }
+
+        // Per-account breakdown of running jobs comes from their progress sidecars
+        foreach (glob(BackBorkQueue::RUNNING_DIR . '/*.json') ?: [] as $file) {
+            $job = json_decode((string)@file_get_contents($file), true);
+            if (!empty($job['log_id']) && self::isValidJobID($job['log_id'])) {
+                $parts[] = $job['log_id'] . ':' . @filemtime(BackBorkProgress::getPath($job['log_id']));
+            }
+        }
+
+        return md5(implode("\n", $parts));
+    }
+
+    // ========================================================================
+    // TRANSPORTS
+    // ========================================================================
+
+    /**
+     * Serve a Server-Sent Events stream until the lifetime expires
+     *
+     * Every event carries the cursor as its id, so EventSource resends it in
+     * the Last-Event-ID header when it reconnects after the stream closes.
+     */
+    public function streamSSE() {
+        // Replace the JSON header set by the router; disable proxy buffering
+        header('Content-Type: text/event-stream');
+        header('Cache-Control: no-store, no-cache, must-revalidate');
+        header('X-Accel-Buffering: no');
+
+        set_time_limit(self::STREAM_LIFETIME + 10);
+        ignore_user_abort(false);
+        while (ob_get_level() > 0) {
+            ob_end_flush();
+        }
+
+        echo 'retry: ' . self::RETRY_MS . "\n\n";
+        flush();
+
+        $started = time();
+        $lastSent = time();
+
+        while (time() - $started < self::STREAM_LIFETIME) {
+            $events = $this->collect();
+
+            foreach ($events as $event) {
+                echo 'id: ' . $this->getCursor() . "\n";
+                echo 'event: ' . $event['event'] . "\n";
+                echo 'data: ' . json_encode($event['data']) . "\n\n";
+                $lastSent = time();
+            }
+
+            // Keep intermediaries from timing out an idle connection
+            if (time() - $lastSent >= self::HEARTBEAT_INTERVAL) {
+                echo ": keep-alive\n\n";
+                $lastSent = time();
+            }
+
+            flush();
+            if (connection_aborted()) {
+                return;
+            }
+
+            // A burst of log output is drained without waiting
+            if (!$this->hasMoreLogData($events)) {
+                sleep(self::CHECK_INTERVAL);
+            }
+        }
+    }
+
+    /**
+     * Long-poll fallback: wait until something changes or the lifetime expires
+     *
+     * @return array ['success', 'events', 'cursor']
+     */
+    public function longPoll() {
+        set_time_limit(self::STREAM_LIFETIME + 10);
+
+        $started = time();
+        $events = [];
+
+        do {
+            $events = $this->collect();
+            if (!empty($events)) {
+                break;
+            }
+            sleep(self::CHECK_INTERVAL);
+        } while (time() - $started < self::STREAM_LIFETIME && !connection_aborted());
+
+        return [
+            'success' => true,
+            'events'  => $events,
+            'cursor'  => $this->getCursor()
+        ];
+    }
+
+    /**
+     * Whether any log event in a batch was cut off at MAX_CHUNK
+     *
+     * @param array $events Events returned by collect()
+     * @return bool True if more log data is immediately available
+     */
+    private function hasMoreLogData($events) {
+        foreach ($events as $event) {
+            if ($event['event'] === 'log' && strlen($event['data']['content']) >= self::MAX_CHUNK) {
+                return true;
+            }
+        }
+        return false;
+    }
+}
@@ -101,8 +101,9 @@ class BackBorkLog {
      * @param string $message Human-readable description
      * @param string $requestor Source IP/identifier (auto-detected if empty)
      * @param string $jobID Optional job ID for linking to verbose logs
+     * @param array $links Optional retry links (original_job_id, original_log_id, retry_attempt)
      */
-    public static function logEvent($user, $type, $items = [], $success = true, $message = '', $requestor = '', $jobID = '') {
+    public static function logEvent($user, $type, $items = [], $success = true, $message = '', $requestor = '', $jobID = '', $links = []) {
         // Ensure log directory exists
         if (!is_dir(self::LOG_DIR)) {
             mkdir(self::LOG_DIR, 0750, true);
@@ -131,6 +132,13 @@ class BackBorkLog {
         if (!empty($jobID)) {
             $entry['job_id'] = $jobID;
         }
+        
+        // Retries point back at the job (and verbose log) they are retrying
+        foreach (['original_job_id', 'original_log_id', 'retry_attempt'] as $key) {
+            if (!empty($links[$key])) {
+                $entry[$key] = $links[$key];
+            }
+        }
 
         // Write log entry as JSON line with file locking
         $line = json_encode($entry) . "\n";
@@ -161,9 +169,10 @@ class BackBorkLog {
      * @param int $limit Items per page
      * @param string $filter Filter type: 'all', 'error', 'success', 'backup', 'restore', etc.
      * @param string $accountFilter Filter by account (partial match)
+     * @param string $relatedTo Only entries for this verbose log ID and the retries of it
      * @return array Result with 'logs', 'total_pages', 'current_page', 'accounts'
      */
-    public static function getLogs($user, $isRoot, $page = 1, $limit = 50, $filter = 'all', $accountFilter = '') {
+    public static function getLogs($user, $isRoot, $page = 1, $limit = 50, $filter = 'all', $accountFilter = '', $relatedTo = '') {
         $logFile = self::LOG_FILE;
         $logs = [];
         $allAccounts = [];  // Track all unique accounts for filter dropdown
@@ -221,6 +230,11 @@ class BackBorkLog {
                 if (strpos($accountLower, $filterLower) === false) continue;
             }
 
+            // Apply retry chain filter (the original run plus every retry of it)
+            if (!empty($relatedTo) && ($entry['job_id'] ?? '') !== $relatedTo && ($entry['original_log_id'] ?? '') !== $relatedTo) {
+                continue;
+            }
+            
             // Build display-friendly log entry
             $logs[] = [
                 'timestamp' => $entry['timestamp'] ?? '',
@@ -230,7 +244,10 @@ class BackBorkLog {
                 'requestor' => $entry['requestor'] ?? 'N/A',
                 'status' => $status,
                 'message' => $entry['message'] ?? '',
-                'job_id' => $entry['job_id'] ?? ''
+                'job_id' => $entry['job_id'] ?? '',
+                'original_job_id' => $entry['original_job_id'] ?? '',
+                'original_log_id' => $entry['original_log_id'] ?? '',
+                'retry_attempt' => $entry['retry_attempt'] ?? 0
             ];
         }
         
@@ -50,6 +50,7 @@ class BackBorkNotify {
         'cron_health'     => ['title' => 'Cron Health Alert',       'emoji' => '🚨', 'color' => '#dc2626'],
         'queue_failure'   => ['title' => 'Queue Processing Failed', 'emoji' => '⚠️', 'color' => '#f97316'],
         'pruning'         => ['title' => 'Backup Pruning Complete', 'emoji' => '🗑️', 'color' => '#8b5cf6'],
+        'destination_health' => ['title' => 'Destination Unhealthy', 'emoji' => '🩺', 'color' => '#dc2626'],
         'update_success'  => ['title' => 'Plugin Update Complete',  'emoji' => '🚀', 'color' => '#059669'],
         'update_failure'  => ['title' => 'Plugin Update Failed',    'emoji' => '❌', 'color' => '#dc2626'],
         'test'            => ['title' => 'Test Notification',       'emoji' => '🧪', 'color' => '#6366f1'],
@@ -149,7 +150,8 @@ class BackBorkNotify {
         
         // Build subject line (for email)
         if ($isJobEvent) {
-            $subject = "[BackBork KISS] {$eventConfig['type']} {$eventConfig['status']} :: {$hostname}";
+            $subject = "[BackBork KISS] {$eventConfig['type']} {$eventConfig['status']}"
+                . (!empty($data['fallback']) ? ' (Fallback Destination)' : '') . " :: {$hostname}";
         } else {
             $subject = "[BackBork KISS] {$eventConfig['title']} :: {$hostname}";
         }
@@ -224,6 +226,16 @@ class BackBorkNotify {
         if (!empty($data['destination'])) {
             $lines[] = "*Destination:* {$data['destination']}";
         }
+        
+        // Primary destination was unavailable, so the run switched to the schedule's fallback
+        if (!empty($data['fallback'])) {
+            $lines[] = "⚠️ *Fallback:* {$data['fallback']}";
+        }
+        
+        // Copies landed per destination (multi-destination backups)
+        if (!empty($data['copies'])) {
+            $lines[] = "*Copies:* " . implode(', ', $data['copies']);
+        }
 
         // Trigger info first (most relevant for knowing who/what initiated)
         if (!empty($data['requestor'])) {
@@ -288,6 +300,16 @@ class BackBorkNotify {
             $lines[] = "Destination: {$data['destination']}";
         }
         
+        // Flag a switch to the fallback destination
+        if (!empty($data['fallback'])) {
+            $lines[] = "FALLBACK USED: {$data['fallback']}";
+        }
+        
+        // Copies landed per destination (multi-destination backups)
+        if (!empty($data['copies'])) {
+            $lines[] = "Copies:\n  " . implode("\n  ", $data['copies']);
+        }
+        
         // Backup file (for restores)
         if (!empty($data['backup_file'])) {
             $lines[] = "Backup File: {$data['backup_file']}";
@@ -0,0 +1,286 @@
+<?php
+/**
+ *  BackBork KISS :: Open-source Disaster Recovery Plugin (for WHM)
+ *   Copyright (C) The Network Crew Pty Ltd & Velocity Host Pty Ltd
+ *   https://github.com/The-Network-Crew/BackBork-KISS-for-WHM/
+ *
+ *  THIS FILE:
+ *   Named backup profiles (e.g. "Full", "DB only") bundling pkgacct settings.
+ *   Used by Backup Now, queued jobs and schedules in place of the user's defaults.
+ *
+ *  This program is free software: you can redistribute it and/or modify
+ *   it under the terms of the GNU Affero General Public License as published by
+ *   the Free Software Foundation, either version 3 of the License, or
+ *   (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *   but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *   MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *   GNU Affero General Public License for more details.
+ *
+ *  You should have received a copy of the GNU Affero General Public License
+ *   along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ *
+ *  @package BackBork
+ *  @version See version.php (constant: BACKBORK_VERSION)
+ *  @author The Network Crew Pty Ltd & Velocity Host Pty Ltd
+ */
+
+/**
+ * Class BackBorkProfiles
+ *
+ * A profile holds the same settings a schedule can override (see
+ * BackBorkQueue::PKGACCT_OVERRIDE_OPTIONS). At run time they are laid over the
+ * job owner's config, and a schedule's own overrides are laid over the profile.
+ *
+ * Each user manages their own profiles. Root can see and edit every profile,
+ * and can share its own with resellers, who may use but not change them.
+ */
+class BackBorkProfiles {
+    
+    // ========================================================================
+    // CONSTANTS
+    // ========================================================================
+    
+    /** Directory holding one JSON file per profile */
+    const PROFILES_DIR = '/usr/local/cpanel/3rdparty/backbork/profiles';
+    
+    /** Longest profile name accepted */
+    const NAME_MAX_LENGTH = 64;
+    
+    /** On/off settings offered in the profile and override editors, labelled as on the Settings tab */
+    const FLAG_LABELS = [
+        'opt_split' => 'Split into chunks',
+        'opt_use_backups' => 'Use last backup as template',
+        'skip_homedir' => 'Home Directory',
+        'skip_publichtml' => 'public_html',
+        'skip_mysql' => 'MySQL Databases',
+        'skip_pgsql' => 'PostgreSQL',
+        'skip_logs' => 'Log Files',
+        'skip_mailconfig' => 'Mail Configuration',
+        'skip_mailman' => 'Mailing Lists',
+        'skip_dnszones' => 'DNS Zones',
+        'skip_ssl' => 'SSL Certificates',
+        'skip_bwdata' => 'Bandwidth Data',
+        'skip_quota' => 'Disk Quotas',
+        'skip_ftpusers' => 'FTP Accounts',
+        'skip_domains' => 'Addon/Parked Domains',
+        'skip_acctdb' => 'Account Databases',
+        'skip_apitokens' => 'API Tokens',
+        'skip_authnlinks' => 'External Auth',
+        'skip_locale' => 'Locale Settings',
+        'skip_passwd' => 'User Password',
+        'skip_shell' => 'Shell Privileges',
+        'skip_resellerconfig' => 'Reseller Config',
+        'skip_userdata' => 'Domain Config',
+        'skip_linkednodes' => 'Linked Nodes',
+        'skip_integrationlinks' => 'Integration Links'
+    ];
+    
+    // ========================================================================
+    // CONSTRUCTOR
+    // ========================================================================
+    
+    /**
+     * Constructor - Ensure the profiles directory exists
+     */
+    public function __construct() {
+        if (!is_dir(self::PROFILES_DIR)) {
+            mkdir(self::PROFILES_DIR, 0700, true);
+        }
+    }
+    
+    // ========================================================================
+    // READING
+    // ========================================================================
+    
+    /**
+     * List the profiles a user can pick
+     *
+     * @param string $user Current authenticated user
+     * @param bool $isRoot Whether user has root privileges
+     * @return array Profiles sorted by name, each with can_edit and a settings description
+     */
+    public function listProfiles($user, $isRoot) {
+        $profiles = [];
+        foreach (glob(self::PROFILES_DIR . '/*.json') as $file) {
+            $profile = json_decode(file_get_contents($file), true);
+            if (!$profile || !self::canUse($profile, $user, $isRoot)) {
+                continue;
+            }
+            $profile['can_edit'] = $isRoot || $profile['owner'] === $user;
+            $profile['description'] = BackBorkQueue::describePkgacctOverrides($profile['settings'] ?? []);
+            $profiles[] = $profile;
+        }
+        
+        usort($profiles, function($a, $b) {
+            return strcasecmp($a['name'], $b['name']);
+        });
+        return $profiles;
+    }
+    
+    /**
+     * Load a profile the user is allowed to use
+     *
+     * @param string $profileID Profile ID
+     * @param string $user User the profile is for (job or schedule owner)
+     * @param bool $isRoot Whether that user has root privileges
+     * @return array|null Profile record, or null if missing or not shared with the user
+     */
+    public function getProfile($profileID, $user, $isRoot) {
+        $file = self::PROFILES_DIR . '/' . basename((string)$profileID) . '.json';
+        if ($profileID === '' || !file_exists($file)) {
+            return null;
+        }
+        
+        $profile = json_decode(file_get_contents($file), true);
+        if (!$profile || !self::canUse($profile, $user, $isRoot)) {
+            return null;
+        }
+        return $profile;
+    }
+    
+    /**
+     * Check whether a user may use a profile
+     *
+     * @param array $profile Profile record
+     * @param string $user Username
+     * @param bool $isRoot Whether the user has root privileges
+     * @return bool True for root, the owner, or anyone when root has shared it
+     */
+    private static function canUse($profile, $user, $isRoot) {
+        return $isRoot
+            || $profile['owner'] === $user
+            || ($profile['owner'] === 'root' && !empty($profile['shared']));
+    }
+    
+    // ========================================================================
+    // SAVING
+    // ========================================================================
+    
+    /**
+     * Create a profile, or update one when an ID is given
+     *
+     * @param array $data id (update only), name, shared (root only), settings
+     * @param string $user Current authenticated user
+     * @param bool $isRoot Whether user has root privileges
+     * @return array Result with success status, message and profile_id
+     */
+    public function saveProfile($data, $user, $isRoot) {
+        $name = trim((string)($data['name'] ?? ''));
+        if ($name === '' || strlen($name) > self::NAME_MAX_LENGTH) {
+            return ['success' => false, 'message' => 'Profile name must be 1-' . self::NAME_MAX_LENGTH . ' characters'];
+        }
+        
+        $settings = BackBorkQueue::normalisePkgacctOverrides($data['settings'] ?? [], $isRoot);
+        if (empty($settings)) {
+            return ['success' => false, 'message' => 'Profile needs at least one setting'];
+        }
+        
+        $profileID = (string)($data['id'] ?? '');
+        if ($profileID !== '') {
+            $file = self::PROFILES_DIR . '/' . basename($profileID) . '.json';
+            $profile = file_exists($file) ? json_decode(file_get_contents($file), true) : null;
+            if (!$profile) {
+                return ['success' => false, 'message' => 'Profile not found'];
+            }
+            
+            // Security: Non-root can only change their own profiles (not root's shared ones)
+            if (!$isRoot && $profile['owner'] !== $user) {
+                return ['success' => false, 'message' => 'Access denied'];
+            }
+        } else {
+            $profileID = 'profile_' . date('Ymd_His') . '_' . substr(md5(uniqid(mt_rand(), true)), 0, 8);
+            $file = self::PROFILES_DIR . '/' . $profileID . '.json';
+            $profile = [
+                'id' => $profileID,
+                'owner' => $user,
+                'created_at' => date('Y-m-d H:i:s')
+            ];
+        }
+        
+        // Names only need to be unique per owner, so a reseller's "Full" can sit beside root's
+        foreach (glob(self::PROFILES_DIR . '/*.json') as $otherFile) {
+            $other = json_decode(file_get_contents($otherFile), true);
+            if ($other && $other['id'] !== $profileID && $other['owner'] === $profile['owner']
+                && strcasecmp($other['name'], $name) === 0) {
+                return ['success' => false, 'message' => 'A profile named "' . $name . '" already exists'];
+            }
+        }
+        
+        $profile['name'] = $name;
+        $profile['settings'] = $settings;
+        $profile['shared'] = $profile['owner'] === 'root' && !empty($data['shared']);
+        $profile['updated_at'] = date('Y-m-d H:i:s');
+        
+        if (file_put_contents($file, json_encode($profile, JSON_PRETTY_PRINT)) === false) {
+            return ['success' => false, 'message' => 'Failed to save profile'];
+        }
+        chmod($file, 0600);
+        
+        if (class_exists('BackBorkLog')) {
+            $details = 'Profile "' . $name . '"' . ($profile['shared'] ? ' (shared)' : '') . ': ' . BackBorkQueue::describePkgacctOverrides($settings);
+            BackBorkLog::logEvent($user, 'profile_save', [$profileID], true, $details, BackBorkLog::getRequestor());
+        }
+        
+        return ['success' => true, 'message' => 'Profile saved', 'profile_id' => $profileID];
+    }
+    
+    /**
+     * Delete a profile
+     *
+     * Jobs and schedules still pointing at it fall back to their owner's settings.
+     *
+     * @param string $profileID Profile ID
+     * @param string $user Current authenticated user
+     * @param bool $isRoot Whether user has root privileges
+     * @return array Result with success status and message
+     */
+    public function deleteProfile($profileID, $user, $isRoot) {
+        $file = self::PROFILES_DIR . '/' . basename((string)$profileID) . '.json';
+        $profile = file_exists($file) ? json_decode(file_get_contents($file), true) : null;
+        if (!$profile) {
+            return ['success' => false, 'message' => 'Profile not found'];
+        }
+        
+        // Security: Non-root can only delete their own profiles
+        if (!$isRoot && $profile['owner'] !== $user) {
+            return ['success' => false, 'message' => 'Access denied'];
+        }
+        
+        if (!unlink($file)) {
+            return ['success' => false, 'message' => 'Failed to delete profile'];
+        }
+        
+        if (class_exists('BackBorkLog')) {
+            BackBorkLog::logEvent($user, 'profile_delete', [$profileID], true, 'Profile "' . $profile['name'] . '" deleted', BackBorkLog::getRequestor());
+        }
+        
+        return ['success' => true, 'message' => 'Profile deleted'];
+    }
+    
+    // ========================================================================
+    // RUNTIME
+    // ========================================================================
+    
+    /**
+     * Work out the settings a backup run uses on top of its owner's config
+     *
+     * @param string|null $profileID Profile picked for the job or schedule (null = none)
+     * @param string $user Job owner
+     * @param array $overrides Schedule overrides, which win over the profile
+     * @return array settings (merged overrides) and profile (name, or null if none or no longer available)
+     */
+    public static function resolveSettings($profileID, $user, $overrides = []) {
+        $profile = null;
+        if (!empty($profileID)) {
+            $profiles = new self();
+            $profile = $profiles->getProfile($profileID, $user, $user === 'root');
+        }
+        
+        return [
+            'settings' => array_merge($profile['settings'] ?? [], is_array($overrides) ? $overrides : []),
+            'profile' => $profile['name'] ?? null
+        ];
+    }
+}
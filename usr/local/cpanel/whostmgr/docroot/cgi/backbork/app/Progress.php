@@ -0,0 +1,698 @@
+<?php
+/**
+ *  BackBork KISS :: Open-source Disaster Recovery Plugin (for WHM)
+ *   Copyright (C) The Network Crew Pty Ltd & Velocity Host Pty Ltd
+ *   https://github.com/The-Network-Crew/BackBork-KISS-for-WHM/
+ *
+ *  THIS FILE:
+ *   Structured progress tracking for backup and restore jobs.
+ *   Records phases, per-account state and bytes in a JSON sidecar to the job log.
+ *
+ *  This program is free software: you can redistribute it and/or modify
+ *   it under the terms of the GNU Affero General Public License as published by
+ *   the Free Software Foundation, either version 3 of the License, or
+ *   (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *   but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *   MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *   GNU Affero General Public License for more details.
+ *
+ *  You should have received a copy of the GNU Affero General Public License
+ *   along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ *
+ *  @package BackBork
+ *  @version See version.php (constant: BACKBORK_VERSION)
+ *  @author The Network Crew Pty Ltd & Velocity Host Pty Ltd
+ */
+
+/**
+ * Class BackBorkProgress
+ *
+ * Written by the backup/restore engines as a job moves through its phases,
+ * and read back by the API so the UI doesn't have to guess progress from
+ * log text. State lives in logs/<jobID>.progress.json next to the verbose log.
+ *
+ * Phase and account statuses: pending, running, done, skipped, failed
+ * (accounts finish as success, failed, skipped, or paused when the job was paused first).
+ * Job status: running, completed, failed, cancelled, paused.
+ */
+class BackBorkProgress {
+
+    // ========================================================================
+    // CONSTANTS
+    // ========================================================================
+
+    /** Directory shared with the verbose job logs */
+    const LOG_DIR = '/usr/local/cpanel/3rdparty/backbork/logs';
+
+    /** Minimum seconds between writes for byte counter updates */
+    const SAVE_INTERVAL = 1;
+
+    /** Minimum percent complete before an ETA is estimated */
+    const ETA_MIN_PERCENT = 5;
+
+    // ========================================================================
+    // PHASE DEFINITIONS
+    // ========================================================================
+
+    /** @var array Job-level phases per job type: key => [label, weight] */
+    private static $jobPhases = [
+        'backup' => [
+            'validate'        => ['Validate destination', 2],
+            'notify_start'    => ['Start notification', 2],
+            'accounts'        => ['Back up accounts', 92],
+            'summary'         => ['Summarise results', 2],
+            'notify_complete' => ['Completion notification', 2]
+        ],
+        'restore' => [
+            'retrieve'        => ['Retrieve archive', 25],
+            'verify'          => ['Verify archive', 5],
+            'retrieve_db'     => ['Retrieve database backup', 5],
+            'notify_start'    => ['Start notification', 1],
+            'restore'         => ['Restore account', 50],
+            'restore_db'      => ['Restore databases', 10],
+            'cleanup'         => ['Clean up', 2],
+            'notify_complete' => ['Completion notification', 2]
+        ]
+    ];
+
+    /** @var array Per-account phases run inside the backup 'accounts' phase */
+    private static $accountPhases = [
+        'prepare'  => ['Prepare', 5],
+        'pkgacct'  => ['pkgacct', 60],
+        'database' => ['Database', 15],
+        'upload'   => ['Upload', 15],
+        'cleanup'  => ['Clean up', 5]
+    ];
+
+    /** @var array Statuses that count as finished for percentage purposes */
+    private static $finishedStatuses = ['done', 'skipped', 'failed', 'success'];
+
+    // ========================================================================
+    // PROPERTIES
+    // ========================================================================
+
+    /** @var string Path to the progress sidecar */
+    private $file;
+
+    /** @var array Current progress state */
+    private $data;
+
+    /** @var float Time of the last write */
+    private $lastSave = 0;
+
+    /** @var string Path to the job's verbose log (for per-account byte ranges) */
+    private $logFile;
+
+    /**
+     * Start tracking a new job
+     *
+     * @param string $jobID Job ID (backup_* or restore_*)
+     * @param string $type 'backup' or 'restore'
+     * @param array $accounts Account usernames covered by the job
+     */
+    public function __construct($jobID, $type, $accounts = []) {
+        $this->file = self::getPath($jobID);
+        $this->logFile = self::LOG_DIR . '/' . $jobID . '.log';
+
+        $phases = [];
+        foreach (array_keys(self::$jobPhases[$type] ?? []) as $key) {
+            $phases[$key] = self::newPhase();
+        }
+
+        $accountList = [];
+        foreach (array_values($accounts) as $account) {
+            $accountPhases = [];
+            if ($type === 'backup') {
+                foreach (array_keys(self::$accountPhases) as $key) {
+                    $accountPhases[$key] = self::newPhase();
+                }
+            }
+            $accountList[] = [
+                'account'     => $account,
+                'status'      => 'pending',
+                'phase'       => null,
+                'phases'      => $accountPhases,
+                'size'        => null,
+                'started_at'  => null,
+                'finished_at' => null,
+                'log_start'   => null,
+                'log_end'     => null
+            ];
+        }
+
+        $this->data = [
+            'job_id'      => $jobID,
+            'type'        => $type,
+            'status'      => 'running',
+            'phase'       => null,
+            'phases'      => $phases,
+            'account'     => null,
+            'accounts'    => $accountList,
+            'started_at'  => time(),
+            'finished_at' => null,
+            'updated_at'  => microtime(true)
+        ];
+
+        $this->save();
+    }
+
+    // ========================================================================
+    // JOB PHASES
+    // ========================================================================
+
+    /**
+     * Move the job into a phase, closing the previous one
+     *
+     * @param string $phase Phase key from the job type's phase list
+     */
+    public function startPhase($phase) {
+        $this->closePhase($this->data['phases'], $this->data['phase'], 'done');
+
+        $this->data['phase'] = $phase;
+        $this->data['phases'][$phase]['status'] = 'running';
+        $this->data['phases'][$phase]['started_at'] = time();
+        $this->save();
+    }
+
+    /**
+     * Mark a phase as skipped (not applicable to this job)
+     *
+     * @param string $phase Phase key
+     */
+    public function skipPhase($phase) {
+        if ($this->data['phase'] === $phase) {
+            $this->data['phase'] = null;
+        }
+        $this->data['phases'][$phase]['status'] = 'skipped';
+        $this->save();
+    }
+
+    // ========================================================================
+    // ACCOUNTS
+    // ========================================================================
+
+    /**
+     * Begin processing an account
+     *
+     * Call before the account's first log line so its slice of the verbose
+     * log can be located later (see getAccountLogRange()).
+     *
+     * @param int $index Zero-based position in the job's account list
+     */
+    public function startAccount($index) {
+        $this->data['account'] = $index;
+        $this->data['accounts'][$index]['status'] = 'running';
+        $this->data['accounts'][$index]['started_at'] = time();
+        $this->data['accounts'][$index]['log_start'] = $this->logSize();
+        $this->save();
+    }
+
+    /**
+     * Move the current account into one of its phases
+     *
+     * @param string $phase Account phase key (prepare, pkgacct, database, upload, cleanup)
+     */
+    public function startAccountPhase($phase) {
+        $account = &$this->currentAccount();
+        if ($account === null) {
+            return;
+        }
+
+        $this->closePhase($account['phases'], $account['phase'], 'done');
+
+        $account['phase'] = $phase;
+        $account['phases'][$phase]['status'] = 'running';
+        $account['phases'][$phase]['started_at'] = time();
+        $this->save();
+    }
+
+    /**
+     * Mark one of the current account's phases as skipped
+     *
+     * @param string $phase Account phase key
+     */
+    public function skipAccountPhase($phase) {
+        $account = &$this->currentAccount();
+        if ($account === null) {
+            return;
+        }
+
+        $account['phases'][$phase]['status'] = 'skipped';
+        $this->save();
+    }
+
+    /**
+     * Record the archive size produced for the current account
+     *
+     * @param int $bytes Archive size in bytes
+     */
+    public function setAccountSize($bytes) {
+        $account = &$this->currentAccount();
+        if ($account === null) {
+            return;
+        }
+
+        $account['size'] = (int)$bytes;
+        $this->save();
+    }
+
+    /**
+     * Finish the current account
+     *
+     * @param bool $success Whether the account backed up successfully
+     */
+    public function finishAccount($success) {
+        $account = &$this->currentAccount();
+        if ($account === null) {
+            return;
+        }
+
+        $this->closePhase($account['phases'], $account['phase'], $success ? 'done' : 'failed');
+
+        // Phases never reached are skipped rather than left pending
+        foreach ($account['phases'] as &$phase) {
+            if ($phase['status'] === 'pending') {
+                $phase['status'] = 'skipped';
+            }
+        }
+        unset($phase);
+
+        $account['status'] = $success ? 'success' : 'failed';
+        $account['phase'] = null;
+        $account['finished_at'] = time();
+        $account['log_end'] = $this->logSize();
+        $this->data['account'] = null;
+        $this->save();
+    }
+
+    // ========================================================================
+    // BYTE COUNTERS
+    // ========================================================================
+
+    /**
+     * Update bytes processed by the active phase
+     *
+     * Applies to the current account's phase while an account is running,
+     * otherwise to the current job phase. Writes are throttled so this can
+     * be called from tight polling loops.
+     *
+     * @param int $bytes Bytes processed so far in this phase
+     * @param int|null $total Expected total bytes (null = unknown)
+     */
+    public function setBytes($bytes, $total = null) {
+        $account = &$this->currentAccount();
+        if ($account !== null && $account['phase'] !== null) {
+            $phase = &$account['phases'][$account['phase']];
+        } elseif ($this->data['phase'] !== null) {
+            $phase = &$this->data['phases'][$this->data['phase']];
+        } else {
+            return;
+        }
+
+        $phase['bytes'] = (int)$bytes;
+        if ($total !== null) {
+            $phase['bytes_total'] = (int)$total;
+        }
+
+        if (microtime(true) - $this->lastSave >= self::SAVE_INTERVAL) {
+            $this->save();
+        }
+    }
+
+    // ========================================================================
+    // COMPLETION
+    // ========================================================================
+
+    /**
+     * Finish the job
+     *
+     * @param string $status 'completed', 'failed', 'cancelled' or 'paused'
+     */
+    public function finish($status) {
+        $this->closePhase($this->data['phases'], $this->data['phase'], $status === 'failed' ? 'failed' : 'done');
+
+        foreach ($this->data['phases'] as &$phase) {
+            if ($phase['status'] === 'pending') {
+                $phase['status'] = 'skipped';
+            }
+        }
+        unset($phase);
+
+        // Accounts never reached (cancelled, aborted early, or held back by a pause)
+        foreach ($this->data['accounts'] as &$account) {
+            if ($account['status'] === 'pending' || $account['status'] === 'running') {
+                if ($account['status'] === 'running') {
+                    $account['status'] = 'failed';
+                } else {
+                    $account['status'] = $status === 'paused' ? 'paused' : 'skipped';
+                }
+                $account['phase'] = null;
+            }
+        }
+        unset($account);
+
+        $this->data['status'] = $status;
+        $this->data['phase'] = null;
+        $this->data['account'] = null;
+        $this->data['finished_at'] = time();
+        $this->save();
+    }
+
+    // ========================================================================
+    // READING
+    // ========================================================================
+
+    /**
+     * Get the sidecar path for a job
+     *
+     * @param string $jobID Validated job ID
+     * @return string Absolute path
+     */
+    public static function getPath($jobID) {
+        return self::LOG_DIR . '/' . $jobID . '.progress.json';
+    }
+
+    /**
+     * Load the raw progress state for a job
+     *
+     * @param string $jobID Validated job ID
+     * @return array|null State, or null if the job has no progress file
+     */
+    public static function load($jobID) {
+        $file = self::getPath($jobID);
+        if (!file_exists($file)) {
+            return null;
+        }
+
+        $data = json_decode(file_get_contents($file), true);
+        return is_array($data) ? $data : null;
+    }
+
+    /**
+     * Read a job's progress in the shape returned to the UI
+     *
+     * @param string $jobID Validated job ID
+     * @return array|null Summary (see summarise()), or null if untracked
+     */
+    public static function read($jobID) {
+        $data = self::load($jobID);
+        return $data !== null ? self::summarise($data) : null;
+    }
+
+    /**
+     * Compact per-account states for queue listings
+     *
+     * Only changes when an account starts or finishes, so it can ride along
+     * with queue state without making every progress tick look like a change.
+     * Durations of running accounts are left to the client (from started_at).
+     *
+     * @param string $jobID Validated job ID
+     * @return array|null List of ['account', 'status', 'started_at', 'duration', 'size'], or null if untracked
+     */
+    public static function readAccounts($jobID) {
+        $data = self::load($jobID);
+        if ($data === null) {
+            return null;
+        }
+
+        $accounts = [];
+        foreach ($data['accounts'] as $account) {
+            $accounts[] = [
+                'account'    => $account['account'],
+                'status'     => $account['status'],
+                'started_at' => $account['started_at'],
+                'duration'   => $account['finished_at'] ? $account['finished_at'] - $account['started_at'] : null,
+                'size'       => $account['size']
+            ];
+        }
+        return $accounts;
+    }
+
+    /**
+     * Byte range of one account's section in the verbose log
+     *
+     * @param string $jobID Validated job ID
+     * @param string $account Account username
+     * @return array|null [start, end] where end is null while the account is still running,
+     *                    or null if the account hasn't started or isn't part of the job
+     */
+    public static function getAccountLogRange($jobID, $account) {
+        $data = self::load($jobID);
+        foreach ($data['accounts'] ?? [] as $entry) {
+            if ($entry['account'] === $account && isset($entry['log_start'])) {
+                return [$entry['log_start'], $entry['log_end'] ?? null];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Build the UI summary from raw state
+     *
+     * Adds labels, percentage, throughput and ETA. Percentage is weighted by
+     * phase; the backup 'accounts' phase is split evenly between accounts and
+     * each account by its own phase weights. Byte-tracked phases with a known
+     * total contribute fractionally.
+     *
+     * @param array $data Raw state from load()
+     * @return array Summary
+     */
+    public static function summarise($data) {
+        $type = $data['type'];
+        $definitions = self::$jobPhases[$type] ?? [];
+        $now = time();
+        $finishedAt = $data['finished_at'] ?? null;
+        $elapsed = ($finishedAt ?: $now) - $data['started_at'];
+
+        // --- Accounts ---
+        $accounts = [];
+        $accountFractions = [];
+        $bytesDone = 0;
+        foreach ($data['accounts'] as $account) {
+            $accountBytes = 0;
+            foreach ($account['phases'] as $phase) {
+                $accountBytes += $phase['bytes'];
+            }
+            $bytesDone += $accountBytes;
+
+            $accountFractions[] = self::fraction($account['status'], $account['phases'], self::$accountPhases);
+
+            $started = $account['started_at'];
+            $accounts[] = [
+                'account'     => $account['account'],
+                'status'      => $account['status'],
+                'phase'       => $account['phase'],
+                'phase_label' => $account['phase'] !== null ? self::$accountPhases[$account['phase']][0] : null,
+                'phases'      => self::listPhases($account['phases'], self::$accountPhases),
+                'size'        => $account['size'],
+                'bytes'       => $accountBytes,
+                'duration'    => $started ? (($account['finished_at'] ?: $now) - $started) : null
+            ];
+        }
+
+        // --- Job phases ---
+        $weighted = 0;
+        $totalWeight = 0;
+        foreach ($data['phases'] as $key => $phase) {
+            $weight = $definitions[$key][1] ?? 0;
+            $totalWeight += $weight;
+            $bytesDone += $phase['bytes'];
+
+            if ($key === 'accounts' && $phase['status'] === 'running' && !empty($accountFractions)) {
+                $weighted += $weight * (array_sum($accountFractions) / count($accountFractions));
+            } else {
+                $weighted += $weight * self::phaseFraction($phase);
+            }
+        }
+        $fraction = $totalWeight > 0 ? $weighted / $totalWeight : 0;
+        if ($data['status'] === 'completed') {
+            $fraction = 1;
+        }
+
+        // --- Throughput: active byte-tracked phase, else job average ---
+        $throughput = null;
+        $active = self::activePhase($data);
+        if ($active !== null && $active['bytes'] > 0 && $active['started_at']) {
+            $throughput = (int)round($active['bytes'] / max(1, $now - $active['started_at']));
+        } elseif ($bytesDone > 0 && $elapsed > 0) {
+            $throughput = (int)round($bytesDone / $elapsed);
+        }
+
+        // --- ETA: extrapolate from weighted progress so far ---
+        $eta = null;
+        if ($data['status'] === 'running' && $fraction * 100 >= self::ETA_MIN_PERCENT && $fraction < 1) {
+            $eta = (int)round($elapsed * (1 - $fraction) / $fraction);
+        }
+
+        $phaseKeys = array_keys($data['phases']);
+        $current = $data['phase'];
+        $accountIndex = $data['account'];
+
+        return [
+            'status'        => $data['status'],
+            'percent'       => (int)floor($fraction * 100),
+            'phase'         => $current,
+            'phase_label'   => $current !== null ? $definitions[$current][0] : null,
+            'phase_index'   => $current !== null ? array_search($current, $phaseKeys, true) + 1 : null,
+            'phase_count'   => count($phaseKeys),
+            'phases'        => self::listPhases($data['phases'], $definitions),
+            'account'       => $accountIndex !== null ? $data['accounts'][$accountIndex]['account'] : null,
+            'account_index' => $accountIndex !== null ? $accountIndex + 1 : null,
+            'account_count' => count($data['accounts']),
+            'accounts'      => $accounts,
+            'bytes_done'    => $bytesDone,
+            'throughput'    => $throughput,
+            'elapsed'       => $elapsed,
+            'eta'           => $eta,
+            'updated_at'    => $data['updated_at']
+        ];
+    }
+
+    // ========================================================================
+    // HELPERS
+    // ========================================================================
+
+    /**
+     * Blank phase record
+     *
+     * @return array
+     */
+    private static function newPhase() {
+        return ['status' => 'pending', 'started_at' => null, 'finished_at' => null, 'bytes' => 0, 'bytes_total' => null];
+    }
+
+    /**
+     * Close a running phase with the given status
+     *
+     * @param array $phases Phase map (modified in place)
+     * @param string|null $key Phase to close
+     * @param string $status Final status
+     */
+    private function closePhase(&$phases, $key, $status) {
+        if ($key === null || !isset($phases[$key]) || $phases[$key]['status'] !== 'running') {
+            return;
+        }
+        $phases[$key]['status'] = $status;
+        $phases[$key]['finished_at'] = time();
+    }
+
+    /**
+     * Reference to the account currently being processed
+     *
+     * @return array|null
+     */
+    private function &currentAccount() {
+        $null = null;
+        $index = $this->data['account'];
+        if ($index === null || !isset($this->data['accounts'][$index])) {
+            return $null;
+        }
+        return $this->data['accounts'][$index];
+    }
+
+    /**
+     * Phase record currently receiving bytes (account phase first)
+     *
+     * @param array $data Raw state
+     * @return array|null
+     */
+    private static function activePhase($data) {
+        $index = $data['account'];
+        if ($index !== null && isset($data['accounts'][$index])) {
+            $account = $data['accounts'][$index];
+            if ($account['phase'] !== null) {
+                return $account['phases'][$account['phase']];
+            }
+        }
+        return $data['phase'] !== null ? $data['phases'][$data['phase']] : null;
+    }
+
+    /**
+     * Completed fraction of a single phase
+     *
+     * @param array $phase Phase record
+     * @return float 0..1
+     */
+    private static function phaseFraction($phase) {
+        if (in_array($phase['status'], self::$finishedStatuses, true)) {
+            return 1;
+        }
+        if ($phase['status'] === 'running' && !empty($phase['bytes_total'])) {
+            return min(1, $phase['bytes'] / $phase['bytes_total']);
+        }
+        return 0;
+    }
+
+    /**
+     * Completed fraction of an account from its weighted phases
+     *
+     * @param string $status Account status
+     * @param array $phases Account phase map
+     * @param array $definitions Phase definitions (key => [label, weight])
+     * @return float 0..1
+     */
+    private static function fraction($status, $phases, $definitions) {
+        if (in_array($status, self::$finishedStatuses, true)) {
+            return 1;
+        }
+        if ($status !== 'running' || empty($phases)) {
+            return 0;
+        }
+
+        $weighted = 0;
+        $total = 0;
+        foreach ($phases as $key => $phase) {
+            $weight = $definitions[$key][1] ?? 0;
+            $total += $weight;
+            $weighted += $weight * self::phaseFraction($phase);
+        }
+        return $total > 0 ? $weighted / $total : 0;
+    }
+
+    /**
+     * Flatten a phase map into a labelled list for the UI
+     *
+     * @param array $phases Phase map
+     * @param array $definitions Phase definitions (key => [label, weight])
+     * @return array List of ['key', 'label', 'status', 'bytes']
+     */
+    private static function listPhases($phases, $definitions) {
+        $list = [];
+        foreach ($phases as $key => $phase) {
+            $list[] = [
+                'key'    => $key,
+                'label'  => $definitions[$key][0] ?? $key,
+                'status' => $phase['status'],
+                'bytes'  => $phase['bytes']
+            ];
+        }
+        return $list;
+    }
+
+    /**
+     * Current size of the verbose log
+     *
+     * @return int Bytes (0 if not created yet)
+     */
+    private function logSize() {
+        clearstatcache(true, $this->logFile);
+        return file_exists($this->logFile) ? filesize($this->logFile) : 0;
+    }
+
+    /**
+     * Write state to disk atomically
+     */
+    private function save() {
+        $this->data['updated_at'] = microtime(true);
+        $this->lastSave = microtime(true);
+
+        // Write-then-rename so readers never see a partial file
+        $tmp = $this->file . '.tmp';
+        if (file_put_contents($tmp, json_encode($this->data), LOCK_EX) !== false) {
+            chmod($tmp, 0600);
+            rename($tmp, $this->file);
+        }
+    }
+}
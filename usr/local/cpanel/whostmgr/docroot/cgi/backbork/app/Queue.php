@@ -50,9 +50,113 @@ class BackBorkQueue {
     /** Directory for job cancellation markers */
     const CANCEL_DIR = '/usr/local/cpanel/3rdparty/backbork/cancel';
     
+    /** Directory for job pause markers */
+    const PAUSE_DIR = '/usr/local/cpanel/3rdparty/backbork/pause';
+    
+    /** Directory for queue worker job files and their result hand-off */
+    const WORKERS_DIR = '/usr/local/cpanel/3rdparty/backbork/workers';
+    
+    /** Flag file that stops the queue processor dispatching jobs */
+    const QUEUE_PAUSE_FILE = '/usr/local/cpanel/3rdparty/backbork/queue.paused';
+    
     /** Lock file to prevent concurrent queue processing */
     const LOCK_FILE = '/usr/local/cpanel/3rdparty/backbork/queue.lock';
     
+    // ========================================================================
+    // PRIORITY CONSTANTS
+    // ========================================================================
+    
+    /** Queued job priority levels, highest first */
+    const PRIORITIES = ['urgent', 'normal', 'low'];
+    
+    /** Priority given to jobs that don't specify one */
+    const DEFAULT_PRIORITY = 'normal';
+    
+    // ========================================================================
+    // DESTINATION CONSTANTS
+    // ========================================================================
+    
+    /** Most destinations one job or schedule can copy its archives to */
+    const MAX_DESTINATIONS = 5;
+    
+    // ========================================================================
+    // SCHEDULE CONSTANTS
+    // ========================================================================
+    
+    /** Recurring schedule frequencies ('custom' uses a cron expression) */
+    const SCHEDULE_FREQUENCIES = ['hourly', 'daily', 'weekly', 'monthly', 'custom'];
+    
+    /** Upcoming runs listed by the schedule preview */
+    const PREVIEW_RUNS = 5;
+    
+    /** Finished runs kept in each schedule's history (newest first) */
+    const HISTORY_RUNS = 10;
+    
+    /** Suspension states an account selector can match */
+    const SELECTOR_STATES = ['any', 'active', 'suspended'];
+    
+    /**
+     * Backup settings a schedule may override, with their allowed values
+     * (null = on/off flag). Keys match the user config saved by save_config.
+     */
+    const PKGACCT_OVERRIDE_OPTIONS = [
+        'compression_option' => ['compress', 'nocompress'],
+        'dbbackup_type' => ['all', 'schema', 'name'],
+        'db_backup_method' => ['pkgacct', 'mariadb-backup', 'mysqlbackup', 'skip'],
+        'opt_incremental' => null,
+        'opt_split' => null,
+        'opt_use_backups' => null,
+        'skip_homedir' => null,
+        'skip_publichtml' => null,
+        'skip_mysql' => null,
+        'skip_pgsql' => null,
+        'skip_logs' => null,
+        'skip_mailconfig' => null,
+        'skip_mailman' => null,
+        'skip_dnszones' => null,
+        'skip_ssl' => null,
+        'skip_bwdata' => null,
+        'skip_quota' => null,
+        'skip_ftpusers' => null,
+        'skip_domains' => null,
+        'skip_acctdb' => null,
+        'skip_apitokens' => null,
+        'skip_authnlinks' => null,
+        'skip_locale' => null,
+        'skip_passwd' => null,
+        'skip_shell' => null,
+        'skip_resellerconfig' => null,
+        'skip_userdata' => null,
+        'skip_linkednodes' => null,
+        'skip_integrationlinks' => null
+    ];
+    
+    /** Overrides only root may set (split and template backups are root-only on the Settings tab) */
+    const PKGACCT_ROOT_ONLY_OPTIONS = ['opt_split', 'opt_use_backups'];
+    
+    // ========================================================================
+    // RETRY CONSTANTS
+    // ========================================================================
+    
+    /** Most retries a schedule's policy may ask for */
+    const RETRY_MAX_ATTEMPTS = 5;
+    
+    /** Longest first-retry backoff in minutes (doubles each attempt) */
+    const RETRY_MAX_BACKOFF = 1440;
+    
+    /** Backoff in minutes when a policy doesn't give one */
+    const DEFAULT_RETRY_BACKOFF = 15;
+    
+    // ========================================================================
+    // RETENTION CONSTANTS
+    // ========================================================================
+    
+    /** Grandfather-father-son retention tiers, shortest period first */
+    const GFS_TIERS = ['daily', 'weekly', 'monthly', 'yearly'];
+    
+    /** Most backups a single GFS tier may keep */
+    const GFS_MAX_KEEP = 365;
+    
     // ========================================================================
     // CONSTRUCTOR
     // ========================================================================
@@ -77,7 +181,9 @@ class BackBorkQueue {
             self::RUNNING_DIR,    // In-progress jobs
             self::RESTORES_DIR,   // Active restores
             self::COMPLETED_DIR,  // Historical records
-            self::CANCEL_DIR      // Cancellation markers
+            self::CANCEL_DIR,     // Cancellation markers
+            self::PAUSE_DIR,      // Pause markers
+            self::WORKERS_DIR     // Worker hand-off files
         ];
         
         // Create each directory with owner-only permissions
@@ -97,49 +203,86 @@ class BackBorkQueue {
      * 
      * Creates either:
      * - A one-time job in queue/ (when schedule='once')
-     * - A recurring schedule in schedules/ (hourly, daily, weekly, monthly)
+     * - A recurring schedule in schedules/ (hourly, daily, weekly, monthly, custom)
      * 
      * @param array $accounts Account usernames to backup (or ['*'] for all)
-     * @param string $destinationID Backup destination identifier
-     * @param string $schedule Schedule type: 'once', 'hourly', 'daily', 'weekly', 'monthly'
+     * @param string|array $destinationID Backup destination ID, or several (the first is the primary copy)
+     * @param string $schedule Schedule type: 'once', 'hourly', 'daily', 'weekly', 'monthly', 'custom'
      * @param string $user Username creating this job/schedule
      * @param array $options Optional settings:
      *                       - retention: Days to keep backups (default: 30)
      *                       - preferred_time: Hour to run (0-23, default: 2)
      *                       - day_of_week: Day for weekly schedules (0=Sun, 1=Mon, ..., 6=Sat)
      *                       - all_accounts: Boolean for dynamic account resolution
+     *                       - priority: 'urgent', 'normal' or 'low' (one-time jobs, default: normal)
+     *                       - retry: Retry policy for failed accounts (see normaliseRetryPolicy)
+     *                       - cron: Cron expression, required for 'custom' schedules
+     *                       - retention_gfs: GFS tiers (daily, weekly, monthly, yearly), replaces retention
+     *                       - triggered_by: User who ran a schedule on demand ("Run now")
+     *                       - account_selector: Dynamic account filters (schedules), replaces the account list
+     *                       - exclude_accounts: Usernames/glob patterns left out of all accounts or a selector
+     *                       - pkgacct_overrides: Backup settings used instead of the user's config
+     *                       - profile_id: Backup profile applied under pkgacct_overrides (see BackBorkProfiles)
+     *                       - fallback_destination: Destination used when the primary is unavailable at run time
      * @return array Result with success status, message, and job_id
      */
     public function addToQueue($accounts, $destinationID, $schedule = 'once', $user = 'root', $options = []) {
         // Generate unique job identifier
         $jobID = $this->generateJobID();
         
-        // Resolve destination name for display (store once at creation)
-        $destinationName = $destinationID;
-        $parser = new BackBorkDestinationsParser();
-        $dest = $parser->getDestinationByID($destinationID);
-        
-        // Validate destination exists
-        if (!$dest) {
+        // Validate destinations and resolve their names for display (stored once at creation)
+        // Disabled ones are allowed for one-time jobs (they fail at execution time) but not schedules
+        $resolved = $this->resolveDestinations($destinationID, $schedule !== 'once');
+        if (!$resolved['success']) {
             return [
                 'success' => false,
-                'message' => 'Invalid destination'
+                'message' => $schedule !== 'once' && $resolved['disabled'] ? 'Cannot create schedule: ' . lcfirst($resolved['message']) : $resolved['message']
             ];
         }
+        $destinationIDs = $resolved['destinations'];
+        $destinationName = $resolved['name'];
         
-        // Warn if destination is disabled (allow for one-time, block for schedules)
-        if (empty($dest['enabled'])) {
-            if ($schedule !== 'once') {
+        // Schedules check their fallback now; queued runs carry it as-is and re-check it at execution time
+        $fallbackID = !empty($options['fallback_destination']) ? (string)$options['fallback_destination'] : null;
+        $fallbackName = null;
+        if ($fallbackID !== null && $schedule !== 'once') {
+            $fallback = $this->checkFallbackDestination($fallbackID, $destinationIDs);
+            if (!$fallback['success']) {
                 return [
                     'success' => false,
-                    'message' => 'Cannot create schedule: destination is disabled in WHM'
+                    'message' => 'Cannot create schedule: ' . lcfirst($fallback['message'])
                 ];
             }
-            // For one-time jobs, allow but it will fail at execution time
+            $fallbackName = $fallback['name'];
+        }
+        
+        // Validate priority (falls back to normal when not given)
+        $priority = isset($options['priority']) ? $options['priority'] : self::DEFAULT_PRIORITY;
+        if (!in_array($priority, self::PRIORITIES, true)) {
+            return [
+                'success' => false,
+                'message' => 'Invalid priority'
+            ];
+        }
+        
+        if ($schedule !== 'once' && !in_array($schedule, self::SCHEDULE_FREQUENCIES, true)) {
+            return [
+                'success' => false,
+                'message' => 'Invalid schedule frequency'
+            ];
         }
         
-        if (!empty($dest['name'])) {
-            $destinationName = $dest['name'];
+        // Custom schedules run on a cron expression
+        $cron = null;
+        if ($schedule === 'custom') {
+            $cron = BackBorkCron::normalise($options['cron'] ?? '');
+            $cronError = BackBorkCron::validate($cron);
+            if ($cronError !== null) {
+                return [
+                    'success' => false,
+                    'message' => 'Invalid cron expression: ' . $cronError
+                ];
+            }
         }
         
         // Build job record with all required fields
@@ -147,8 +290,11 @@ class BackBorkQueue {
             'id' => $jobID,                                                      // Unique job identifier
             'type' => 'backup',                                                  // Job type (backup/restore)
             'accounts' => $accounts,                                             // Account list or ['*']
-            'destination' => $destinationID,                                     // Target destination ID
-            'destination_name' => $destinationName,                              // Human-readable name
+            'destination' => $destinationIDs[0],                                 // Primary destination ID
+            'destinations' => $destinationIDs,                                   // Every destination getting a copy
+            'destination_name' => $destinationName,                              // Human-readable name(s)
+            'fallback_destination' => $fallbackID,                               // Stands in for an unavailable primary
+            'fallback_destination_name' => $fallbackName,                        // Fallback's name as checked at save time
             'schedule' => $schedule,                                             // Schedule frequency
             'user' => $user,                                                     // Owner of this job
             'created_at' => date('Y-m-d H:i:s'),                                // Creation timestamp
@@ -157,7 +303,16 @@ class BackBorkQueue {
             'preferred_time' => isset($options['preferred_time']) ? (int)$options['preferred_time'] : 2,  // Run hour
             'day_of_week' => isset($options['day_of_week']) ? (int)$options['day_of_week'] : 0,       // Weekly day (0=Sun)
             'all_accounts' => isset($options['all_accounts']) ? (bool)$options['all_accounts'] : false,  // Dynamic mode
-            'schedule_id' => isset($options['schedule_id']) ? $options['schedule_id'] : null         // Parent schedule ID
+            'schedule_id' => isset($options['schedule_id']) ? $options['schedule_id'] : null,        // Parent schedule ID
+            'priority' => $priority,                                             // Queue priority (urgent/normal/low)
+            'retry' => isset($options['retry']) ? self::normaliseRetryPolicy($options['retry']) : null,  // Retry policy
+            'cron' => $cron,                                                     // Cron expression (custom schedules)
+            'retention_gfs' => isset($options['retention_gfs']) ? self::normaliseGfsPolicy($options['retention_gfs']) : null,  // GFS tiers
+            'triggered_by' => isset($options['triggered_by']) ? $options['triggered_by'] : null,  // "Run now" user (null = on schedule)
+            'account_selector' => isset($options['account_selector']) ? self::normaliseAccountSelector($options['account_selector']) : null,  // Dynamic filters
+            'exclude_accounts' => isset($options['exclude_accounts']) ? self::normaliseExclusions($options['exclude_accounts']) : [],  // Never backed up
+            'pkgacct_overrides' => isset($options['pkgacct_overrides']) ? self::normalisePkgacctOverrides($options['pkgacct_overrides']) : [],  // Beats user config
+            'profile_id' => !empty($options['profile_id']) ? (string)$options['profile_id'] : null  // Named backup profile
         ];
         
         // Route based on schedule type
@@ -167,6 +322,9 @@ class BackBorkQueue {
             file_put_contents($queueFile, json_encode($job, JSON_PRETTY_PRINT));
             chmod($queueFile, 0600);  // Secure permissions
             
+            // Slot in behind the last job of the same or higher priority
+            $this->placeByPriority($jobID);
+            
             // Log the queue addition for audit trail
             if (class_exists('BackBorkLog')) {
                 $requestor = isset($_SERVER['HTTP_X_FORWARDED_FOR']) 
@@ -186,7 +344,7 @@ class BackBorkQueue {
             // === RECURRING SCHEDULE: Add to schedules directory ===
             
             // Calculate when this schedule should next run
-            $job['next_run'] = $this->calculateNextRun($schedule, $job['preferred_time'], $job['day_of_week']);
+            $job['next_run'] = $this->calculateNextRun($schedule, $job['preferred_time'], $job['day_of_week'], $cron);
             
             // Save schedule file
             $scheduleFile = self::SCHEDULES_DIR . '/' . $jobID . '.json';
@@ -201,9 +359,24 @@ class BackBorkQueue {
                         ? $_SERVER['REMOTE_ADDR'] 
                         : (BackBorkBootstrap::isCLI() ? 'cron' : 'local'));
                 // Build clean attribute list for Details column
-                $scheduleAttrs = "Interval: " . ucfirst($schedule) . "\n" .
-                                 "Destination: " . $destinationName . "\n" .
-                                 "Retention: " . $job['retention'];
+                $scheduleAttrs = "Interval: " . ($cron !== null ? 'Custom (' . $cron . ')' : ucfirst($schedule)) . "\n" .
+                                 (count($destinationIDs) > 1 ? "Destinations: " : "Destination: ") . $destinationName . "\n" .
+                                 "Retention: " . self::describeRetention($job);
+                if ($fallbackName !== null) {
+                    $scheduleAttrs .= "\nFallback: " . $fallbackName;
+                }
+                if ($job['account_selector'] !== null) {
+                    $scheduleAttrs .= "\nAccounts: " . self::describeAccountSelector($job['account_selector']);
+                }
+                if (!empty($job['exclude_accounts'])) {
+                    $scheduleAttrs .= "\nExcluding: " . implode(', ', $job['exclude_accounts']);
+                }
+                if ($job['profile_id'] !== null) {
+                    $scheduleAttrs .= "\nProfile: " . $job['profile_id'];
+                }
+                if (!empty($job['pkgacct_overrides'])) {
+                    $scheduleAttrs .= "\nOverrides: " . self::describePkgacctOverrides($job['pkgacct_overrides']);
+                }
                 BackBorkLog::logEvent($user, 'schedule_create', $accounts, true, $scheduleAttrs, $requestor);
             }
 
@@ -227,13 +400,20 @@ class BackBorkQueue {
      * - daily: Preferred hour today (or tomorrow if already passed)
      * - weekly: Specified day of week at preferred hour
      * - monthly: 1st of month at preferred hour
+     * - custom: next match of the cron expression
      * 
-     * @param string $schedule Schedule type (hourly, daily, weekly, monthly)
+     * @param string $schedule Schedule type (hourly, daily, weekly, monthly, custom)
      * @param int $preferredHour Preferred execution hour (0-23, default: 2am)
      * @param int $dayOfWeek Day of week for weekly (0=Sunday, 1=Monday, ..., 6=Saturday)
-     * @return string DateTime string in 'Y-m-d H:i:s' format
+     * @param string|null $cron Cron expression for custom schedules
+     * @return string|null DateTime string in 'Y-m-d H:i:s' format (null if a cron expression never matches)
      */
-    public function calculateNextRun($schedule, $preferredHour = 2, $dayOfWeek = 0) {
+    public function calculateNextRun($schedule, $preferredHour = 2, $dayOfWeek = 0, $cron = null) {
+        if ($schedule === 'custom') {
+            $nextRun = BackBorkCron::nextRun((string)$cron);
+            return $nextRun !== null ? date('Y-m-d H:i:s', $nextRun) : null;
+        }
+        
         $now = new DateTime();
         $next = new DateTime();
         $next->setTime($preferredHour, 0, 0);  // Start at preferred hour, minute 0
@@ -273,6 +453,73 @@ class BackBorkQueue {
         return $next->format('Y-m-d H:i:s');
     }
     
+    /**
+     * Express a schedule's timing as a cron expression
+     * 
+     * Lets the preview describe and list runs for every frequency the same way.
+     * 
+     * @param string $schedule Schedule type (hourly, daily, weekly, monthly, custom)
+     * @param int $preferredHour Preferred execution hour (0-23)
+     * @param int $dayOfWeek Day of week for weekly (0=Sunday)
+     * @param string|null $cron Cron expression for custom schedules
+     * @return string Cron expression
+     */
+    public static function scheduleToCron($schedule, $preferredHour = 2, $dayOfWeek = 0, $cron = null) {
+        $hour = max(0, min(23, (int)$preferredHour));
+        switch ($schedule) {
+            case 'hourly':
+                return '0 * * * *';
+            case 'weekly':
+                return '0 ' . $hour . ' * * ' . ((int)$dayOfWeek % 7);
+            case 'monthly':
+                return '0 ' . $hour . ' 1 * *';
+            case 'custom':
+                return BackBorkCron::normalise($cron);
+            default:
+                return '0 ' . $hour . ' * * *';
+        }
+    }
+    
+    /**
+     * Preview a schedule before it is saved
+     * 
+     * The first run comes from calculateNextRun() so it matches what the
+     * processor will do; later runs follow the equivalent cron expression.
+     * 
+     * @param string $schedule Schedule type (hourly, daily, weekly, monthly, custom)
+     * @param int $preferredHour Preferred execution hour (0-23)
+     * @param int $dayOfWeek Day of week for weekly (0=Sunday)
+     * @param string|null $cron Cron expression for custom schedules
+     * @param int $count Number of upcoming runs to list
+     * @return array Result with description, cron and next_runs ('Y-m-d H:i:s'), or an error message
+     */
+    public function previewSchedule($schedule, $preferredHour = 2, $dayOfWeek = 0, $cron = null, $count = self::PREVIEW_RUNS) {
+        if (!in_array($schedule, self::SCHEDULE_FREQUENCIES, true)) {
+            return ['success' => false, 'message' => 'Invalid schedule frequency'];
+        }
+        
+        $expression = self::scheduleToCron($schedule, $preferredHour, $dayOfWeek, $cron);
+        if ($schedule === 'custom') {
+            $cronError = BackBorkCron::validate($expression);
+            if ($cronError !== null) {
+                return ['success' => false, 'message' => 'Invalid cron expression: ' . $cronError];
+            }
+        }
+        
+        $first = $this->calculateNextRun($schedule, $preferredHour, $dayOfWeek, $expression);
+        $runs = [strtotime($first)];
+        $runs = array_merge($runs, BackBorkCron::nextRuns($expression, $count - 1, $runs[0]));
+        
+        return [
+            'success' => true,
+            'cron' => $expression,
+            'description' => BackBorkCron::describe($expression),
+            'next_runs' => array_map(function($time) {
+                return date('Y-m-d H:i:s', $time);
+            }, $runs)
+        ];
+    }
+    
     // ========================================================================
     // QUEUE RETRIEVAL
     // ========================================================================
@@ -295,7 +542,9 @@ class BackBorkQueue {
             'queued' => [],     // Pending one-time jobs
             'running' => [],    // Currently executing jobs
             'schedules' => [],  // Recurring schedules
-            'restores' => []    // Active restore operations
+            'restores' => [],   // Active restore operations
+            'queue_paused' => self::getQueuePauseInfo(),  // Processor pause flag (null when not paused)
+            'backup_window' => BackBorkConfig::getBackupWindowStatus()  // When queued backups may start
         ];
         
         // Determine user filter based on permissions
@@ -328,18 +577,40 @@ class BackBorkQueue {
             if ($job) {
                 // Apply user filter
                 if ($filterUser === null || $job['user'] === $filterUser) {
+                    $job['pause_requested'] = self::isPauseRequested($job['id']);
+                    // Per-account breakdown from the job's progress sidecar (queue tab expandable row)
+                    if (!empty($job['log_id']) && BackBorkEvents::isValidJobID($job['log_id'])) {
+                        $job['account_states'] = BackBorkProgress::readAccounts($job['log_id']);
+                    }
                     $result['running'][] = $job;
                 }
             }
         }
         
         // --- Load recurring schedules ---
+        // Profile names are looked up as the schedule owner would see them
+        $profiles = new BackBorkProfiles();
         $scheduleFiles = glob(self::SCHEDULES_DIR . '/*.json');
         foreach ($scheduleFiles as $file) {
             $schedule = json_decode(file_get_contents($file), true);
             if ($schedule) {
                 // Apply user filter
                 if ($filterUser === null || $schedule['user'] === $filterUser) {
+                    // Plain-English timing for custom schedules (schedules table)
+                    if (($schedule['schedule'] ?? '') === 'custom') {
+                        $schedule['cron_description'] = BackBorkCron::describe($schedule['cron'] ?? '');
+                    }
+                    $schedule['destinations'] = self::getJobDestinations($schedule);
+                    if (!empty($schedule['account_selector'])) {
+                        $schedule['account_selector_description'] = self::describeAccountSelector($schedule['account_selector']);
+                    }
+                    if (!empty($schedule['pkgacct_overrides'])) {
+                        $schedule['pkgacct_overrides_description'] = self::describePkgacctOverrides($schedule['pkgacct_overrides']);
+                    }
+                    if (!empty($schedule['profile_id'])) {
+                        $profile = $profiles->getProfile($schedule['profile_id'], $schedule['user'], $schedule['user'] === 'root');
+                        $schedule['profile_name'] = $profile ? $profile['name'] : null;
+                    }
                     $result['schedules'][] = $schedule;
                 }
             }
@@ -357,10 +628,8 @@ class BackBorkQueue {
             }
         }
         
-        // Sort queued jobs by creation date (oldest first = FIFO)
-        usort($result['queued'], function($a, $b) {
-            return strtotime($a['created_at']) - strtotime($b['created_at']);
-        });
+        // Sort queued jobs into processing order (priority placement + manual reordering)
+        $this->sortByPosition($result['queued']);
         
         return $result;
     }
@@ -441,12 +710,19 @@ class BackBorkQueue {
      * @param string $jobID Schedule ID to update
      * @param array $updates Associative array of fields to update:
      *                       - accounts: Array of account usernames
-     *                       - destination: Destination ID
+     *                       - destination: Destination ID, or several (the first is the primary copy)
      *                       - schedule: Frequency (hourly, daily, weekly, monthly)
      *                       - retention: Days to keep backups
      *                       - preferred_time: Hour to run (0-23)
      *                       - day_of_week: Day for weekly (0=Sun, 6=Sat)
      *                       - all_accounts: Boolean for dynamic mode
+     *                       - retry: Retry policy (attempts, backoff, failed_only)
+     *                       - retention_gfs: GFS tiers, or false to go back to count retention
+     *                       - account_selector: Dynamic account filters (replaces accounts)
+     *                       - exclude_accounts: Usernames/glob patterns to leave out
+     *                       - pkgacct_overrides: Backup settings overriding the user config ([] = none)
+     *                       - profile_id: Backup profile ID ('' = none)
+     *                       - fallback_destination: Destination ID used when the primary is unavailable ('' = none)
      * @param string $user Current authenticated user
      * @param bool $isRoot Whether user has root privileges
      * @return array Result with success status and message
@@ -485,26 +761,101 @@ class BackBorkQueue {
                 $schedule['all_accounts'] = false;
                 $changes[] = 'accounts: ' . count($updates['accounts']) . ' selected';
             }
+            $schedule['account_selector'] = null;
         }
         
-        // Update destination if provided
-        if (isset($updates['destination']) && $updates['destination'] !== $schedule['destination']) {
-            $parser = new BackBorkDestinationsParser();
-            $dest = $parser->getDestinationByID($updates['destination']);
-            if (!$dest) {
-                return ['success' => false, 'message' => 'Invalid destination'];
+        // Account selector replaces the list; it is evaluated at every run
+        if (isset($updates['account_selector'])) {
+            $selector = self::normaliseAccountSelector($updates['account_selector']);
+            if ($selector === null) {
+                return ['success' => false, 'message' => 'Account selector needs at least one filter'];
+            }
+            if ($selector !== ($schedule['account_selector'] ?? null)) {
+                $changes[] = 'accounts: ' . self::describeAccountSelector($selector);
+            }
+            $schedule['account_selector'] = $selector;
+            $schedule['accounts'] = [];
+            $schedule['all_accounts'] = false;
+        }
+        
+        // Exclusions only apply when accounts are resolved at runtime
+        if (isset($updates['exclude_accounts'])) {
+            $exclusions = self::normaliseExclusions($updates['exclude_accounts']);
+            if ($exclusions !== ($schedule['exclude_accounts'] ?? [])) {
+                $changes[] = 'excluding: ' . (empty($exclusions) ? 'none' : implode(', ', $exclusions));
+            }
+            $schedule['exclude_accounts'] = $exclusions;
+        }
+        
+        // Overrides replace the whole set, so an empty list goes back to the user config
+        if (isset($updates['pkgacct_overrides'])) {
+            $overrides = self::normalisePkgacctOverrides($updates['pkgacct_overrides'], $isRoot);
+            // Root-only settings already on the schedule survive an edit by its owner
+            if (!$isRoot) {
+                $overrides = array_merge($overrides, array_intersect_key($schedule['pkgacct_overrides'] ?? [], array_flip(self::PKGACCT_ROOT_ONLY_OPTIONS)));
+            }
+            if ($overrides !== ($schedule['pkgacct_overrides'] ?? [])) {
+                $changes[] = 'overrides: ' . (empty($overrides) ? 'none' : self::describePkgacctOverrides($overrides));
+            }
+            $schedule['pkgacct_overrides'] = $overrides;
+        }
+        
+        // Backup profile must be usable by the schedule's owner; an empty ID goes back to their settings
+        if (isset($updates['profile_id'])) {
+            $profileID = $updates['profile_id'] !== '' ? (string)$updates['profile_id'] : null;
+            if ($profileID !== ($schedule['profile_id'] ?? null)) {
+                if ($profileID !== null) {
+                    $profiles = new BackBorkProfiles();
+                    $profile = $profiles->getProfile($profileID, $schedule['user'], $schedule['user'] === 'root');
+                    if (!$profile) {
+                        return ['success' => false, 'message' => 'Backup profile not found'];
+                    }
+                    $changes[] = 'profile: ' . $profile['name'];
+                } else {
+                    $changes[] = 'profile: none';
+                }
+            }
+            $schedule['profile_id'] = $profileID;
+        }
+        
+        // Update destination(s) if provided
+        if (isset($updates['destination'])
+            && self::normaliseDestinations($updates['destination']) !== self::getJobDestinations($schedule)) {
+            $resolved = $this->resolveDestinations($updates['destination'], true);
+            if (!$resolved['success']) {
+                return ['success' => false, 'message' => $resolved['disabled'] ? 'Cannot use disabled destination' : $resolved['message']];
             }
-            if (empty($dest['enabled'])) {
-                return ['success' => false, 'message' => 'Cannot use disabled destination'];
+            $schedule['destination'] = $resolved['destinations'][0];
+            $schedule['destinations'] = $resolved['destinations'];
+            $schedule['destination_name'] = $resolved['name'];
+            $changes[] = (count($resolved['destinations']) > 1 ? 'destinations: ' : 'destination: ') . $schedule['destination_name'];
+        }
+        
+        // Fallback destination ('' removes it) has to be enabled, and can't be the primary it stands in for
+        if (isset($updates['fallback_destination'])) {
+            $fallbackID = $updates['fallback_destination'] !== '' ? (string)$updates['fallback_destination'] : null;
+            if ($fallbackID !== ($schedule['fallback_destination'] ?? null)) {
+                if ($fallbackID !== null) {
+                    $fallback = $this->checkFallbackDestination($fallbackID, self::getJobDestinations($schedule));
+                    if (!$fallback['success']) {
+                        return ['success' => false, 'message' => $fallback['message']];
+                    }
+                    $changes[] = 'fallback: ' . $fallback['name'];
+                    $schedule['fallback_destination_name'] = $fallback['name'];
+                } else {
+                    $changes[] = 'fallback: none';
+                    $schedule['fallback_destination_name'] = null;
+                }
             }
-            $schedule['destination'] = $updates['destination'];
-            $schedule['destination_name'] = !empty($dest['name']) ? $dest['name'] : $updates['destination'];
-            $changes[] = 'destination: ' . $schedule['destination_name'];
+            $schedule['fallback_destination'] = $fallbackID;
+        }
+        if (!empty($schedule['fallback_destination']) && $schedule['fallback_destination'] === self::getJobDestinations($schedule)[0]) {
+            return ['success' => false, 'message' => 'Fallback destination must differ from the primary destination'];
         }
         
         // Update schedule frequency if provided
         $frequencyChanged = false;
-        if (isset($updates['schedule']) && in_array($updates['schedule'], ['hourly', 'daily', 'weekly', 'monthly'])) {
+        if (isset($updates['schedule']) && in_array($updates['schedule'], self::SCHEDULE_FREQUENCIES, true)) {
             if ($updates['schedule'] !== $schedule['schedule']) {
                 $schedule['schedule'] = $updates['schedule'];
                 $frequencyChanged = true;
@@ -512,10 +863,33 @@ class BackBorkQueue {
             }
         }
         
-        // Update retention if provided
+        // Custom schedules need a valid cron expression (new or already stored)
+        $cronChanged = false;
+        if ($schedule['schedule'] === 'custom') {
+            $cron = BackBorkCron::normalise($updates['cron'] ?? ($schedule['cron'] ?? ''));
+            $cronError = BackBorkCron::validate($cron);
+            if ($cronError !== null) {
+                return ['success' => false, 'message' => 'Invalid cron expression: ' . $cronError];
+            }
+            if ($cron !== ($schedule['cron'] ?? null)) {
+                $schedule['cron'] = $cron;
+                $cronChanged = true;
+                $changes[] = 'cron: ' . $cron;
+            }
+        } elseif (!empty($schedule['cron'])) {
+            $schedule['cron'] = null;
+        }
+        
+        // Update retention if provided (GFS tiers take over from the count when set)
+        $retentionBefore = self::describeRetention($schedule);
         if (isset($updates['retention'])) {
             $schedule['retention'] = (int)$updates['retention'];
-            $changes[] = 'retention: ' . $schedule['retention'];
+        }
+        if (isset($updates['retention_gfs'])) {
+            $schedule['retention_gfs'] = self::normaliseGfsPolicy($updates['retention_gfs']);
+        }
+        if (self::describeRetention($schedule) !== $retentionBefore) {
+            $changes[] = 'retention: ' . self::describeRetention($schedule);
         }
         
         // Update preferred_time if provided
@@ -541,12 +915,24 @@ class BackBorkQueue {
             }
         }
         
+        // Update retry policy if provided
+        if (isset($updates['retry'])) {
+            $retry = self::normaliseRetryPolicy($updates['retry']);
+            if ($retry !== ($schedule['retry'] ?? null)) {
+                $schedule['retry'] = $retry;
+                $changes[] = $retry['attempts'] > 0
+                    ? 'retry: ' . $retry['attempts'] . 'x, ' . $retry['backoff'] . ' min backoff' . ($retry['failed_only'] ? ', failed accounts only' : '')
+                    : 'retry: off';
+            }
+        }
+        
         // Recalculate next_run if timing-related fields changed
-        if ($frequencyChanged || $timeChanged || $dowChanged) {
+        if ($frequencyChanged || $timeChanged || $dowChanged || $cronChanged) {
             $schedule['next_run'] = $this->calculateNextRun(
                 $schedule['schedule'],
                 $schedule['preferred_time'],
-                $schedule['day_of_week'] ?? 0
+                $schedule['day_of_week'] ?? 0,
+                $schedule['cron'] ?? null
             );
         }
         
@@ -577,145 +963,1086 @@ class BackBorkQueue {
     }
     
     // ========================================================================
-    // JOB STATUS
+    // QUEUE ORDERING
     // ========================================================================
     
     /**
-     * Get currently running jobs
+     * Reorder queued jobs (drag-and-drop in the Queue tab)
+     * 
+     * The given IDs are written into the queue slots those jobs already hold,
+     * so a reseller reordering their own jobs never moves anyone else's.
      * 
+     * @param array $order Job IDs in the new order (all queued jobs visible to the user)
      * @param string $user Current authenticated user
      * @param bool $isRoot Whether user has root privileges
-     * @return array Associative array with 'running' key containing job list
+     * @return array Result with success status and message
      */
-    public function getRunningJobs($user, $isRoot) {
-        $running = [];
+    public function reorderQueue($order, $user, $isRoot) {
+        if (!is_array($order) || empty($order)) {
+            return ['success' => false, 'message' => 'Job order required'];
+        }
         
-        // Read all running job files
-        $files = glob(self::RUNNING_DIR . '/*.json');
-        foreach ($files as $file) {
-            $job = json_decode(file_get_contents($file), true);
-            // Filter by user permissions
-            if ($job && ($isRoot || $job['user'] === $user)) {
-                $running[] = $job;
+        $queued = $this->loadQueuedJobs();
+        
+        // Slots (indexes) currently held by the jobs this user can see
+        $slots = [];
+        $visible = [];
+        foreach ($queued as $index => $job) {
+            if ($isRoot || $job['user'] === $user) {
+                $slots[] = $index;
+                $visible[$job['id']] = $job;
             }
         }
         
-        return ['running' => $running];
+        // Must be exactly the visible set - anything else means the queue moved underneath the UI
+        $order = array_values(array_unique($order));
+        if (count($order) !== count($visible) || array_diff($order, array_keys($visible))) {
+            return ['success' => false, 'message' => 'Queue has changed, please refresh and try again'];
+        }
+        
+        foreach ($order as $i => $jobID) {
+            $queued[$slots[$i]] = $visible[$jobID];
+        }
+        $this->saveOrder($queued);
+        
+        return ['success' => true, 'message' => 'Queue reordered'];
     }
     
     /**
-     * Retrieve a job by ID from any storage location
+     * Change the priority of a queued job
+     * The job moves behind the last job of its new priority (or higher)
      * 
-     * Searches queue, running, schedules, and completed directories.
+     * @param string $jobID Queued job ID
+     * @param string $priority 'urgent', 'normal' or 'low'
+     * @param string $user Current authenticated user
+     * @param bool $isRoot Whether user has root privileges
+     * @return array Result with success status and message
+     */
+    public function setPriority($jobID, $priority, $user, $isRoot) {
+        if (!in_array($priority, self::PRIORITIES, true)) {
+            return ['success' => false, 'message' => 'Invalid priority'];
+        }
+        
+        $queueFile = self::QUEUE_DIR . '/' . $jobID . '.json';
+        if (!file_exists($queueFile)) {
+            return ['success' => false, 'message' => 'Job not found or already started'];
+        }
+        
+        $job = json_decode(file_get_contents($queueFile), true);
+        
+        // Security: Non-root can only change their own jobs, and can't jump everyone with urgent
+        if (!$isRoot && $job['user'] !== $user) {
+            return ['success' => false, 'message' => 'Access denied'];
+        }
+        if (!$isRoot && $priority === 'urgent') {
+            return ['success' => false, 'message' => 'Access denied: urgent priority requires root'];
+        }
+        
+        $this->updateJob($jobID, ['priority' => $priority], self::QUEUE_DIR);
+        $this->placeByPriority($jobID);
+        
+        return ['success' => true, 'message' => 'Priority set to ' . $priority];
+    }
+    
+    /**
+     * Move a queued job to the front of the queue (root only - enforced by router)
      * 
-     * @param string $jobID Unique job identifier
-     * @return array|null Job data or null if not found
+     * @param string $jobID Queued job ID
+     * @return array Result with success status and message
      */
-    public function getJob($jobID) {
-        // Search all possible locations
-        $locations = [
-            self::QUEUE_DIR,      // Pending jobs
-            self::RUNNING_DIR,    // In-progress jobs
-            self::SCHEDULES_DIR,  // Recurring schedules
-            self::COMPLETED_DIR   // Historical records
-        ];
+    public function runNext($jobID) {
+        $queued = $this->loadQueuedJobs();
         
-        foreach ($locations as $dir) {
-            $file = $dir . '/' . $jobID . '.json';
-            if (file_exists($file)) {
-                return json_decode(file_get_contents($file), true);
+        foreach ($queued as $index => $job) {
+            if ($job['id'] === $jobID) {
+                array_splice($queued, $index, 1);
+                array_unshift($queued, $job);
+                $this->saveOrder($queued);
+                return ['success' => true, 'message' => 'Job will run next'];
             }
         }
         
-        return null;  // Not found
+        return ['success' => false, 'message' => 'Job not found or already started'];
     }
     
-    // ========================================================================
-    // JOB UPDATES
-    // ========================================================================
+    /**
+     * Sort queued jobs into processing order
+     * Jobs queued before ordering existed (no position) go last, oldest first
+     * 
+     * @param array &$jobs Queued job records
+     */
+    private function sortByPosition(&$jobs) {
+        usort($jobs, function($a, $b) {
+            $posA = isset($a['position']) ? (int)$a['position'] : PHP_INT_MAX;
+            $posB = isset($b['position']) ? (int)$b['position'] : PHP_INT_MAX;
+            if ($posA !== $posB) {
+                return $posA < $posB ? -1 : 1;
+            }
+            return strtotime($a['created_at']) - strtotime($b['created_at']);
+        });
+    }
     
     /**
-     * Update a job's data by merging new values
+     * Load every queued job in processing order (no user filter)
      * 
-     * @param string $jobID Unique job identifier
-     * @param array $data Key-value pairs to merge into job data
-     * @param string|null $location Directory to search (auto-detects if null)
-     * @return bool Success status
+     * @return array Job records
      */
-    public function updateJob($jobID, $data, $location = null) {
-        // Auto-detect location if not specified
-        if (!$location) {
-            $locations = [self::QUEUE_DIR, self::RUNNING_DIR, self::SCHEDULES_DIR];
-            foreach ($locations as $dir) {
-                if (file_exists($dir . '/' . $jobID . '.json')) {
-                    $location = $dir;
-                    break;
-                }
+    private function loadQueuedJobs() {
+        $jobs = [];
+        foreach (glob(self::QUEUE_DIR . '/*.json') as $file) {
+            $job = json_decode(file_get_contents($file), true);
+            if ($job) {
+                $jobs[] = $job;
             }
         }
-        
-        // Job not found
-        if (!$location) {
-            return false;
-        }
-        
-        $file = $location . '/' . $jobID . '.json';
-        if (!file_exists($file)) {
-            return false;
-        }
-        
-        // Load, merge, and save job data
-        $job = json_decode(file_get_contents($file), true);
-        $job = array_merge($job, $data);
-        
-        return file_put_contents($file, json_encode($job, JSON_PRETTY_PRINT)) !== false;
+        $this->sortByPosition($jobs);
+        return $jobs;
     }
     
     /**
-     * Move a job between directories (e.g., queue→running→completed)
-     * 
-     * Used during job lifecycle transitions:
-     * - queue → running (when job starts)
-     * - running → completed (when job finishes)
+     * Renumber queued jobs 0..n in the given order
+     * Only files whose position actually changed are rewritten
      * 
-     * @param string $jobID Unique job identifier
-     * @param string $from Source directory path
-     * @param string $to Destination directory path
-     * @param array $additionalData Extra data to add during move
-     * @return bool Success status
+     * @param array $jobs Job records in the desired order
      */
-    public function moveJob($jobID, $from, $to, $additionalData = []) {
-        $sourceFile = $from . '/' . $jobID . '.json';
-        if (!file_exists($sourceFile)) {
-            return false;
+    private function saveOrder($jobs) {
+        foreach (array_values($jobs) as $position => $job) {
+            if (!isset($job['position']) || (int)$job['position'] !== $position) {
+                $this->updateJob($job['id'], ['position' => $position], self::QUEUE_DIR);
+            }
         }
+    }
+    
+    /**
+     * Place a queued job behind the last job of the same or higher priority
+     * (ahead of every lower-priority job)
+     * 
+     * @param string $jobID Queued job ID
+     */
+    private function placeByPriority($jobID) {
+        $ranks = array_flip(self::PRIORITIES);
+        $queued = $this->loadQueuedJobs();
         
-        // Load job and merge additional data
-        $job = json_decode(file_get_contents($sourceFile), true);
-        $job = array_merge($job, $additionalData);
+        // Pull the job out of the current order
+        $target = null;
+        foreach ($queued as $index => $job) {
+            if ($job['id'] === $jobID) {
+                $target = $job;
+                array_splice($queued, $index, 1);
+                break;
+            }
+        }
+        if ($target === null) {
+            return;
+        }
         
-        // Write to destination
-        $destFile = $to . '/' . $jobID . '.json';
-        if (file_put_contents($destFile, json_encode($job, JSON_PRETTY_PRINT)) === false) {
-            return false;
+        // Insert before the first job with a lower priority
+        $rank = $ranks[$target['priority'] ?? self::DEFAULT_PRIORITY] ?? $ranks[self::DEFAULT_PRIORITY];
+        $insertAt = count($queued);
+        foreach ($queued as $index => $job) {
+            $jobRank = $ranks[$job['priority'] ?? self::DEFAULT_PRIORITY] ?? $ranks[self::DEFAULT_PRIORITY];
+            if ($jobRank > $rank) {
+                $insertAt = $index;
+                break;
+            }
         }
-        chmod($destFile, 0600);  // Secure permissions
+        array_splice($queued, $insertAt, 0, [$target]);
         
-        // Remove from source
-        unlink($sourceFile);
-        return true;
+        $this->saveOrder($queued);
     }
     
     // ========================================================================
-    // UTILITY METHODS
+    // JOB RETRY
     // ========================================================================
     
     /**
-     * Generate a unique job identifier
+     * Validate a schedule's retry policy
      * 
-     * Format: bb_YYYYMMDD_HHMMSS_XXXXXXXX
-     * - Prefix: 'bb_' (BackBork)
-     * - Timestamp: Date and time for easy sorting
+     * @param array|null $policy Raw policy (attempts, backoff, failed_only)
+     * @return array Policy with attempts 0-5, backoff in minutes, failed_only flag
+     */
+    public static function normaliseRetryPolicy($policy) {
+        $policy = is_array($policy) ? $policy : [];
+        return [
+            'attempts' => max(0, min(self::RETRY_MAX_ATTEMPTS, (int)($policy['attempts'] ?? 0))),
+            'backoff' => max(1, min(self::RETRY_MAX_BACKOFF, (int)($policy['backoff'] ?? self::DEFAULT_RETRY_BACKOFF))),
+            'failed_only' => isset($policy['failed_only']) ? (bool)$policy['failed_only'] : true
+        ];
+    }
+    
+    /**
+     * Queue a retry of a failed backup job if its policy allows another attempt
+     * 
+     * The retry is a child job: it keeps the parent's destination, schedule and
+     * priority, points back to the failed job and the original job, and waits
+     * out the backoff (doubling each attempt) before it can be dispatched.
+     * 
+     * @param array $job The failed job record
+     * @param array $result Result from BackupManager
+     * @return string|null Child job ID, or null if no retry is due
+     */
+    public function scheduleRetry($job, $result) {
+        if (($job['type'] ?? 'backup') !== 'backup' || empty($job['retry'])) {
+            return null;
+        }
+        
+        $policy = self::normaliseRetryPolicy($job['retry']);
+        $attempt = (int)($job['retry_attempt'] ?? 0) + 1;
+        if ($attempt > $policy['attempts']) {
+            return null;
+        }
+        
+        // Only the accounts that failed, unless the policy says rerun everything
+        // (a job that failed before reaching any account retries in full)
+        $accounts = $job['accounts'] ?? [];
+        if ($policy['failed_only']) {
+            $failed = [];
+            foreach ($result['results'] ?? [] as $account => $accountResult) {
+                if (empty($accountResult['success'])) {
+                    $failed[] = $account;
+                }
+            }
+            if (!empty($failed)) {
+                $accounts = $failed;
+            }
+        }
+        
+        $delay = $policy['backoff'] * (2 ** ($attempt - 1));
+        $childID = $this->generateJobID();
+        $child = [
+            'id' => $childID,
+            'type' => 'backup',
+            'accounts' => array_values($accounts),
+            'destination' => $job['destination'],
+            'destinations' => self::getJobDestinations($job),
+            'destination_name' => $job['destination_name'] ?? $job['destination'],
+            'fallback_destination' => $job['fallback_destination'] ?? null,
+            'schedule' => 'once',
+            'user' => $job['user'],
+            'created_at' => date('Y-m-d H:i:s'),
+            'status' => 'queued',
+            'retention' => $job['retention'] ?? 30,
+            'schedule_id' => $job['schedule_id'] ?? null,
+            'triggered_by' => $job['triggered_by'] ?? null,
+            'priority' => $job['priority'] ?? self::DEFAULT_PRIORITY,
+            'retry' => $policy,
+            'retry_attempt' => $attempt,
+            'retry_of' => $job['id'],
+            'pkgacct_overrides' => $job['pkgacct_overrides'] ?? [],
+            'profile_id' => $job['profile_id'] ?? null,
+            'original_job_id' => $job['original_job_id'] ?? $job['id'],
+            'original_log_id' => $job['original_log_id'] ?? ($result['backup_id'] ?? null),
+            'not_before' => date('Y-m-d H:i:s', time() + $delay * 60)
+        ];
+        
+        $queueFile = self::QUEUE_DIR . '/' . $childID . '.json';
+        if (file_put_contents($queueFile, json_encode($child, JSON_PRETTY_PRINT)) === false) {
+            return null;
+        }
+        chmod($queueFile, 0600);
+        $this->placeByPriority($childID);
+        
+        if (class_exists('BackBorkLog')) {
+            $message = "Retry {$attempt}/{$policy['attempts']} of job {$job['id']} queued as {$childID}, not before {$child['not_before']}";
+            BackBorkLog::logEvent($job['user'], 'queue_retry', $child['accounts'], true, $message, 'cron', $result['backup_id'] ?? '', [
+                'original_job_id' => $child['original_job_id'],
+                'original_log_id' => $child['original_log_id'],
+                'retry_attempt' => $attempt
+            ]);
+        }
+        
+        return $childID;
+    }
+    
+    /**
+     * Check whether a queued retry is still waiting out its backoff
+     * 
+     * @param array $job Queued job record
+     * @return bool True if the job must not be dispatched yet
+     */
+    public static function isRetryWaiting($job) {
+        return !empty($job['not_before']) && strtotime($job['not_before']) > time();
+    }
+    
+    // ========================================================================
+    // ACCOUNT SELECTORS
+    // ========================================================================
+    
+    /**
+     * Validate a schedule's account selector
+     * 
+     * @param array|null $selector Raw filters (pattern, owner, plan, suspended, disk_min_mb, disk_max_mb)
+     * @return array|null Cleaned filters, or null when none is set
+     */
+    public static function normaliseAccountSelector($selector) {
+        if (!is_array($selector)) {
+            return null;
+        }
+        
+        $diskBound = function($value) {
+            return ($value === null || $value === '') ? null : max(0, (int)$value);
+        };
+        $state = $selector['suspended'] ?? 'any';
+        $normalised = [
+            'pattern' => strtolower(trim((string)($selector['pattern'] ?? ''))),
+            'owner' => trim((string)($selector['owner'] ?? '')),
+            'plan' => trim((string)($selector['plan'] ?? '')),
+            'suspended' => in_array($state, self::SELECTOR_STATES, true) ? $state : 'any',
+            'disk_min_mb' => $diskBound($selector['disk_min_mb'] ?? null),
+            'disk_max_mb' => $diskBound($selector['disk_max_mb'] ?? null)
+        ];
+        
+        $isEmpty = $normalised['pattern'] === '' && $normalised['owner'] === '' && $normalised['plan'] === ''
+            && $normalised['suspended'] === 'any' && $normalised['disk_min_mb'] === null && $normalised['disk_max_mb'] === null;
+        return $isEmpty ? null : $normalised;
+    }
+    
+    /**
+     * Describe an account selector for logs and the schedules table
+     * 
+     * @param array $selector Normalised selector
+     * @return string e.g. "owner reseller1, package Gold, active only, over 500 MB"
+     */
+    public static function describeAccountSelector($selector) {
+        $parts = [];
+        if ($selector['owner'] !== '') {
+            $parts[] = 'owner ' . $selector['owner'];
+        }
+        if ($selector['plan'] !== '') {
+            $parts[] = 'package ' . $selector['plan'];
+        }
+        if ($selector['suspended'] !== 'any') {
+            $parts[] = $selector['suspended'] . ' only';
+        }
+        if ($selector['disk_min_mb'] !== null && $selector['disk_max_mb'] !== null) {
+            $parts[] = $selector['disk_min_mb'] . '-' . $selector['disk_max_mb'] . ' MB';
+        } elseif ($selector['disk_min_mb'] !== null) {
+            $parts[] = 'over ' . $selector['disk_min_mb'] . ' MB';
+        } elseif ($selector['disk_max_mb'] !== null) {
+            $parts[] = 'under ' . $selector['disk_max_mb'] . ' MB';
+        }
+        if ($selector['pattern'] !== '') {
+            $parts[] = 'matching "' . $selector['pattern'] . '"';
+        }
+        return implode(', ', $parts);
+    }
+    
+    /**
+     * Clean up a schedule's exclusion list
+     * 
+     * @param array|string $exclusions Usernames or glob patterns (array, or comma/space/newline separated)
+     * @return array Unique lower-case entries; anything that can't be a username or pattern is dropped
+     */
+    public static function normaliseExclusions($exclusions) {
+        if (!is_array($exclusions)) {
+            $exclusions = preg_split('/[\s,]+/', (string)$exclusions);
+        }
+        
+        $clean = [];
+        foreach ($exclusions as $entry) {
+            $entry = strtolower(trim((string)$entry));
+            if ($entry !== '' && preg_match('/^[a-z0-9_.*?\[\]-]+$/', $entry)) {
+                $clean[] = $entry;
+            }
+        }
+        return array_values(array_unique($clean));
+    }
+    
+    /**
+     * Check an account against an exclusion list
+     * 
+     * @param string $account Account username
+     * @param array $exclusions Normalised exclusions (see normaliseExclusions)
+     * @return bool True if a username or pattern matches
+     */
+    public static function isAccountExcluded($account, $exclusions) {
+        foreach ($exclusions as $exclusion) {
+            if ($exclusion === $account || fnmatch($exclusion, $account)) {
+                return true;
+            }
+        }
+        return false;
+    }
+    
+    // ========================================================================
+    // DESTINATIONS
+    // ========================================================================
+    
+    /**
+     * Clean up a list of destination IDs
+     * 
+     * @param array|string $destinations One destination ID, or several in order
+     * @return array Unique non-empty IDs, primary first
+     */
+    public static function normaliseDestinations($destinations) {
+        $clean = [];
+        foreach ((array)$destinations as $destinationID) {
+            $destinationID = trim((string)$destinationID);
+            if ($destinationID !== '' && !in_array($destinationID, $clean, true)) {
+                $clean[] = $destinationID;
+            }
+        }
+        return $clean;
+    }
+    
+    /**
+     * Get every destination a job or schedule copies its archives to
+     * 
+     * Records created before multi-destination support only have 'destination'.
+     * 
+     * @param array $job Job or schedule record
+     * @return array Destination IDs, primary first
+     */
+    public static function getJobDestinations($job) {
+        if (!empty($job['destinations']) && is_array($job['destinations'])) {
+            return self::normaliseDestinations($job['destinations']);
+        }
+        return [$job['destination'] ?? 'local'];
+    }
+    
+    /**
+     * Validate destination IDs against WHM's configured destinations
+     * 
+     * @param array|string $destinations One destination ID, or several
+     * @param bool $requireEnabled Whether a disabled destination is an error
+     * @return array success, message and disabled (on failure); destinations and name (names joined) on success
+     */
+    private function resolveDestinations($destinations, $requireEnabled) {
+        $destinationIDs = self::normaliseDestinations($destinations);
+        if (empty($destinationIDs)) {
+            return ['success' => false, 'message' => 'Invalid destination', 'disabled' => false];
+        }
+        if (count($destinationIDs) > self::MAX_DESTINATIONS) {
+            return ['success' => false, 'message' => 'Too many destinations (maximum ' . self::MAX_DESTINATIONS . ')', 'disabled' => false];
+        }
+        
+        $parser = new BackBorkDestinationsParser();
+        $names = [];
+        foreach ($destinationIDs as $destinationID) {
+            $dest = $parser->getDestinationByID($destinationID);
+            if (!$dest) {
+                return ['success' => false, 'message' => 'Invalid destination: ' . $destinationID, 'disabled' => false];
+            }
+            if ($requireEnabled && empty($dest['enabled'])) {
+                return ['success' => false, 'message' => 'Destination is disabled in WHM: ' . ($dest['name'] ?? $destinationID), 'disabled' => true];
+            }
+            $names[] = !empty($dest['name']) ? $dest['name'] : $destinationID;
+        }
+        
+        return ['success' => true, 'destinations' => $destinationIDs, 'name' => implode(', ', $names)];
+    }
+    
+    /**
+     * Check a schedule's fallback destination
+     * 
+     * @param string $fallbackID Fallback destination ID
+     * @param array $destinationIDs The schedule's destinations, primary first
+     * @return array success, and message on failure or name on success
+     */
+    private function checkFallbackDestination($fallbackID, $destinationIDs) {
+        if ($fallbackID === $destinationIDs[0]) {
+            return ['success' => false, 'message' => 'Fallback destination must differ from the primary destination'];
+        }
+        
+        $resolved = $this->resolveDestinations($fallbackID, true);
+        if (!$resolved['success']) {
+            return [
+                'success' => false,
+                'message' => $resolved['disabled'] ? 'Cannot use disabled destination as fallback' : 'Invalid fallback destination: ' . $fallbackID
+            ];
+        }
+        return ['success' => true, 'name' => $resolved['name']];
+    }
+    
+    // ========================================================================
+    // PKGACCT OVERRIDES
+    // ========================================================================
+    
+    /**
+     * Clean up a schedule's backup setting overrides
+     * 
+     * @param array $overrides Setting key => value (see PKGACCT_OVERRIDE_OPTIONS)
+     * @param bool $isRoot Whether the caller is root; otherwise PKGACCT_ROOT_ONLY_OPTIONS are dropped
+     * @return array Known keys only, flags as booleans; values that aren't allowed are dropped
+     */
+    public static function normalisePkgacctOverrides($overrides, $isRoot = true) {
+        if (!is_array($overrides)) {
+            return [];
+        }
+        
+        $clean = [];
+        foreach (self::PKGACCT_OVERRIDE_OPTIONS as $key => $allowed) {
+            if (!array_key_exists($key, $overrides) || $overrides[$key] === null || $overrides[$key] === '') {
+                continue;
+            }
+            if (!$isRoot && in_array($key, self::PKGACCT_ROOT_ONLY_OPTIONS, true)) {
+                continue;
+            }
+            if ($allowed === null) {
+                $clean[$key] = filter_var($overrides[$key], FILTER_VALIDATE_BOOLEAN);
+            } elseif (in_array($overrides[$key], $allowed, true)) {
+                $clean[$key] = $overrides[$key];
+            }
+        }
+        return $clean;
+    }
+    
+    /**
+     * Describe backup setting overrides for logs and the schedules table
+     * 
+     * @param array $overrides Normalised overrides (see normalisePkgacctOverrides)
+     * @return string e.g. "skip_homedir: on, compression_option: nocompress"
+     */
+    public static function describePkgacctOverrides($overrides) {
+        $parts = [];
+        foreach ($overrides as $key => $value) {
+            $parts[] = $key . ': ' . (is_bool($value) ? ($value ? 'on' : 'off') : $value);
+        }
+        return implode(', ', $parts);
+    }
+    
+    // ========================================================================
+    // RETENTION
+    // ========================================================================
+    
+    /**
+     * Validate a schedule's GFS retention tiers
+     * 
+     * @param array|null $policy Raw tiers (daily, weekly, monthly, yearly)
+     * @return array|null Tiers clamped to 0-365, or null when every tier is 0
+     *                    (the schedule then uses its plain retention count)
+     */
+    public static function normaliseGfsPolicy($policy) {
+        $policy = is_array($policy) ? $policy : [];
+        $tiers = [];
+        foreach (self::GFS_TIERS as $tier) {
+            $tiers[$tier] = max(0, min(self::GFS_MAX_KEEP, (int)($policy[$tier] ?? 0)));
+        }
+        return array_sum($tiers) > 0 ? $tiers : null;
+    }
+    
+    /**
+     * Describe a schedule's retention for logs and the schedules table
+     * 
+     * @param array $schedule Schedule record (retention, retention_gfs)
+     * @return string e.g. "Last 30", "Unlimited" or "7 daily, 4 weekly, 12 monthly"
+     */
+    public static function describeRetention($schedule) {
+        $gfs = self::normaliseGfsPolicy($schedule['retention_gfs'] ?? null);
+        if ($gfs !== null) {
+            $parts = [];
+            foreach ($gfs as $tier => $keep) {
+                if ($keep > 0) {
+                    $parts[] = $keep . ' ' . $tier;
+                }
+            }
+            return implode(', ', $parts);
+        }
+        
+        $retention = (int)($schedule['retention'] ?? 30);
+        return $retention > 0 ? 'Last ' . $retention : 'Unlimited';
+    }
+    
+    /**
+     * Resolve the accounts a schedule covers
+     * 
+     * "All accounts" expands to the owner's accounts, and an account selector
+     * to those of them matching its filters, so both pick up accounts added
+     * (or moved, suspended, grown) since the schedule was saved. Either way,
+     * accounts on the schedule's exclusion list are then dropped.
+     * 
+     * @param array $schedule Schedule record
+     * @return array Account usernames
+     */
+    public static function resolveScheduleAccounts($schedule) {
+        $accounts = $schedule['accounts'] ?? [];
+        $selector = self::normaliseAccountSelector($schedule['account_selector'] ?? null);
+        
+        if ($selector !== null || !empty($schedule['all_accounts']) || (is_array($accounts) && in_array('*', $accounts))) {
+            $user = $schedule['user'] ?? 'root';
+            $accountsEngine = new BackBorkWhmApiAccounts();
+            $accessibleAccounts = $accountsEngine->getAccessibleAccounts($user, $user === 'root');
+            if ($selector !== null) {
+                $accessibleAccounts = $accountsEngine->filterAccounts($accessibleAccounts, $selector);
+            }
+            $exclusions = $schedule['exclude_accounts'] ?? [];
+            $accounts = array_values(array_filter(array_column($accessibleAccounts, 'user'), function($account) use ($exclusions) {
+                return !self::isAccountExcluded($account, $exclusions);
+            }));
+        }
+        
+        return is_array($accounts) ? $accounts : [];
+    }
+    
+    /**
+     * List the archives a retention policy would prune from a schedule's destination
+     * 
+     * Works from the schedule's manifest, the same record the hourly pruning
+     * uses, so nothing is changed and the destination isn't contacted.
+     * 
+     * @param string $jobID Schedule ID
+     * @param int $retention Proposed retention count (0 = unlimited)
+     * @param array|null $gfs Proposed GFS tiers (null = use the count)
+     * @param string $user Current authenticated user
+     * @param bool $isRoot Whether user has root privileges
+     * @return array Result with 'delete' (account, file, timestamp, size), 'keep' count and 'retention' description
+     */
+    public function previewPrune($jobID, $retention, $gfs, $user, $isRoot) {
+        $scheduleFile = self::SCHEDULES_DIR . '/' . basename($jobID) . '.json';
+        if (!file_exists($scheduleFile)) {
+            return ['success' => false, 'message' => 'Schedule not found'];
+        }
+        
+        $schedule = json_decode(file_get_contents($scheduleFile), true);
+        if (!$schedule) {
+            return ['success' => false, 'message' => 'Failed to read schedule'];
+        }
+        
+        // Security: Non-root can only preview their own schedules
+        if (!$isRoot && $schedule['user'] !== $user) {
+            return ['success' => false, 'message' => 'Access denied'];
+        }
+        
+        $proposed = [
+            'retention' => (int)$retention,
+            'retention_gfs' => self::normaliseGfsPolicy($gfs)
+        ];
+        $result = [
+            'success' => true,
+            'retention' => self::describeRetention($proposed),
+            'delete' => [],
+            'keep' => 0
+        ];
+        
+        $manifest = new BackBorkManifest();
+        if (!$manifest->hasManifest($jobID)) {
+            return $result;
+        }
+        
+        foreach (self::resolveScheduleAccounts($schedule) as $account) {
+            $entries = $manifest->getEntriesForAccount($jobID, $account);
+            $expired = $proposed['retention_gfs'] !== null
+                ? $manifest->getGfsExpiredEntries($jobID, $account, $proposed['retention_gfs'])
+                : $manifest->getExpiredEntries($jobID, $account, $proposed['retention']);
+            
+            foreach ($expired as $entry) {
+                $result['delete'][] = [
+                    'account' => $account,
+                    'file' => $entry['file'] ?? '',
+                    'timestamp' => $entry['timestamp'] ?? '',
+                    'size' => $entry['size'] ?? 0
+                ];
+            }
+            $result['keep'] += count($entries) - count($expired);
+        }
+        
+        return $result;
+    }
+    
+    // ========================================================================
+    // SCHEDULE RUNS
+    // ========================================================================
+    
+    /**
+     * Queue one run of a schedule as a one-time backup job
+     * 
+     * Used by the cron pass when a schedule is due and by "Run now".
+     * 
+     * @param string $scheduleID Schedule ID
+     * @param array $schedule Schedule record
+     * @param string|null $triggeredBy User running it on demand (null = on schedule)
+     * @return array Result from addToQueue (job_id on success)
+     */
+    public function queueScheduleRun($scheduleID, $schedule, $triggeredBy = null) {
+        $accounts = self::resolveScheduleAccounts($schedule);
+        if (empty($accounts)) {
+            return ['success' => false, 'message' => 'Schedule has no accounts to back up'];
+        }
+        
+        $options = [
+            'schedule_id' => $scheduleID,
+            'retention' => (int)($schedule['retention'] ?? 30)
+        ];
+        if (!empty($schedule['retry'])) {
+            $options['retry'] = $schedule['retry'];
+        }
+        if (!empty($schedule['pkgacct_overrides'])) {
+            $options['pkgacct_overrides'] = $schedule['pkgacct_overrides'];
+        }
+        if (!empty($schedule['profile_id'])) {
+            $options['profile_id'] = $schedule['profile_id'];
+        }
+        if (!empty($schedule['fallback_destination'])) {
+            $options['fallback_destination'] = $schedule['fallback_destination'];
+        }
+        if ($triggeredBy !== null) {
+            $options['triggered_by'] = $triggeredBy;
+        }
+        
+        return $this->addToQueue($accounts, self::getJobDestinations($schedule), 'once', $schedule['user'] ?? 'root', $options);
+    }
+    
+    /**
+     * Queue a schedule's backup straight away ("Run now" in the Schedules table)
+     * 
+     * The schedule's next_run is left alone, so the regular run still happens.
+     * 
+     * @param string $jobID Schedule ID
+     * @param string $user Current authenticated user
+     * @param bool $isRoot Whether user has root privileges
+     * @return array Result with success status, message and the queued job_id
+     */
+    public function runScheduleNow($jobID, $user, $isRoot) {
+        $scheduleFile = self::SCHEDULES_DIR . '/' . basename($jobID) . '.json';
+        if (!file_exists($scheduleFile)) {
+            return ['success' => false, 'message' => 'Schedule not found'];
+        }
+        
+        $schedule = json_decode(file_get_contents($scheduleFile), true);
+        if (!$schedule) {
+            return ['success' => false, 'message' => 'Failed to read schedule'];
+        }
+        
+        // Security: Non-root can only run their own schedules
+        if (!$isRoot && $schedule['user'] !== $user) {
+            return ['success' => false, 'message' => 'Access denied'];
+        }
+        
+        $result = $this->queueScheduleRun($jobID, $schedule, $user);
+        if (empty($result['success'])) {
+            return $result;
+        }
+        
+        $schedule['last_run'] = date('Y-m-d H:i:s');
+        $schedule['last_status'] = 'queued';
+        file_put_contents($scheduleFile, json_encode($schedule, JSON_PRETTY_PRINT));
+        
+        if (class_exists('BackBorkLog')) {
+            $requestor = isset($_SERVER['HTTP_X_FORWARDED_FOR']) 
+                ? explode(',', $_SERVER['HTTP_X_FORWARDED_FOR'])[0] 
+                : (isset($_SERVER['REMOTE_ADDR']) 
+                    ? $_SERVER['REMOTE_ADDR'] 
+                    : (BackBorkBootstrap::isCLI() ? 'cron' : 'local'));
+            BackBorkLog::logEvent($user, 'schedule_run', [$jobID], true, 'Schedule run now, queued as ' . $result['job_id'], $requestor);
+        }
+        
+        return [
+            'success' => true,
+            'message' => 'Schedule queued to run now',
+            'job_id' => $result['job_id']
+        ];
+    }
+    
+    /**
+     * Add a finished backup to its schedule's run history
+     * 
+     * Keeps the newest HISTORY_RUNS runs with status, duration, archive size
+     * and the log ID for the verbose log. Paused jobs are recorded when they
+     * finish; each retry attempt is recorded as its own run.
+     * 
+     * @param array $job Job record as it ran (schedule_id, started_at, triggered_by)
+     * @param array $result Result from the backup (results, backup_id, retry_job_id)
+     */
+    public function recordScheduleRun($job, $result) {
+        if (($job['type'] ?? 'backup') !== 'backup' || empty($job['schedule_id']) || !empty($result['paused'])) {
+            return;
+        }
+        
+        // The schedule may have been deleted while its run was queued
+        $scheduleFile = self::SCHEDULES_DIR . '/' . basename($job['schedule_id']) . '.json';
+        if (!file_exists($scheduleFile)) {
+            return;
+        }
+        $schedule = json_decode(file_get_contents($scheduleFile), true);
+        if (!$schedule) {
+            return;
+        }
+        
+        if (!empty($result['cancelled'])) {
+            $status = 'cancelled';
+        } else {
+            $status = !empty($result['success']) ? 'completed' : 'failed';
+        }
+        
+        // Archive size of the accounts that made it, and how many didn't
+        $size = 0;
+        $failedAccounts = 0;
+        foreach ($result['results'] ?? [] as $accountResult) {
+            if (!empty($accountResult['success'])) {
+                $size += (int)($accountResult['size'] ?? 0);
+            } else {
+                $failedAccounts++;
+            }
+        }
+        
+        $finishedAt = time();
+        $startedAt = !empty($job['started_at']) ? strtotime($job['started_at']) : $finishedAt;
+        $run = [
+            'job_id' => $job['id'],
+            'log_id' => $result['backup_id'] ?? ($job['log_id'] ?? null),
+            'status' => $status,
+            'started_at' => date('Y-m-d H:i:s', $startedAt),
+            'finished_at' => date('Y-m-d H:i:s', $finishedAt),
+            'duration' => max(0, $finishedAt - $startedAt),
+            'size' => $size,
+            'accounts' => count($result['results'] ?? []),
+            'failed_accounts' => $failedAccounts,
+            'message' => $result['message'] ?? '',
+            'triggered_by' => $job['triggered_by'] ?? null,
+            'retry_attempt' => (int)($job['retry_attempt'] ?? 0),
+            'retry_job_id' => $result['retry_job_id'] ?? null
+        ];
+        
+        $schedule['history'] = array_slice(array_merge([$run], $schedule['history'] ?? []), 0, self::HISTORY_RUNS);
+        $schedule['last_status'] = $status;
+        file_put_contents($scheduleFile, json_encode($schedule, JSON_PRETTY_PRINT));
+    }
+    
+    // ========================================================================
+    // SCHEDULE PAUSE
+    // ========================================================================
+    
+    /**
+     * Pause or resume schedules without deleting them
+     * 
+     * A paused schedule has enabled = false, so the cron pass skips it; its
+     * settings and run history are kept. Resuming works out a fresh next_run,
+     * so runs missed while paused are not all queued at once.
+     * 
+     * Each schedule is handled on its own: one that is missing, unreadable or
+     * not the user's is reported in 'failed' and the rest still change.
+     * 
+     * @param array $scheduleIDs Schedule IDs to change
+     * @param bool $enabled True to resume, false to pause
+     * @param string $user Current authenticated user
+     * @param bool $isRoot Whether user has root privileges
+     * @return array Result with success status, message, 'schedules' (IDs that changed)
+     *               and 'failed' (list of ['job_id', 'reason'])
+     */
+    public function setSchedulesEnabled($scheduleIDs, $enabled, $user, $isRoot) {
+        $changed = [];
+        $failed = [];
+        
+        foreach ($scheduleIDs as $scheduleID) {
+            $scheduleFile = self::SCHEDULES_DIR . '/' . basename($scheduleID) . '.json';
+            if (!file_exists($scheduleFile)) {
+                $failed[] = ['job_id' => $scheduleID, 'reason' => 'Schedule not found'];
+                continue;
+            }
+            
+            $schedule = json_decode(file_get_contents($scheduleFile), true);
+            if (!$schedule) {
+                $failed[] = ['job_id' => $scheduleID, 'reason' => 'Failed to read schedule'];
+                continue;
+            }
+            
+            // Security: Non-root can only pause/resume their own schedules
+            if (!$isRoot && $schedule['user'] !== $user) {
+                $failed[] = ['job_id' => $scheduleID, 'reason' => 'Access denied'];
+                continue;
+            }
+            
+            // Already in the requested state
+            $isEnabled = !isset($schedule['enabled']) || $schedule['enabled'] !== false;
+            if ($isEnabled === $enabled) {
+                continue;
+            }
+            
+            if ($enabled) {
+                $schedule['enabled'] = true;
+                unset($schedule['paused_at'], $schedule['paused_by']);
+                $schedule['next_run'] = $this->calculateNextRun(
+                    $schedule['schedule'] ?? 'daily',
+                    $schedule['preferred_time'] ?? 2,
+                    $schedule['day_of_week'] ?? 0,
+                    $schedule['cron'] ?? null
+                );
+            } else {
+                $schedule['enabled'] = false;
+                $schedule['paused_at'] = date('Y-m-d H:i:s');
+                $schedule['paused_by'] = $user;
+            }
+            
+            file_put_contents($scheduleFile, json_encode($schedule, JSON_PRETTY_PRINT));
+            $changed[] = $scheduleID;
+        }
+        
+        $verb = $enabled ? 'resumed' : 'paused';
+        if (count($scheduleIDs) === 1 && !empty($failed)) {
+            $message = $failed[0]['reason'];
+        } elseif (!empty($changed)) {
+            $message = count($changed) . ' schedule(s) ' . $verb . (!empty($failed) ? ', ' . count($failed) . ' failed' : '');
+        } elseif (!empty($failed)) {
+            $message = count($failed) . ' schedule(s) could not be ' . $verb;
+        } else {
+            $message = 'No schedules needed to be ' . $verb;
+        }
+        
+        return [
+            'success' => !empty($changed) || empty($failed),
+            'message' => $message,
+            'schedules' => $changed,
+            'failed' => $failed
+        ];
+    }
+    
+    /**
+     * List the IDs of every schedule owned by a user (pause/resume all for a reseller)
+     * 
+     * @param string $owner Schedule owner username
+     * @return array Schedule IDs
+     */
+    public function getScheduleIDsForOwner($owner) {
+        $ids = [];
+        foreach (glob(self::SCHEDULES_DIR . '/*.json') as $file) {
+            $schedule = json_decode(file_get_contents($file), true);
+            if ($schedule && ($schedule['user'] ?? '') === $owner) {
+                $ids[] = basename($file, '.json');
+            }
+        }
+        return $ids;
+    }
+    
+    // ========================================================================
+    // JOB STATUS
+    // ========================================================================
+    
+    /**
+     * Get currently running jobs
+     * 
+     * @param string $user Current authenticated user
+     * @param bool $isRoot Whether user has root privileges
+     * @return array Associative array with 'running' key containing job list
+     */
+    public function getRunningJobs($user, $isRoot) {
+        $running = [];
+        
+        // Read all running job files
+        $files = glob(self::RUNNING_DIR . '/*.json');
+        foreach ($files as $file) {
+            $job = json_decode(file_get_contents($file), true);
+            // Filter by user permissions
+            if ($job && ($isRoot || $job['user'] === $user)) {
+                $running[] = $job;
+            }
+        }
+        
+        return ['running' => $running];
+    }
+    
+    /**
+     * Retrieve a job by ID from any storage location
+     * 
+     * Searches queue, running, schedules, and completed directories.
+     * 
+     * @param string $jobID Unique job identifier
+     * @return array|null Job data or null if not found
+     */
+    public function getJob($jobID) {
+        // Search all possible locations
+        $locations = [
+            self::QUEUE_DIR,      // Pending jobs
+            self::RUNNING_DIR,    // In-progress jobs
+            self::SCHEDULES_DIR,  // Recurring schedules
+            self::COMPLETED_DIR   // Historical records
+        ];
+        
+        foreach ($locations as $dir) {
+            $file = $dir . '/' . $jobID . '.json';
+            if (file_exists($file)) {
+                return json_decode(file_get_contents($file), true);
+            }
+        }
+        
+        return null;  // Not found
+    }
+    
+    // ========================================================================
+    // JOB UPDATES
+    // ========================================================================
+    
+    /**
+     * Update a job's data by merging new values
+     * 
+     * @param string $jobID Unique job identifier
+     * @param array $data Key-value pairs to merge into job data
+     * @param string|null $location Directory to search (auto-detects if null)
+     * @return bool Success status
+     */
+    public function updateJob($jobID, $data, $location = null) {
+        // Auto-detect location if not specified
+        if (!$location) {
+            $locations = [self::QUEUE_DIR, self::RUNNING_DIR, self::SCHEDULES_DIR];
+            foreach ($locations as $dir) {
+                if (file_exists($dir . '/' . $jobID . '.json')) {
+                    $location = $dir;
+                    break;
+                }
+            }
+        }
+        
+        // Job not found
+        if (!$location) {
+            return false;
+        }
+        
+        $file = $location . '/' . $jobID . '.json';
+        if (!file_exists($file)) {
+            return false;
+        }
+        
+        // Load, merge, and save job data
+        $job = json_decode(file_get_contents($file), true);
+        $job = array_merge($job, $data);
+        
+        return file_put_contents($file, json_encode($job, JSON_PRETTY_PRINT)) !== false;
+    }
+    
+    /**
+     * Move a job between directories (e.g., queue→running→completed)
+     * 
+     * Used during job lifecycle transitions:
+     * - queue → running (when job starts)
+     * - running → completed (when job finishes)
+     * 
+     * @param string $jobID Unique job identifier
+     * @param string $from Source directory path
+     * @param string $to Destination directory path
+     * @param array $additionalData Extra data to add during move
+     * @return bool Success status
+     */
+    public function moveJob($jobID, $from, $to, $additionalData = []) {
+        $sourceFile = $from . '/' . $jobID . '.json';
+        if (!file_exists($sourceFile)) {
+            return false;
+        }
+        
+        // Load job and merge additional data
+        $job = json_decode(file_get_contents($sourceFile), true);
+        $job = array_merge($job, $additionalData);
+        
+        // Write to destination
+        $destFile = $to . '/' . $jobID . '.json';
+        if (file_put_contents($destFile, json_encode($job, JSON_PRETTY_PRINT)) === false) {
+            return false;
+        }
+        chmod($destFile, 0600);  // Secure permissions
+        
+        // Remove from source
+        unlink($sourceFile);
+        return true;
+    }
+    
+    // ========================================================================
+    // UTILITY METHODS
+    // ========================================================================
+    
+    /**
+     * Generate a unique job identifier
+     * 
+     * Format: bb_YYYYMMDD_HHMMSS_XXXXXXXX
+     * - Prefix: 'bb_' (BackBork)
+     * - Timestamp: Date and time for easy sorting
      * - Random: 8 character hex for uniqueness
      * 
      * @return string Unique job ID
@@ -801,6 +2128,14 @@ class BackBorkQueue {
         return self::CANCEL_DIR;
     }
     
+    /**
+     * Get queue worker hand-off directory path
+     * @return string Directory path
+     */
+    public static function getWorkersDir() {
+        return self::WORKERS_DIR;
+    }
+    
     // ========================================================================
     // JOB CANCELLATION
     // ========================================================================
@@ -895,6 +2230,207 @@ class BackBorkQueue {
         }
     }
     
+    // ========================================================================
+    // JOB PAUSE / RESUME
+    // ========================================================================
+    
+    /**
+     * Pause a queued or running job
+     * Queued jobs are held in the queue; running backups get a pause marker the
+     * worker checks after each account, then go back to the queue holding only
+     * the accounts that have not been processed yet
+     *
+     * @param string $jobID Job ID to pause
+     * @param string $user User requesting the pause (for permission check)
+     * @param bool $isRoot Whether user has root privileges
+     * @return array Result with success status and message
+     */
+    public function requestPause($jobID, $user, $isRoot) {
+        // Queued job: hold it in place until resumed
+        $queueFile = self::QUEUE_DIR . '/' . $jobID . '.json';
+        if (file_exists($queueFile)) {
+            $job = json_decode(file_get_contents($queueFile), true);
+            
+            // Permission check
+            if (!$isRoot && isset($job['user']) && $job['user'] !== $user) {
+                return ['success' => false, 'message' => 'Permission denied'];
+            }
+            
+            if (($job['status'] ?? '') === 'paused') {
+                return ['success' => false, 'message' => 'Job is already paused'];
+            }
+            
+            $this->updateJob($jobID, [
+                'status' => 'paused',
+                'paused_by' => $user,
+                'paused_at' => date('Y-m-d H:i:s')
+            ], self::QUEUE_DIR);
+            
+            return ['success' => true, 'message' => 'Queued job paused'];
+        }
+        
+        $runningFile = self::RUNNING_DIR . '/' . $jobID . '.json';
+        if (!file_exists($runningFile)) {
+            return ['success' => false, 'message' => 'Job not found or already completed'];
+        }
+        
+        // Job is running - check permissions
+        $job = json_decode(file_get_contents($runningFile), true);
+        if (!$isRoot && isset($job['user']) && $job['user'] !== $user) {
+            return ['success' => false, 'message' => 'Permission denied'];
+        }
+        
+        // Restores are a single account, so there is no point to stop at
+        if (($job['type'] ?? 'backup') !== 'backup') {
+            return ['success' => false, 'message' => 'Only backup jobs can be paused while running'];
+        }
+        
+        // Ensure pause directory exists
+        if (!is_dir(self::PAUSE_DIR)) {
+            mkdir(self::PAUSE_DIR, 0700, true);
+        }
+        
+        // Write pause request with timestamp and user
+        $pauseFile = self::PAUSE_DIR . '/' . $jobID . '.pause';
+        $pauseData = [
+            'job_id' => $jobID,
+            'requested_by' => $user,
+            'requested_at' => date('Y-m-d H:i:s')
+        ];
+        
+        file_put_contents($pauseFile, json_encode($pauseData, JSON_PRETTY_PRINT));
+        chmod($pauseFile, 0600);
+        
+        return ['success' => true, 'message' => 'Pause requested - job will stop after current account'];
+    }
+    
+    /**
+     * Resume a paused job
+     * Paused queued jobs return to 'queued' (keeping their original queue position);
+     * a running job with a pending pause request simply has the request withdrawn
+     *
+     * @param string $jobID Job ID to resume
+     * @param string $user User requesting the resume (for permission check)
+     * @param bool $isRoot Whether user has root privileges
+     * @return array Result with success status and message
+     */
+    public function resumeJob($jobID, $user, $isRoot) {
+        $queueFile = self::QUEUE_DIR . '/' . $jobID . '.json';
+        if (file_exists($queueFile)) {
+            $job = json_decode(file_get_contents($queueFile), true);
+            
+            // Permission check
+            if (!$isRoot && isset($job['user']) && $job['user'] !== $user) {
+                return ['success' => false, 'message' => 'Permission denied'];
+            }
+            
+            if (($job['status'] ?? '') !== 'paused') {
+                return ['success' => false, 'message' => 'Job is not paused'];
+            }
+            
+            $this->updateJob($jobID, [
+                'status' => 'queued',
+                'resumed_at' => date('Y-m-d H:i:s')
+            ], self::QUEUE_DIR);
+            
+            return ['success' => true, 'message' => 'Job resumed - it will run on the next queue pass'];
+        }
+        
+        $runningFile = self::RUNNING_DIR . '/' . $jobID . '.json';
+        if (file_exists($runningFile) && self::isPauseRequested($jobID)) {
+            $job = json_decode(file_get_contents($runningFile), true);
+            if (!$isRoot && isset($job['user']) && $job['user'] !== $user) {
+                return ['success' => false, 'message' => 'Permission denied'];
+            }
+            
+            self::clearPauseRequest($jobID);
+            return ['success' => true, 'message' => 'Pause request withdrawn'];
+        }
+        
+        return ['success' => false, 'message' => 'Job not found or not paused'];
+    }
+    
+    /**
+     * Check if a running job has a pending pause request
+     * Called by BackupManager after each account backup
+     *
+     * @param string $jobID Job ID to check
+     * @return bool True if a pause was requested
+     */
+    public static function isPauseRequested($jobID) {
+        return file_exists(self::PAUSE_DIR . '/' . $jobID . '.pause');
+    }
+    
+    /**
+     * Clear pause marker once the worker has honoured it (or it was withdrawn)
+     *
+     * @param string $jobID Job ID to clear
+     */
+    public static function clearPauseRequest($jobID) {
+        $pauseFile = self::PAUSE_DIR . '/' . $jobID . '.pause';
+        if (file_exists($pauseFile)) {
+            unlink($pauseFile);
+        }
+    }
+    
+    // ========================================================================
+    // QUEUE PROCESSOR PAUSE
+    // ========================================================================
+    
+    /**
+     * Check if the queue processor is paused
+     * While paused, process_queue and the cron handler dispatch no jobs
+     *
+     * @return bool True if paused
+     */
+    public static function isQueuePaused() {
+        return file_exists(self::QUEUE_PAUSE_FILE);
+    }
+    
+    /**
+     * Get details of the queue processor pause
+     *
+     * @return array|null ['paused_by', 'paused_at'] or null when not paused
+     */
+    public static function getQueuePauseInfo() {
+        if (!file_exists(self::QUEUE_PAUSE_FILE)) {
+            return null;
+        }
+        $info = json_decode(file_get_contents(self::QUEUE_PAUSE_FILE), true);
+        return is_array($info) ? $info : ['paused_by' => 'unknown', 'paused_at' => null];
+    }
+    
+    /**
+     * Pause or resume the queue processor (root only - enforced by router)
+     * Jobs already running finish normally; nothing new is dispatched while paused
+     *
+     * @param bool $paused True to pause, false to resume
+     * @param string $user User making the change
+     * @return array Result with success status and message
+     */
+    public function setQueuePaused($paused, $user) {
+        if (!$paused) {
+            if (!self::isQueuePaused()) {
+                return ['success' => false, 'message' => 'Queue is not paused'];
+            }
+            unlink(self::QUEUE_PAUSE_FILE);
+            return ['success' => true, 'message' => 'Queue processing resumed'];
+        }
+        
+        if (self::isQueuePaused()) {
+            return ['success' => false, 'message' => 'Queue is already paused'];
+        }
+        
+        $pauseData = [
+            'paused_by' => $user,
+            'paused_at' => date('Y-m-d H:i:s')
+        ];
+        file_put_contents(self::QUEUE_PAUSE_FILE, json_encode($pauseData, JSON_PRETTY_PRINT));
+        chmod(self::QUEUE_PAUSE_FILE, 0600);
+        
+        return ['success' => true, 'message' => 'Queue processing paused - running jobs will finish, nothing new will start'];
+    }
+    
     /**
      * Kill all jobs in queue and cancel all running jobs
      * Root-only emergency function for clearing stuck queues
@@ -935,6 +2471,9 @@ class BackBorkQueue {
             file_put_contents($cancelFile, json_encode($cancelData, JSON_PRETTY_PRINT));
             chmod($cancelFile, 0600);
             
+            // Cancel wins over any pending pause
+            self::clearPauseRequest($jobID);
+            
             // Remove the running job file
             unlink($file);
             $runningCancelled++;
@@ -32,22 +32,38 @@
     // =========================================================================
     let accounts = [];              // List of cPanel accounts accessible to user
     let destinations = [];          // Available backup destinations from WHM
+    let profiles = [];              // Backup profiles the user can pick (own + shared by root)
     let currentConfig = {};         // User's saved configuration settings
     let currentLogPage = 1;         // Current page number for log pagination
     let isRootUser = false;         // Whether current user is root (full access)
     let schedulesLocked = false;    // Whether schedules are locked by admin
     let deletionsLocked = false;    // Whether reseller deletions are locked by admin
     let currentScheduleViewUser = 'all';  // Filter for schedule view (root only)
+    let queuePaused = false;        // Whether root has paused the queue processor
 
     // =========================================================================
     // JOB TRACKING STATE
     // Variables for monitoring running jobs and handling cancellation requests
     // =========================================================================
-    let hasRunningJobs = false;         // Flag for faster refresh when jobs running
-    let fastRefreshInterval = null;     // Interval handle for fast polling mode
-
     // Track jobs with pending cancellation requests (prevents duplicate cancel calls)
     const cancellingJobs = new Set();
+    // Running jobs whose per-account breakdown is expanded (survives queue re-renders)
+    const expandedJobs = new Set();
+    // Schedules whose run history is expanded (survives schedules table re-renders)
+    const expandedSchedules = new Set();
+    // Queued job being dragged to a new position; queue re-renders wait until it's dropped
+    let draggingQueueJob = null;
+    let pendingQueueRender = null;
+
+    // =========================================================================
+    // LIVE UPDATE STATE
+    // Push stream (SSE, long-poll fallback) replacing interval polling
+    // =========================================================================
+    let eventSource = null;             // Active EventSource (null when long-polling or paused)
+    let eventCursor = '';               // Resume cursor from the last event received
+    let eventStreamGeneration = 0;      // Bumped on reconnect to retire stale long-poll loops
+    let eventStreamUseSSE = !!window.EventSource;  // Cleared if SSE can't be established
+    const logSubscribers = {};          // jobID -> { offset, onLog } for live log tailing
 
     // =========================================================================
     // INITIALIZATION
@@ -59,16 +75,23 @@
         loadDestinations();
         loadAccounts();
         loadConfig();
+        loadProfiles();
         loadQueue();
         loadLogs();
         initEventListeners();
         checkForUpdates();
         
-        // Set up status polling (every 15 seconds in normal mode)
-        setInterval(refreshStatus, 15000);
+        // Subscribe to live queue/job updates (replaces status polling)
+        connectEventStream();
         
-        // Initial status monitor update
-        refreshStatus();
+        // Drop the connection while the tab is hidden; resume from cursor on return
+        document.addEventListener('visibilitychange', function() {
+            if (document.hidden) {
+                disconnectEventStream();
+            } else {
+                connectEventStream();
+            }
+        });
     });
     
     // =========================================================================
@@ -160,7 +183,7 @@
                 if (this.dataset.tab === 'queue') loadQueue();
                 if (this.dataset.tab === 'logs') loadLogs();
                 if (this.dataset.tab === 'schedule') loadSchedules();
-                if (this.dataset.tab === 'settings') { checkCronStatus(); loadDestinationVisibility(); loadDisabledDestinations(); }
+                if (this.dataset.tab === 'settings') { checkCronStatus(); loadDestinationVisibility(); loadDisabledDestinations(); loadDestinationHealth(); }
             });
         });
     }
@@ -170,6 +193,20 @@
     // Central helper for all AJAX requests to PHP backend via index.php
     // Handles JSON parsing, error handling, and request routing
     // =========================================================================
+    // Compute base path for the API - route through index.php (registered with AppConfig)
+    function getApiBase() {
+        let base = window.location.pathname;
+        // Remove index.php and any querystring part
+        if (base.indexOf('/index.php') !== -1) {
+            base = base.substring(0, base.lastIndexOf('/')) + '/';
+        } else if (base.endsWith('/')) {
+            // Keep it as-is
+        } else {
+            base = base.substring(0, base.lastIndexOf('/') + 1);
+        }
+        return base;
+    }
+
     function apiCall(action, data = {}, method = 'POST') {
         // Build URL to explicit API router to avoid routing issues through index.php
         const options = {
@@ -181,20 +218,8 @@
             }
         };
 
-        // Compute base path for the API - route through index.php (registered with AppConfig)
-        const path = window.location.pathname;
-        let base = path;
-        // Remove index.php and any querystring part
-        if (base.indexOf('/index.php') !== -1) {
-            base = base.substring(0, base.lastIndexOf('/')) + '/';
-        } else if (base.endsWith('/')) {
-            // Keep it as-is
-        } else {
-            base = base.substring(0, base.lastIndexOf('/') + 1);
-        }
-
         // Use index.php for API calls - it detects XMLHttpRequest and routes to router.php
-        let url = base + 'index.php?action=' + encodeURIComponent(action);
+        let url = getApiBase() + 'index.php?action=' + encodeURIComponent(action);
 
         if (method === 'POST') {
             options.body = JSON.stringify(data);
@@ -231,6 +256,127 @@
         });
     }
 
+    // =========================================================================
+    // LIVE EVENT STREAM
+    // Subscribes to stream_events for queue changes and job log output.
+    // Uses Server-Sent Events where possible, otherwise long-polls the same action.
+    // The server-issued cursor is replayed on reconnect so no log lines are lost.
+    // =========================================================================
+    function connectEventStream() {
+        disconnectEventStream();
+        const generation = ++eventStreamGeneration;
+        
+        if (!eventStreamUseSSE) {
+            pollEventStream(generation);
+            return;
+        }
+        
+        const params = buildStreamParams();
+        let url = getApiBase() + 'index.php?action=stream_events';
+        if (Object.keys(params).length > 0) {
+            url += '&' + new URLSearchParams(params).toString();
+        }
+        
+        let opened = false;
+        const source = new EventSource(url);
+        eventSource = source;
+        
+        source.addEventListener('open', () => { opened = true; });
+        source.addEventListener('queue', e => handleSSEMessage('queue', e));
+        source.addEventListener('log', e => handleSSEMessage('log', e));
+        
+        // The server closes each connection after its lifetime and EventSource
+        // reconnects by itself (sending Last-Event-ID). Only give up on SSE if it
+        // never opened or the browser stopped retrying (e.g. non-stream response).
+        source.onerror = function() {
+            if (source !== eventSource) return;
+            if (!opened || source.readyState === EventSource.CLOSED) {
+                console.warn('Event stream unavailable, falling back to long-polling');
+                eventStreamUseSSE = false;
+                connectEventStream();
+            }
+        };
+    }
+    
+    // Close any open stream and stop the long-poll loop
+    function disconnectEventStream() {
+        eventStreamGeneration++;
+        if (eventSource) {
+            eventSource.close();
+            eventSource = null;
+        }
+    }
+    
+    // Query parameters describing what this tab is subscribed to
+    function buildStreamParams() {
+        const params = {};
+        const logs = Object.keys(logSubscribers).map(jobID => jobID + ':' + logSubscribers[jobID].offset);
+        if (logs.length > 0) params.logs = logs.join(',');
+        if (eventCursor) params.cursor = eventCursor;
+        return params;
+    }
+    
+    // Long-poll fallback: each request returns as soon as something changes
+    function pollEventStream(generation) {
+        if (generation !== eventStreamGeneration) return;
+        
+        const params = buildStreamParams();
+        params.mode = 'poll';
+        
+        apiCall('stream_events', params, 'GET').then(data => {
+            // Superseded by a reconnect - drop results, the new loop resumes from eventCursor
+            if (generation !== eventStreamGeneration) return;
+            if (data.cursor) eventCursor = data.cursor;
+            (data.events || []).forEach(ev => dispatchStreamEvent(ev.event, ev.data));
+            pollEventStream(generation);
+        }).catch(err => {
+            console.error('Event stream poll failed', err);
+            setTimeout(() => pollEventStream(generation), 5000);
+        });
+    }
+    
+    function handleSSEMessage(type, e) {
+        let data;
+        try {
+            data = JSON.parse(e.data);
+        } catch (err) {
+            console.error('Invalid event stream payload', err);
+            return;
+        }
+        if (e.lastEventId) eventCursor = e.lastEventId;
+        dispatchStreamEvent(type, data);
+    }
+    
+    // Route an event to the queue renderer or the matching log subscriber
+    function dispatchStreamEvent(type, data) {
+        if (type === 'queue') {
+            renderQueue(data);
+        } else if (type === 'log') {
+            const subscriber = logSubscribers[data.job_id];
+            if (!subscriber) return;
+            subscriber.offset = data.offset;
+            if (data.complete) delete logSubscribers[data.job_id];
+            subscriber.onLog(data);
+        }
+    }
+    
+    // Start tailing a job's verbose log; onLog receives { content, offset, reset, complete }
+    function watchJobLog(jobID, onLog) {
+        logSubscribers[jobID] = { offset: 0, onLog: onLog };
+        // Subscriptions are part of the connection URL, so reconnect (cursor keeps our place)
+        if (!document.hidden) connectEventStream();
+    }
+    
+    function unwatchJobLog(jobID) {
+        delete logSubscribers[jobID];
+        // Cursor format is "queueHash|jobID:offset,..."; drop the job so a reconnect stops tailing it
+        const parts = eventCursor.split('|');
+        if (parts.length > 1) {
+            parts[1] = parts[1].split(',').filter(item => item && item.split(':')[0] !== jobID).join(',');
+            eventCursor = parts.join('|');
+        }
+    }
+
     // =========================================================================
     // DESTINATION MANAGEMENT
     // Load and display backup destinations from WHM's backup configuration
@@ -245,6 +391,14 @@
                     select.innerHTML += `<option value="${dest.id}">${dest.name} (${dest.type})</option>`;
                 });
             });
+            renderReplicaDestinations();
+            // Schedule fallback pickers are optional, so they start on "None"
+            document.querySelectorAll('.fallback-destination-select').forEach(select => {
+                select.innerHTML = '<option value="">None</option>';
+                destinations.forEach(dest => {
+                    select.innerHTML += `<option value="${dest.id}">${dest.name} (${dest.type})</option>`;
+                });
+            });
             // Restore tab uses "Source" terminology
             const restoreSelect = document.getElementById('restore-destination');
             if (restoreSelect && restoreSelect.options[0]) {
@@ -265,7 +419,189 @@
             });
         });
     }
+    
+    // "Also Copy To" checkboxes under each destination picker (one archive, several copies)
+    function renderReplicaDestinations() {
+        document.querySelectorAll('.replica-destinations').forEach(container => {
+            if (destinations.length < 2) {
+                container.innerHTML = '<span style="color: var(--text-muted); font-size: 13px;">Only one destination is configured.</span>';
+                return;
+            }
+            
+            container.innerHTML = destinations.map(dest =>
+                `<label><input type="checkbox" value="${escapeHtml(dest.id)}"> ${escapeHtml(dest.name)} (${escapeHtml(dest.type)})</label>`
+            ).join('');
+            
+            // The primary destination already holds the archive, so it can't be ticked as a copy
+            const primary = document.getElementById(container.dataset.primary);
+            if (primary && !primary.dataset.replicasBound) {
+                primary.dataset.replicasBound = '1';
+                primary.addEventListener('change', () => syncReplicaDestinations(container));
+            }
+            syncReplicaDestinations(container);
+        });
+    }
+    
+    function syncReplicaDestinations(container) {
+        const primary = document.getElementById(container.dataset.primary);
+        container.querySelectorAll('input[type="checkbox"]').forEach(cb => {
+            const isPrimary = primary && cb.value === primary.value;
+            if (isPrimary) cb.checked = false;
+            cb.disabled = isPrimary;
+            cb.parentElement.classList.toggle('disabled-option', isPrimary);
+        });
+    }
+    
+    // Tick the extra copies of a job or schedule (destinations list without its primary)
+    function setReplicaDestinations(containerID, destinationIDs) {
+        const container = document.getElementById(containerID);
+        if (!container) return;
+        container.querySelectorAll('input[type="checkbox"]').forEach(cb => {
+            cb.checked = (destinationIDs || []).includes(cb.value);
+        });
+        syncReplicaDestinations(container);
+    }
+    
+    // Primary destination first, then every ticked copy
+    function getDestinationList(selectID, containerID) {
+        const primary = document.getElementById(selectID).value;
+        const copies = Array.from(document.querySelectorAll('#' + containerID + ' input[type="checkbox"]:checked'))
+            .map(cb => cb.value)
+            .filter(id => id !== primary);
+        return [primary].concat(copies);
+    }
 
+    // =========================================================================
+    // BACKUP PROFILES
+    // Named pkgacct settings: managed on the Settings tab, picked by backups and schedules
+    // =========================================================================
+    function loadProfiles() {
+        apiCall('get_profiles', {}, 'GET').then(data => {
+            profiles = data.profiles || [];
+            
+            // Rebuild every picker, keeping whatever was chosen (root sees whose profile it is)
+            document.querySelectorAll('.profile-select').forEach(select => {
+                const current = select.value;
+                select.innerHTML = '<option value="">Saved settings (no profile)</option>' + profiles.map(profile => {
+                    const suffix = isRootUser ? (profile.owner !== 'root' ? ' (' + profile.owner + ')' : '') : (profile.can_edit ? '' : ' (shared)');
+                    return '<option value="' + escapeHtml(profile.id) + '">' + escapeHtml(profile.name + suffix) + '</option>';
+                }).join('');
+                select.value = current;
+            });
+            renderProfilesTable();
+        }).catch(err => console.error('Failed to load profiles', err));
+    }
+    
+    // Settings tab: profiles table with edit/delete for the ones the user owns
+    function renderProfilesTable() {
+        const tbody = document.getElementById('profiles-tbody');
+        if (!tbody) return;
+        if (profiles.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="4">No profiles yet. Create one below.</td></tr>';
+            return;
+        }
+        tbody.innerHTML = profiles.map(profile => {
+            const actions = profile.can_edit
+                ? '<button class="btn btn-sm btn-secondary" onclick="editProfile(\'' + escapeHtml(profile.id) + '\')">✏️ Edit</button> ' +
+                  '<button class="btn btn-sm btn-danger" onclick="deleteProfile(\'' + escapeHtml(profile.id) + '\')">🗑️ Delete</button>'
+                : '<span class="status-badge" title="Shared by root">🤝 Shared</span>';
+            return '<tr>' +
+                '<td><strong>' + escapeHtml(profile.name) + '</strong>' + (profile.shared && profile.can_edit ? ' <span class="status-badge">🤝 Shared</span>' : '') + '</td>' +
+                '<td class="profile-settings">' + escapeHtml(profile.description || '') + '</td>' +
+                '<td>' + escapeHtml(profile.owner) + '</td>' +
+                '<td>' + actions + '</td></tr>';
+        }).join('');
+    }
+    
+    // Profile editor values as the settings the server stores
+    function getProfileEditorSettings() {
+        const settings = {};
+        document.querySelectorAll('[data-profile-setting]').forEach(el => {
+            settings[el.dataset.profileSetting] = el.type === 'checkbox' ? el.checked : el.value;
+        });
+        return settings;
+    }
+    
+    // Fill the profile editor (settings missing from the profile get their control's default)
+    function setProfileEditorSettings(settings) {
+        document.querySelectorAll('[data-profile-setting]').forEach(el => {
+            const value = settings[el.dataset.profileSetting];
+            if (el.type === 'checkbox') {
+                el.checked = value === undefined ? el.defaultChecked : !!value;
+            } else {
+                el.value = value === undefined ? el.querySelector('option[selected]').value : value;
+            }
+        });
+    }
+    
+    function resetProfileEditor() {
+        document.getElementById('profile-id').value = '';
+        document.getElementById('profile-name').value = '';
+        document.getElementById('profile-editor-title').textContent = 'New Profile';
+        const sharedCheck = document.getElementById('profile-shared');
+        if (sharedCheck) sharedCheck.checked = false;
+        setProfileEditorSettings({});
+    }
+    
+    // Start a profile from the Backup Settings form (same element IDs, dashes for underscores)
+    function fillProfileFromSettings() {
+        const settings = {};
+        document.querySelectorAll('[data-profile-setting]').forEach(el => {
+            const source = document.getElementById(el.dataset.profileSetting.replace(/_/g, '-'));
+            if (source) settings[el.dataset.profileSetting] = source.type === 'checkbox' ? source.checked : source.value;
+        });
+        setProfileEditorSettings(settings);
+    }
+    
+    window.editProfile = function(profileID) {
+        const profile = profiles.find(p => p.id === profileID);
+        if (!profile) return;
+        document.getElementById('profile-id').value = profile.id;
+        document.getElementById('profile-name').value = profile.name;
+        document.getElementById('profile-editor-title').textContent = 'Edit Profile: ' + profile.name;
+        const sharedCheck = document.getElementById('profile-shared');
+        if (sharedCheck) sharedCheck.checked = !!profile.shared;
+        setProfileEditorSettings(profile.settings || {});
+        document.getElementById('profile-name').focus();
+    };
+    
+    window.deleteProfile = function(profileID) {
+        const profile = profiles.find(p => p.id === profileID);
+        if (!profile || !confirm('Delete profile "' + profile.name + '"?\n\nBackups and schedules using it will go back to their owner\'s Backup Settings.')) return;
+        apiCall('delete_profile', { profile_id: profileID }).then(data => {
+            if (data.success) {
+                if (document.getElementById('profile-id').value === profileID) resetProfileEditor();
+                loadProfiles();
+                loadSchedules();
+            } else {
+                alert('Error: ' + (data.message || 'Unknown error'));
+            }
+        }).catch(err => alert('Failed to delete profile: ' + (err.message || 'Unknown error')));
+    };
+    
+    function saveProfile() {
+        const name = document.getElementById('profile-name').value.trim();
+        if (!name) {
+            alert('Please enter a profile name.');
+            return;
+        }
+        const sharedCheck = document.getElementById('profile-shared');
+        apiCall('save_profile', {
+            id: document.getElementById('profile-id').value,
+            name: name,
+            shared: sharedCheck ? sharedCheck.checked : false,
+            settings: getProfileEditorSettings()
+        }).then(data => {
+            if (data.success) {
+                resetProfileEditor();
+                loadProfiles();
+                loadSchedules();
+            } else {
+                alert('Error: ' + (data.message || 'Unknown error'));
+            }
+        }).catch(err => alert('Failed to save profile: ' + (err.message || 'Unknown error')));
+    }
+    
     // =========================================================================
     // ACCOUNT MANAGEMENT
     // Load cPanel accounts and render checkboxes for backup/schedule selection
@@ -301,13 +637,17 @@
                     <input type="checkbox" value="${acc.user}" class="account-checkbox">
                     <div class="account-info">
                         <div class="account-name">${acc.user}</div>
-                        <div class="account-domain">${acc.domain || 'N/A'}</div>
+                        <div class="account-domain">${acc.domain || 'N/A'}${acc.plan ? ' · ' + escapeHtml(acc.plan) : ''}</div>
                     </div>
+                    ${acc.suspended ? '<span class="account-suspended">Suspended</span>' : ''}
                     ${acc.owner ? `<span class="account-owner">${acc.owner}</span>` : ''}
                 </div>
             `).join('');
         });
         
+        populateAccountFilterOptions();
+        ['backup', 'schedule'].forEach(applyAccountFilters);
+        
         // Populate restore account dropdown
         const restoreAccount = document.getElementById('restore-account');
         if (restoreAccount) {
@@ -318,10 +658,194 @@
         }
     }
 
+    // =========================================================================
+    // ACCOUNT FILTERS
+    // Narrow the account lists by name, owner, package, state or disk usage;
+    // schedules can keep the filters as a selector that is matched at every run
+    // =========================================================================
+    
+    // Account lists with a filter bar, and each one's "Select All (Listed)" checkbox
+    const ACCOUNT_LIST_SELECT_ALL = {
+        'backup': 'select-all-backup',
+        'schedule': 'select-all-schedule',
+        'edit-schedule': 'edit-select-all-accounts'
+    };
+    
+    // Filters set on an account list (same shape as a schedule's account_selector)
+    function getAccountFilters(prefix) {
+        const value = suffix => document.getElementById(prefix + '-filter-' + suffix).value.trim();
+        const diskMin = parseInt(value('disk-min'), 10);
+        const diskMax = parseInt(value('disk-max'), 10);
+        return {
+            pattern: value('pattern').toLowerCase(),
+            owner: value('owner'),
+            plan: value('plan'),
+            suspended: value('suspended') || 'any',
+            disk_min_mb: isNaN(diskMin) ? null : diskMin,
+            disk_max_mb: isNaN(diskMax) ? null : diskMax
+        };
+    }
+    
+    function hasAccountFilters(filters) {
+        return filters.pattern !== '' || filters.owner !== '' || filters.plan !== '' ||
+            filters.suspended !== 'any' || filters.disk_min_mb !== null || filters.disk_max_mb !== null;
+    }
+    
+    // Load a saved selector (or none) into an account list's filters
+    function setAccountFilters(prefix, selector) {
+        selector = selector || {};
+        document.getElementById(prefix + '-filter-pattern').value = selector.pattern || '';
+        ['owner', 'plan'].forEach(field => {
+            const select = document.getElementById(prefix + '-filter-' + field);
+            const wanted = selector[field] || '';
+            // Keep a saved owner/package selectable even if no account currently has it
+            if (wanted && !Array.from(select.options).some(opt => opt.value === wanted)) {
+                select.add(new Option(wanted, wanted));
+            }
+            select.value = wanted;
+        });
+        document.getElementById(prefix + '-filter-suspended').value = selector.suspended || 'any';
+        document.getElementById(prefix + '-filter-disk-min').value = selector.disk_min_mb ?? '';
+        document.getElementById(prefix + '-filter-disk-max').value = selector.disk_max_mb ?? '';
+        applyAccountFilters(prefix);
+    }
+    
+    // Same test the server applies at run time (BackBorkWhmApiAccounts::filterAccounts)
+    function accountMatchesFilters(acc, filters) {
+        if (filters.owner && acc.owner !== filters.owner) return false;
+        if (filters.plan && acc.plan !== filters.plan) return false;
+        if (filters.suspended !== 'any' && !!acc.suspended !== (filters.suspended === 'suspended')) return false;
+        
+        const diskUsed = acc.disk_used || 0;
+        if (filters.disk_min_mb !== null && diskUsed < filters.disk_min_mb) return false;
+        if (filters.disk_max_mb !== null && diskUsed > filters.disk_max_mb) return false;
+        
+        if (filters.pattern) {
+            const subjects = [acc.user.toLowerCase(), (acc.domain || '').toLowerCase()];
+            if (/[*?[]/.test(filters.pattern)) {
+                // Shell-style wildcards, as PHP's fnmatch() ([abc] classes pass straight through)
+                let regex;
+                try {
+                    regex = new RegExp('^' + filters.pattern
+                        .replace(/[.+^${}()|\\]/g, '\\$&')
+                        .replace(/\*/g, '.*')
+                        .replace(/\?/g, '.') + '$');
+                } catch (e) {
+                    return false;  // Unfinished [class] while typing
+                }
+                return subjects.some(subject => regex.test(subject));
+            }
+            return subjects.some(subject => subject.includes(filters.pattern));
+        }
+        return true;
+    }
+    
+    // Hide the accounts that don't match, and show how many do
+    function applyAccountFilters(prefix) {
+        const container = document.getElementById(prefix + '-accounts-container');
+        if (!container || !document.getElementById(prefix + '-filter-pattern')) return;
+        
+        const filters = getAccountFilters(prefix);
+        const byUser = new Map(accounts.map(acc => [acc.user, acc]));
+        let shown = 0;
+        container.querySelectorAll('.account-item').forEach(item => {
+            const acc = byUser.get(item.querySelector('.account-checkbox').value);
+            const match = !acc || accountMatchesFilters(acc, filters);
+            item.style.display = match ? '' : 'none';
+            if (match) shown++;
+        });
+        
+        const countEl = document.getElementById(prefix + '-filter-count');
+        if (countEl) countEl.textContent = hasAccountFilters(filters) ? `${shown} of ${accounts.length} match` : '';
+    }
+    
+    // Fill the owner and package dropdowns from the loaded accounts
+    function populateAccountFilterOptions() {
+        const owners = [...new Set(accounts.map(acc => acc.owner).filter(Boolean))].sort();
+        const plans = [...new Set(accounts.map(acc => acc.plan).filter(Boolean))].sort();
+        
+        Object.keys(ACCOUNT_LIST_SELECT_ALL).forEach(prefix => {
+            const ownerSelect = document.getElementById(prefix + '-filter-owner');
+            const planSelect = document.getElementById(prefix + '-filter-plan');
+            if (!ownerSelect || !planSelect) return;
+            
+            ownerSelect.innerHTML = '<option value="">All owners</option>' +
+                owners.map(owner => `<option value="${escapeHtml(owner)}">${escapeHtml(owner)}</option>`).join('');
+            planSelect.innerHTML = '<option value="">All packages</option>' +
+                plans.map(plan => `<option value="${escapeHtml(plan)}">${escapeHtml(plan)}</option>`).join('');
+            // Resellers only see their own accounts, so there is nothing to pick
+            ownerSelect.style.display = owners.length > 1 ? '' : 'none';
+        });
+    }
+    
+    // Schedule forms: with "Match Filters" ticked the filters, not ticked accounts, define the schedule
+    function updateSelectorMode(prefix) {
+        const useSelector = document.getElementById(prefix + '-use-selector');
+        const allAccounts = document.getElementById(prefix + '-all-accounts');
+        if (!useSelector || !allAccounts) return;
+        
+        // All Accounts and Match Filters are alternatives
+        if (useSelector.checked && allAccounts.checked) {
+            allAccounts.checked = false;
+            allAccounts.dispatchEvent(new Event('change'));
+        }
+        
+        const disabled = useSelector.checked || allAccounts.checked;
+        document.querySelectorAll('#' + prefix + '-accounts-container .account-checkbox').forEach(cb => {
+            if (useSelector.checked) cb.checked = false;
+            cb.disabled = disabled;
+        });
+        const selectAll = document.getElementById(ACCOUNT_LIST_SELECT_ALL[prefix]);
+        if (selectAll) {
+            if (useSelector.checked) selectAll.checked = false;
+            selectAll.disabled = disabled;
+        }
+        
+        const hint = document.getElementById(prefix + '-selector-hint');
+        if (hint) hint.style.display = useSelector.checked ? 'block' : 'none';
+        
+        // Exclusions only mean something when accounts are resolved at run time
+        const excludeRow = document.getElementById(prefix + '-exclude-row');
+        if (excludeRow) excludeRow.style.display = disabled ? 'block' : 'none';
+    }
+    
+    // Exclusion input ("staging*, oldsite") as the list the server expects
+    function getExclusions(prefix) {
+        return document.getElementById(prefix + '-exclude').value.split(/[\s,]+/).filter(Boolean);
+    }
+    
+    // Show a saved schedule's runtime account settings (selector, exclusions) in a schedule form
+    function applyDynamicAccountsToForm(prefix, schedule) {
+        const useSelector = document.getElementById(prefix + '-use-selector');
+        useSelector.checked = !!schedule.account_selector;
+        setAccountFilters(prefix, schedule.account_selector);
+        document.getElementById(prefix + '-exclude').value = (schedule.exclude_accounts || []).join(', ');
+        updateSelectorMode(prefix);
+    }
+    
     // =========================================================================
     // CONFIGURATION MANAGEMENT
     // Load and apply user settings to form controls, handle global config for root
     // =========================================================================
+    
+    // Root-only queue concurrency & resource limit inputs (element ID -> global config key)
+    const RESOURCE_LIMIT_FIELDS = [
+        { id: 'max-concurrent-jobs', key: 'max_concurrent_jobs' },
+        { id: 'max-jobs-per-destination', key: 'max_jobs_per_destination' },
+        { id: 'max-jobs-per-reseller', key: 'max_jobs_per_reseller' },
+        { id: 'pkgacct-nice-level', key: 'pkgacct_nice_level' },
+        { id: 'pkgacct-ionice-class', key: 'pkgacct_ionice_class' },
+        { id: 'pkgacct-ionice-level', key: 'pkgacct_ionice_level' },
+        { id: 'upload-nice-level', key: 'upload_nice_level' },
+        { id: 'upload-ionice-class', key: 'upload_ionice_class' },
+        { id: 'upload-ionice-level', key: 'upload_ionice_level' }
+    ];
+    
+    // Blackout entries <-> the one-per-line textarea format accepted by the server
+    function formatBlackoutDates(blackouts) {
+        return (blackouts || []).map(b => b.from + (b.to !== b.from ? '..' + b.to : '') + (b.label ? ' ' + b.label : '')).join('\n');
+    }
+    
     function loadConfig() {
         apiCall('get_config', {}, 'GET').then(data => {
             currentConfig = data || {};
@@ -452,6 +976,30 @@
                     pruningEl.checked = data._global.notify_pruning !== undefined ? data._global.notify_pruning : false;
                 }
                 
+                // Set destination health alerts and check interval (root only)
+                const destHealthEl = document.getElementById('notify-destination-health');
+                if (destHealthEl) {
+                    destHealthEl.checked = data._global.notify_destination_health !== undefined ? data._global.notify_destination_health : true;
+                    document.getElementById('health-check-interval').value = data._global.health_check_interval ?? 60;
+                }
+                
+                // Set queue concurrency & resource limits (root only)
+                RESOURCE_LIMIT_FIELDS.forEach(field => {
+                    const el = document.getElementById(field.id);
+                    if (el && data._global[field.key] !== undefined) {
+                        el.value = data._global[field.key];
+                    }
+                });
+                
+                // Set backup window & blackout dates (root only)
+                const windowEnabledEl = document.getElementById('backup-window-enabled');
+                if (windowEnabledEl) {
+                    windowEnabledEl.checked = !!data._global.backup_window_enabled;
+                    document.getElementById('backup-window-start').value = data._global.backup_window_start ?? 1;
+                    document.getElementById('backup-window-end').value = data._global.backup_window_end ?? 6;
+                    document.getElementById('blackout-dates').value = formatBlackoutDates(data._global.blackout_dates);
+                }
+                
                 // Populate "View as user" dropdown in schedules
                 const viewUserSelect = document.getElementById('schedule-view-user');
                 if (viewUserSelect && data._users_with_schedules) {
@@ -543,84 +1091,233 @@
 
     // Load Queue
     function loadQueue() {
-        apiCall('get_queue', {}, 'GET').then(data => {
-            const queueTbody = document.getElementById('queue-tbody');
-            const runningTbody = document.getElementById('running-jobs-tbody');
-            
-            // Update status monitor
-            updateStatusMonitor(data);
-            
-            // Queued jobs
-            if (data.queued && data.queued.length > 0) {
-                queueTbody.innerHTML = data.queued.map(job => {
-                    // Format accounts: each in <code> with space between
-                    const accountsHtml = job.accounts.map(acc => `<code>${acc}</code>`).join(' ');
-                    return `
-                    <tr>
-                        <td>${accountsHtml}</td>
-                        <td><div class="job-cell"><strong>${job.type}</strong><code>${job.id}</code></div></td>
-                        <td>${job.destination_name || job.destination}</td>
-                        <td><span class="log-timestamp">${job.created_at}</span></td>
-                        <td>
-                            <button class="btn btn-sm btn-danger" onclick="removeFromQueue('${job.id}')">Remove</button>
-                        </td>
-                    </tr>
-                `}).join('');
-            } else {
-                queueTbody.innerHTML = '<tr><td colspan="5">No queued jobs.</td></tr>';
-            }
-            
-            // Running jobs
-            if (data.running && data.running.length > 0) {
-                // Clean up cancellingJobs set - remove jobs no longer in running list
-                const runningIds = new Set(data.running.map(j => j.id));
-                for (const jobID of cancellingJobs) {
-                    if (!runningIds.has(jobID)) {
-                        cancellingJobs.delete(jobID);
-                    }
-                }
-                
-                runningTbody.innerHTML = data.running.map(job => {
-                    // Calculate progress from accounts completed vs total
-                    const total = job.accounts_total || 0;
-                    const completed = job.accounts_completed || 0;
-                    const progress = total > 0 ? Math.round((completed / total) * 100) : 0;
-                    const progressText = total > 0 ? `${completed}/${total}` : '';
-                    // Handle both 'accounts' array and legacy 'account' string
-                    const accountsList = job.accounts || (job.account ? [job.account] : []);
-                    const accountsHtml = accountsList.map(acc => `<code>${acc}</code>`).join(' ');
-                    // Check if cancel already requested for this job
-                    const isCancelling = cancellingJobs.has(job.id);
-                    const cancelBtn = isCancelling
-                        ? `<button class="btn btn-sm btn-secondary" disabled style="margin-top: 4px;" title="Cancellation pending">Cancelling...</button>`
-                        : `<button class="btn btn-sm btn-danger" onclick="cancelJob('${job.id}')" style="margin-top: 4px;" title="Cancel this job">Cancel</button>`;
-                    return `
-                    <tr>
-                        <td>${accountsHtml}</td>
-                        <td><div class="job-cell"><strong>${job.type}</strong><code>${job.id}</code></div></td>
-                        <td><span class="log-timestamp">${job.started_at}</span></td>
-                        <td>
-                            <span class="status-badge status-running">${job.status}</span>
-                            <div class="progress-bar" style="width: 100%; margin-top: 4px;" title="${progressText}">
-                                <div class="progress-bar-fill" style="width: ${progress}%"></div>
-                            </div>
-                            ${cancelBtn}
-                        </td>
-                    </tr>
-                `}).join('');
-            } else {
-                runningTbody.innerHTML = '<tr><td colspan="4">No running jobs.</td></tr>';
-            }
-        }).catch(err => {
+        apiCall('get_queue', {}, 'GET').then(renderQueue).catch(err => {
             console.error('Failed to load queue', err);
             const queueTbody = document.getElementById('queue-tbody');
             const runningTbody = document.getElementById('running-jobs-tbody');
-            if (queueTbody) queueTbody.innerHTML = '<tr><td colspan="6">Unable to load queue.</td></tr>';
+            if (queueTbody) queueTbody.innerHTML = '<tr><td colspan="7">Unable to load queue.</td></tr>';
             if (runningTbody) runningTbody.innerHTML = '<tr><td colspan="4">Unable to load running jobs.</td></tr>';
             updateStatusMonitor({ queued: [], running: [], restores: [] });
         });
     }
     
+    // Render queue tables and status monitor (from get_queue or a pushed 'queue' event)
+    function renderQueue(data) {
+        const queueTbody = document.getElementById('queue-tbody');
+        const runningTbody = document.getElementById('running-jobs-tbody');
+        
+        // Don't pull the table out from under a drag - render once it's dropped
+        if (draggingQueueJob) {
+            pendingQueueRender = data;
+            return;
+        }
+        
+        // Update status monitor
+        updateStatusMonitor(data);
+        
+        // Queued jobs (already in processing order)
+        if (data.queued && data.queued.length > 0) {
+            queueTbody.innerHTML = data.queued.map((job, index) => {
+                // Format accounts: each in <code> with space between
+                const accountsHtml = job.accounts.map(acc => `<code>${acc}</code>`).join(' ');
+                // Paused jobs stay put until resumed; a paused backup carries the accounts it already finished
+                const isPaused = job.status === 'paused';
+                const doneCount = (job.accounts_done || []).length;
+                const pausedHtml = isPaused
+                    ? `<span class="status-badge status-pending" title="Paused ${job.paused_at || ''}">paused</span>${doneCount > 0 ? `<small class="job-paused-note">${doneCount} account${doneCount === 1 ? '' : 's'} done before pause</small>` : ''}`
+                    : '';
+                const pauseBtn = isPaused
+                    ? `<button class="btn btn-sm btn-primary" onclick="resumeJob('${job.id}')" title="Return this job to the queue">Resume</button>`
+                    : `<button class="btn btn-sm btn-secondary" onclick="pauseJob('${job.id}')" title="Hold this job in the queue">Pause</button>`;
+                // Root can jump a job to the front of the queue
+                const runNextBtn = (isRootUser && index > 0)
+                    ? `<button class="btn btn-sm btn-secondary" onclick="runJobNext('${job.id}')" title="Move to the front of the queue">Run Next</button>`
+                    : '';
+                return `
+                <tr class="queue-row ${isPaused ? 'job-row-paused' : ''}" draggable="true" data-job-id="${job.id}">
+                    <td class="queue-order-col"><span class="drag-handle" title="Drag to reorder">⋮⋮</span> ${index + 1}</td>
+                    <td>${accountsHtml}</td>
+                    <td><div class="job-cell"><strong>${job.type}</strong><code>${job.id}</code>${renderRetryBadge(job)}${pausedHtml}</div></td>
+                    <td>${renderPrioritySelect(job)}</td>
+                    <td>${job.destination_name || job.destination}</td>
+                    <td><span class="log-timestamp">${job.created_at}</span></td>
+                    <td>
+                        ${runNextBtn}
+                        ${pauseBtn}
+                        <button class="btn btn-sm btn-danger" onclick="removeFromQueue('${job.id}')">Remove</button>
+                    </td>
+                </tr>
+            `}).join('');
+        } else {
+            queueTbody.innerHTML = '<tr><td colspan="7">No queued jobs.</td></tr>';
+        }
+        
+        // Running jobs
+        if (data.running && data.running.length > 0) {
+            // Clean up cancellingJobs/expandedJobs sets - remove jobs no longer in running list
+            const runningIds = new Set(data.running.map(j => j.id));
+            for (const jobID of cancellingJobs) {
+                if (!runningIds.has(jobID)) {
+                    cancellingJobs.delete(jobID);
+                }
+            }
+            for (const jobID of expandedJobs) {
+                if (!runningIds.has(jobID)) {
+                    expandedJobs.delete(jobID);
+                }
+            }
+            
+            runningTbody.innerHTML = data.running.map(job => {
+                // Calculate progress from accounts completed vs total
+                const total = job.accounts_total || 0;
+                const completed = job.accounts_completed || 0;
+                const progress = total > 0 ? Math.round((completed / total) * 100) : 0;
+                const progressText = total > 0 ? `${completed}/${total}` : '';
+                // Handle both 'accounts' array and legacy 'account' string
+                const accountsList = job.accounts || (job.account ? [job.account] : []);
+                // Jobs with a progress sidecar get an expandable per-account breakdown
+                const accountsHtml = job.account_states
+                    ? renderJobAccountsToggle(job)
+                    : accountsList.map(acc => `<code>${acc}</code>`).join(' ');
+                // Check if cancel already requested for this job
+                const isCancelling = cancellingJobs.has(job.id);
+                const cancelBtn = isCancelling
+                    ? `<button class="btn btn-sm btn-secondary" disabled style="margin-top: 4px;" title="Cancellation pending">Cancelling...</button>`
+                    : `<button class="btn btn-sm btn-danger" onclick="cancelJob('${job.id}')" style="margin-top: 4px;" title="Cancel this job">Cancel</button>`;
+                // Backups can pause between accounts; a pending pause can be withdrawn
+                let pauseBtn = '';
+                if (job.type === 'backup' && !isCancelling) {
+                    pauseBtn = job.pause_requested
+                        ? `<button class="btn btn-sm btn-primary" onclick="resumeJob('${job.id}')" style="margin-top: 4px;" title="Withdraw the pause request">Keep Running</button>`
+                        : `<button class="btn btn-sm btn-secondary" onclick="pauseJob('${job.id}')" style="margin-top: 4px;" title="Pause after the current account">Pause</button>`;
+                }
+                return `
+                <tr>
+                    <td>${accountsHtml}</td>
+                    <td><div class="job-cell"><strong>${job.type}</strong><code>${job.id}</code>${renderRetryBadge(job)}</div></td>
+                    <td><span class="log-timestamp">${job.started_at}</span></td>
+                    <td>
+                        <span class="status-badge ${job.pause_requested ? 'status-pending' : 'status-running'}">${job.pause_requested ? 'pausing' : job.status}</span>
+                        <div class="progress-bar" style="width: 100%; margin-top: 4px;" title="${progressText}">
+                            <div class="progress-bar-fill" style="width: ${progress}%"></div>
+                        </div>
+                        ${pauseBtn}
+                        ${cancelBtn}
+                    </td>
+                </tr>
+                ${job.account_states ? renderJobAccountsRow(job) : ''}
+            `}).join('');
+        } else {
+            runningTbody.innerHTML = '<tr><td colspan="4">No running jobs.</td></tr>';
+        }
+    }
+    
+    // Retry child jobs: which attempt this is, what it retries, and when it may start
+    function renderRetryBadge(job) {
+        if (!job.retry_attempt) return '';
+        const max = job.retry ? job.retry.attempts : job.retry_attempt;
+        const title = `Retry of ${job.retry_of}` + (job.original_job_id && job.original_job_id !== job.retry_of ? ` (original job ${job.original_job_id})` : '');
+        // not_before is server time - the processor decides when the backoff is over
+        const waiting = job.status === 'queued' && job.not_before
+            ? `<small class="job-retry-note">not before ${job.not_before}</small>`
+            : '';
+        return `<span class="status-badge status-pending" title="${title}">↻ retry ${job.retry_attempt}/${max}</span>${waiting}`;
+    }
+    
+    // Queue priority levels, highest first (matches BackBorkQueue::PRIORITIES)
+    const QUEUE_PRIORITIES = ['urgent', 'normal', 'low'];
+    
+    // Inline priority picker for a queued job (urgent is root-only)
+    function renderPrioritySelect(job) {
+        const current = job.priority || 'normal';
+        const options = QUEUE_PRIORITIES.map(level => {
+            const locked = level === 'urgent' && !isRootUser;
+            if (locked && current !== 'urgent') return '';
+            return `<option value="${level}" ${level === current ? 'selected' : ''} ${locked ? 'disabled' : ''}>${level.charAt(0).toUpperCase() + level.slice(1)}</option>`;
+        }).join('');
+        return `<select class="queue-priority-select priority-${current}" onchange="setJobPriority('${job.id}', this.value)" title="Queue priority">${options}</select>`;
+    }
+    
+    // Display labels for per-account states (progress uses 'success')
+    const ACCOUNT_STATE_LABELS = {
+        pending: 'pending',
+        running: 'running',
+        success: 'succeeded',
+        failed: 'failed',
+        skipped: 'skipped',
+        paused: 'paused'
+    };
+    
+    // Accounts cell for a running job: toggle button plus in-flight account and tallies
+    function renderJobAccountsToggle(job) {
+        const states = job.account_states;
+        const expanded = expandedJobs.has(job.id);
+        const inFlight = states.find(acc => acc.status === 'running');
+        const succeeded = states.filter(acc => acc.status === 'success').length;
+        const failed = states.filter(acc => acc.status === 'failed').length;
+        const label = states.length === 1 ? '1 account' : `${states.length} accounts`;
+        return `
+            <button class="btn btn-sm btn-secondary" id="job-accounts-toggle-${job.id}" onclick="toggleJobAccounts('${job.id}')">${expanded ? '▾' : '▸'} ${label}</button>
+            <div class="job-accounts-summary">
+                ${inFlight ? `<span>Now: <code>${escapeHtml(inFlight.account)}</code></span>` : ''}
+                <span class="job-accounts-tally-success">✓ ${succeeded}</span>
+                ${failed > 0 ? `<span class="job-accounts-tally-failed">✗ ${failed}</span>` : ''}
+            </div>`;
+    }
+    
+    // Hidden detail row listing every account in a running job
+    function renderJobAccountsRow(job) {
+        const now = Date.now() / 1000;
+        const rows = job.account_states.map(acc => {
+            const badge = PROGRESS_BADGES[acc.status];
+            const stateLabel = ACCOUNT_STATE_LABELS[acc.status] || acc.status;
+            let duration = '-';
+            if (acc.duration !== null) {
+                duration = formatDuration(acc.duration);
+            } else if (acc.status === 'running' && acc.started_at) {
+                duration = formatDuration(now - acc.started_at) + '…';
+            }
+            const logLink = (acc.status !== 'pending' && acc.status !== 'skipped' && acc.status !== 'paused')
+                ? `<a href="#" class="view-log-link" onclick="viewVerboseLog('${job.log_id}', '${acc.account}'); return false;">Log</a>`
+                : '';
+            return `
+                <tr>
+                    <td><code>${escapeHtml(acc.account)}</code></td>
+                    <td>${badge ? `<span class="status-badge ${badge}">${stateLabel}</span>` : `<span class="status-badge">${stateLabel}</span>`}</td>
+                    <td>${duration}</td>
+                    <td>${acc.size ? formatFileSize(acc.size) : '-'}</td>
+                    <td>${logLink}</td>
+                </tr>`;
+        }).join('');
+        return `
+            <tr class="job-accounts-row" id="job-accounts-${job.id}" style="${expandedJobs.has(job.id) ? '' : 'display: none;'}">
+                <td colspan="4">
+                    <div class="table-container">
+                        <table class="backbork-table job-accounts-table">
+                            <thead><tr><th>Account</th><th>State</th><th>Duration</th><th>Archive Size</th><th>Log</th></tr></thead>
+                            <tbody>${rows}</tbody>
+                        </table>
+                    </div>
+                </td>
+            </tr>`;
+    }
+    
+    // Expand/collapse a running job's per-account breakdown
+    window.toggleJobAccounts = function(jobID) {
+        const row = document.getElementById('job-accounts-' + jobID);
+        const toggle = document.getElementById('job-accounts-toggle-' + jobID);
+        if (!row) return;
+        
+        const expand = !expandedJobs.has(jobID);
+        if (expand) {
+            expandedJobs.add(jobID);
+        } else {
+            expandedJobs.delete(jobID);
+        }
+        row.style.display = expand ? '' : 'none';
+        if (toggle) toggle.textContent = toggle.textContent.replace(/^[▸▾]/, expand ? '▾' : '▸');
+    };
+    
     // Update Schedule Lock UI (for resellers when locked)
     function updateScheduleLockUI() {
         const lockedAlert = document.getElementById('schedules-locked-alert');
@@ -679,25 +1376,300 @@
             return capitalised + ' (' + hourStr + ')';
         } else if (freq === 'hourly') {
             return capitalised;
+        } else if (freq === 'custom') {
+            return escapeHtml(schedule.cron_description || 'Custom') + '<div><code>' + escapeHtml(schedule.cron || '') + '</code></div>';
         }
         return capitalised;
     }
     
-    // Load Schedules
-    function loadSchedules() {
-        // Build request params - include view_user for root
-        let params = {};
-        if (isRootUser && currentScheduleViewUser && currentScheduleViewUser !== 'all') {
-            params.view_user = currentScheduleViewUser;
+    // Describe a schedule's retry policy for the schedules table
+    function formatRetryPolicy(retry) {
+        if (!retry || !retry.attempts) return '';
+        const scope = retry.failed_only === false ? 'all accounts' : 'failed only';
+        return '<div class="job-retry-note">↻ Retry ' + retry.attempts + '× from ' + retry.backoff + ' min (' + scope + ')</div>';
+    }
+    
+    // Describe a schedule's retention for the schedules table (count or GFS tiers)
+    function formatRetention(schedule) {
+        const gfs = schedule.retention_gfs;
+        if (gfs) {
+            const tiers = [['daily', 'd'], ['weekly', 'w'], ['monthly', 'm'], ['yearly', 'y']]
+                .filter(([tier]) => gfs[tier] > 0)
+                .map(([tier, unit]) => gfs[tier] + unit);
+            return '<span title="GFS: newest backup of each recent day/week/month/year">GFS ' + tiers.join(' · ') + '</span>';
         }
+        return schedule.retention == 0 ? '∞' : schedule.retention;
+    }
+    
+    // Last Run cell: outcome of the latest run (or queued/running now) plus the history toggle
+    function renderScheduleLastRun(schedule, isRunning) {
+        const history = schedule.history || [];
+        const status = isRunning ? 'running' : (schedule.last_status || (history[0] ? history[0].status : ''));
+        if (!status && !schedule.last_run) return '<span class="schedule-last-run-time">Never</span>';
         
-        apiCall('get_queue', params, 'GET').then(data => {
-            const tbody = document.getElementById('schedules-tbody');
-            const colCount = isRootUser ? 7 : 6;
-            
-            // Update lock UI in case it changed
-            updateScheduleLockUI();
-            
+        const badge = PROGRESS_BADGES[status];
+        const toggle = history.length > 0
+            ? `<button class="btn btn-sm btn-secondary" id="schedule-history-toggle-${schedule.id}" onclick="toggleScheduleHistory('${schedule.id}')">${expandedSchedules.has(schedule.id) ? '▾' : '▸'} History</button>`
+            : '';
+        return `
+            <span class="status-badge ${badge || ''}">${escapeHtml(status || 'unknown')}</span>
+            <div class="schedule-last-run-time">${escapeHtml(schedule.last_run || '')}</div>
+            ${toggle}`;
+    }
+    
+    // Hidden detail row listing a schedule's recent runs, each linked to its verbose log
+    function renderScheduleHistoryRow(schedule, colCount) {
+        const rows = (schedule.history || []).map(run => {
+            const badge = PROGRESS_BADGES[run.status];
+            const trigger = run.triggered_by
+                ? 'Run now (' + escapeHtml(run.triggered_by) + ')'
+                : (run.retry_attempt > 0 ? 'Retry ' + run.retry_attempt : 'Scheduled');
+            const accounts = run.accounts + (run.failed_accounts > 0 ? ` <span class="job-accounts-tally-failed">✗ ${run.failed_accounts}</span>` : '');
+            const logLink = run.log_id
+                ? `<a href="#" class="view-log-link" onclick="viewVerboseLog('${run.log_id}'); return false;">Verbose</a>`
+                : '';
+            return `
+                <tr>
+                    <td>${escapeHtml(run.started_at)}</td>
+                    <td>${trigger}</td>
+                    <td><span class="status-badge ${badge || ''}" title="${escapeHtml(run.message || '')}">${escapeHtml(run.status)}</span>${run.retry_job_id ? ' <span class="job-retry-note">↻ retry queued</span>' : ''}</td>
+                    <td>${formatDuration(run.duration)}</td>
+                    <td>${run.size ? formatFileSize(run.size) : '-'}</td>
+                    <td>${accounts}</td>
+                    <td>${logLink}</td>
+                </tr>`;
+        }).join('');
+        return `
+            <tr class="job-accounts-row" id="schedule-history-${schedule.id}" style="${expandedSchedules.has(schedule.id) ? '' : 'display: none;'}">
+                <td colspan="${colCount}">
+                    <div class="table-container">
+                        <table class="backbork-table job-accounts-table">
+                            <thead><tr><th>Started</th><th>Trigger</th><th>Status</th><th>Duration</th><th>Size</th><th>Accounts</th><th>Log</th></tr></thead>
+                            <tbody>${rows}</tbody>
+                        </table>
+                    </div>
+                </td>
+            </tr>`;
+    }
+    
+    // Expand/collapse a schedule's run history
+    window.toggleScheduleHistory = function(scheduleID) {
+        const row = document.getElementById('schedule-history-' + scheduleID);
+        const toggle = document.getElementById('schedule-history-toggle-' + scheduleID);
+        if (!row) return;
+        
+        const expand = !expandedSchedules.has(scheduleID);
+        if (expand) {
+            expandedSchedules.add(scheduleID);
+        } else {
+            expandedSchedules.delete(scheduleID);
+        }
+        row.style.display = expand ? '' : 'none';
+        if (toggle) toggle.textContent = toggle.textContent.replace(/^[▸▾]/, expand ? '▾' : '▸');
+    };
+    
+    // Pause or resume one schedule (settings and history are kept)
+    window.toggleSchedulePaused = function(scheduleID, pause) {
+        if (pause && !confirm('Pause this schedule? It will not run until resumed.')) return;
+        
+        apiCall(pause ? 'pause_schedule' : 'resume_schedule', { job_id: scheduleID }).then(data => {
+            if (data.success) {
+                loadSchedules();
+            } else {
+                alert('Error: ' + (data.message || 'Unknown error'));
+            }
+        }).catch(err => alert('Failed to ' + (pause ? 'pause' : 'resume') + ' schedule: ' + (err.message || 'Unknown error')));
+    };
+    
+    // Root: pause or resume every schedule of the user picked in the schedules filter
+    window.setOwnerSchedulesPaused = function(pause) {
+        const owner = currentScheduleViewUser;
+        if (!owner || owner === 'all') return;
+        if (!confirm((pause ? 'Pause' : 'Resume') + ' all schedules owned by ' + owner + '?')) return;
+        
+        apiCall(pause ? 'pause_schedule' : 'resume_schedule', { owner: owner }).then(data => {
+            const failures = (data.failed || []).map(f => '• ' + f.job_id + ': ' + f.reason).join('\n');
+            alert((data.success ? '' : 'Error: ') + (data.message || 'Unknown error') + (failures ? '\n\n' + failures : ''));
+            loadSchedules();
+        }).catch(err => alert('Failed to ' + (pause ? 'pause' : 'resume') + ' schedules: ' + (err.message || 'Unknown error')));
+    };
+    
+    // Queue a schedule's backup now, leaving its next scheduled run as it is
+    window.runScheduleNow = function(scheduleID) {
+        if (!confirm('Queue this schedule to run now? Its next scheduled run is unchanged.')) return;
+        
+        apiCall('run_schedule', { job_id: scheduleID }).then(data => {
+            if (data.success) {
+                alert('Schedule queued to run now (job ' + data.job_id + ')');
+                loadSchedules();
+                loadQueue();
+            } else {
+                alert('Error: ' + (data.message || 'Unknown error'));
+            }
+        }).catch(err => alert('Failed to run schedule: ' + (err.message || 'Unknown error')));
+    };
+    
+    // =========================================================================
+    // SCHEDULE CLONE & BULK EDIT
+    // Copy a schedule into the create form, or change several schedules at once
+    // =========================================================================
+    
+    // Read the schedule stored on a table row (HTML-encoded JSON attribute)
+    function parseScheduleRow(row) {
+        try {
+            const jsonStr = row.dataset.scheduleJson
+                .replace(/&quot;/g, '"')
+                .replace(/&#39;/g, "'")
+                .replace(/&amp;/g, '&');
+            return JSON.parse(jsonStr);
+        } catch (e) {
+            console.error('Failed to parse schedule JSON', e, row.dataset.scheduleJson);
+            return null;
+        }
+    }
+    
+    // Pre-fill the create form with a copy of a schedule, ready to adjust and save as new
+    window.cloneSchedule = function(scheduleID) {
+        const row = document.querySelector('tr[data-schedule-id="' + scheduleID + '"]');
+        const schedule = row ? parseScheduleRow(row) : null;
+        if (!schedule) {
+            alert('Failed to load schedule data');
+            return;
+        }
+        
+        document.getElementById('schedule-destination').value = schedule.destination;
+        setReplicaDestinations('schedule-replicas', (schedule.destinations || []).slice(1));
+        document.getElementById('schedule-retention').value = schedule.retention ?? 30;
+        applyRetentionToForm('schedule', schedule);
+        document.getElementById('schedule-time').value = schedule.preferred_time ?? 2;
+        document.getElementById('schedule-day-of-week').value = schedule.day_of_week ?? 0;
+        
+        const cronInput = document.getElementById('schedule-cron');
+        cronInput.value = schedule.cron || '0 ' + (schedule.preferred_time ?? 2) + ' * * *';
+        applyCronToPicker('schedule', cronInput.value);
+        
+        const retry = schedule.retry || {};
+        document.getElementById('schedule-retry-attempts').value = retry.attempts || 0;
+        document.getElementById('schedule-retry-backoff').value = retry.backoff || 15;
+        document.getElementById('schedule-retry-failed-only').checked = retry.failed_only !== false;
+        applyPkgacctOverridesToForm('schedule', schedule);
+        document.getElementById('schedule-profile').value = schedule.profile_id || '';
+        document.getElementById('schedule-fallback').value = schedule.fallback_destination || '';
+        
+        // Accounts: tick the same ones, or switch on All Accounts (its change handler dims the list)
+        const isAllAccounts = schedule.all_accounts || (schedule.accounts.length === 1 && schedule.accounts[0] === '*');
+        const allAccountsCheck = document.getElementById('schedule-all-accounts');
+        allAccountsCheck.checked = isAllAccounts;
+        allAccountsCheck.dispatchEvent(new Event('change'));
+        applyDynamicAccountsToForm('schedule', schedule);
+        if (!isAllAccounts && !schedule.account_selector) {
+            document.querySelectorAll('#schedule-accounts-container .account-checkbox').forEach(cb => {
+                cb.checked = schedule.accounts.includes(cb.value);
+            });
+        }
+        
+        // Frequency last: its change handlers show the right fields and refresh the preview
+        const frequencySelect = document.getElementById('schedule-frequency');
+        frequencySelect.value = schedule.schedule;
+        frequencySelect.dispatchEvent(new Event('change'));
+        
+        document.getElementById('schedule-create-card').scrollIntoView({ behavior: 'smooth' });
+    };
+    
+    // IDs of the schedules ticked in the table
+    function getSelectedScheduleIDs() {
+        return Array.from(document.querySelectorAll('.schedule-select-checkbox:checked')).map(cb => cb.value);
+    }
+    
+    // Toggle every schedule checkbox from the table header
+    window.toggleSelectAllSchedules = function() {
+        const selectAll = document.getElementById('schedule-select-all');
+        document.querySelectorAll('.schedule-select-checkbox:not(:disabled)').forEach(cb => cb.checked = selectAll.checked);
+        updateScheduleBulkState();
+    };
+    
+    // Show the bulk toolbar while schedules are ticked, and keep the header checkbox in step
+    window.updateScheduleBulkState = function() {
+        const selectedCount = getSelectedScheduleIDs().length;
+        const allCheckboxes = document.querySelectorAll('.schedule-select-checkbox:not(:disabled)');
+        const selectAll = document.getElementById('schedule-select-all');
+        const bar = document.getElementById('schedule-bulk-bar');
+        const countEl = document.getElementById('schedule-bulk-count');
+        
+        if (bar) bar.style.display = selectedCount > 0 ? 'flex' : 'none';
+        if (countEl) countEl.textContent = `${selectedCount} selected`;
+        if (selectAll) {
+            selectAll.checked = allCheckboxes.length > 0 && selectedCount === allCheckboxes.length;
+            selectAll.indeterminate = selectedCount > 0 && selectedCount < allCheckboxes.length;
+            selectAll.disabled = allCheckboxes.length === 0;
+        }
+    };
+    
+    // Show only the value field for the chosen bulk operation
+    function updateScheduleBulkFields() {
+        const operation = document.getElementById('schedule-bulk-operation').value;
+        document.querySelectorAll('.schedule-bulk-field').forEach(field => {
+            field.style.display = field.dataset.operation === operation ? 'flex' : 'none';
+        });
+        const applyBtn = document.getElementById('btn-schedule-bulk-apply');
+        applyBtn.className = 'btn btn-sm ' + (operation === 'delete' ? 'btn-danger' : 'btn-primary');
+    }
+    
+    // Apply the chosen change (or delete) to every ticked schedule
+    window.applyScheduleBulkAction = function() {
+        const jobIDs = getSelectedScheduleIDs();
+        const operation = document.getElementById('schedule-bulk-operation').value;
+        if (jobIDs.length === 0) return;
+        
+        const params = { job_ids: jobIDs, operation: operation };
+        if (operation === 'destination') {
+            params.destination = document.getElementById('schedule-bulk-destination').value;
+            if (!params.destination) {
+                alert('Please select a destination.');
+                return;
+            }
+        } else if (operation === 'retention') {
+            const retention = parseInt(document.getElementById('schedule-bulk-retention').value, 10);
+            params.retention = isNaN(retention) ? 30 : retention;
+            params.retention_gfs = getRetentionGfs('schedule-bulk');
+        } else if (operation === 'time') {
+            params.preferred_time = parseInt(document.getElementById('schedule-bulk-time').value, 10);
+        } else if (operation === 'delete') {
+            if (!confirm('Delete ' + jobIDs.length + ' schedule(s)? Their existing backups are kept.')) return;
+        }
+        
+        apiCall('bulk_schedules', params).then(data => {
+            const failures = (data.failed || []).map(f => '• ' + f.job_id + ': ' + f.reason).join('\n');
+            alert((data.success ? '' : 'Error: ') + (data.message || 'Unknown error') + (failures ? '\n\n' + failures : ''));
+            document.querySelectorAll('.schedule-select-checkbox').forEach(cb => cb.checked = false);
+            loadSchedules();
+        }).catch(err => alert('Failed to update schedules: ' + (err.message || 'Unknown error')));
+    };
+    
+    // Load Schedules
+    function loadSchedules() {
+        // Build request params - include view_user for root
+        let params = {};
+        if (isRootUser && currentScheduleViewUser && currentScheduleViewUser !== 'all') {
+            params.view_user = currentScheduleViewUser;
+        }
+        
+        apiCall('get_queue', params, 'GET').then(data => {
+            const tbody = document.getElementById('schedules-tbody');
+            const colCount = isRootUser ? 11 : 10;
+            
+            // Keep ticked schedules ticked across reloads (e.g. after pausing one)
+            const selectedSchedules = new Set(getSelectedScheduleIDs());
+            
+            // Schedules with a job running right now (last_status only changes once a run finishes)
+            const runningSchedules = new Set((data.running || []).map(job => job.schedule_id).filter(Boolean));
+            
+            // Update lock UI in case it changed
+            updateScheduleLockUI();
+            
+            // Backup window may have changed - refresh the create form's preview
+            refreshSchedulePreview('schedule');
+            
             if (data.schedules && data.schedules.length > 0) {
                 tbody.innerHTML = data.schedules.map(schedule => {
                     // Determine if edit/delete buttons should be disabled
@@ -708,14 +1680,38 @@
                     const deleteBtn = canModify 
                         ? '<button class="btn btn-sm btn-danger" onclick="removeSchedule(\'' + schedule.id + '\')">Delete</button>'
                         : '<button class="btn btn-sm btn-danger" disabled title="Schedules locked by administrator">🔒</button>';
+                    const cloneBtn = canModify
+                        ? '<button class="btn btn-sm btn-secondary" onclick="cloneSchedule(\'' + schedule.id + '\')" title="Copy into the form above as a new schedule">Clone</button>'
+                        : '<button class="btn btn-sm btn-secondary" disabled title="Schedules locked by administrator">🔒</button>';
+                    const selectBox = '<input type="checkbox" class="schedule-select-checkbox" value="' + schedule.id + '" onchange="updateScheduleBulkState()"' +
+                        (canModify ? (selectedSchedules.has(schedule.id) ? ' checked' : '') : ' disabled') + '>';
+                    const runBtn = '<button class="btn btn-sm btn-primary" onclick="runScheduleNow(\'' + schedule.id + '\')" title="Queue this schedule\'s backup now">▶ Run now</button>';
+                    const lastRun = (schedule.history || [])[0];
+                    
+                    // Paused schedules are greyed out and skipped by cron until resumed
+                    const isPaused = schedule.enabled === false;
+                    const pausedTitle = isPaused ? 'Paused' + (schedule.paused_by ? ' by ' + schedule.paused_by : '') + (schedule.paused_at ? ' at ' + schedule.paused_at : '') : '';
+                    let pauseBtn;
+                    if (!canModify) {
+                        pauseBtn = '<button class="btn btn-sm btn-secondary" disabled title="Schedules locked by administrator">🔒</button>';
+                    } else if (isPaused) {
+                        pauseBtn = '<button class="btn btn-sm btn-success" onclick="toggleSchedulePaused(\'' + schedule.id + '\', false)" title="Resume this schedule">▶ Resume</button>';
+                    } else {
+                        pauseBtn = '<button class="btn btn-sm btn-secondary" onclick="toggleSchedulePaused(\'' + schedule.id + '\', true)" title="Stop this schedule running until resumed">⏸ Pause</button>';
+                    }
                     
                     // Display accounts - show "All Accounts" badge if dynamic
                     let accountsDisplay;
-                    if (schedule.all_accounts || (schedule.accounts.length === 1 && schedule.accounts[0] === '*')) {
+                    if (schedule.account_selector) {
+                        accountsDisplay = '<span class="status-badge" style="background: var(--primary); color: #fff;" title="Matched at every run">🎯 ' + escapeHtml(schedule.account_selector_description || 'Filters') + '</span>';
+                    } else if (schedule.all_accounts || (schedule.accounts.length === 1 && schedule.accounts[0] === '*')) {
                         accountsDisplay = '<span class="status-badge" style="background: var(--primary); color: #fff;">🌐 All Accounts</span>';
                     } else {
                         accountsDisplay = schedule.accounts.join(', ');
                     }
+                    if ((schedule.exclude_accounts || []).length > 0) {
+                        accountsDisplay += '<div class="schedule-exclusions">Excluding: ' + escapeHtml(schedule.exclude_accounts.join(', ')) + '</div>';
+                    }
                     
                     // Encode schedule JSON for HTML attribute (escape quotes and special chars)
                     const scheduleJson = JSON.stringify(schedule)
@@ -724,36 +1720,46 @@
                         .replace(/"/g, '&quot;');
                     
                     let row = '<tr data-schedule-id="' + schedule.id + '" ' +
+                        (isPaused ? 'class="schedule-paused" ' : '') +
                         'data-schedule-json="' + scheduleJson + '">' +
+                        '<td class="schedule-select-col">' + selectBox + '</td>' +
                         '<td>' + accountsDisplay + '</td>' +
-                        '<td>' + (schedule.destination_name || schedule.destination) + '</td>' +
-                        '<td>' + formatScheduleFrequency(schedule) + '</td>' +
-                        '<td>' + (schedule.retention == 0 ? '∞' : schedule.retention) + '</td>' +
-                        '<td>' + schedule.next_run + '</td>';
+                        '<td>' + (schedule.destination_name || schedule.destination) + formatFallbackDestination(schedule) + formatPkgacctOverrides(schedule) + '</td>' +
+                        '<td>' + formatScheduleFrequency(schedule) + formatRetryPolicy(schedule.retry) + '</td>' +
+                        '<td>' + formatRetention(schedule) + '</td>' +
+                        '<td>' + renderScheduleLastRun(schedule, runningSchedules.has(schedule.id)) + '</td>' +
+                        '<td>' + (lastRun ? formatDuration(lastRun.duration) : '-') + '</td>' +
+                        '<td>' + (lastRun && lastRun.size ? formatFileSize(lastRun.size) : '-') + '</td>' +
+                        '<td>' + (isPaused ? '<span class="status-badge status-pending" title="' + escapeHtml(pausedTitle) + '">⏸ Paused</span>' : schedule.next_run) + '</td>';
                     
                     // Add owner column for root
                     if (isRootUser) {
                         row += '<td><span class="status-badge">' + (schedule.user || 'unknown') + '</span></td>';
                     }
                     
-                    row += '<td><div style="display: flex; gap: 6px;">' + editBtn + deleteBtn + '</div></td></tr>';
+                    row += '<td><div style="display: flex; gap: 6px;">' + runBtn + pauseBtn + editBtn + cloneBtn + deleteBtn + '</div></td></tr>';
+                    if (schedule.history && schedule.history.length > 0) {
+                        row += renderScheduleHistoryRow(schedule, colCount);
+                    }
                     return row;
                 }).join('');
             } else {
                 tbody.innerHTML = '<tr><td colspan="' + colCount + '">No active schedules.</td></tr>';
             }
+            updateScheduleBulkState();
         }).catch(err => {
             console.error('Failed to load schedules', err);
             const tbody = document.getElementById('schedules-tbody');
-            if (tbody) tbody.innerHTML = '<tr><td colspan="6">Unable to load schedules.</td></tr>';
+            if (tbody) tbody.innerHTML = '<tr><td colspan="' + (isRootUser ? 11 : 10) + '">Unable to load schedules.</td></tr>';
         });
     }
 
-    // View verbose log in lightbox
-    window.viewVerboseLog = function(jobID) {
-        apiCall('get_verbose_log', { job_id: jobID }, 'GET').then(data => {
+    // View verbose log in lightbox (optionally just one account's section)
+    window.viewVerboseLog = function(jobID, account) {
+        const params = account ? { job_id: jobID, account: account } : { job_id: jobID };
+        apiCall('get_verbose_log', params, 'GET').then(data => {
             if (data.success && data.content) {
-                showLogLightbox(data.content, jobID);
+                showLogLightbox(data.content, account ? jobID + ' — ' + escapeHtml(account) : jobID);
             } else {
                 alert('Log not found: ' + (data.message || 'Unknown error'));
             }
@@ -801,11 +1807,16 @@
             if (data.logs && data.logs.length > 0) {
                 tbody.innerHTML = data.logs.map(log => {
                     const viewLogLink = log.job_id ? '<a href="#" class="view-log-link" onclick="viewVerboseLog(\'' + log.job_id + '\'); return false;">Verbose</a>' : '';
+                    // Retries link back to the log of the run that first failed
+                    const retryLink = log.retry_attempt
+                        ? '<span class="job-retry-note">↻ Retry ' + log.retry_attempt + '</span>' +
+                          (log.original_log_id ? '<a href="#" class="view-log-link" onclick="viewVerboseLog(\'' + log.original_log_id + '\'); return false;" title="Original job ' + (log.original_job_id || '') + '">Original</a>' : '')
+                        : '';
                     return '<tr>' +
                         '<td><div class="log-cell-meta">' +
                             '<span class="log-timestamp">' + log.timestamp + '</span>' +
                             '<div class="log-status-row">' +
-                                '<span class="status-badge status-' + log.status + '">' + log.status + '</span>' + viewLogLink +
+                                '<span class="status-badge status-' + log.status + '">' + log.status + '</span>' + viewLogLink + retryLink +
                             '</div>' +
                         '</div></td>' +
                         '<td><div class="log-cell-type">' +
@@ -921,6 +1932,11 @@
             }
         }
         
+        updateQueuePauseState(data.queue_paused || null);
+        if (data.backup_window) {
+            updateBackupWindowState(data.backup_window);
+        }
+        
         // Update restores count
         const restoresEl = document.getElementById('status-restores');
         if (restoresEl) {
@@ -942,6 +1958,258 @@
         }
     }
 
+    // Reflect the queue processor pause flag in the status monitor, queue banner and root toggle
+    function updateQueuePauseState(pauseInfo) {
+        queuePaused = !!pauseInfo;
+        
+        const pausedIndicator = document.getElementById('status-paused-indicator');
+        if (pausedIndicator) {
+            pausedIndicator.style.display = queuePaused ? 'flex' : 'none';
+        }
+        
+        const banner = document.getElementById('queue-paused-banner');
+        if (banner) {
+            banner.style.display = queuePaused ? 'flex' : 'none';
+            banner.innerHTML = queuePaused
+                ? `⏸ <strong>Queue paused</strong> by <code>${escapeHtml(pauseInfo.paused_by || 'unknown')}</code>${pauseInfo.paused_at ? ' at ' + escapeHtml(pauseInfo.paused_at) : ''} — running jobs will finish, nothing new will start.`
+                : '';
+        }
+        
+        const btnPauseQueue = document.getElementById('btn-pause-queue');
+        if (btnPauseQueue && !btnPauseQueue.disabled) {
+            btnPauseQueue.innerHTML = queuePaused
+                ? '<span class="btn-icon">▶</span> Resume Queue'
+                : '<span class="btn-icon">⏸</span> Pause Queue';
+        }
+    }
+
+    // Show when queued backups are being held by the backup window or a blackout date
+    function updateBackupWindowState(windowInfo) {
+        const banner = document.getElementById('backup-window-banner');
+        if (banner) {
+            const held = !windowInfo.open;
+            banner.style.display = held ? 'flex' : 'none';
+            banner.innerHTML = held
+                ? `🕐 <strong>Outside the backup window</strong> — queued backups will wait${windowInfo.next_open ? ' until ' + escapeHtml(windowInfo.next_open) : ''}. Restores still run.`
+                : '';
+        }
+    }
+    
+    // =========================================================================
+    // SCHEDULE TIMING PREVIEW
+    // Custom (cron) picker and the server-side preview shown in both schedule forms
+    // =========================================================================
+    
+    const schedulePreviewTimers = {};
+    
+    // Build the cron expression from the picker (minute is always 0)
+    function buildCronFromPicker(prefix) {
+        const days = Array.from(document.querySelectorAll('#' + prefix + '-cron-days input:checked')).map(cb => cb.value);
+        const monthDays = document.getElementById(prefix + '-cron-dom').value.replace(/\s+/g, '') || '*';
+        const every = document.getElementById(prefix + '-cron-every').value;
+        const hours = document.getElementById(prefix + '-cron-hours').value.replace(/\s+/g, '') || '0';
+        const hourField = every ? '*/' + every : hours;
+        document.getElementById(prefix + '-cron').value = '0 ' + hourField + ' ' + monthDays + ' * ' + (days.length ? days.join(',') : '*');
+    }
+    
+    // Reflect a saved expression in the picker, as far as the picker can show it
+    function applyCronToPicker(prefix, cron) {
+        const fields = (cron || '').trim().split(/\s+/);
+        if (fields.length !== 5) return;
+        
+        const everyMatch = fields[1].match(/^\*\/(\d+)$/);
+        document.getElementById(prefix + '-cron-every').value = everyMatch ? everyMatch[1] : '';
+        document.getElementById(prefix + '-cron-hours').value = everyMatch ? '' : fields[1];
+        document.getElementById(prefix + '-cron-dom').value = fields[2] === '*' ? '' : fields[2];
+        
+        // Expand simple weekday lists and ranges (1-5) into checkboxes
+        const days = new Set();
+        if (fields[4] !== '*') {
+            fields[4].split(',').forEach(part => {
+                const range = part.split('-').map(n => parseInt(n, 10));
+                for (let d = range[0]; d <= (range.length > 1 ? range[1] : range[0]); d++) days.add(d % 7);
+            });
+        }
+        document.querySelectorAll('#' + prefix + '-cron-days input').forEach(cb => {
+            cb.checked = days.has(parseInt(cb.value, 10));
+        });
+    }
+    
+    // Show/hide the fields that apply to the chosen frequency
+    function updateScheduleFrequencyFields(prefix) {
+        const frequency = document.getElementById(prefix + '-frequency').value;
+        const customRow = document.getElementById(prefix + '-custom-row');
+        if (customRow) {
+            customRow.style.display = frequency === 'custom' ? 'block' : 'none';
+        }
+    }
+    
+    // Ask the server to describe the schedule and list its next runs (debounced)
+    function refreshSchedulePreview(prefix) {
+        clearTimeout(schedulePreviewTimers[prefix]);
+        schedulePreviewTimers[prefix] = setTimeout(() => {
+            const previewEl = document.getElementById(prefix + '-preview');
+            const warningEl = document.getElementById(prefix + '-window-warning');
+            if (!previewEl) return;
+            
+            const frequency = document.getElementById(prefix + '-frequency').value;
+            const params = {
+                schedule: frequency,
+                preferred_time: parseInt(document.getElementById(prefix + '-time').value, 10) || 0,
+                day_of_week: parseInt(document.getElementById(prefix + '-day-of-week').value, 10) || 0
+            };
+            if (frequency === 'custom') {
+                params.cron = document.getElementById(prefix + '-cron').value;
+            }
+            
+            apiCall('preview_schedule', params).then(data => {
+                if (data.success) {
+                    previewEl.innerHTML = '<strong>🗓️ ' + escapeHtml(data.description) + '</strong>' +
+                        '<span class="schedule-preview-label">Next runs (server time):</span>' +
+                        '<ol>' + data.next_runs.map(run => '<li>' + escapeHtml(run) + '</li>').join('') + '</ol>';
+                    previewEl.classList.remove('schedule-preview-error');
+                } else {
+                    previewEl.textContent = '⚠️ ' + (data.message || 'Invalid schedule');
+                    previewEl.classList.add('schedule-preview-error');
+                }
+                
+                // Outside the backup window is a warning, not an error - the schedule can still be saved
+                if (warningEl) {
+                    warningEl.textContent = data.warning ? '⚠️ ' + data.warning : '';
+                    warningEl.style.display = data.warning ? 'block' : 'none';
+                }
+            }).catch(err => console.error('Failed to preview schedule', err));
+        }, 300);
+    }
+
+    // =========================================================================
+    // RETENTION POLICY
+    // Keep-last-N or GFS tiers in both schedule forms, and the edit modal's pruning preview
+    // =========================================================================
+    
+    const GFS_TIERS = ['daily', 'weekly', 'monthly', 'yearly'];
+    
+    // GFS tiers from a form, or false when the form keeps the last N backups
+    function getRetentionGfs(prefix) {
+        if (document.getElementById(prefix + '-retention-mode').value !== 'gfs') return false;
+        const gfs = {};
+        GFS_TIERS.forEach(tier => {
+            gfs[tier] = parseInt(document.getElementById(prefix + '-gfs-' + tier).value, 10) || 0;
+        });
+        return gfs;
+    }
+    
+    // Show the GFS tiers or the plain count, whichever the policy uses
+    function updateRetentionFields(prefix) {
+        const isGfs = document.getElementById(prefix + '-retention-mode').value === 'gfs';
+        document.getElementById(prefix + '-gfs-row').style.display = isGfs ? 'flex' : 'none';
+        
+        const retentionInput = document.getElementById(prefix + '-retention');
+        retentionInput.disabled = isGfs;
+        retentionInput.style.opacity = isGfs ? '0.5' : '1';
+        retentionInput.title = isGfs ? 'GFS tiers replace the retained backups count' : '0 = unlimited';
+    }
+    
+    // Load a saved schedule's retention into the edit modal
+    function applyRetentionToForm(prefix, schedule) {
+        const gfs = schedule.retention_gfs;
+        document.getElementById(prefix + '-retention-mode').value = gfs ? 'gfs' : 'count';
+        GFS_TIERS.forEach(tier => {
+            const input = document.getElementById(prefix + '-gfs-' + tier);
+            input.value = gfs ? (gfs[tier] || 0) : input.defaultValue;
+        });
+        updateRetentionFields(prefix);
+    }
+    
+    // Backup setting overrides set in a schedule form ({} when the schedule follows Settings)
+    function getPkgacctOverrides(prefix) {
+        const overrides = {};
+        if (!document.getElementById(prefix + '-use-overrides').checked) return overrides;
+        document.querySelectorAll('#' + prefix + '-overrides-row [data-override]').forEach(select => {
+            if (select.value === '') return;
+            overrides[select.dataset.override] = ['1', '0'].includes(select.value) ? select.value === '1' : select.value;
+        });
+        return overrides;
+    }
+    
+    // Load a saved schedule's overrides into a schedule form (unset ones go back to Default)
+    function applyPkgacctOverridesToForm(prefix, schedule) {
+        const overrides = schedule.pkgacct_overrides || {};
+        document.querySelectorAll('#' + prefix + '-overrides-row [data-override]').forEach(select => {
+            const value = overrides[select.dataset.override];
+            select.value = value === undefined ? '' : (typeof value === 'boolean' ? (value ? '1' : '0') : value);
+        });
+        const useOverrides = document.getElementById(prefix + '-use-overrides');
+        useOverrides.checked = Object.keys(overrides).length > 0;
+        document.getElementById(prefix + '-overrides-row').style.display = useOverrides.checked ? 'block' : 'none';
+    }
+    
+    // Schedules table badge for the destination standing in when the primary is unavailable
+    function formatFallbackDestination(schedule) {
+        if (!schedule.fallback_destination) return '';
+        return '<div><span class="status-badge schedule-overrides-badge" title="Used when the primary destination is disabled or unreachable">↪ Fallback: ' +
+            escapeHtml(schedule.fallback_destination_name || schedule.fallback_destination) + '</span></div>';
+    }
+    
+    // Schedules table badges for a schedule's backup profile and its own overrides
+    function formatPkgacctOverrides(schedule) {
+        let html = '';
+        if (schedule.profile_id) {
+            html += schedule.profile_name
+                ? '<div><span class="status-badge schedule-overrides-badge" title="Backup profile">📋 ' + escapeHtml(schedule.profile_name) + '</span></div>'
+                : '<div><span class="status-badge status-error schedule-overrides-badge" title="Runs use the owner\'s Backup Settings until another profile is picked">⚠ Profile missing</span></div>';
+        }
+        const count = Object.keys(schedule.pkgacct_overrides || {}).length;
+        if (count > 0) {
+            html += '<div><span class="status-badge schedule-overrides-badge" title="' + escapeHtml(schedule.pkgacct_overrides_description || '') + '">⚙ ' +
+                count + ' override' + (count > 1 ? 's' : '') + '</span></div>';
+        }
+        return html;
+    }
+    
+    // List the archives the edit modal's retention policy would delete if saved
+    window.previewPrune = function() {
+        const previewEl = document.getElementById('edit-schedule-prune-preview');
+        const scheduleId = document.getElementById('edit-schedule-id').value;
+        if (!previewEl || !scheduleId) return;
+        
+        previewEl.style.display = 'block';
+        previewEl.classList.remove('schedule-preview-error');
+        previewEl.innerHTML = '<div class="loading-spinner"></div> Checking backups...';
+        
+        const retention = parseInt(document.getElementById('edit-schedule-retention').value, 10);
+        apiCall('preview_prune', {
+            job_id: scheduleId,
+            retention: isNaN(retention) ? 30 : retention,
+            retention_gfs: getRetentionGfs('edit-schedule')
+        }).then(data => {
+            if (!data.success) {
+                previewEl.textContent = '⚠️ ' + (data.message || 'Unable to preview pruning');
+                previewEl.classList.add('schedule-preview-error');
+                return;
+            }
+            
+            const summary = '<strong>' + escapeHtml(data.retention) + ':</strong> ' +
+                data.delete.length + ' backup' + (data.delete.length === 1 ? '' : 's') + ' would be deleted, ' +
+                data.keep + ' kept.';
+            if (data.delete.length === 0) {
+                previewEl.innerHTML = summary;
+                return;
+            }
+            previewEl.innerHTML = summary +
+                '<span class="schedule-preview-label">Deleted at the next hourly prune after saving:</span>' +
+                '<ul>' + data.delete.map(entry =>
+                    '<li>' + escapeHtml(entry.account) + '/' + escapeHtml(entry.file) +
+                    ' <span class="prune-preview-meta">' + escapeHtml(entry.timestamp) +
+                    (entry.size ? ', ' + formatFileSize(entry.size) : '') + '</span></li>'
+                ).join('') + '</ul>';
+        }).catch(err => {
+            console.error('Failed to preview pruning', err);
+            previewEl.textContent = '⚠️ Failed to preview pruning: ' + (err.message || 'Unknown error');
+            previewEl.classList.add('schedule-preview-error');
+        });
+    };
+
     // Check Cron Status
     function checkCronStatus() {
         apiCall('check_cron', {}, 'GET').then(data => {
@@ -1172,38 +2440,90 @@
         });
     }
 
-    // Refresh Status
-    function refreshStatus() {
-        const activeTab = document.querySelector('.backbork-tab.active');
-        if (activeTab && activeTab.dataset.tab === 'queue') {
-            loadQueue();
-        }
-        // Also refresh status monitor
-        apiCall('get_queue', {}, 'GET').then(data => {
-            updateStatusMonitor(data);
+    // Settings tab: health dashboard, one row per destination with its recent checks as a strip
+    function loadDestinationHealth() {
+        const tbody = document.getElementById('destination-health-tbody');
+        if (!tbody) return; // Not root user, element doesn't exist
+        
+        apiCall('get_destination_health', {}, 'GET').then(data => {
+            const rows = data.destinations || [];
+            if (rows.length === 0) {
+                tbody.innerHTML = '<tr><td colspan="7">No destinations configured.</td></tr>';
+                return;
+            }
+            
+            const statusBadges = {
+                healthy: '<span class="status-badge status-success">Healthy</span>',
+                warning: '<span class="status-badge status-pending">Warning</span>',
+                unhealthy: '<span class="status-badge status-error">Unhealthy</span>',
+                disabled: '<span class="status-badge status-error">Disabled</span>',
+                unknown: '<span class="status-badge">Not Checked</span>'
+            };
+            const trendArrows = { rising: ' ↗', falling: ' ↘', steady: ' →' };
+            
+            tbody.innerHTML = rows.map(dest => {
+                const last = dest.last || {};
+                const issues = (last.issues || []).join('\n');
+                const strip = dest.trend.map(check =>
+                    '<span class="health-trend-' + check.status + '" title="' + escapeHtml(check.checked_at + ' - ' + check.status + ' (' + check.latency_ms + ' ms)') + '"></span>'
+                ).join('');
+                const uptime = dest.uptime_percent !== null ? '<small>' + dest.uptime_percent + '% OK</small>' : '';
+                const schedules = dest.schedules.length > 0
+                    ? '<div><small title="' + escapeHtml(dest.schedules.map(s => s.name + ' (next: ' + (s.next_run || '-') + ')').join('\n')) + '">' +
+                      dest.schedules.length + ' schedule' + (dest.schedules.length > 1 ? 's' : '') + '</small></div>'
+                    : '';
+                const checkBtn = dest.enabled
+                    ? '<button class="btn btn-sm btn-secondary check-health-btn" data-destination="' + escapeHtml(dest.id) + '">Check Now</button>'
+                    : '';
+                
+                return '<tr>' +
+                    '<td><strong>' + escapeHtml(dest.name) + '</strong> <small style="color: var(--text-muted);">(' + escapeHtml(dest.type) + ')</small>' + schedules + '</td>' +
+                    '<td><span' + (issues ? ' title="' + escapeHtml(issues) + '" style="cursor: help;"' : '') + '>' + (statusBadges[dest.status] || statusBadges.unknown) + '</span></td>' +
+                    '<td>' + (last.checked_at ? escapeHtml(last.checked_at) : '-') + '</td>' +
+                    '<td><div class="health-trend">' + strip + '</div>' + uptime + '</td>' +
+                    '<td>' + (last.latency_ms !== undefined ? last.latency_ms + ' ms' + (trendArrows[dest.latency_trend] || '') : '-') + '</td>' +
+                    '<td>' + (last.free_percent !== null && last.free_percent !== undefined ? formatFileSize(last.free_bytes) + ' (' + last.free_percent + '%)' : '-') + '</td>' +
+                    '<td>' + checkBtn + '</td></tr>';
+            }).join('');
             
-            // Check if there are running jobs - enable fast refresh if so
-            const runningCount = (data.running?.length || 0) + (data.restores?.length || 0);
-            if (runningCount > 0 && !fastRefreshInterval) {
-                // Start fast refresh (every 5 seconds)
-                hasRunningJobs = true;
-                fastRefreshInterval = setInterval(refreshStatus, 5000);
-            } else if (runningCount === 0 && fastRefreshInterval) {
-                // Stop fast refresh when no running jobs
-                hasRunningJobs = false;
-                clearInterval(fastRefreshInterval);
-                fastRefreshInterval = null;
+            tbody.querySelectorAll('.check-health-btn').forEach(btn => {
+                btn.addEventListener('click', function() {
+                    runDestinationHealthCheck(this, { destination_id: this.dataset.destination });
+                });
+            });
+        }).catch(err => {
+            tbody.innerHTML = '<tr><td colspan="7" style="color: var(--danger);">Failed to load destination health.</td></tr>';
+            console.error('Failed to load destination health:', err);
+        });
+    }
+    
+    // Run health checks on demand (one destination or all), then refresh the dashboard
+    function runDestinationHealthCheck(buttonEl, data) {
+        const originalText = buttonEl.textContent;
+        buttonEl.disabled = true;
+        buttonEl.innerHTML = '<i class="fas fa-spinner fa-spin"></i>';
+        
+        apiCall('check_destination_health', data).then(result => {
+            buttonEl.disabled = false;
+            buttonEl.textContent = originalText;
+            if (!result.success) {
+                alert('Health check failed: ' + (result.message || 'Unknown error'));
             }
-        }).catch(err => { console.error('Failed to refresh status', err); updateStatusMonitor({ queued: [], running: [], restores: [] }); });
+            loadDestinationHealth();
+        }).catch(err => {
+            buttonEl.disabled = false;
+            buttonEl.textContent = originalText;
+            alert('Error running health check');
+        });
     }
-
+    
     // Event Listeners
     function initEventListeners() {
         // Select All checkboxes
         const selectAllBackup = document.getElementById('select-all-backup');
         if (selectAllBackup) {
             selectAllBackup.addEventListener('change', function() {
-                document.querySelectorAll('#backup-accounts-container .account-checkbox').forEach(cb => {
+                document.querySelectorAll('#backup-accounts-container .account-item:not([style*="none"]) .account-checkbox').forEach(cb => {
                     cb.checked = this.checked;
                 });
             });
@@ -1212,12 +2532,39 @@
         const selectAllSchedule = document.getElementById('select-all-schedule');
         if (selectAllSchedule) {
             selectAllSchedule.addEventListener('change', function() {
-                document.querySelectorAll('#schedule-accounts-container .account-checkbox').forEach(cb => {
+                document.querySelectorAll('#schedule-accounts-container .account-item:not([style*="none"]) .account-checkbox').forEach(cb => {
                     cb.checked = this.checked;
                 });
             });
         }
+        
+        // Account lists: filters narrow the list (and define a schedule's selector when "Match Filters" is ticked)
+        Object.keys(ACCOUNT_LIST_SELECT_ALL).forEach(prefix => {
+            const filterBar = document.getElementById(prefix + '-account-filters');
+            if (!filterBar) return;
+            filterBar.querySelectorAll('input, select').forEach(el => {
+                el.addEventListener(el.tagName === 'SELECT' ? 'change' : 'input', () => applyAccountFilters(prefix));
+            });
+            
+            const useSelector = document.getElementById(prefix + '-use-selector');
+            const allAccounts = document.getElementById(prefix + '-all-accounts');
+            if (useSelector && allAccounts) {
+                useSelector.addEventListener('change', () => updateSelectorMode(prefix));
+                allAccounts.addEventListener('change', () => {
+                    if (allAccounts.checked) useSelector.checked = false;
+                    updateSelectorMode(prefix);
+                });
+            }
+        });
 
+        // Settings tab: backup profile editor
+        const btnSaveProfile = document.getElementById('btn-save-profile');
+        if (btnSaveProfile) {
+            btnSaveProfile.addEventListener('click', saveProfile);
+            document.getElementById('btn-reset-profile').addEventListener('click', resetProfileEditor);
+            document.getElementById('btn-profile-from-settings').addEventListener('click', fillProfileFromSettings);
+        }
+        
         // Backup Now
         const btnBackupNow = document.getElementById('btn-backup-now');
         if (btnBackupNow) {
@@ -1235,7 +2582,7 @@
                     return;
                 }
                 
-                startBackup(selectedAccounts, destination);
+                startBackup(selectedAccounts, getDestinationList('backup-destination', 'backup-replicas'), document.getElementById('backup-profile').value);
             });
         }
 
@@ -1256,10 +2603,14 @@
                     return;
                 }
                 
+                const prioritySelect = document.getElementById('backup-queue-priority');
+                
                 apiCall('queue_backup', {
                     accounts: selectedAccounts,
-                    destination: destination,
-                    schedule: 'once'
+                    destinations: getDestinationList('backup-destination', 'backup-replicas'),
+                    schedule: 'once',
+                    priority: prioritySelect ? prioritySelect.value : 'normal',
+                    profile_id: document.getElementById('backup-profile').value
                 }).then(data => {
                     if (data.success) {
                         alert('Jobs added to queue successfully!');
@@ -1280,19 +2631,72 @@
                 const destinationName = destinationSelect.options[destinationSelect.selectedIndex]?.text || destination;
                 const account = document.getElementById('restore-account').value;
                 const backupFile = document.getElementById('restore-backup-file').value;
+                const restoreModeValue = document.getElementById('restore-mode').value;
+                const fileMode = restoreModeValue === 'files';
+                const databases = restoreModeValue === 'databases' ? getRestoreDatabaseSelection() : [];
+                const mailboxes = restoreModeValue === 'mail' ? getRestoreMailSelection() : [];
                 
                 if (!destination || !account || !backupFile) {
                     alert('Please select destination, account, and backup file.');
                     return;
                 }
                 
+                if (fileMode && restoreFileSelection.size === 0) {
+                    alert('Please select at least one file or folder to restore.');
+                    return;
+                }
+                
+                if (restoreModeValue === 'databases' && !databases.length) {
+                    alert('Please select at least one database to restore.');
+                    return;
+                }
+                
+                if (restoreModeValue === 'mail' && !mailboxes.length) {
+                    alert('Please select at least one mailbox or folder to restore.');
+                    return;
+                }
+                
+                const restoreTarget = restoreModeValue === 'account' ? getRestoreTarget() : null;
+                if (restoreTarget && !restoreTarget.newuser) {
+                    alert('Please enter the username for the new account.');
+                    return;
+                }
+                if (restoreTarget && restoreTarget.domainMode === 'new' && !restoreTarget.newdomain) {
+                    alert('Please enter the new primary domain.');
+                    return;
+                }
+                
                 // Show confirmation modal
+                const targetSelect = document.getElementById('restore-file-target');
+                const mailModeSelect = document.getElementById('restore-mail-mode');
                 document.getElementById('restore-confirm-details').innerHTML = `
-                    <p><strong>Account:</strong> ${account}</p>
+                    ${restoreTarget ? `
+                        <p><strong>Source Account:</strong> ${escapeHtml(account)} (from backup)</p>
+                        <p><strong>Target Account:</strong> ${escapeHtml(restoreTarget.newuser)} (new account)</p>
+                        <p><strong>Target Domain:</strong> ${restoreTarget.temp_domain ? escapeHtml(restoreTarget.newuser) + '.&lt;hostname&gt;' : escapeHtml(restoreTarget.newdomain || 'Same as backup')}</p>
+                        <p><strong>Target IP:</strong> ${escapeHtml(restoreTarget.ip || 'Shared IP')}</p>
+                        <p><strong>Target Owner:</strong> ${escapeHtml(restoreTarget.owner)}</p>
+                    ` : `
+                        <p><strong>Account:</strong> ${account}</p>
+                    `}
                     <p><strong>Backup File:</strong> ${backupFile}</p>
                     <p><strong>Source:</strong> ${destinationName}</p>
+                    ${fileMode ? `
+                        <p><strong>Files:</strong> ${restoreFileSelection.size} selected</p>
+                        <p><strong>Restore To:</strong> ${escapeHtml(targetSelect.options[targetSelect.selectedIndex].text)}</p>
+                    ` : ''}
+                    ${databases.map(db => `
+                        <p><strong>Database:</strong> ${escapeHtml(db.name)} → ${escapeHtml(db.target || db.name + ' (overwrite)')}${db.user ? ' (grant to ' + escapeHtml(db.user) + ')' : ''}</p>
+                    `).join('')}
+                    ${mailboxes.map(mailbox => `
+                        <p><strong>Mailbox:</strong> ${escapeHtml(mailbox.address)} (${mailbox.folders.length} folder${mailbox.folders.length === 1 ? '' : 's'})</p>
+                    `).join('')}
+                    ${mailboxes.length ? `
+                        <p><strong>Restore Into:</strong> ${escapeHtml(mailModeSelect.options[mailModeSelect.selectedIndex].text)}</p>
+                    ` : ''}
                 `;
                 document.getElementById('restore-modal').classList.add('active');
+                runRestorePreflight(destination, account, backupFile);
             });
         }
 
@@ -1304,17 +2708,11 @@
                 const destination = document.getElementById('restore-destination').value;
                 const account = document.getElementById('restore-account').value;
                 const backupFile = document.getElementById('restore-backup-file').value;
+                const options = getRestoreRequestOptions();
                 
-                const options = {
-                    homedir: document.querySelector('[name="restore_homedir"]').checked,
-                    mysql: document.querySelector('[name="restore_mysql"]').checked,
-                    mail: document.querySelector('[name="restore_mail"]').checked,
-                    ssl: document.querySelector('[name="restore_ssl"]').checked,
-                    cron: document.querySelector('[name="restore_cron"]').checked,
-                    dns: document.querySelector('[name="restore_dns"]').checked,
-                    subdomains: document.querySelector('[name="restore_subdomains"]').checked,
-                    addon_domains: document.querySelector('[name="restore_addon_domains"]').checked
-                };
+                // Root chose to go ahead despite pre-flight conflicts
+                const override = document.getElementById('restore-preflight-override');
+                if (override && override.checked) options.override_conflicts = true;
                 
                 startRestore(backupFile, account, options, destination);
             });
@@ -1330,6 +2728,51 @@
         if (restoreAccount) {
             restoreAccount.addEventListener('change', loadAvailableBackups);
         }
+        
+        // Restore as a new account (root only): show the target fields and load resellers as owners
+        const restoreAsNew = document.getElementById('restore-as-new');
+        if (restoreAsNew) {
+            restoreAsNew.addEventListener('change', function() {
+                document.getElementById('restore-target-fields').style.display = this.checked ? '' : 'none';
+                const ownerSelect = document.getElementById('restore-target-owner');
+                if (this.checked && ownerSelect.options.length === 1) {
+                    apiCall('get_resellers', {}, 'GET').then(result => {
+                        (result.resellers || []).forEach(reseller => {
+                            ownerSelect.insertAdjacentHTML('beforeend', `<option value="${escapeHtml(reseller)}">${escapeHtml(reseller)}</option>`);
+                        });
+                    }).catch(err => console.error('Error get_resellers', err));
+                }
+            });
+            document.getElementById('restore-target-domain-mode').addEventListener('change', function() {
+                document.getElementById('restore-target-domain').style.display = this.value === 'new' ? '' : 'none';
+            });
+        }
+        
+        // Switch between whole-account options, the file browser, the database list and the mailbox list
+        const restoreMode = document.getElementById('restore-mode');
+        if (restoreMode) {
+            restoreMode.addEventListener('change', function() {
+                document.getElementById('restore-account-options').style.display = this.value === 'account' ? '' : 'none';
+                document.getElementById('restore-file-options').style.display = this.value === 'files' ? '' : 'none';
+                document.getElementById('restore-database-options').style.display = this.value === 'databases' ? '' : 'none';
+                document.getElementById('restore-mail-options').style.display = this.value === 'mail' ? '' : 'none';
+                if (this.value === 'files' && !restoreFileEntries.length) browseRestoreFiles('');
+                if (this.value === 'databases') loadRestoreDatabases();
+                if (this.value === 'mail') loadRestoreMailboxes();
+            });
+        }
+        
+        // A different backup starts the file browser, database and mailbox lists afresh
+        const restoreBackupFile = document.getElementById('restore-backup-file');
+        if (restoreBackupFile) {
+            restoreBackupFile.addEventListener('change', function() {
+                resetRestoreFileBrowser();
+                const mode = document.getElementById('restore-mode').value;
+                if (mode === 'files') browseRestoreFiles('');
+                if (mode === 'databases') loadRestoreDatabases();
+                if (mode === 'mail') loadRestoreMailboxes();
+            });
+        }
 
         // Create Schedule
         // All Accounts toggle for schedules
@@ -1372,15 +2815,16 @@
             const updateScheduleFields = function() {
                 const isHourly = frequencySelect.value === 'hourly';
                 const isWeekly = frequencySelect.value === 'weekly';
+                const isCustom = frequencySelect.value === 'custom';
                 
                 // Show day-of-week only for weekly
                 dowRow.style.display = isWeekly ? 'flex' : 'none';
                 
-                // Disable time selection for hourly (runs every hour)
+                // Disable time selection for hourly (runs every hour) and custom (cron sets the hours)
                 if (timeSelect) {
-                    timeSelect.disabled = isHourly;
-                    timeSelect.style.opacity = isHourly ? '0.5' : '1';
-                    timeSelect.title = isHourly ? 'Hourly schedules run every hour' : '';
+                    timeSelect.disabled = isHourly || isCustom;
+                    timeSelect.style.opacity = (isHourly || isCustom) ? '0.5' : '1';
+                    timeSelect.title = isHourly ? 'Hourly schedules run every hour' : (isCustom ? 'Custom schedules use the cron expression' : '');
                 }
             };
             frequencySelect.addEventListener('change', updateScheduleFields);
@@ -1388,19 +2832,80 @@
             updateScheduleFields();
         }
         
-        // Create Schedule
-        const btnCreateSchedule = document.getElementById('btn-create-schedule');
-        if (btnCreateSchedule) {
-            btnCreateSchedule.addEventListener('click', function() {
-                const allAccountsChecked = document.getElementById('schedule-all-accounts')?.checked || false;
-                const selectedAccounts = allAccountsChecked ? ['*'] : getSelectedAccounts('schedule-accounts-container');
-                const destination = document.getElementById('schedule-destination').value;
-                const frequency = document.getElementById('schedule-frequency').value;
-                const retention = document.getElementById('schedule-retention').value;
+        // Both schedule forms: custom picker builds the cron expression, and any
+        // timing change refreshes the preview (description, next runs, window warning)
+        ['schedule', 'edit-schedule'].forEach(prefix => {
+            if (!document.getElementById(prefix + '-frequency')) return;
+            
+            ['-frequency', '-time', '-day-of-week'].forEach(suffix => {
+                document.getElementById(prefix + suffix).addEventListener('change', () => {
+                    updateScheduleFrequencyFields(prefix);
+                    refreshSchedulePreview(prefix);
+                });
+            });
+            
+            const pickerEls = document.querySelectorAll('#' + prefix + '-cron-days input, #' + prefix + '-cron-dom, #' + prefix + '-cron-hours, #' + prefix + '-cron-every');
+            pickerEls.forEach(el => {
+                el.addEventListener(el.tagName === 'SELECT' || el.type === 'checkbox' ? 'change' : 'input', () => {
+                    buildCronFromPicker(prefix);
+                    refreshSchedulePreview(prefix);
+                });
+            });
+            document.getElementById(prefix + '-cron').addEventListener('input', () => refreshSchedulePreview(prefix));
+            
+            // Retention policy: switch between count and GFS tiers, and drop a pruning preview that no longer applies
+            const retentionEls = document.querySelectorAll('#' + prefix + '-retention-mode, #' + prefix + '-retention, #' + prefix + '-gfs-row input');
+            retentionEls.forEach(el => {
+                el.addEventListener('change', () => {
+                    updateRetentionFields(prefix);
+                    const prunePreview = document.getElementById(prefix + '-prune-preview');
+                    if (prunePreview) prunePreview.style.display = 'none';
+                });
+            });
+            
+            // Backup setting overrides: only shown once the schedule opts in
+            document.getElementById(prefix + '-use-overrides').addEventListener('change', function() {
+                document.getElementById(prefix + '-overrides-row').style.display = this.checked ? 'block' : 'none';
+            });
+        });
+        
+        // Schedules table bulk toolbar: value field follows the operation, retention switches count/GFS
+        const scheduleBulkOperation = document.getElementById('schedule-bulk-operation');
+        if (scheduleBulkOperation) {
+            scheduleBulkOperation.addEventListener('change', updateScheduleBulkFields);
+            document.getElementById('schedule-bulk-retention-mode').addEventListener('change', () => updateRetentionFields('schedule-bulk'));
+        }
+        
+        // Edit modal: Preview pruning under the unsaved retention policy
+        const btnPreviewPrune = document.getElementById('btn-preview-prune');
+        if (btnPreviewPrune) {
+            btnPreviewPrune.addEventListener('click', previewPrune);
+        }
+        
+        // Create Schedule
+        const btnCreateSchedule = document.getElementById('btn-create-schedule');
+        if (btnCreateSchedule) {
+            btnCreateSchedule.addEventListener('click', function() {
+                const allAccountsChecked = document.getElementById('schedule-all-accounts')?.checked || false;
+                const useSelector = document.getElementById('schedule-use-selector')?.checked || false;
+                const accountSelector = useSelector ? getAccountFilters('schedule') : undefined;
+                const selectedAccounts = allAccountsChecked ? ['*'] : (useSelector ? [] : getSelectedAccounts('schedule-accounts-container'));
+                const destination = document.getElementById('schedule-destination').value;
+                const frequency = document.getElementById('schedule-frequency').value;
+                const retention = document.getElementById('schedule-retention').value;
                 const time = document.getElementById('schedule-time').value;
                 const dayOfWeek = document.getElementById('schedule-day-of-week')?.value || '0';
+                const retryAttempts = document.getElementById('schedule-retry-attempts')?.value || '0';
+                const retryBackoff = document.getElementById('schedule-retry-backoff')?.value || '15';
+                const retryFailedOnly = document.getElementById('schedule-retry-failed-only')?.checked ?? true;
+                const cron = frequency === 'custom' ? document.getElementById('schedule-cron').value : undefined;
                 
-                if (selectedAccounts.length === 0) {
+                if (useSelector && !hasAccountFilters(accountSelector)) {
+                    alert('Set at least one filter for "Match Filters", or select accounts.');
+                    return;
+                }
+                
+                if (!useSelector && selectedAccounts.length === 0) {
                     alert('Please select at least one account or enable "All Accounts".');
                     return;
                 }
@@ -1410,17 +2915,33 @@
                     return;
                 }
                 
+                const fallback = document.getElementById('schedule-fallback').value;
+                if (fallback && fallback === destination) {
+                    alert('Fallback storage must be different from the backup storage.');
+                    return;
+                }
+                
                 apiCall('create_schedule', {
                     accounts: selectedAccounts,
-                    destination: destination,
+                    destinations: getDestinationList('schedule-destination', 'schedule-replicas'),
                     schedule: frequency,
                     retention: parseInt(retention),
                     preferred_time: parseInt(time),
                     day_of_week: parseInt(dayOfWeek),
-                    all_accounts: allAccountsChecked
+                    all_accounts: allAccountsChecked,
+                    retry_attempts: parseInt(retryAttempts),
+                    retry_backoff: parseInt(retryBackoff),
+                    retry_failed_only: retryFailedOnly,
+                    retention_gfs: getRetentionGfs('schedule'),
+                    account_selector: accountSelector,
+                    exclude_accounts: (allAccountsChecked || useSelector) ? getExclusions('schedule') : [],
+                    pkgacct_overrides: getPkgacctOverrides('schedule'),
+                    profile_id: document.getElementById('schedule-profile').value,
+                    fallback_destination: fallback,
+                    cron: cron
                 }).then(data => {
                     if (data.success) {
-                        alert('Schedule created successfully!');
+                        alert('Schedule created successfully!' + (data.warning ? '\n\n⚠️ ' + data.warning : ''));
                         loadSchedules();
                     } else {
                         alert('Error: ' + (data.message || 'Unknown error'));
@@ -1437,14 +2958,14 @@
         const editTimeSelect = document.getElementById('edit-schedule-time');
         if (editFrequencySelect && editDowRow) {
             editFrequencySelect.addEventListener('change', function() {
-                const isHourly = editFrequencySelect.value === 'hourly';
+                const noTime = ['hourly', 'custom'].includes(editFrequencySelect.value);
                 const isWeekly = editFrequencySelect.value === 'weekly';
                 
                 editDowRow.style.display = isWeekly ? 'flex' : 'none';
                 
                 if (editTimeSelect) {
-                    editTimeSelect.disabled = isHourly;
-                    editTimeSelect.style.opacity = isHourly ? '0.5' : '1';
+                    editTimeSelect.disabled = noTime;
+                    editTimeSelect.style.opacity = noTime ? '0.5' : '1';
                 }
             });
         }
@@ -1463,7 +2984,7 @@
             editSelectAllCheck.addEventListener('change', function() {
                 const container = document.getElementById('edit-schedule-accounts-container');
                 if (container) {
-                    container.querySelectorAll('input[type="checkbox"]').forEach(cb => {
+                    container.querySelectorAll('.account-item:not([style*="none"]) input[type="checkbox"]').forEach(cb => {
                         if (!cb.disabled) cb.checked = editSelectAllCheck.checked;
                     });
                 }
@@ -1486,6 +3007,14 @@
             });
         }
 
+        // Destination health: check every enabled destination now
+        const btnCheckHealthAll = document.getElementById('btn-check-health-all');
+        if (btnCheckHealthAll) {
+            btnCheckHealthAll.addEventListener('click', function() {
+                runDestinationHealthCheck(this, {});
+            });
+        }
+        
         // Save Settings
         const btnSaveSettings = document.getElementById('btn-save-settings');
         if (btnSaveSettings) {
@@ -1494,6 +3023,7 @@
                 const cronErrorsEl = document.getElementById('notify-cron-errors');
                 const queueFailureEl = document.getElementById('notify-queue-failure');
                 const pruningEl = document.getElementById('notify-pruning');
+                const destHealthEl = document.getElementById('notify-destination-health');
                 const config = {
                     // Notification settings - channels
                     notify_email: document.getElementById('notify-email').value,
@@ -1573,8 +3103,33 @@
                         debug_mode: debugModeEl ? debugModeEl.checked : undefined,
                         notify_cron_errors: cronErrorsEl ? cronErrorsEl.checked : undefined,
                         notify_queue_failure: queueFailureEl ? queueFailureEl.checked : undefined,
-                        notify_pruning: pruningEl ? pruningEl.checked : undefined
+                        notify_pruning: pruningEl ? pruningEl.checked : undefined,
+                        notify_destination_health: destHealthEl ? destHealthEl.checked : undefined
                     };
+                    
+                    // Destination health check interval (clamped server-side)
+                    const healthIntervalEl = document.getElementById('health-check-interval');
+                    if (healthIntervalEl) {
+                        config._global_settings.health_check_interval = healthIntervalEl.value;
+                    }
+                    
+                    // Queue concurrency & resource limits (validated server-side)
+                    RESOURCE_LIMIT_FIELDS.forEach(field => {
+                        const el = document.getElementById(field.id);
+                        if (el) {
+                            config._global_settings[field.key] = el.value;
+                        }
+                    });
+                    
+                    // Backup window & blackout dates (lines are parsed server-side)
+                    const windowEnabledEl = document.getElementById('backup-window-enabled');
+                    if (windowEnabledEl) {
+                        config._global_settings.backup_window_enabled = windowEnabledEl.checked;
+                        config._global_settings.backup_window_start = document.getElementById('backup-window-start').value;
+                        config._global_settings.backup_window_end = document.getElementById('backup-window-end').value;
+                        config._global_settings.blackout_dates = document.getElementById('blackout-dates').value
+                            .split('\n').map(line => line.trim()).filter(line => line !== '');
+                    }
                 }
                 
                 apiCall('save_config', config).then(data => {
@@ -1652,6 +3207,12 @@
         if (scheduleViewUser) {
             scheduleViewUser.addEventListener('change', function() {
                 currentScheduleViewUser = this.value;
+                
+                // Pause/Resume All only applies to a single owner
+                const ownerActions = document.getElementById('schedule-owner-actions');
+                if (ownerActions) {
+                    ownerActions.style.display = this.value !== 'all' ? 'flex' : 'none';
+                }
                 loadSchedules();
             });
         }
@@ -1711,17 +3272,10 @@
                 btnProcessQueue.disabled = true;
                 btnProcessQueue.innerHTML = '<span class="loading-spinner-small"></span> Processing...';
                 
-                // Immediately start fast refresh to show progress
-                if (!fastRefreshInterval) {
-                    fastRefreshInterval = setInterval(refreshStatus, 2000);
-                }
-                // Trigger immediate refresh to show queue moving to running
-                setTimeout(() => { loadQueue(); refreshStatus(); }, 500);
-                
+                // Progress (queue moving to running) arrives via the live event stream
                 apiCall('process_queue', {}, 'POST').then(data => {
                     // Refresh queue to show final state
                     loadQueue();
-                    refreshStatus();
                     
                     if (data.success) {
                         // Show brief success toast/message
@@ -1762,7 +3316,6 @@
                 
                 apiCall('kill_all_jobs', {}, 'POST').then(data => {
                     loadQueue();
-                    refreshStatus();
                     
                     if (data.success) {
                         let msg = 'Killed ' + (data.queued_removed || 0) + ' queued and ' + (data.running_cancelled || 0) + ' running jobs.';
@@ -1781,6 +3334,81 @@
                 });
             });
         }
+        
+        // Pause/Resume Queue button (label follows the server flag via updateQueuePauseState)
+        const btnPauseQueue = document.getElementById('btn-pause-queue');
+        if (btnPauseQueue) {
+            btnPauseQueue.addEventListener('click', function() {
+                const action = queuePaused ? 'resume_queue' : 'pause_queue';
+                if (action === 'pause_queue' && !confirm('Pause the queue?\n\nRunning jobs will finish, but no queued jobs will start (manually or via cron) until the queue is resumed.')) return;
+                
+                btnPauseQueue.disabled = true;
+                btnPauseQueue.innerHTML = '<span class="loading-spinner-small"></span> ' + (action === 'pause_queue' ? 'Pausing...' : 'Resuming...');
+                
+                apiCall(action, {}, 'POST').then(data => {
+                    if (!data.success) {
+                        alert('Error: ' + (data.message || 'Unknown error'));
+                    }
+                }).catch(err => {
+                    console.error('Error ' + action, err);
+                    alert('Error updating queue: ' + (err.message || 'Unknown error'));
+                }).finally(() => {
+                    btnPauseQueue.disabled = false;
+                    loadQueue();
+                });
+            });
+        }
+        
+        // Drag-and-drop reordering of queued jobs (rows are re-rendered, so delegate from the tbody)
+        const queueTbody = document.getElementById('queue-tbody');
+        if (queueTbody) {
+            queueTbody.addEventListener('dragstart', function(e) {
+                const row = e.target.closest('tr.queue-row');
+                if (!row) return;
+                draggingQueueJob = row.dataset.jobId;
+                row.classList.add('dragging');
+                e.dataTransfer.effectAllowed = 'move';
+                e.dataTransfer.setData('text/plain', draggingQueueJob);
+            });
+            
+            queueTbody.addEventListener('dragover', function(e) {
+                if (!draggingQueueJob) return;
+                e.preventDefault();
+                const dragged = queueTbody.querySelector('tr.queue-row.dragging');
+                const target = e.target.closest('tr.queue-row');
+                if (!dragged || !target || target === dragged) return;
+                // Drop above or below the hovered row depending on which half the pointer is in
+                const rect = target.getBoundingClientRect();
+                const after = e.clientY > rect.top + rect.height / 2;
+                queueTbody.insertBefore(dragged, after ? target.nextSibling : target);
+            });
+            
+            queueTbody.addEventListener('drop', function(e) {
+                if (!draggingQueueJob) return;
+                e.preventDefault();
+                const order = Array.from(queueTbody.querySelectorAll('tr.queue-row')).map(row => row.dataset.jobId);
+                apiCall('reorder_queue', { order: order }).then(data => {
+                    if (!data.success) {
+                        alert('Error: ' + (data.message || 'Unknown error'));
+                    }
+                }).catch(err => {
+                    console.error('Error reorder_queue', err);
+                    alert('Failed to reorder queue: ' + (err.message || 'Unknown error'));
+                }).finally(() => loadQueue());
+            });
+            
+            // Fires after drop (or when the drag is abandoned) - release held re-renders
+            queueTbody.addEventListener('dragend', function() {
+                draggingQueueJob = null;
+                const row = queueTbody.querySelector('tr.queue-row.dragging');
+                if (row) row.classList.remove('dragging');
+                if (pendingQueueRender) {
+                    const data = pendingQueueRender;
+                    pendingQueueRender = null;
+                    renderQueue(data);
+                }
+            });
+        }
     }
 
     // Get Selected Accounts - Returns array of checked account usernames from a container
@@ -1789,109 +3417,182 @@
         return Array.from(checkboxes).map(cb => cb.value);
     }
 
+    // =========================================================================
+    // STRUCTURED JOB PROGRESS
+    // Renders the phase/account breakdown sent with backup and restore log
+    // events (see BackBorkProgress) into the progress cards
+    // =========================================================================
+    
+    // Map progress statuses onto existing status badge styles
+    const PROGRESS_BADGES = {
+        running: 'status-running',
+        done: 'status-success',
+        success: 'status-success',
+        completed: 'status-success',
+        failed: 'status-error',
+        pending: 'status-pending',
+        cancelled: 'status-pending',
+        paused: 'status-pending'
+    };
+    
+    // Format seconds as "45s", "2m 30s" or "1h 15m" (matches server-side formatDuration)
+    function formatDuration(seconds) {
+        seconds = Math.max(0, Math.round(seconds));
+        if (seconds < 60) return seconds + 's';
+        if (seconds < 3600) {
+            const secs = seconds % 60;
+            return Math.floor(seconds / 60) + 'm' + (secs > 0 ? ' ' + secs + 's' : '');
+        }
+        const mins = Math.floor((seconds % 3600) / 60);
+        return Math.floor(seconds / 3600) + 'h' + (mins > 0 ? ' ' + mins + 'm' : '');
+    }
+    
+    // Render a progress summary into a card's detail container
+    function renderJobProgress(container, progress) {
+        if (!container || !progress) return;
+        
+        // Summary line: phase, current account, bytes, throughput, timing
+        const facts = [];
+        if (progress.phase) {
+            facts.push(`<span><strong>Phase ${progress.phase_index}/${progress.phase_count}:</strong> ${escapeHtml(progress.phase_label)}</span>`);
+        }
+        if (progress.account && progress.account_count > 1) {
+            const current = progress.accounts[progress.account_index - 1];
+            const step = current && current.phase_label ? ' (' + escapeHtml(current.phase_label) + ')' : '';
+            facts.push(`<span><strong>Account ${progress.account_index}/${progress.account_count}:</strong> ${escapeHtml(progress.account)}${step}</span>`);
+        }
+        if (progress.bytes_done > 0) {
+            facts.push(`<span><strong>Processed:</strong> ${formatFileSize(progress.bytes_done)}</span>`);
+        }
+        if (progress.throughput) {
+            facts.push(`<span><strong>Throughput:</strong> ${formatFileSize(progress.throughput)}/s</span>`);
+        }
+        facts.push(`<span><strong>Elapsed:</strong> ${formatDuration(progress.elapsed)}</span>`);
+        if (progress.eta !== null) {
+            facts.push(`<span><strong>ETA:</strong> ~${formatDuration(progress.eta)}</span>`);
+        }
+        
+        // Job phases as a step list
+        const phases = progress.phases.map(phase =>
+            `<li class="job-phase job-phase-${phase.status}">${escapeHtml(phase.label)}</li>`
+        ).join('');
+        
+        let html = `<div class="job-progress-summary">${facts.join('')}</div><ol class="job-progress-phases">${phases}</ol>`;
+        
+        // Per-account table (backups only - each account has its own phases)
+        const accountPhases = progress.accounts.length > 0 ? progress.accounts[0].phases : [];
+        if (accountPhases.length > 0) {
+            const headers = accountPhases.map(phase => `<th>${escapeHtml(phase.label)}</th>`).join('');
+            const rows = progress.accounts.map(account => {
+                const badge = PROGRESS_BADGES[account.status] || '';
+                const cells = account.phases.map(phase => {
+                    const bytes = phase.bytes > 0 ? formatFileSize(phase.bytes) : '';
+                    return `<td><span class="job-phase-dot job-phase-${phase.status}" title="${escapeHtml(phase.label)}: ${phase.status}"></span> ${bytes}</td>`;
+                }).join('');
+                return `<tr>
+                    <td>${escapeHtml(account.account)}</td>
+                    <td>${badge ? `<span class="status-badge ${badge}">${account.status}</span>` : account.status}</td>
+                    ${cells}
+                    <td>${account.size ? formatFileSize(account.size) : '-'}</td>
+                    <td>${account.duration !== null ? formatDuration(account.duration) : '-'}</td>
+                </tr>`;
+            }).join('');
+            html += `<div class="table-container job-progress-accounts">
+                <table class="backbork-table">
+                    <thead><tr><th>Account</th><th>Status</th>${headers}<th>Size</th><th>Duration</th></tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>`;
+        }
+        
+        container.innerHTML = html;
+    }
+
     // =========================================================================
     // BACKUP EXECUTION
-    // Handles immediate backup creation with real-time log tailing via polling
-    // Creates backup job, then polls get_backup_log API for progress updates
+    // Handles immediate backup creation with real-time log tailing
+    // Creates backup job, then subscribes to its log on the live event stream
     // =========================================================================
-    function startBackup(accounts, destination) {
+    function startBackup(accounts, destinations, profileID) {
         const progressCard = document.getElementById('backup-progress');
         const progressBar = document.getElementById('backup-progress-bar');
         const statusMessage = document.getElementById('backup-status-message');
         const logDiv = document.getElementById('backup-log');
+        const progressDetail = document.getElementById('backup-progress-detail');
         
         progressCard.style.display = 'block';
         progressBar.style.width = '5%';
+        progressBar.style.background = '';
+        progressDetail.innerHTML = '';
         statusMessage.innerHTML = '<div class="loading-spinner"></div> Starting backup...';
         logDiv.innerHTML = '<pre class="backup-log-output" style="background: var(--terminal-bg); color: var(--terminal-text); padding: 12px; border-radius: 6px; font-size: 12px; max-height: 400px; overflow-y: auto; white-space: pre-wrap; word-break: break-all;"></pre>';
         
         const logOutput = logDiv.querySelector('.backup-log-output');
         let backupID = null;
-        let logOffset = 0;
-        let pollInterval = null;
-        
-        // Function to poll for log updates
-        function pollBackupLog() {
-            if (!backupID) return;
-            
-            apiCall('get_backup_log', { backup_id: backupID, offset: logOffset }, 'GET')
-                .then(data => {
-                    if (data.success && data.content) {
-                        // Append new content
-                        logOutput.textContent += data.content;
-                        logOffset = data.offset;
-                        
-                        // Auto-scroll to bottom
-                        logOutput.scrollTop = logOutput.scrollHeight;
-                        
-                        // Update progress bar based on log content
-                        const text = logOutput.textContent.toLowerCase();
-                        if (text.includes('step 1/5')) progressBar.style.width = '10%';
-                        else if (text.includes('step 2/5')) progressBar.style.width = '20%';
-                        else if (text.includes('step 3/5')) progressBar.style.width = '30%';
-                        else if (text.includes('[3b]') || text.includes('pkgacct')) progressBar.style.width = '40%';
-                        else if (text.includes('[3c]') || text.includes('database')) progressBar.style.width = '50%';
-                        else if (text.includes('[3d]') || text.includes('uploading')) progressBar.style.width = '60%';
-                        else if (text.includes('[3e]') || text.includes('cleanup')) progressBar.style.width = '75%';
-                        else if (text.includes('step 4/5')) progressBar.style.width = '85%';
-                        else if (text.includes('step 5/5')) progressBar.style.width = '95%';
-                    }
-                    
-                    // Check if complete
-                    if (data.complete) {
-                        clearInterval(pollInterval);
-                        pollInterval = null;
-                        
-                        // Check final status and update log appearance
-                        if (logOutput.textContent.includes('BACKUP COMPLETED SUCCESSFULLY')) {
-                            progressBar.style.width = '100%';
-                            statusMessage.innerHTML = '<span class="status-badge status-success">✓ Backup completed successfully!</span>';
-                            logOutput.style.background = 'var(--terminal-success-bg)';
-                            logOutput.style.color = 'var(--terminal-success-text)';
-                        } else if (logOutput.textContent.includes('BACKUP FAILED')) {
-                            progressBar.style.width = '100%';
-                            progressBar.style.background = 'var(--danger)';
-                            statusMessage.innerHTML = '<span class="status-badge status-error">✗ Backup failed</span>';
-                            logOutput.style.background = 'var(--terminal-error-bg)';
-                            logOutput.style.color = 'var(--terminal-error-text)';
-                        }
-                        
-                        // Refresh the queue
-                        loadQueue();
-                    }
-                })
-                .catch(err => {
-                    console.error('Error polling backup log:', err);
-                });
+        
+        // Handle streamed log output for this backup
+        function onBackupLog(data) {
+            // Server restarted the log from the beginning (truncated/replaced)
+            if (data.reset) logOutput.textContent = '';
+            
+            if (data.content) {
+                // Append new content
+                logOutput.textContent += data.content;
+                
+                // Auto-scroll to bottom
+                logOutput.scrollTop = logOutput.scrollHeight;
+            }
+            
+            // Structured progress from the backup engine
+            if (data.progress) {
+                progressBar.style.width = Math.max(data.progress.percent, 5) + '%';
+                renderJobProgress(progressDetail, data.progress);
+            }
+            
+            // Check if complete (stream stops tailing this log automatically)
+            if (data.complete) {
+                // Final state comes from progress; jobs without it fall back to the log marker
+                const finalStatus = data.progress ? data.progress.status
+                    : (logOutput.textContent.includes('BACKUP COMPLETED SUCCESSFULLY') ? 'completed' : 'failed');
+                
+                progressBar.style.width = '100%';
+                if (finalStatus === 'completed') {
+                    statusMessage.innerHTML = '<span class="status-badge status-success">✓ Backup completed successfully!</span>';
+                    logOutput.style.background = 'var(--terminal-success-bg)';
+                    logOutput.style.color = 'var(--terminal-success-text)';
+                } else if (finalStatus === 'cancelled') {
+                    statusMessage.innerHTML = '<span class="status-badge status-pending">Backup cancelled</span>';
+                } else if (finalStatus === 'paused') {
+                    statusMessage.innerHTML = '<span class="status-badge status-pending">Backup paused - remaining accounts are back in the queue</span>';
+                } else {
+                    progressBar.style.background = 'var(--danger)';
+                    statusMessage.innerHTML = '<span class="status-badge status-error">✗ Backup failed</span>';
+                    logOutput.style.background = 'var(--terminal-error-bg)';
+                    logOutput.style.color = 'var(--terminal-error-text)';
+                }
+                
+                // Refresh the queue
+                loadQueue();
+            }
         }
         
         // Start the backup
         apiCall('create_backup', {
             accounts: accounts,
-            destination: destination
+            destinations: destinations,
+            profile_id: profileID || ''
         }).then(data => {
             if (data.backup_id) {
                 backupID = data.backup_id;
                 statusMessage.innerHTML = '<div class="loading-spinner"></div> Backup in progress...';
                 progressBar.style.width = '10%';
                 
-                // Always poll from offset 0 to get full log
-                logOffset = 0;
-                
-                // Start polling for log updates (every 500ms)
-                pollInterval = setInterval(pollBackupLog, 500);
-                
-                // Also do immediate poll
-                pollBackupLog();
+                // Tail the full log from offset 0 via the event stream
+                watchJobLog(backupID, onBackupLog);
             }
             
             // Handle immediate completion (no backup_id means early failure)
             if (data.success !== undefined && !data.backup_id) {
-                if (pollInterval) {
-                    clearInterval(pollInterval);
-                    pollInterval = null;
-                }
-                
                 if (data.success) {
                     progressBar.style.width = '100%';
                     statusMessage.innerHTML = '<span class="status-badge status-success">✓ Backup completed successfully!</span>';
@@ -1913,9 +3614,7 @@
                 loadQueue();
             }
         }).catch(err => {
-            if (pollInterval) {
-                clearInterval(pollInterval);
-            }
+            if (backupID) unwatchJobLog(backupID);
             statusMessage.innerHTML = '<span class="status-badge status-error">✗ Error</span>';
             logOutput.textContent = 'Error: ' + err.message;
             logOutput.style.background = 'var(--terminal-error-bg)';
@@ -1925,71 +3624,63 @@
 
     // =========================================================================
     // RESTORE EXECUTION
-    // Handles account restoration with real-time log tailing via polling
-    // Creates restore job, then polls get_restore_log API for progress updates
+    // Handles account restoration with real-time log tailing
+    // Creates restore job, then subscribes to its log on the live event stream
     // =========================================================================
     function startRestore(backupFile, account, options, destination) {
         const progressCard = document.getElementById('restore-progress');
         const progressBar = document.getElementById('restore-progress-bar');
         const statusMessage = document.getElementById('restore-status-message');
         const logDiv = document.getElementById('restore-log');
+        const progressDetail = document.getElementById('restore-progress-detail');
         
         progressCard.style.display = 'block';
         progressBar.style.width = '5%';
+        progressBar.style.background = '';
+        progressDetail.innerHTML = '';
         statusMessage.innerHTML = '<div class="loading-spinner"></div> Starting restore...';
         logDiv.innerHTML = '<pre class="restore-log-output" style="background: var(--terminal-bg); color: var(--terminal-text); padding: 12px; border-radius: 6px; font-size: 12px; max-height: 400px; overflow-y: auto; white-space: pre-wrap; word-break: break-all;"></pre>';
         
         const logOutput = logDiv.querySelector('.restore-log-output');
         let restoreID = null;
-        let logOffset = 0;
-        let pollInterval = null;
-        
-        // Function to poll for log updates
-        function pollRestoreLog() {
-            if (!restoreID) return;
-            
-            apiCall('get_restore_log', { restore_id: restoreID, offset: logOffset }, 'GET')
-                .then(data => {
-                    if (data.success && data.content) {
-                        // Append new content
-                        logOutput.textContent += data.content;
-                        logOffset = data.offset;
-                        
-                        // Auto-scroll to bottom
-                        logOutput.scrollTop = logOutput.scrollHeight;
-                        
-                        // Update progress bar based on log content (rough estimate)
-                        const text = logOutput.textContent.toLowerCase();
-                        if (text.includes('extracting')) progressBar.style.width = '20%';
-                        else if (text.includes('creating') || text.includes('restoring')) progressBar.style.width = '40%';
-                        else if (text.includes('mysql') || text.includes('database')) progressBar.style.width = '60%';
-                        else if (text.includes('mail') || text.includes('dns')) progressBar.style.width = '75%';
-                        else if (text.includes('completed') || text.includes('finished')) progressBar.style.width = '95%';
-                    }
-                    
-                    // Check if complete
-                    if (data.complete) {
-                        clearInterval(pollInterval);
-                        pollInterval = null;
-                        
-                        // Check final status and update log appearance
-                        if (logOutput.textContent.includes('RESTORE COMPLETED SUCCESSFULLY')) {
-                            progressBar.style.width = '100%';
-                            statusMessage.innerHTML = '<span class="status-badge status-success">✓ Restore completed successfully!</span>';
-                            logOutput.style.background = 'var(--terminal-success-bg)';
-                            logOutput.style.color = 'var(--terminal-success-text)';
-                        } else if (logOutput.textContent.includes('RESTORE FAILED')) {
-                            progressBar.style.width = '100%';
-                            progressBar.style.background = 'var(--danger)';
-                            statusMessage.innerHTML = '<span class="status-badge status-error">✗ Restore failed</span>';
-                            logOutput.style.background = 'var(--terminal-error-bg)';
-                            logOutput.style.color = 'var(--terminal-error-text)';
-                        }
-                    }
-                })
-                .catch(err => {
-                    console.error('Error polling restore log:', err);
-                });
+        
+        // Handle streamed log output for this restore
+        function onRestoreLog(data) {
+            // Server restarted the log from the beginning (truncated/replaced)
+            if (data.reset) logOutput.textContent = '';
+            
+            if (data.content) {
+                // Append new content
+                logOutput.textContent += data.content;
+                
+                // Auto-scroll to bottom
+                logOutput.scrollTop = logOutput.scrollHeight;
+            }
+            
+            // Structured progress from the restore engine
+            if (data.progress) {
+                progressBar.style.width = Math.max(data.progress.percent, 5) + '%';
+                renderJobProgress(progressDetail, data.progress);
+            }
+            
+            // Check if complete (stream stops tailing this log automatically)
+            if (data.complete) {
+                // Final state comes from progress; jobs without it fall back to the log marker
+                const finalStatus = data.progress ? data.progress.status
+                    : (logOutput.textContent.includes('RESTORE COMPLETED SUCCESSFULLY') ? 'completed' : 'failed');
+                
+                progressBar.style.width = '100%';
+                if (finalStatus === 'completed') {
+                    statusMessage.innerHTML = '<span class="status-badge status-success">✓ Restore completed successfully!</span>';
+                    logOutput.style.background = 'var(--terminal-success-bg)';
+                    logOutput.style.color = 'var(--terminal-success-text)';
+                } else {
+                    progressBar.style.background = 'var(--danger)';
+                    statusMessage.innerHTML = '<span class="status-badge status-error">✗ Restore failed</span>';
+                    logOutput.style.background = 'var(--terminal-error-bg)';
+                    logOutput.style.color = 'var(--terminal-error-text)';
+                }
+            }
         }
         
         // Start the restore
@@ -2004,25 +3695,14 @@
                 statusMessage.innerHTML = '<div class="loading-spinner"></div> Restore in progress...';
                 progressBar.style.width = '10%';
                 
-                // Always poll from offset 0 to get full log including our additions
+                // Tail from offset 0 to get full log including our additions
                 // Don't use data.log as it only contains restorepkg output
-                logOffset = 0;
-                
-                // Start polling for log updates (every 500ms)
-                pollInterval = setInterval(pollRestoreLog, 500);
-                
-                // Also do immediate poll
-                pollRestoreLog();
+                watchJobLog(restoreID, onRestoreLog);
             }
             
             // Handle immediate completion (small restores)
             if (data.success !== undefined && !data.restore_id) {
                 // No restore_id means it failed before creating a log
-                if (pollInterval) {
-                    clearInterval(pollInterval);
-                    pollInterval = null;
-                }
-                
                 if (data.success) {
                     progressBar.style.width = '100%';
                     statusMessage.innerHTML = '<span class="status-badge status-success">✓ Restore completed successfully!</span>';
@@ -2038,9 +3718,7 @@
                 }
             }
         }).catch(err => {
-            if (pollInterval) {
-                clearInterval(pollInterval);
-            }
+            if (restoreID) unwatchJobLog(restoreID);
             statusMessage.innerHTML = '<span class="status-badge status-error">✗ Error</span>';
             logOutput.textContent = 'Error: ' + err.message;
             logOutput.style.background = 'var(--terminal-error-bg)';
@@ -2060,6 +3738,9 @@
         }
         
         select.innerHTML = '<option value="">Loading backups...</option>';
+        resetRestoreFileBrowser();
+        document.getElementById('restore-database-tbody').innerHTML = '<tr><td colspan="5">Select a backup first...</td></tr>';
+        document.getElementById('restore-mail-tbody').innerHTML = '<tr><td colspan="4">Select a backup first...</td></tr>';
         
         apiCall('get_remote_backups', { destination: destination, account: account }, 'GET').then(data => {
             if (data.backups && data.backups.length > 0) {
@@ -2087,6 +3768,396 @@
         }).catch(err => { console.error('Error get_remote_backups', err); const tbody = document.getElementById('remote-backups-tbody'); if(tbody) tbody.innerHTML = '<tr><td colspan="5">Unable to load remote backups.</td></tr>'; });
     }
 
+    // =========================================================================
+    // FILE-LEVEL RESTORE BROWSER
+    // Walks the home directory stored in the selected backup, one folder at a time
+    // Picked paths are kept across folders until the backup changes
+    // =========================================================================
+    let restoreFilePath = '';             // Folder shown in the browser ('' = home directory)
+    let restoreFileEntries = [];          // Entries of the folder shown
+    const restoreFileSelection = new Set();  // Paths ticked for restore
+    
+    function resetRestoreFileBrowser() {
+        restoreFilePath = '';
+        restoreFileEntries = [];
+        restoreFileSelection.clear();
+        const tbody = document.getElementById('restore-file-tbody');
+        if (tbody) tbody.innerHTML = '<tr><td colspan="3">Select a backup first...</td></tr>';
+        const breadcrumb = document.getElementById('restore-file-breadcrumb');
+        if (breadcrumb) breadcrumb.innerHTML = '';
+        renderRestoreFileSelection();
+    }
+    
+    function browseRestoreFiles(path) {
+        const destination = document.getElementById('restore-destination').value;
+        const account = document.getElementById('restore-account').value;
+        const backupFile = document.getElementById('restore-backup-file').value;
+        const tbody = document.getElementById('restore-file-tbody');
+        
+        if (!destination || !account || !backupFile) {
+            tbody.innerHTML = '<tr><td colspan="3">Select a backup first...</td></tr>';
+            return;
+        }
+        
+        tbody.innerHTML = '<tr><td colspan="3"><div class="loading-spinner"></div> Reading backup...</td></tr>';
+        
+        apiCall('browse_backup_files', { destination: destination, account: account, backup_file: backupFile, path: path }, 'GET').then(data => {
+            if (!data.success) {
+                tbody.innerHTML = `<tr><td colspan="3">${escapeHtml(data.message || 'Unable to read backup')}</td></tr>`;
+                return;
+            }
+            restoreFilePath = data.path;
+            restoreFileEntries = data.entries || [];
+            renderRestoreFileBrowser();
+        }).catch(err => { console.error('Error browse_backup_files', err); tbody.innerHTML = '<tr><td colspan="3">Unable to read backup.</td></tr>'; });
+    }
+    
+    function renderRestoreFileBrowser() {
+        const tbody = document.getElementById('restore-file-tbody');
+        const breadcrumb = document.getElementById('restore-file-breadcrumb');
+        const parts = restoreFilePath ? restoreFilePath.split('/') : [];
+        
+        breadcrumb.innerHTML = `<a href="#" onclick="openRestoreBreadcrumb(-1); return false;">~</a>` +
+            parts.map((part, i) => ` / <a href="#" onclick="openRestoreBreadcrumb(${i}); return false;">${escapeHtml(part)}</a>`).join('');
+        
+        if (!restoreFileEntries.length) {
+            tbody.innerHTML = '<tr><td colspan="3">This folder is empty.</td></tr>';
+            return;
+        }
+        
+        // A ticked parent folder already covers everything inside it
+        const parentSelected = parts.some((part, i) => restoreFileSelection.has(parts.slice(0, i + 1).join('/')));
+        tbody.innerHTML = restoreFileEntries.map((entry, i) => {
+            const checked = parentSelected || restoreFileSelection.has(entry.path);
+            const icon = entry.type === 'dir' ? '📁' : (entry.type === 'link' ? '🔗' : '📄');
+            const name = entry.type === 'dir'
+                ? `<a href="#" onclick="openRestoreFolder(${i}); return false;">${escapeHtml(entry.name)}</a>`
+                : escapeHtml(entry.name);
+            return `<tr>
+                <td><input type="checkbox" ${checked ? 'checked' : ''} ${parentSelected ? 'disabled' : ''} onchange="toggleRestoreFile(${i}, this.checked)"></td>
+                <td>${icon} ${name}</td>
+                <td>${formatFileSize(entry.size) || '-'}</td>
+            </tr>`;
+        }).join('');
+    }
+    
+    function renderRestoreFileSelection() {
+        const container = document.getElementById('restore-file-selected');
+        if (!container) return;
+        
+        const selected = Array.from(restoreFileSelection);
+        if (!selected.length) {
+            container.innerHTML = '';
+            return;
+        }
+        container.innerHTML = `<strong>Selected (${selected.length}):</strong> ` + selected.map((path, i) =>
+            `<span class="file-chip">~/${escapeHtml(path)} <a href="#" onclick="removeRestoreFile(${i}); return false;" title="Remove">&times;</a></span>`
+        ).join('');
+    }
+    
+    window.openRestoreFolder = function(index) {
+        const entry = restoreFileEntries[index];
+        if (entry) browseRestoreFiles(entry.path);
+    };
+    
+    window.openRestoreBreadcrumb = function(depth) {
+        const parts = restoreFilePath ? restoreFilePath.split('/') : [];
+        browseRestoreFiles(parts.slice(0, depth + 1).join('/'));
+    };
+    
+    window.toggleRestoreFile = function(index, checked) {
+        const entry = restoreFileEntries[index];
+        if (!entry) return;
+        
+        if (checked) {
+            // Picking a folder replaces anything already picked inside it
+            restoreFileSelection.forEach(path => {
+                if (path.startsWith(entry.path + '/')) restoreFileSelection.delete(path);
+            });
+            restoreFileSelection.add(entry.path);
+        } else {
+            restoreFileSelection.delete(entry.path);
+        }
+        renderRestoreFileSelection();
+    };
+    
+    window.removeRestoreFile = function(index) {
+        restoreFileSelection.delete(Array.from(restoreFileSelection)[index]);
+        renderRestoreFileSelection();
+        renderRestoreFileBrowser();
+    };
+    
+    // =========================================================================
+    // SINGLE-DATABASE RESTORE
+    // Lists the SQL dumps in the selected backup; each can go over the original
+    // or into a new database, optionally granted to an existing DB user
+    // =========================================================================
+    function loadRestoreDatabases() {
+        const destination = document.getElementById('restore-destination').value;
+        const account = document.getElementById('restore-account').value;
+        const backupFile = document.getElementById('restore-backup-file').value;
+        const tbody = document.getElementById('restore-database-tbody');
+        
+        if (!destination || !account || !backupFile) {
+            tbody.innerHTML = '<tr><td colspan="5">Select a backup first...</td></tr>';
+            return;
+        }
+        
+        tbody.innerHTML = '<tr><td colspan="5"><div class="loading-spinner"></div> Reading backup...</td></tr>';
+        
+        apiCall('list_backup_databases', { destination: destination, account: account, backup_file: backupFile }, 'GET').then(data => {
+            if (!data.success) {
+                tbody.innerHTML = `<tr><td colspan="5">${escapeHtml(data.message || 'Unable to read backup')}</td></tr>`;
+                return;
+            }
+            if (!data.databases.length) {
+                tbody.innerHTML = '<tr><td colspan="5">No database dumps in this backup (hot database backups are restored with the whole account).</td></tr>';
+                return;
+            }
+            tbody.innerHTML = data.databases.map(db => `
+                <tr data-database="${escapeHtml(db.name)}">
+                    <td><input type="checkbox" class="restore-db-check"></td>
+                    <td><code>${escapeHtml(db.name)}</code></td>
+                    <td>${formatFileSize(db.size) || '-'}</td>
+                    <td><input type="text" class="restore-db-target" placeholder="${escapeHtml(db.name)}" pattern="[A-Za-z0-9_]+"></td>
+                    <td><input type="text" class="restore-db-user" placeholder="Optional" pattern="[A-Za-z0-9_]+"></td>
+                </tr>
+            `).join('');
+        }).catch(err => { console.error('Error list_backup_databases', err); tbody.innerHTML = '<tr><td colspan="5">Unable to read backup.</td></tr>'; });
+    }
+    
+    // Options for restore_backup (and preflight_restore) from the chosen restore mode
+    function getRestoreRequestOptions() {
+        const mode = document.getElementById('restore-mode').value;
+        
+        // File-level restore sends only the picked paths; restorepkg options don't apply
+        if (mode === 'files') {
+            return {
+                files: Array.from(restoreFileSelection),
+                file_target: document.getElementById('restore-file-target').value
+            };
+        }
+        
+        // Single-database restore sends only the picked databases
+        if (mode === 'databases') {
+            return { databases: getRestoreDatabaseSelection() };
+        }
+        
+        // Mail restore sends the picked folders of each mailbox
+        if (mode === 'mail') {
+            return {
+                mailboxes: getRestoreMailSelection().map(mailbox => ({ path: mailbox.path, folders: mailbox.folders })),
+                mail_mode: document.getElementById('restore-mail-mode').value
+            };
+        }
+        
+        const options = {
+            homedir: document.querySelector('[name="restore_homedir"]').checked,
+            mysql: document.querySelector('[name="restore_mysql"]').checked,
+            mail: document.querySelector('[name="restore_mail"]').checked,
+            ssl: document.querySelector('[name="restore_ssl"]').checked,
+            cron: document.querySelector('[name="restore_cron"]').checked,
+            dns: document.querySelector('[name="restore_dns"]').checked,
+            subdomains: document.querySelector('[name="restore_subdomains"]').checked,
+            addon_domains: document.querySelector('[name="restore_addon_domains"]').checked
+        };
+        
+        // Restoring as a new account adds the target username, domain, IP and owner
+        const restoreTarget = getRestoreTarget();
+        if (restoreTarget) {
+            options.newuser = restoreTarget.newuser;
+            options.newdomain = restoreTarget.newdomain;
+            options.temp_domain = restoreTarget.temp_domain;
+            options.ip = restoreTarget.ip;
+            options.owner = restoreTarget.owner;
+        }
+        
+        return options;
+    }
+    
+    // =========================================================================
+    // RESTORE PRE-FLIGHT
+    // Checks the backup against this server while the restore modal is open;
+    // conflicts keep Confirm disabled unless root ticks the override
+    // =========================================================================
+    let restorePreflightRun = 0;          // Ignores reports for a modal that was since reopened
+    
+    function runRestorePreflight(destination, account, backupFile) {
+        const container = document.getElementById('restore-preflight');
+        const confirmButton = document.getElementById('btn-confirm-restore');
+        const icons = { ok: '✓', warning: '⚠', conflict: '✗' };
+        const run = ++restorePreflightRun;
+        
+        confirmButton.disabled = true;
+        container.innerHTML = '<div style="margin-top: 16px;"><div class="loading-spinner"></div> Running pre-flight checks (remote backups are downloaded first)...</div>';
+        
+        // The checks run in the background; poll until the report is ready.
+        // The server gives up on a run after 10 minutes, so stop a little later whatever it says
+        const maxPolls = 330;
+        function poll(preflightID, attempt = 1) {
+            setTimeout(function() {
+                if (run !== restorePreflightRun || !document.getElementById('restore-modal').classList.contains('active')) return;
+                apiCall('get_preflight_status', { preflight_id: preflightID }, 'GET').then(data => {
+                    if (run !== restorePreflightRun) return;
+                    if (data.success && data.status === 'running') {
+                        if (attempt >= maxPolls) {
+                            fail(new Error('Pre-flight check still running after ' + maxPolls + ' polls'));
+                            return;
+                        }
+                        poll(preflightID, attempt + 1);
+                    } else {
+                        showReport(data);
+                    }
+                }).catch(fail);
+            }, 2000);
+        }
+        
+        function fail(err) {
+            console.error('Error preflight_restore', err);
+            if (run !== restorePreflightRun) return;
+            container.innerHTML = '<div class="alert alert-warning">Pre-flight check could not run.</div>';
+            confirmButton.disabled = false;
+        }
+        
+        function showReport(data) {
+            if (!data.success) {
+                // The restore repeats these checks itself, so it isn't blocked here
+                container.innerHTML = `<div class="alert alert-warning">Pre-flight check could not run: ${escapeHtml(data.message || 'Unknown error')}</div>`;
+                confirmButton.disabled = false;
+                return;
+            }
+            
+            container.innerHTML = `
+                <h4 style="margin: 16px 0 8px;">Pre-flight Check</h4>
+                <ul class="preflight-list">
+                    ${data.checks.map(check => `
+                        <li class="preflight-${check.status}"><span class="preflight-icon">${icons[check.status]}</span><strong>${escapeHtml(check.label)}:</strong> ${escapeHtml(check.message)}</li>
+                    `).join('')}
+                </ul>
+                ${data.conflicts && data.can_override ? `
+                    <label><input type="checkbox" id="restore-preflight-override"> Override ${data.conflicts} conflict(s) and restore anyway</label>
+                ` : ''}
+                ${data.conflicts && !data.can_override ? `
+                    <div class="alert alert-danger">Restore blocked: ${data.conflicts} conflict(s) must be resolved first.</div>
+                ` : ''}
+            `;
+            confirmButton.disabled = data.conflicts > 0;
+            
+            const override = document.getElementById('restore-preflight-override');
+            if (override) {
+                override.addEventListener('change', function() {
+                    confirmButton.disabled = !this.checked;
+                });
+            }
+        }
+        
+        apiCall('preflight_restore', {
+            backup_file: backupFile,
+            account: account,
+            options: getRestoreRequestOptions(),
+            destination: destination
+        }).then(data => {
+            if (run !== restorePreflightRun) return;
+            if (data.success && data.preflight_id) {
+                poll(data.preflight_id);
+            } else {
+                showReport(data);
+            }
+        }).catch(fail);
+    }
+    
+    // Target of a restore as a new account, or null when restoring to the original account
+    function getRestoreTarget() {
+        const restoreAsNew = document.getElementById('restore-as-new');
+        if (!restoreAsNew || !restoreAsNew.checked) return null;
+        
+        const domainMode = document.getElementById('restore-target-domain-mode').value;
+        return {
+            newuser: document.getElementById('restore-target-user').value.trim().toLowerCase(),
+            domainMode: domainMode,
+            newdomain: domainMode === 'new' ? document.getElementById('restore-target-domain').value.trim().toLowerCase() : '',
+            temp_domain: domainMode === 'temp',
+            ip: document.getElementById('restore-target-ip').value.trim(),
+            owner: document.getElementById('restore-target-owner').value
+        };
+    }
+    
+    function getRestoreDatabaseSelection() {
+        return Array.from(document.querySelectorAll('#restore-database-tbody tr[data-database]'))
+            .filter(row => row.querySelector('.restore-db-check').checked)
+            .map(row => ({
+                name: row.dataset.database,
+                target: row.querySelector('.restore-db-target').value.trim(),
+                user: row.querySelector('.restore-db-user').value.trim()
+            }));
+    }
+    
+    // =========================================================================
+    // MAILBOX RESTORE
+    // Lists the email accounts in the selected backup with their Maildir folders;
+    // folders are merged back in place or restored into a new Restored_DATE folder
+    // =========================================================================
+    function loadRestoreMailboxes() {
+        const destination = document.getElementById('restore-destination').value;
+        const account = document.getElementById('restore-account').value;
+        const backupFile = document.getElementById('restore-backup-file').value;
+        const tbody = document.getElementById('restore-mail-tbody');
+        
+        if (!destination || !account || !backupFile) {
+            tbody.innerHTML = '<tr><td colspan="4">Select a backup first...</td></tr>';
+            return;
+        }
+        
+        tbody.innerHTML = '<tr><td colspan="4"><div class="loading-spinner"></div> Reading backup...</td></tr>';
+        
+        apiCall('list_backup_mailboxes', { destination: destination, account: account, backup_file: backupFile }, 'GET').then(data => {
+            if (!data.success) {
+                tbody.innerHTML = `<tr><td colspan="4">${escapeHtml(data.message || 'Unable to read backup')}</td></tr>`;
+                return;
+            }
+            if (!data.mailboxes.length) {
+                tbody.innerHTML = '<tr><td colspan="4">No mail in this backup.</td></tr>';
+                return;
+            }
+            tbody.innerHTML = data.mailboxes.map(mailbox => `
+                <tr data-mailbox="${escapeHtml(mailbox.path)}" data-address="${escapeHtml(mailbox.address)}">
+                    <td><input type="checkbox" class="restore-mail-all" onchange="toggleRestoreMailbox(this)"></td>
+                    <td><strong>${escapeHtml(mailbox.address)}</strong>${mailbox.is_default ? ' <span style="color: var(--text-muted);">(default mailbox)</span>' : ''}</td>
+                    <td>${mailbox.messages}</td>
+                    <td>${formatFileSize(mailbox.size) || '-'}</td>
+                </tr>
+                ${mailbox.folders.map(folder => `
+                    <tr data-folder-of="${escapeHtml(mailbox.path)}" data-folder="${escapeHtml(folder.name)}">
+                        <td><input type="checkbox" class="restore-mail-check"></td>
+                        <td style="padding-left: 32px;">📁 ${escapeHtml(folder.label)}</td>
+                        <td>${folder.messages}</td>
+                        <td>${formatFileSize(folder.size) || '-'}</td>
+                    </tr>
+                `).join('')}
+            `).join('');
+        }).catch(err => { console.error('Error list_backup_mailboxes', err); tbody.innerHTML = '<tr><td colspan="4">Unable to read backup.</td></tr>'; });
+    }
+    
+    // Ticking a mailbox ticks (or clears) all of its folders
+    window.toggleRestoreMailbox = function(checkbox) {
+        const path = checkbox.closest('tr').dataset.mailbox;
+        document.querySelectorAll('#restore-mail-tbody tr[data-folder-of]').forEach(row => {
+            if (row.dataset.folderOf === path) row.querySelector('.restore-mail-check').checked = checkbox.checked;
+        });
+    };
+    
+    function getRestoreMailSelection() {
+        return Array.from(document.querySelectorAll('#restore-mail-tbody tr[data-mailbox]'))
+            .map(row => ({
+                path: row.dataset.mailbox,
+                address: row.dataset.address,
+                folders: Array.from(document.querySelectorAll('#restore-mail-tbody tr[data-folder-of]'))
+                    .filter(folderRow => folderRow.dataset.folderOf === row.dataset.mailbox && folderRow.querySelector('.restore-mail-check').checked)
+                    .map(folderRow => folderRow.dataset.folder)
+            }))
+            .filter(mailbox => mailbox.folders.length);
+    }
+    
     // Remove from Queue
     window.removeFromQueue = function(jobID) {
         if (!confirm('Are you sure you want to remove this job from the queue?')) return;
@@ -2115,6 +4186,49 @@
         }).catch(err => { console.error('Error cancel_job', err); alert('Failed to cancel job: ' + (err.message || 'Unknown error')); });
     };
 
+    // Set Job Priority - job moves behind the last job of the same or higher priority
+    window.setJobPriority = function(jobID, priority) {
+        apiCall('set_job_priority', { job_id: jobID, priority: priority }).then(data => {
+            if (!data.success) {
+                alert('Error: ' + (data.message || 'Unknown error'));
+            }
+            loadQueue();
+        }).catch(err => { console.error('Error set_job_priority', err); alert('Failed to set priority: ' + (err.message || 'Unknown error')); });
+    };
+
+    // Run Next - move a queued job to the front of the queue (root only)
+    window.runJobNext = function(jobID) {
+        apiCall('run_next', { job_id: jobID }).then(data => {
+            if (data.success) {
+                loadQueue();
+            } else {
+                alert('Error: ' + (data.message || 'Unknown error'));
+            }
+        }).catch(err => { console.error('Error run_next', err); alert('Failed to move job: ' + (err.message || 'Unknown error')); });
+    };
+
+    // Pause Job - queued jobs are held; running backups stop after the current account
+    window.pauseJob = function(jobID) {
+        apiCall('pause_job', { job_id: jobID }).then(data => {
+            if (data.success) {
+                loadQueue();
+            } else {
+                alert('Error: ' + (data.message || 'Unknown error'));
+            }
+        }).catch(err => { console.error('Error pause_job', err); alert('Failed to pause job: ' + (err.message || 'Unknown error')); });
+    };
+
+    // Resume Job - re-queues a paused job, or withdraws a pending pause on a running one
+    window.resumeJob = function(jobID) {
+        apiCall('resume_job', { job_id: jobID }).then(data => {
+            if (data.success) {
+                loadQueue();
+            } else {
+                alert('Error: ' + (data.message || 'Unknown error'));
+            }
+        }).catch(err => { console.error('Error resume_job', err); alert('Failed to resume job: ' + (err.message || 'Unknown error')); });
+    };
+
     // Remove Schedule
     window.removeSchedule = function(scheduleID) {
         if (!confirm('Are you sure you want to delete this schedule?')) return;
@@ -2141,17 +4255,8 @@
             return;
         }
         
-        let schedule;
-        try {
-            // Decode HTML entities and parse JSON
-            const jsonStr = row.dataset.scheduleJson
-                .replace(/&quot;/g, '"')
-                .replace(/&#39;/g, "'")
-                .replace(/&amp;/g, '&');
-            schedule = JSON.parse(jsonStr);
-            console.log('Loaded schedule for edit:', schedule);
-        } catch (e) {
-            console.error('Failed to parse schedule JSON', e, row.dataset.scheduleJson);
+        const schedule = parseScheduleRow(row);
+        if (!schedule) {
             alert('Failed to load schedule data');
             return;
         }
@@ -2166,6 +4271,7 @@
             editDestSelect.innerHTML = mainDestSelect.innerHTML;
             editDestSelect.value = schedule.destination;
         }
+        setReplicaDestinations('edit-schedule-replicas', (schedule.destinations || []).slice(1));
         
         // Populate frequency
         document.getElementById('edit-schedule-frequency').value = schedule.schedule;
@@ -2181,6 +4287,11 @@
         if (retentionInput) {
             retentionInput.value = schedule.retention !== undefined ? schedule.retention : 30;
         }
+        applyRetentionToForm('edit-schedule', schedule);
+        document.getElementById('edit-schedule-prune-preview').style.display = 'none';
+        applyPkgacctOverridesToForm('edit-schedule', schedule);
+        document.getElementById('edit-schedule-profile').value = schedule.profile_id || '';
+        document.getElementById('edit-schedule-fallback').value = schedule.fallback_destination || '';
         
         // Populate preferred time (ensure it's a number for the select)
         const timeSelect = document.getElementById('edit-schedule-time');
@@ -2194,6 +4305,19 @@
             dowSelect.value = schedule.day_of_week !== undefined ? schedule.day_of_week : 0;
         }
         
+        // Populate retry policy (schedules created before retries existed have none)
+        const retry = schedule.retry || {};
+        document.getElementById('edit-schedule-retry-attempts').value = retry.attempts || 0;
+        document.getElementById('edit-schedule-retry-backoff').value = retry.backoff || 15;
+        document.getElementById('edit-schedule-retry-failed-only').checked = retry.failed_only !== false;
+        
+        // Populate custom cron expression and picker
+        const cronInput = document.getElementById('edit-schedule-cron');
+        cronInput.value = schedule.cron || '0 ' + (schedule.preferred_time ?? 2) + ' * * *';
+        applyCronToPicker('edit-schedule', cronInput.value);
+        updateScheduleFrequencyFields('edit-schedule');
+        refreshSchedulePreview('edit-schedule');
+        
         // Handle all accounts checkbox
         const allAccountsCheck = document.getElementById('edit-schedule-all-accounts');
         const isAllAccounts = schedule.all_accounts || (schedule.accounts.length === 1 && schedule.accounts[0] === '*');
@@ -2217,6 +4341,7 @@
             
             // Disable/enable checkboxes based on all accounts setting
             toggleEditAccountCheckboxes(isAllAccounts);
+            applyDynamicAccountsToForm('edit-schedule', schedule);
         }
         
         // Show the modal
@@ -2256,20 +4381,47 @@
         
         const allAccountsChecked = document.getElementById('edit-schedule-all-accounts').checked;
         const frequency = document.getElementById('edit-schedule-frequency').value;
+        const retention = parseInt(document.getElementById('edit-schedule-retention').value, 10);
         
         // Build the update payload
         const payload = {
             job_id: scheduleId,
-            destination: document.getElementById('edit-schedule-destination').value,
+            destinations: getDestinationList('edit-schedule-destination', 'edit-schedule-replicas'),
             schedule: frequency,
-            retention: parseInt(document.getElementById('edit-schedule-retention').value, 10) || 30,
+            retention: isNaN(retention) ? 30 : retention,   // 0 = unlimited
+            retention_gfs: getRetentionGfs('edit-schedule'),
             preferred_time: parseInt(document.getElementById('edit-schedule-time').value, 10) || 2,
             day_of_week: parseInt(document.getElementById('edit-schedule-day-of-week').value, 10) || 0,
-            all_accounts: allAccountsChecked
+            all_accounts: allAccountsChecked,
+            retry_attempts: parseInt(document.getElementById('edit-schedule-retry-attempts').value, 10) || 0,
+            retry_backoff: parseInt(document.getElementById('edit-schedule-retry-backoff').value, 10) || 15,
+            retry_failed_only: document.getElementById('edit-schedule-retry-failed-only').checked
         };
+        if (frequency === 'custom') {
+            payload.cron = document.getElementById('edit-schedule-cron').value;
+        }
+        
+        // Match Filters: save the filters as the schedule's selector instead of an account list
+        const useSelector = document.getElementById('edit-schedule-use-selector').checked;
+        if (useSelector) {
+            payload.account_selector = getAccountFilters('edit-schedule');
+            if (!hasAccountFilters(payload.account_selector)) {
+                alert('Set at least one filter for "Match Filters", or select accounts.');
+                return;
+            }
+        }
+        
+        payload.exclude_accounts = (allAccountsChecked || useSelector) ? getExclusions('edit-schedule') : [];
+        payload.pkgacct_overrides = getPkgacctOverrides('edit-schedule');
+        payload.profile_id = document.getElementById('edit-schedule-profile').value;
+        payload.fallback_destination = document.getElementById('edit-schedule-fallback').value;
+        if (payload.fallback_destination && payload.fallback_destination === payload.destinations[0]) {
+            alert('Fallback storage must be different from the backup storage.');
+            return;
+        }
         
         // If not all accounts, gather selected accounts
-        if (!allAccountsChecked) {
+        if (!allAccountsChecked && !useSelector) {
             const selectedAccounts = [];
             document.querySelectorAll('#edit-schedule-accounts-container input[type="checkbox"]:checked').forEach(cb => {
                 if (cb.value) selectedAccounts.push(cb.value);
@@ -2291,7 +4443,7 @@
             if (data.success) {
                 closeEditScheduleModal();
                 loadSchedules();
-                alert('Schedule updated successfully');
+                alert('Schedule updated successfully' + (data.warning ? '\n\n⚠️ ' + data.warning : ''));
             } else {
                 alert('Error: ' + (data.message || 'Unknown error'));
             }
@@ -52,6 +52,9 @@ define('CRON_LAST_RUN_FILE', '/usr/local/cpanel/3rdparty/backbork/cron_last_run'
 // Health check interval (30 minutes) - alert if cron hasn't run in this time
 define('CRON_HEALTH_CHECK_INTERVAL', 1800);
 
+// Held by the background destination health run so passes never overlap
+define('DESTINATION_HEALTH_LOCK_FILE', '/tmp/backbork_destination_health.lock');
+
 // ============================================================================
 // MAIN EXECUTION
 // ============================================================================
@@ -82,6 +85,12 @@ if (isset($argv[1]) && $argv[1] === 'summary') {
     exit(0);
 }
 
+// Handle special 'destination-health' command (started in the background by the main pass)
+if (isset($argv[1]) && $argv[1] === 'destination-health') {
+    runDestinationHealthChecks();
+    exit(0);
+}
+
 // ============================================================================
 // QUEUE PROCESSING - Requires exclusive lock to prevent concurrent execution
 // ============================================================================
@@ -97,6 +106,11 @@ BackBorkConfig::debugLog('Processor not running, continuing...');
 // Check cron health and send alerts if issues detected
 performHealthCheck();
 
+// ============================================================================
+// DESTINATION HEALTH - Checked in the background so a slow destination can't hold up the queue
+// ============================================================================
+exec(escapeshellarg(BackBorkQueueProcessor::PHP_BIN) . ' ' . escapeshellarg(__FILE__) . ' destination-health > /dev/null 2>&1 &');
+
 // ============================================================================
 // SCHEDULE PROCESSING - Check for due scheduled backups and queue them
 // ============================================================================
@@ -180,11 +194,11 @@ function runCleanup($processor) {
     // Remove completed queue jobs older than 30 days
     $processor->cleanupCompletedJobs(30);
     
-    // Rotate old log files (delete logs older than 30 days)
+    // Rotate old log files and their progress sidecars (delete older than 30 days)
     $logDir = '/usr/local/cpanel/3rdparty/backbork/logs';
     $maxLogAge = 30 * 24 * 60 * 60; // 30 days in seconds
     
-    foreach (glob($logDir . '/*.log') as $logFile) {
+    foreach (array_merge(glob($logDir . '/*.log'), glob($logDir . '/*.progress.json')) as $logFile) {
         if (filemtime($logFile) < (time() - $maxLogAge)) {
             unlink($logFile);
             BackBorkConfig::debugLog('Removed old log: ' . basename($logFile));
@@ -197,6 +211,31 @@ function runCleanup($processor) {
     BackBorkConfig::debugLog('Cleanup complete. Removed ' . $cleaned . ' temp files.');
 }
 
+/**
+ * Check destinations that are due and alert root about the ones that got worse.
+ * Called with 'destination-health' argument: php handler.php destination-health
+ * Skips quietly while an earlier run is still waiting on a slow destination.
+ */
+function runDestinationHealthChecks() {
+    $lock = fopen(DESTINATION_HEALTH_LOCK_FILE, 'c');
+    if (!$lock || !flock($lock, LOCK_EX | LOCK_NB)) {
+        BackBorkConfig::debugLog('Destination health checks already running, skipping');
+        return;
+    }
+    
+    $destinationHealth = new BackBorkDestinationsHealth();
+    $healthResults = $destinationHealth->runDueChecks();
+    if (!empty($healthResults['checked'])) {
+        BackBorkConfig::debugLog('Destination health checked: ' . implode(', ', $healthResults['checked']));
+    }
+    foreach ($healthResults['alerts'] as $alert) {
+        sendDestinationHealthNotification($alert);
+    }
+    
+    flock($lock, LOCK_UN);
+    fclose($lock);
+}
+
 /**
  * Perform cron health self-check.
  * Verifies cron file exists and last run was recent.
@@ -727,6 +766,27 @@ function sendRootNotification($eventType, $globalConfigKey, $data = []) {
     return true;
 }
 
+/**
+ * Send destination health alert to root.
+ * Lists the schedules that will write to the destination so root can act before they run.
+ * 
+ * @param array $alert Alert from BackBorkDestinationsHealth::runDueChecks()
+ */
+function sendDestinationHealthNotification($alert) {
+    $check = $alert['check'];
+    $schedules = [];
+    foreach ($alert['schedules'] as $schedule) {
+        $schedules[] = "{$schedule['name']} ({$schedule['user']}) - next run: " . ($schedule['next_run'] ?? 'unknown');
+    }
+    
+    sendRootNotification('destination_health', 'notify_destination_health', [
+        'destination' => $alert['destination']['name'] ?? $alert['destination']['id'],
+        'issue' => ucfirst($check['status']) . ': ' . implode('; ', $check['issues']),
+        'details' => $schedules,
+        'message' => count($schedules) . ' schedule(s) back up to this destination. Fix it or set a fallback destination before they run.'
+    ]);
+}
+
 /**
  * Send queue failure notifications.
  * 
@@ -6,7 +6,8 @@
  *
  *  THIS FILE:
  *   High-level backup orchestration coordinating pkgacct and transport.
- *   Handles backup creation, destination transport, notifications, and logging.
+ *   Handles backup creation, destination transport (one archive, one or more
+ *   copies), notifications, and logging.
  *
  *  This program is free software: you can redistribute it and/or modify
  *   it under the terms of the GNU Affero General Public License as published by
@@ -60,6 +61,21 @@ class BackBorkBackupManager {
     /** @var string|null Override requestor (IP or 'cron') - set by runner.php for manual jobs */
     private $requestorOverride = null;
     
+    /** @var BackBorkProgress|null Structured progress tracker for the running backup */
+    private $progress = null;
+    
+    /** @var array|null Retry position of the queued job being run - set by QueueProcessor */
+    private $retryContext = null;
+    
+    /** @var array Backup settings replacing the user's config for this run - set by QueueProcessor/runner.php */
+    private $configOverrides = [];
+    
+    /** @var array|null Backup profile picked for this run: id, and name (null if no longer available) */
+    private $profile = null;
+    
+    /** @var string|null Destination standing in for an unavailable primary - set by QueueProcessor */
+    private $fallbackDestination = null;
+    
     /**
      * Constructor - Initialise all dependencies.
      * Sets up configuration, notification, destination parsing, and pkgacct services.
@@ -90,7 +106,7 @@ class BackBorkBackupManager {
      * Used when backup_id needs to be returned to client before backup starts.
      * 
      * @param array $accounts List of account usernames to backup
-     * @param string $destinationID Destination ID from WHM transport config
+     * @param string|array $destinationID Destination ID from WHM transport config, or several (primary first)
      * @param string $user User initiating the backup (for logging/permissions)
      * @param string $backupID Pre-generated backup ID for log tracking
      * @param callable|null $progressCallback Optional callback called after each account
@@ -101,23 +117,35 @@ class BackBorkBackupManager {
         return $this->executeBackup($accounts, $destinationID, $user, $backupID, $logFile, $progressCallback);
     }
     
+    /**
+     * Generate a unique backup ID, used to name the verbose log and progress files.
+     * 
+     * @return string Backup ID (backup_<timestamp>_<hex>)
+     */
+    public static function generateBackupID() {
+        return 'backup_' . time() . '_' . substr(md5(uniqid()), 0, 8);
+    }
+    
     /**
      * Create backup for multiple accounts.
      * Orchestrates the full backup workflow: validation, per-account backup,
-     * transport to destination, notifications, and logging.
+     * transport to each destination, notifications, and logging.
      * 
      * @param array $accounts List of account usernames to backup
-     * @param string $destinationID Destination ID from WHM transport config
+     * @param string|array $destinationID Destination ID from WHM transport config, or several (primary first)
      * @param string $user User initiating the backup (for logging/permissions)
      * @param callable|null $progressCallback Optional callback called after each account: function(int $completed, int $total)
-     * @param string|null $jobID Optional job ID for cancellation checking (from queue)
+     * @param string|null $jobID Optional job ID for cancel/pause checking (from queue)
      * @param string|null $scheduleID Optional schedule ID for manifest tracking (null for manual backups)
      * @param int $retention Retention count for manifest (0 = unlimited)
+     * @param string|null $backupID Optional pre-generated backup ID (lets the queue link the running job to its log)
      * @return array Result with success status, messages, per-account results, and errors
      */
-    public function createBackup($accounts, $destinationID, $user, $progressCallback = null, $jobID = null, $scheduleID = null, $retention = 30) {
-        // Generate unique backup ID for log tracking
-        $backupID = 'backup_' . time() . '_' . substr(md5(uniqid()), 0, 8);
+    public function createBackup($accounts, $destinationID, $user, $progressCallback = null, $jobID = null, $scheduleID = null, $retention = 30, $backupID = null) {
+        // Generate unique backup ID for log tracking (unless supplied)
+        if ($backupID === null) {
+            $backupID = self::generateBackupID();
+        }
         $logFile = self::LOG_DIR . '/' . $backupID . '.log';
         return $this->executeBackup($accounts, $destinationID, $user, $backupID, $logFile, $progressCallback, $jobID, $scheduleID, $retention);
     }
@@ -127,12 +155,12 @@ class BackBorkBackupManager {
      * Internal method that handles the backup workflow.
      * 
      * @param array $accounts List of account usernames to backup
-     * @param string $destinationID Destination ID from WHM transport config
+     * @param string|array $destinationID Destination ID from WHM transport config, or several (primary first)
      * @param string $user User initiating the backup (for logging/permissions)
      * @param string $backupID Unique backup ID for tracking
      * @param string $logFile Path to the log file
      * @param callable|null $progressCallback Optional callback called after each account
-     * @param string|null $jobID Optional job ID for cancellation checking
+     * @param string|null $jobID Optional job ID for cancel/pause checking
      * @param string|null $scheduleID Optional schedule ID for manifest tracking
      * @param int $retention Retention count for manifest
      * @return array Result with success status, messages, per-account results, and errors
@@ -147,37 +175,101 @@ class BackBorkBackupManager {
         $this->writeBackupLog($logFile, "Started: " . date('Y-m-d H:i:s'));
         $this->writeBackupLog($logFile, "User: {$user}");
         $this->writeBackupLog($logFile, "Accounts: " . implode(', ', $accounts));
+        if (!empty($this->retryContext['attempt'])) {
+            $this->writeBackupLog($logFile, "Retry: {$this->retryContext['attempt']}/{$this->retryContext['max_attempts']} of job {$this->retryContext['original_job_id']}");
+        }
         $this->writeBackupLog($logFile, "");
         
+        // Structured progress sidecar (read by get_backup_log / stream_events)
+        $this->progress = new BackBorkProgress($backupID, 'backup', $accounts);
+        $this->progress->startPhase('validate');
+        
         // Load user-specific configuration (temp dir, notification prefs, etc.)
         $userConfig = $this->config->getUserConfig($user);
+        if ($this->profile !== null) {
+            $this->writeBackupLog($logFile, $this->profile['name'] !== null
+                ? "Profile: {$this->profile['name']}"
+                : "[WARNING] Profile {$this->profile['id']} no longer available, using saved settings");
+        }
+        if (!empty($this->configOverrides)) {
+            $userConfig = array_merge($userConfig, $this->configOverrides);
+            $this->writeBackupLog($logFile, "Setting overrides: " . BackBorkQueue::describePkgacctOverrides($this->configOverrides));
+        }
+        if ($this->profile !== null || !empty($this->configOverrides)) {
+            $this->writeBackupLog($logFile, "");
+        }
         
-        // Look up the destination configuration by ID
-        $destination = $this->destinations->getDestinationByID($destinationID);
+        // Look up each destination configuration by ID (every one gets a copy of each archive)
+        $destinationIDs = BackBorkQueue::normaliseDestinations($destinationID);
+        if (empty($destinationIDs)) {
+            $destinationIDs = [''];  // Reported below as an invalid destination
+        }
         
-        // Validate destination exists
-        if (!$destination) {
-            $this->writeBackupLog($logFile, "[ERROR] Invalid destination ID: {$destinationID}");
-            $this->writeBackupLog($logFile, "");
-            $this->writeBackupLog($logFile, "BACKUP FAILED");
-            return ['success' => false, 'message' => 'Invalid destination', 'backup_id' => $backupID];
+        // Switch the primary copy to the schedule's fallback if the primary can't take this run
+        $fallbackNote = null;
+        if ($this->fallbackDestination !== null && $this->fallbackDestination !== $destinationIDs[0]) {
+            $primary = $this->checkDestinationAvailable($destinationIDs[0]);
+            if (!$primary['success']) {
+                $this->writeBackupLog($logFile, "[WARNING] Primary destination {$primary['name']} unavailable: {$primary['message']}");
+                $fallback = $this->checkDestinationAvailable($this->fallbackDestination);
+                if ($fallback['success']) {
+                    $this->writeBackupLog($logFile, "  → Using fallback destination: {$fallback['name']}");
+                    $fallbackNote = "{$fallback['name']} used instead of {$primary['name']} ({$primary['message']})";
+                    $destinationIDs = BackBorkQueue::normaliseDestinations(array_merge([$this->fallbackDestination], array_slice($destinationIDs, 1)));
+                } else {
+                    $this->writeBackupLog($logFile, "  → Fallback destination {$fallback['name']} also unavailable: {$fallback['message']}");
+                }
+                $this->writeBackupLog($logFile, "");
+            }
         }
         
-        // Check destination is enabled
-        if (empty($destination['enabled'])) {
-            $this->writeBackupLog($logFile, "[ERROR] Destination is disabled: {$destination['name']}");
-            $this->writeBackupLog($logFile, "  → Enable via WHM → Backup Configuration → Additional Destinations");
-            $this->writeBackupLog($logFile, "");
-            $this->writeBackupLog($logFile, "BACKUP FAILED");
-            return ['success' => false, 'message' => 'Destination is disabled in WHM', 'backup_id' => $backupID];
+        // Only an unusable primary stops the job; other copies are dropped and recorded as failed
+        $destinations = [];
+        $unusableCopies = [];
+        foreach ($destinationIDs as $index => $id) {
+            $destination = $this->destinations->getDestinationByID($id);
+            
+            // Validate destination exists
+            if (!$destination) {
+                $this->writeBackupLog($logFile, "[ERROR] Invalid destination ID: {$id}");
+                if ($index === 0) {
+                    $this->writeBackupLog($logFile, "");
+                    $this->writeBackupLog($logFile, "BACKUP FAILED");
+                    $this->progress->finish('failed');
+                    return ['success' => false, 'message' => 'Invalid destination', 'backup_id' => $backupID];
+                }
+                $this->writeBackupLog($logFile, "  → Skipping this copy");
+                $unusableCopies[$id] = ['name' => $id, 'success' => false, 'message' => 'Invalid destination'];
+                continue;
+            }
+            
+            // Check destination is enabled
+            if (empty($destination['enabled'])) {
+                $this->writeBackupLog($logFile, "[ERROR] Destination is disabled: {$destination['name']}");
+                $this->writeBackupLog($logFile, "  → Enable via WHM → Backup Configuration → Additional Destinations");
+                if ($index === 0) {
+                    $this->writeBackupLog($logFile, "");
+                    $this->writeBackupLog($logFile, "BACKUP FAILED");
+                    $this->progress->finish('failed');
+                    return ['success' => false, 'message' => 'Destination is disabled in WHM', 'backup_id' => $backupID];
+                }
+                $this->writeBackupLog($logFile, "  → Skipping this copy");
+                $unusableCopies[$id] = ['name' => $destination['name'], 'success' => false, 'message' => 'Destination is disabled in WHM'];
+                continue;
+            }
+            
+            $destinations[$id] = $destination;
         }
+        $isMultiCopy = count($destinations) + count($unusableCopies) > 1;
         
-        $destType = strtolower($destination['type'] ?? 'local');
-        $this->writeBackupLog($logFile, "[STEP 1/5] Validating destination...");
-        $this->writeBackupLog($logFile, "  → Destination: {$destination['name']}");
-        $this->writeBackupLog($logFile, "  → Type: {$destType}");
-        $this->writeBackupLog($logFile, "  → Path: " . ($destination['path'] ?? '/backup'));
+        $this->writeBackupLog($logFile, "[STEP 1/5] Validating destination" . ($isMultiCopy ? "s" : "") . "...");
+        foreach ($destinations as $destination) {
+            $this->writeBackupLog($logFile, "  → Destination: {$destination['name']}");
+            $this->writeBackupLog($logFile, "  → Type: " . strtolower($destination['type'] ?? 'local'));
+            $this->writeBackupLog($logFile, "  → Path: " . ($destination['path'] ?? '/backup'));
+        }
         $this->writeBackupLog($logFile, "");
+        $destinationNames = implode(', ', array_column($destinations, 'name'));
         
         // Track results and errors for each account
         $results = [];
@@ -187,12 +279,14 @@ class BackBorkBackupManager {
         // Send start notification if user has enabled it
         $notifyStart = !empty($userConfig['notify_backup_start']);
         if ($notifyStart) {
+            $this->progress->startPhase('notify_start');
             $this->writeBackupLog($logFile, "[STEP 2/5] Sending start notification...");
             $this->notify->sendNotification(
                 'backup_start',
                 [
                     'accounts' => $accounts,
-                    'destination' => $destination['name'],
+                    'destination' => $destinationNames,
+                    'fallback' => $fallbackNote,
                     'user' => $user,
                     'requestor' => $this->getRequestor()
                 ],
@@ -201,6 +295,7 @@ class BackBorkBackupManager {
             $this->writeBackupLog($logFile, "  → Notification sent");
             $this->writeBackupLog($logFile, "");
         } else {
+            $this->progress->skipPhase('notify_start');
             $this->writeBackupLog($logFile, "[STEP 2/5] Start notification skipped (not enabled)");
             $this->writeBackupLog($logFile, "");
         }
@@ -209,18 +304,34 @@ class BackBorkBackupManager {
         $currentAccount = 0;
         $accountsWithDuration = [];  // Track account names with run-time for logging
         $wasCancelled = false;       // Track if job was cancelled
+        $wasPaused = false;          // Track if job was paused (remaining accounts go back to the queue)
+        $remainingAccounts = [];
+        
+        $this->progress->startPhase('accounts');
         
         // Process each account sequentially
         foreach ($accounts as $account) {
             $currentAccount++;
+            $this->progress->startAccount($currentAccount - 1);  // Before logging, so the account's log slice starts here
             $this->writeBackupLog($logFile, "[STEP 3/5] Processing account {$currentAccount}/{$totalAccounts}: {$account}");
             $this->writeBackupLog($logFile, str_repeat('-', 40));
             
             // Track start time for this account
             $accountStartTime = microtime(true);
             
-            // Backup single account (pkgacct + transport)
-            $result = $this->backupSingleAccount($account, $destination, $userConfig, $user, $logFile);
+            // Backup single account (pkgacct + transport to each destination)
+            $result = $this->backupSingleAccount($account, $destinations, $userConfig, $user, $logFile);
+            
+            // A dropped destination is a copy this account is missing
+            if (!empty($unusableCopies)) {
+                if ($result['success']) {
+                    $result['success'] = false;
+                    $result['message'] = implode('; ', array_map(function($copy) {
+                        return $copy['name'] . ': ' . $copy['message'];
+                    }, $unusableCopies));
+                }
+                $result['copies'] = ($result['copies'] ?? []) + $unusableCopies;
+            }
             $results[$account] = $result;
             
             // Calculate duration for this account
@@ -234,8 +345,14 @@ class BackBorkBackupManager {
                 $this->writeBackupLog($logFile, "  ✗ FAILED: " . $result['message'] . " ({$durationStr})");
             } else {
                 $this->writeBackupLog($logFile, "  ✓ SUCCESS: " . $result['message'] . " ({$durationStr})");
-                
-                // Write to manifest for pruning tracking
+            }
+            
+            // Write to manifest for pruning tracking, listing every destination a copy landed on
+            // (an account whose copy failed somewhere still has the others to prune later)
+            $landedIDs = array_keys(array_filter($result['copies'] ?? [], function($copy) {
+                return $copy['success'];
+            }));
+            if (!empty($landedIDs)) {
                 $manifestID = $scheduleID ?? BackBorkManifest::MANUAL_MANIFEST_ID;
                 $this->manifest->addEntry(
                     $manifestID,
@@ -243,14 +360,18 @@ class BackBorkBackupManager {
                     $result['file'] ?? '',
                     $result['db_file'] ?? null,
                     $result['size'] ?? 0,
-                    $destinationID,
+                    $landedIDs,
                     $retention
                 );
             }
             
             // Build log message for this account
             $logMessages[] = "[{$account}] " . ($result['success'] ? 'SUCCESS' : 'FAILED') . ': ' . $result['message'];
+            if ($isMultiCopy && !empty($result['copies'])) {
+                $logMessages[] = "  Copies: " . $this->describeCopies($result['copies']);
+            }
             $this->writeBackupLog($logFile, "");
+            $this->progress->finishAccount($result['success']);
             
             // Notify progress callback (for queue progress tracking)
             if ($progressCallback && is_callable($progressCallback)) {
@@ -274,29 +395,76 @@ class BackBorkBackupManager {
                 $wasCancelled = true;
                 break;  // Exit the loop
             }
+            
+            // Check for pause request (only meaningful while accounts remain)
+            if ($jobID && class_exists('BackBorkQueue') && BackBorkQueue::isPauseRequested($jobID)) {
+                BackBorkQueue::clearPauseRequest($jobID);
+                
+                if ($currentAccount < $totalAccounts) {
+                    $remainingAccounts = array_slice($accounts, $currentAccount);
+                    
+                    $this->writeBackupLog($logFile, "");
+                    $this->writeBackupLog($logFile, "⏸ PAUSE REQUESTED");
+                    $this->writeBackupLog($logFile, "Job paused by user after completing {$currentAccount}/{$totalAccounts} accounts");
+                    $this->writeBackupLog($logFile, "");
+                    
+                    $logMessages[] = "[PAUSED] Remaining accounts returned to queue: " . implode(', ', $remainingAccounts);
+                    
+                    $wasPaused = true;
+                    break;  // Exit the loop
+                }
+            }
         }
         
         // Overall success only if no errors occurred and not cancelled
         $success = empty($errors) && !$wasCancelled;
         
+        $this->progress->startPhase('summary');
         $this->writeBackupLog($logFile, "[STEP 4/5] Backup processing complete");
         $this->writeBackupLog($logFile, "  → Completed: {$currentAccount}/{$totalAccounts}");
         $this->writeBackupLog($logFile, "  → Successful: " . ($currentAccount - count($errors)) . "/{$currentAccount}");
         $this->writeBackupLog($logFile, "  → Failed: " . count($errors) . "/{$currentAccount}");
+        
+        // Tally the copies that landed on each destination
+        $copyTally = [];
+        if ($isMultiCopy) {
+            foreach ($destinations + $unusableCopies as $id => $destination) {
+                $landed = 0;
+                foreach ($results as $result) {
+                    if (!empty($result['copies'][$id]['success'])) {
+                        $landed++;
+                    }
+                }
+                $copyTally[] = "{$destination['name']}: {$landed}/" . count($results) . " accounts";
+                $this->writeBackupLog($logFile, "  → Copies on {$destination['name']}: {$landed}/" . count($results));
+            }
+        }
+        
         if ($wasCancelled) {
             $this->writeBackupLog($logFile, "  → Status: CANCELLED");
+        } elseif ($wasPaused) {
+            $this->writeBackupLog($logFile, "  → Status: PAUSED (" . count($remainingAccounts) . " accounts remaining)");
         }
         $this->writeBackupLog($logFile, "");
         
         // Log the complete operation with all account results (including per-account duration)
-        // Type includes _local or _remote suffix based on destination
-        $logType = ($destType === 'local') ? 'backup_local' : 'backup_remote';
+        // Type includes _local or _remote suffix based on destination (_remote if any copy went off-server)
+        $destInfo = [];
+        $anyRemote = false;
+        foreach ($destinations as $destination) {
+            $destType = strtolower($destination['type'] ?? 'local');
+            $anyRemote = $anyRemote || $destType !== 'local';
+            $destInfo[] = ($destType === 'local') 
+                ? 'Destination: ' . ($destination['name'] ?? 'Local')
+                : 'Host: ' . ($destination['host'] ?? $destination['name'] ?? 'Remote');
+        }
+        $logType = $anyRemote ? 'backup_remote' : 'backup_local';
         
-        // Build log message with destination info as first line
-        $destInfo = ($destType === 'local') 
-            ? 'Destination: ' . ($destination['name'] ?? 'Local')
-            : 'Host: ' . ($destination['host'] ?? $destination['name'] ?? 'Remote');
-        $logMessage = $destInfo . "\n" . implode("\n", $logMessages);
+        // Build log message with destination info (one line per copy) first, flagging a fallback switch
+        if ($fallbackNote !== null) {
+            array_unshift($destInfo, "Fallback: {$fallbackNote}");
+        }
+        $logMessage = implode("\n", $destInfo) . "\n" . implode("\n", $logMessages);
         
         BackBorkConfig::debugLog('createBackup: Logging operation for user=' . $user . ' success=' . ($success ? 'true' : 'false') . ' accounts=' . implode(',', $accounts));
         $this->logOperation($user, $logType, $accountsWithDuration, $success, $logMessage, $backupID);
@@ -306,16 +474,25 @@ class BackBorkBackupManager {
         $notifyFailure = !empty($userConfig['notify_backup_failure']);
         
         // Send completion notifications
+        $this->progress->startPhase('notify_complete');
         $this->writeBackupLog($logFile, "[STEP 5/5] Sending completion notification...");
         
+        // Paused jobs notify when the resumed run finishes, not now
+        if ($wasPaused) {
+            $this->writeBackupLog($logFile, "  → Deferred until the job is resumed");
+        // Failures that will be retried notify once the last attempt has run
+        } elseif (!$success && !$wasCancelled && $this->isRetryPending()) {
+            $this->writeBackupLog($logFile, "  → Deferred: failed accounts will be retried");
         // Send success notification if all backups succeeded and notifications enabled
-        if ($success && $notifySuccess) {
+        } elseif ($success && $notifySuccess) {
             $this->writeBackupLog($logFile, "  → Sending success notification");
             $this->notify->sendNotification(
                 'backup_success',
                 [
                     'accounts' => $accounts,
-                    'destination' => $destination['name'],
+                    'destination' => $destinationNames,
+                    'fallback' => $fallbackNote,
+                    'copies' => $copyTally,
                     'user' => $user,
                     'requestor' => $this->getRequestor(),
                     'results' => $results
@@ -329,7 +506,9 @@ class BackBorkBackupManager {
                 'backup_failure',
                 [
                     'accounts' => $accounts,
-                    'destination' => $destination['name'],
+                    'destination' => $destinationNames,
+                    'fallback' => $fallbackNote,
+                    'copies' => $copyTally,
                     'user' => $user,
                     'requestor' => $this->getRequestor(),
                     'errors' => $errors
@@ -346,6 +525,9 @@ class BackBorkBackupManager {
         if ($wasCancelled) {
             $this->writeBackupLog($logFile, "BACKUP CANCELLED");
             $this->writeBackupLog($logFile, "Completed {$currentAccount}/{$totalAccounts} accounts before cancellation");
+        } elseif ($wasPaused) {
+            $this->writeBackupLog($logFile, "BACKUP PAUSED");
+            $this->writeBackupLog($logFile, "Completed {$currentAccount}/{$totalAccounts} accounts before pause");
         } elseif ($success) {
             $this->writeBackupLog($logFile, "BACKUP COMPLETED SUCCESSFULLY");
         } else {
@@ -354,21 +536,36 @@ class BackBorkBackupManager {
         }
         $this->writeBackupLog($logFile, "Finished: " . date('Y-m-d H:i:s'));
         $this->writeBackupLog($logFile, "========================================");
+        if ($wasCancelled) {
+            $this->progress->finish('cancelled');
+        } elseif ($wasPaused) {
+            $this->progress->finish('paused');
+        } else {
+            $this->progress->finish($success ? 'completed' : 'failed');
+        }
         
         // Determine result message
-        $resultMessage = $success 
-            ? 'All backups completed successfully' 
-            : ($wasCancelled 
-                ? "Cancelled after {$currentAccount}/{$totalAccounts} accounts" 
-                : 'Some backups failed');
+        if ($wasPaused) {
+            $resultMessage = "Paused after {$currentAccount}/{$totalAccounts} accounts";
+        } elseif ($success) {
+            $resultMessage = 'All backups completed successfully';
+        } elseif ($wasCancelled) {
+            $resultMessage = "Cancelled after {$currentAccount}/{$totalAccounts} accounts";
+        } else {
+            $resultMessage = 'Some backups failed';
+        }
         
         // Return comprehensive result for API response
         return [
             'success' => $success,
             'cancelled' => $wasCancelled,
+            'paused' => $wasPaused,
+            'remaining_accounts' => $remainingAccounts,
             'message' => $resultMessage,
             'results' => $results,
             'errors' => $errors,
+            'copies' => $copyTally,
+            'fallback' => $fallbackNote,
             'log' => implode("\n", $logMessages),
             'backup_id' => $backupID
         ];
@@ -376,25 +573,36 @@ class BackBorkBackupManager {
     
     /**
      * Backup a single cPanel account.
-     * For LOCAL: pkgacct writes directly to destination, rename in place.
-     * For REMOTE: pkgacct to temp, upload, delete temp immediately.
+     * The archive is built once, then copied to every other destination.
+     * For LOCAL: pkgacct writes directly to the first local destination, rename in place.
+     * For REMOTE only: pkgacct to temp, upload, delete temp immediately.
      * 
      * @param string $account Account username to backup
-     * @param array $destination Destination configuration (type, path, credentials, etc.)
+     * @param array $destinations Destination configurations (type, path, credentials, etc.) keyed by ID
      * @param array $userConfig User configuration (temp directory, options)
      * @param string $user User initiating backup (for logging)
      * @param string $logFile Path to log file for progress updates
-     * @return array Result with success status and message
+     * @return array Result with success status, message and copies (per destination ID: name, success, message)
      */
-    private function backupSingleAccount($account, $destination, $userConfig, $user, $logFile = null) {
-        $destType = strtolower($destination['type'] ?? 'local');
-        $isLocal = ($destType === 'local');
+    private function backupSingleAccount($account, $destinations, $userConfig, $user, $logFile = null) {
+        // Build in place on the first local destination, if there is one
+        $primaryID = null;
+        foreach ($destinations as $id => $destination) {
+            if (strtolower($destination['type'] ?? 'local') === 'local') {
+                $primaryID = $id;
+                break;
+            }
+        }
+        $isLocal = ($primaryID !== null);
+        $destType = $isLocal ? 'local' : strtolower(reset($destinations)['type'] ?? 'local');
+        
+        $this->progress->startAccountPhase('prepare');
         
         // Determine working directory:
         // - LOCAL: Write directly to destination/{account}/
         // - REMOTE: Use temp directory, then upload and delete
         if ($isLocal) {
-            $destPath = rtrim($destination['path'] ?? '/backup', '/');
+            $destPath = rtrim($destinations[$primaryID]['path'] ?? '/backup', '/');
             $workDir = $destPath . '/' . $account;
             
             // Ensure account directory exists
@@ -424,15 +632,29 @@ class BackBorkBackupManager {
         $this->writeBackupLog($logFile, "  [3a] Preparing backup environment...");
         $this->writeBackupLog($logFile, "      → Destination type: {$destType}");
         $this->writeBackupLog($logFile, "      → Working directory: {$workDir}");
+        if (count($destinations) > 1) {
+            $this->writeBackupLog($logFile, "      → Copies: " . count($destinations) . " (" . implode(', ', array_column($destinations, 'name')) . ")");
+        }
         
         // ====================================================================
         // STEP 1: Execute pkgacct (creates cpmove-{account}.tar.gz)
         // ====================================================================
+        $this->progress->startAccountPhase('pkgacct');
         $this->writeBackupLog($logFile, "  [3b] Running pkgacct for {$account}...");
         $this->writeBackupLog($logFile, "      ────────────────────────────────────────────────────────");
         
+        // Sample the growing archive so the UI can show bytes written and throughput
+        $progress = $this->progress;
+        $archivePath = $workDir . '/cpmove-' . $account . '.tar.gz';
+        $onTick = function() use ($progress, $archivePath) {
+            clearstatcache(true, $archivePath);
+            if (is_file($archivePath)) {
+                $progress->setBytes(filesize($archivePath));
+            }
+        };
+        
         // Pass logFile to stream pkgacct output in real-time
-        $pkgResult = $this->pkgacct->execute($account, $workDir, $userConfig, $logFile);
+        $pkgResult = $this->pkgacct->execute($account, $workDir, $userConfig, $logFile, $onTick);
         
         $this->writeBackupLog($logFile, "      ────────────────────────────────────────────────────────");
         
@@ -479,6 +701,8 @@ class BackBorkBackupManager {
         
         $fileSize = filesize($finalFile);
         $this->writeBackupLog($logFile, "      → Archive size: " . $this->formatSize($fileSize));
+        $this->progress->setBytes($fileSize);
+        $this->progress->setAccountSize($fileSize);
         
         // Track files for remote upload/cleanup
         $filesToUpload = [['local' => $finalFile, 'remote' => $account . '/' . $backupFile]];
@@ -490,6 +714,7 @@ class BackBorkBackupManager {
         $dbMethod = $userConfig['db_backup_method'] ?? 'pkgacct';
         
         if (in_array($dbMethod, ['mariadb-backup', 'mysqlbackup'], true)) {
+            $this->progress->startAccountPhase('database');
             $this->writeBackupLog($logFile, "  [3c] Running hot database backup ({$dbMethod})...");
             
             $dbResult = $this->dbBackup->backupDatabases($account, $workDir, $userConfig);
@@ -508,73 +733,135 @@ class BackBorkBackupManager {
                 $dbArchiveName = basename($dbResult['archive']);
                 $dbSize = $this->formatSize(filesize($dbResult['archive']));
                 $this->writeBackupLog($logFile, "      ✓ Database backup created: {$dbArchiveName} ({$dbSize})");
+                $this->progress->setBytes(filesize($dbResult['archive']));
                 $filesToUpload[] = ['local' => $dbResult['archive'], 'remote' => $account . '/' . $dbArchiveName];
                 $filesToCleanup[] = $dbResult['archive'];
             } else {
                 $this->writeBackupLog($logFile, "      → No databases to backup (skipped)");
             }
         } else {
+            $this->progress->skipAccountPhase('database');
             $this->writeBackupLog($logFile, "  [3c] Database backup method: pkgacct (included in archive)");
         }
         
         // ====================================================================
-        // STEP 3: For REMOTE only - Upload then delete local
-        // For LOCAL - files are already in place, nothing more to do
+        // STEP 3: Copy to every destination that doesn't already hold the files
+        // LOCAL only - files are already in place, nothing more to do
         // ====================================================================
+        $copies = [];
         if ($isLocal) {
+            $copies[$primaryID] = ['name' => $destinations[$primaryID]['name'], 'success' => true, 'message' => 'Written in place'];
+        }
+        $targets = array_diff_key($destinations, $copies);
+        
+        if (empty($targets)) {
+            $this->progress->skipAccountPhase('upload');
+            $this->progress->skipAccountPhase('cleanup');
             $this->writeBackupLog($logFile, "  [3d] Local backup complete - files in place");
             return [
                 'success' => true,
                 'message' => 'Backup completed successfully',
                 'file' => $backupFile,
                 'db_file' => isset($dbArchiveName) ? $dbArchiveName : null,
-                'size' => $fileSize
+                'size' => $fileSize,
+                'copies' => $copies
             ];
         }
         
-        // Remote destination - upload files
-        $this->writeBackupLog($logFile, "  [3d] Uploading to remote destination...");
+        $this->progress->startAccountPhase('upload');
+        $this->writeBackupLog($logFile, count($targets) === 1 && !$isLocal
+            ? "  [3d] Uploading to remote destination..."
+            : "  [3d] Copying to " . count($targets) . " destination(s)...");
         $validator = new BackBorkDestinationsValidator();
-        $transport = $validator->getTransportForDestination($destination);
-        
-        $allSuccess = true;
-        $messages = [];
         
+        // Transports upload whole files, so bytes advance per completed file
+        $uploadTotal = 0;
         foreach ($filesToUpload as $file) {
-            $filename = basename($file['local']);
-            $this->writeBackupLog($logFile, "      → Uploading: {$filename}");
-            $result = $transport->upload($file['local'], $file['remote'], $destination);
+            $uploadTotal += filesize($file['local']);
+        }
+        $uploadTotal *= count($targets);
+        $uploadedBytes = 0;
+        $this->progress->setBytes(0, $uploadTotal);
+        
+        foreach ($targets as $id => $destination) {
+            $transport = $validator->getTransportForDestination($destination);
+            if (count($destinations) > 1) {
+                $this->writeBackupLog($logFile, "      → {$destination['name']} (" . strtolower($destination['type'] ?? 'local') . ")");
+            }
             
-            if (!$result['success']) {
-                $allSuccess = false;
-                $messages[] = $filename . ': ' . ($result['message'] ?? 'Upload failed');
-                $this->writeBackupLog($logFile, "        ✗ Upload failed: " . ($result['message'] ?? 'Unknown error'));
-            } else {
-                $this->writeBackupLog($logFile, "        ✓ Upload successful");
+            $messages = [];
+            foreach ($filesToUpload as $file) {
+                $filename = basename($file['local']);
+                $this->writeBackupLog($logFile, "      → Uploading: {$filename}");
+                $result = $transport->upload($file['local'], $file['remote'], $destination);
+                
+                if (!$result['success']) {
+                    $messages[] = $filename . ': ' . ($result['message'] ?? 'Upload failed');
+                    $this->writeBackupLog($logFile, "        ✗ Upload failed: " . ($result['message'] ?? 'Unknown error'));
+                } else {
+                    $this->writeBackupLog($logFile, "        ✓ Upload successful");
+                }
+                $uploadedBytes += filesize($file['local']);
+                $this->progress->setBytes($uploadedBytes, $uploadTotal);
             }
+            
+            $copies[$id] = [
+                'name' => $destination['name'],
+                'success' => empty($messages),
+                'message' => empty($messages) ? 'Uploaded' : implode('; ', $messages)
+            ];
         }
         
         // ====================================================================
         // STEP 4: Delete temp files IMMEDIATELY after upload (before next account)
+        // LOCAL - the archive built in place is one of the copies, so it stays
         // ====================================================================
-        $this->writeBackupLog($logFile, "  [3e] Cleaning up temporary files...");
-        foreach ($filesToCleanup as $file) {
-            if (file_exists($file)) {
-                $this->writeBackupLog($logFile, "      → Removing: " . basename($file));
-                unlink($file);
+        if ($isLocal) {
+            $this->progress->skipAccountPhase('cleanup');
+        } else {
+            $this->progress->startAccountPhase('cleanup');
+            $this->writeBackupLog($logFile, "  [3e] Cleaning up temporary files...");
+            foreach ($filesToCleanup as $file) {
+                if (file_exists($file)) {
+                    $this->writeBackupLog($logFile, "      → Removing: " . basename($file));
+                    unlink($file);
+                }
+            }
+            $this->writeBackupLog($logFile, "      ✓ Cleanup complete");
+        }
+        
+        // Every copy has to land for the account to count as backed up
+        $failedCopies = [];
+        foreach ($copies as $copy) {
+            if (!$copy['success']) {
+                $failedCopies[] = count($destinations) > 1 ? $copy['name'] . ': ' . $copy['message'] : $copy['message'];
             }
         }
-        $this->writeBackupLog($logFile, "      ✓ Cleanup complete");
         
         return [
-            'success' => $allSuccess,
-            'message' => $allSuccess ? 'Backup completed successfully' : implode('; ', $messages),
+            'success' => empty($failedCopies),
+            'message' => empty($failedCopies) ? 'Backup completed successfully' : implode('; ', $failedCopies),
             'file' => $backupFile,
             'db_file' => isset($dbArchiveName) ? $dbArchiveName : null,
-            'size' => $fileSize
+            'size' => $fileSize,
+            'copies' => $copies
         ];
     }
     
+    /**
+     * Describe where an account's copies landed, for the operations log.
+     * 
+     * @param array $copies Per-destination results from backupSingleAccount
+     * @return string e.g. "Local ✓, Offsite SFTP ✗"
+     */
+    private function describeCopies($copies) {
+        $parts = [];
+        foreach ($copies as $copy) {
+            $parts[] = $copy['name'] . ($copy['success'] ? ' ✓' : ' ✗');
+        }
+        return implode(', ', $parts);
+    }
+    
     /**
      * List backups for an account from local storage.
      * Searches the local /backup directory for existing backup archives.
@@ -727,8 +1014,15 @@ class BackBorkBackupManager {
             // Use override if set, otherwise detect requestor
             $logRequestor = $this->getRequestor();
             
+            // Retries link back to the job they are retrying
+            $links = !empty($this->retryContext['attempt']) ? [
+                'original_job_id' => $this->retryContext['original_job_id'],
+                'original_log_id' => $this->retryContext['original_log_id'],
+                'retry_attempt' => $this->retryContext['attempt']
+            ] : [];
+            
             // Log event through centralised logging
-            BackBorkLog::logEvent($user, $type === 'backup' ? 'backup' : $type, $accounts, $success, $message, $logRequestor, $jobID);
+            BackBorkLog::logEvent($user, $type === 'backup' ? 'backup' : $type, $accounts, $success, $message, $logRequestor, $jobID, $links);
         }
     }
     
@@ -867,6 +1161,72 @@ class BackBorkBackupManager {
         file_put_contents($logFile, "[{$timestamp}] {$message}\n", FILE_APPEND | LOCK_EX);
     }
     
+    /**
+     * Set the retry position of the queued job about to run
+     * 
+     * @param array|null $context attempt, max_attempts, original_job_id, original_log_id (null to clear)
+     */
+    public function setRetryContext($context) {
+        $this->retryContext = $context;
+    }
+    
+    /**
+     * Set backup settings that take precedence over the user's config
+     * 
+     * @param array $overrides Normalised overrides (see BackBorkProfiles::resolveSettings), [] to clear
+     * @param string|null $profileName Name of the profile they came from, for the log
+     * @param string|null $profileID Profile picked for the job (null = none)
+     */
+    public function setConfigOverrides($overrides, $profileName = null, $profileID = null) {
+        $this->configOverrides = is_array($overrides) ? $overrides : [];
+        $this->profile = $profileID !== null ? ['id' => $profileID, 'name' => $profileName] : null;
+    }
+    
+    /**
+     * Set the destination that takes the primary copy when the primary is unavailable
+     * 
+     * @param string|null $destinationID Fallback destination ID (null = none)
+     */
+    public function setFallbackDestination($destinationID) {
+        $this->fallbackDestination = !empty($destinationID) ? (string)$destinationID : null;
+    }
+    
+    /**
+     * Check that a destination can take a backup right now
+     * Exists, is enabled in WHM, and passes its transport's connection test.
+     * 
+     * @param string $destinationID Destination ID
+     * @return array Result with success status, message, and name (ID if unknown)
+     */
+    private function checkDestinationAvailable($destinationID) {
+        $destination = $this->destinations->getDestinationByID($destinationID);
+        if (!$destination) {
+            return ['success' => false, 'message' => 'not found', 'name' => $destinationID];
+        }
+        
+        $name = $destination['name'] ?? $destinationID;
+        if (empty($destination['enabled'])) {
+            return ['success' => false, 'message' => 'disabled in WHM', 'name' => $name];
+        }
+        
+        $validator = new BackBorkDestinationsValidator();
+        $test = $validator->testDestinationConfig($destination);
+        if (empty($test['success'])) {
+            return ['success' => false, 'message' => $test['message'] ?? 'connection test failed', 'name' => $name];
+        }
+        return ['success' => true, 'message' => 'OK', 'name' => $name];
+    }
+    
+    /**
+     * Check whether a failure of this run will be followed by a retry
+     * 
+     * @return bool True if the job's retry policy has attempts left
+     */
+    private function isRetryPending() {
+        return $this->retryContext !== null
+            && $this->retryContext['attempt'] < $this->retryContext['max_attempts'];
+    }
+    
     /**
      * Set the requestor identifier (used by runner.php to pass original IP)
      * 
@@ -43,7 +43,8 @@
  *       "file": "backup-01.15.2025_02-00-00_username.tar.gz",
  *       "db_file": "db-01.15.2025_02-00-00_username.tar.gz",
  *       "timestamp": "2025-01-15T02:00:00Z",
- *       "size": 123456
+ *       "size": 123456,
+ *       "destinations": ["dest_id", "offsite_id"]
  *     }
  *   ]
  * }
@@ -133,15 +134,16 @@ class BackBorkManifest {
      * @param string $file Primary backup filename
      * @param string|null $dbFile Database backup filename (optional)
      * @param int $size File size in bytes
-     * @param string $destination Destination ID
+     * @param string|array $destination Destination ID, or every destination a copy landed on
      * @param int $retention Retention count (0 = unlimited)
      * @return bool Success
      */
     public function addEntry($scheduleID, $account, $file, $dbFile, $size, $destination, $retention = 30) {
         $manifest = $this->loadManifest($scheduleID);
+        $destinations = array_values((array)$destination);
         
         // Update manifest metadata
-        $manifest['destination'] = $destination;
+        $manifest['destination'] = $destinations[0] ?? null;
         $manifest['retention'] = $retention;
         
         // Add new entry
@@ -150,7 +152,8 @@ class BackBorkManifest {
             'file' => $file,
             'db_file' => $dbFile,
             'timestamp' => date('c'),
-            'size' => $size
+            'size' => $size,
+            'destinations' => $destinations
         ];
         
         return $this->saveManifest($scheduleID, $manifest);
@@ -174,6 +177,34 @@ class BackBorkManifest {
         return $this->saveManifest($scheduleID, $manifest);
     }
     
+    /**
+     * Remove pruned copies from a manifest.
+     * An entry is dropped once none of its copies remain (entries without a
+     * destinations list predate multi-destination backups and have one copy).
+     * 
+     * @param string $scheduleID Schedule ID
+     * @param array $removedCopies Filename => destination IDs the file was deleted from
+     * @return bool Success
+     */
+    public function removeCopies($scheduleID, $removedCopies) {
+        $manifest = $this->loadManifest($scheduleID);
+        
+        $entries = [];
+        foreach ($manifest['entries'] as $entry) {
+            if (isset($removedCopies[$entry['file']])) {
+                $remaining = array_diff($entry['destinations'] ?? [], $removedCopies[$entry['file']]);
+                if (empty($remaining)) {
+                    continue;
+                }
+                $entry['destinations'] = array_values($remaining);
+            }
+            $entries[] = $entry;
+        }
+        $manifest['entries'] = $entries;
+        
+        return $this->saveManifest($scheduleID, $manifest);
+    }
+    
     /**
      * Get all entries for a specific account from a manifest.
      * 
@@ -227,6 +258,65 @@ class BackBorkManifest {
         return array_slice($entries, 0, $total - $toKeep);
     }
     
+    /**
+     * Get entries a grandfather-father-son policy would prune for an account.
+     * 
+     * Each tier keeps the newest backup in each of its most recent periods
+     * (days, ISO weeks, months, years) that have a backup. An entry survives
+     * if any tier keeps it, so one archive can count as both a daily and a
+     * monthly. The newest backup is always kept by whichever tier is set.
+     * 
+     * @param string $scheduleID Schedule ID
+     * @param string $account Account username
+     * @param array $policy Backups to keep per tier: daily, weekly, monthly, yearly
+     * @return array Array of entries to prune, oldest first
+     */
+    public function getGfsExpiredEntries($scheduleID, $account, $policy) {
+        // Manual backups never expire
+        if ($scheduleID === self::MANUAL_MANIFEST_ID) {
+            return [];
+        }
+        
+        // Period key per tier (ISO week-numbering year for weeks)
+        $periodFormats = ['daily' => 'Y-m-d', 'weekly' => 'o-W', 'monthly' => 'Y-m', 'yearly' => 'Y'];
+        
+        // No tiers set means nothing to enforce
+        if (array_sum(array_intersect_key($policy, $periodFormats)) <= 0) {
+            return [];
+        }
+        
+        $entries = array_values($this->getEntriesForAccount($scheduleID, $account));
+        
+        // Sort by timestamp (newest first) so each period keeps its latest backup
+        usort($entries, function($a, $b) {
+            return strcmp($b['timestamp'], $a['timestamp']);
+        });
+        
+        $periodsSeen = array_fill_keys(array_keys($periodFormats), []);
+        $expired = [];
+        
+        foreach ($entries as $entry) {
+            $time = strtotime($entry['timestamp']);
+            $keep = false;
+            
+            foreach ($periodFormats as $tier => $format) {
+                $limit = (int)($policy[$tier] ?? 0);
+                $period = date($format, $time);
+                
+                if ($limit > 0 && !isset($periodsSeen[$tier][$period]) && count($periodsSeen[$tier]) < $limit) {
+                    $periodsSeen[$tier][$period] = true;
+                    $keep = true;
+                }
+            }
+            
+            if (!$keep) {
+                $expired[] = $entry;
+            }
+        }
+        
+        return array_reverse($expired);
+    }
+    
     /**
      * List all manifest IDs (schedule IDs with manifests).
      * 
@@ -146,9 +146,10 @@ class BackBorkPkgacct {
      * @param string $workDir Working directory for backup output
      * @param array $userConfig User configuration for pkgacct options
      * @param string|null $logFile Optional log file for real-time output streaming
+     * @param callable|null $onTick Optional callback invoked about once a second while pkgacct runs (streaming mode only)
      * @return array Result with success status, file path, and execution details
      */
-    public function execute($account, $workDir, $userConfig = [], $logFile = null) {
+    public function execute($account, $workDir, $userConfig = [], $logFile = null, $onTick = null) {
         // Verify pkgacct binary is available
         if (!$this->isAvailable()) {
             return [
@@ -167,15 +168,15 @@ class BackBorkPkgacct {
             }
         }
         
-        // Build complete pkgacct command
-        $command = self::PKGACCT_BIN;
+        // Build complete pkgacct command (nice/ionice prefix from root's resource limits)
+        $command = BackBorkConfig::getProcessPriorityPrefix('pkgacct') . self::PKGACCT_BIN;
         $command .= $this->buildOptions($userConfig);  // Add user-configured options
         $command .= ' ' . escapeshellarg($account);    // Account username
         $command .= ' ' . escapeshellarg($workDir);    // Output directory
         
         // Execute pkgacct with real-time output streaming if log file provided
         if ($logFile !== null) {
-            $result = $this->executeWithLogging($command, $logFile);
+            $result = $this->executeWithLogging($command, $logFile, $onTick);
             $output = $result['output'];
             $returnCode = $result['return_code'];
         } else {
@@ -230,11 +231,13 @@ class BackBorkPkgacct {
      * 
      * @param string $command Command to execute
      * @param string $logFile Path to log file for output
+     * @param callable|null $onTick Optional callback invoked about once a second
      * @return array Result with output array and return code
      */
-    private function executeWithLogging($command, $logFile) {
+    private function executeWithLogging($command, $logFile, $onTick = null) {
         $output = [];
         $returnCode = 0;
+        $lastTick = microtime(true);
         
         // Open process with separate stdout/stderr pipes
         $descriptorSpec = [
@@ -294,6 +297,12 @@ class BackBorkPkgacct {
                 break;
             }
             
+            // Let the caller sample progress (e.g. archive size) while pkgacct runs
+            if ($onTick && microtime(true) - $lastTick >= 1) {
+                $lastTick = microtime(true);
+                call_user_func($onTick);
+            }
+            
             // Small delay to prevent CPU spinning
             usleep(10000); // 10ms
         }
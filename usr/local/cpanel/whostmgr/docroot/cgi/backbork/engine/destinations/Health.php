@@ -0,0 +1,451 @@
+<?php
+/**
+ *  BackBork KISS :: Open-source Disaster Recovery Plugin (for WHM)
+ *   Copyright (C) The Network Crew Pty Ltd & Velocity Host Pty Ltd
+ *   https://github.com/The-Network-Crew/BackBork-KISS-for-WHM/
+ *
+ *  THIS FILE:
+ *   Background health checks for backup destinations.
+ *   Tests connectivity, writes, free space and latency, and keeps a history per destination.
+ *
+ *  This program is free software: you can redistribute it and/or modify
+ *   it under the terms of the GNU Affero General Public License as published by
+ *   the Free Software Foundation, either version 3 of the License, or
+ *   (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *   but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *   MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *   GNU Affero General Public License for more details.
+ *
+ *  You should have received a copy of the GNU Affero General Public License
+ *   along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ *
+ *  @package BackBork
+ *  @version See version.php (constant: BACKBORK_VERSION)
+ *  @author The Network Crew Pty Ltd & Velocity Host Pty Ltd
+ */
+
+/**
+ * Health checker for backup destinations.
+ * Run from cron every health_check_interval minutes (global config), and
+ * sooner for destinations a schedule is about to write to.
+ */
+class BackBorkDestinationsHealth {
+
+    // ========================================================================
+    // CONSTANTS
+    // ========================================================================
+
+    /** Directory holding one history file per destination */
+    const HEALTH_DIR = '/usr/local/cpanel/3rdparty/backbork/health';
+
+    /** Checks kept per destination (a week of hourly checks) */
+    const HISTORY_LIMIT = 168;
+
+    /** Checks returned to the dashboard's trend strip */
+    const TREND_CHECKS = 24;
+
+    /** Free space (percent) below which a destination is flagged */
+    const LOW_SPACE_PERCENT = 10;
+
+    /** Connection test time (ms) above which a destination is flagged */
+    const SLOW_LATENCY_MS = 5000;
+
+    /** Schedules due within this many seconds get their destinations checked early */
+    const PREFLIGHT_WINDOW = 3600;
+
+    /** How old (seconds) a check may be before a due schedule triggers another */
+    const PREFLIGHT_MAX_AGE = 900;
+
+    /** Status severity, worst last */
+    const STATUSES = ['healthy', 'warning', 'unhealthy'];
+
+    /** @var BackBorkDestinationsParser Destination lookup */
+    private $parser;
+
+    /** @var BackBorkDestinationsValidator Transport handlers and space checks */
+    private $validator;
+
+    // ========================================================================
+    // CONSTRUCTOR
+    // ========================================================================
+
+    /**
+     * Constructor - Ensure the health directory exists
+     */
+    public function __construct() {
+        $this->parser = new BackBorkDestinationsParser();
+        $this->validator = new BackBorkDestinationsValidator();
+
+        if (!is_dir(self::HEALTH_DIR)) {
+            mkdir(self::HEALTH_DIR, 0700, true);
+        }
+    }
+
+    // ========================================================================
+    // CHECKS
+    // ========================================================================
+
+    /**
+     * Run every check against one destination
+     *
+     * @param array $destination Destination configuration
+     * @return array checked_at, status, connect and write results, latency_ms,
+     *               free_bytes/total_bytes/free_percent (local only, else null) and issues
+     */
+    public function checkDestination($destination) {
+        $transport = $this->validator->getTransportForDestination($destination);
+        $issues = [];
+
+        // Connectivity, timed for latency
+        $started = microtime(true);
+        $connect = $transport->testConnection($destination);
+        $latency = (int)round((microtime(true) - $started) * 1000);
+        if (empty($connect['success'])) {
+            $issues[] = 'Connection failed: ' . ($connect['message'] ?? 'unknown error');
+        } elseif ($latency > self::SLOW_LATENCY_MS) {
+            $issues[] = "Slow to respond ({$latency} ms)";
+        }
+
+        // Write test: upload a small probe file, then remove it
+        $write = ['success' => false, 'message' => 'Skipped (no connection)'];
+        if (!empty($connect['success'])) {
+            $write = $this->writeProbe($transport, $destination);
+            if (!$write['success']) {
+                $issues[] = 'Write test failed: ' . $write['message'];
+            }
+        }
+
+        // Free space is only known for local destinations
+        $space = $this->validator->checkDestinationSpace($destination['id']);
+        $freePercent = null;
+        if ($space !== null && $space['total'] > 0) {
+            $freePercent = round($space['free'] / $space['total'] * 100, 1);
+            if ($freePercent < self::LOW_SPACE_PERCENT) {
+                $issues[] = "Low free space ({$space['free_formatted']}, {$freePercent}%)";
+            }
+        }
+
+        if (empty($connect['success']) || !$write['success']) {
+            $status = 'unhealthy';
+        } else {
+            $status = empty($issues) ? 'healthy' : 'warning';
+        }
+
+        return [
+            'checked_at' => date('Y-m-d H:i:s'),
+            'status' => $status,
+            'connect' => ['success' => !empty($connect['success']), 'message' => $connect['message'] ?? ''],
+            'write' => $write,
+            'latency_ms' => $latency,
+            'free_bytes' => $space['free'] ?? null,
+            'total_bytes' => $space['total'] ?? null,
+            'free_percent' => $freePercent,
+            'issues' => $issues
+        ];
+    }
+
+    /**
+     * Upload and delete a throwaway file at the destination's base path
+     *
+     * @param BackBorkTransportInterface $transport Transport for the destination
+     * @param array $destination Destination configuration
+     * @return array Result with success status and message
+     */
+    private function writeProbe($transport, $destination) {
+        $probeName = '.backbork_health_' . substr(md5(uniqid(mt_rand(), true)), 0, 8);
+        $localPath = sys_get_temp_dir() . '/' . $probeName;
+        if (file_put_contents($localPath, 'BackBork destination health check ' . date('c') . "\n") === false) {
+            return ['success' => false, 'message' => 'Could not create probe file'];
+        }
+
+        $upload = $transport->upload($localPath, $probeName, $destination);
+        unlink($localPath);
+        if (empty($upload['success'])) {
+            return ['success' => false, 'message' => $upload['message'] ?? 'Upload failed'];
+        }
+
+        // A probe left behind is harmless, but say so
+        $delete = $transport->delete($probeName, $destination);
+        if (empty($delete['success'])) {
+            return ['success' => true, 'message' => 'Written, but probe file could not be removed: ' . ($delete['message'] ?? '')];
+        }
+        return ['success' => true, 'message' => 'Write and delete OK'];
+    }
+
+    /**
+     * Check destinations now and store the results
+     *
+     * @param string|null $destinationID One destination, or null for every enabled one
+     * @return array Result with success status, message and checks (keyed by destination ID)
+     */
+    public function runChecks($destinationID = null) {
+        if ($destinationID !== null) {
+            $destination = $this->parser->getDestinationByID($destinationID);
+            if (!$destination) {
+                return ['success' => false, 'message' => 'Destination not found'];
+            }
+            $targets = [$destination];
+        } else {
+            $targets = $this->getEnabledDestinations();
+        }
+
+        $checks = [];
+        foreach ($targets as $destination) {
+            $check = $this->checkDestination($destination);
+            $this->recordCheck($destination, $check);
+            $checks[$destination['id']] = $check;
+        }
+
+        return ['success' => true, 'message' => count($checks) . ' destination(s) checked', 'checks' => $checks];
+    }
+
+    /**
+     * Cron entry point: check destinations that are due, and report the ones that got worse
+     *
+     * A destination is due when its last check is older than the configured interval,
+     * or when a schedule using it runs within PREFLIGHT_WINDOW and its last check is
+     * older than PREFLIGHT_MAX_AGE - so a failing destination is reported before the run.
+     *
+     * @return array checked (destination IDs) and alerts (destination, check, previous status, schedules)
+     */
+    public function runDueChecks() {
+        $interval = BackBorkConfig::getHealthCheckInterval();
+        if ($interval <= 0) {
+            return ['checked' => [], 'alerts' => []];
+        }
+
+        $now = time();
+        $dependents = self::getDependentSchedules();
+        $checked = [];
+        $alerts = [];
+
+        foreach ($this->getEnabledDestinations() as $destination) {
+            $last = $this->getLastCheck($destination['id']);
+            $age = $last !== null ? $now - strtotime($last['checked_at']) : PHP_INT_MAX;
+            $schedules = $dependents[$destination['id']] ?? [];
+
+            $due = $age >= $interval * 60;
+            if (!$due && $age >= self::PREFLIGHT_MAX_AGE) {
+                foreach ($schedules as $schedule) {
+                    if (!empty($schedule['next_run']) && strtotime($schedule['next_run']) - $now <= self::PREFLIGHT_WINDOW) {
+                        $due = true;
+                        break;
+                    }
+                }
+            }
+            if (!$due) {
+                continue;
+            }
+
+            $check = $this->checkDestination($destination);
+            $this->recordCheck($destination, $check);
+            $checked[] = $destination['id'];
+
+            // Log status changes; alert only when schedules depend on the destination
+            $previous = $last['status'] ?? null;
+            if ($previous === $check['status']) {
+                continue;
+            }
+            $gotWorse = self::severity($check['status']) > self::severity($previous ?? 'healthy');
+            if ($gotWorse || $previous !== null) {
+                BackBorkLog::logEvent('root', 'destination_health', [$destination['name']], !$gotWorse,
+                    ucfirst($check['status']) . (empty($check['issues']) ? '' : ': ' . implode('; ', $check['issues'])), 'cron');
+            }
+            if ($gotWorse && !empty($schedules)) {
+                $alerts[] = [
+                    'destination' => $destination,
+                    'check' => $check,
+                    'previous' => $previous,
+                    'schedules' => $schedules
+                ];
+            }
+        }
+
+        return ['checked' => $checked, 'alerts' => $alerts];
+    }
+
+    // ========================================================================
+    // HISTORY
+    // ========================================================================
+
+    /**
+     * Append a check to a destination's history (oldest dropped past HISTORY_LIMIT)
+     *
+     * @param array $destination Destination configuration
+     * @param array $check Result from checkDestination
+     */
+    private function recordCheck($destination, $check) {
+        $file = $this->getHistoryFile($destination['id']);
+        $history = file_exists($file) ? json_decode(file_get_contents($file), true) : null;
+        $checks = $history['checks'] ?? [];
+
+        $checks[] = $check;
+        $checks = array_slice($checks, -self::HISTORY_LIMIT);
+
+        file_put_contents($file, json_encode([
+            'destination_id' => $destination['id'],
+            'name' => $destination['name'] ?? $destination['id'],
+            'checks' => $checks
+        ], JSON_PRETTY_PRINT), LOCK_EX);
+        chmod($file, 0600);
+    }
+
+    /**
+     * Get a destination's stored checks
+     *
+     * @param string $destinationID Destination ID
+     * @return array Checks, oldest first
+     */
+    public function getHistory($destinationID) {
+        $file = $this->getHistoryFile($destinationID);
+        if (!file_exists($file)) {
+            return [];
+        }
+        $history = json_decode(file_get_contents($file), true);
+        return $history['checks'] ?? [];
+    }
+
+    /**
+     * Get a destination's most recent check
+     *
+     * @param string $destinationID Destination ID
+     * @return array|null Check, or null if never checked
+     */
+    public function getLastCheck($destinationID) {
+        $checks = $this->getHistory($destinationID);
+        return empty($checks) ? null : end($checks);
+    }
+
+    /**
+     * Build the Settings health dashboard
+     *
+     * @return array One entry per destination: id, name, type, enabled, status ('disabled' or
+     *               'unknown' if not checked), last (check), trend (recent checks), uptime_percent,
+     *               avg_latency_ms, latency_trend (rising/falling/steady) and schedules depending on it
+     */
+    public function getDashboard() {
+        $all = $this->parser->getAvailableDestinations(true)['destinations'];
+        $dependents = self::getDependentSchedules();
+        $dashboard = [];
+
+        foreach ($all as $destination) {
+            $checks = $this->getHistory($destination['id']);
+            $last = empty($checks) ? null : end($checks);
+            $recent = array_slice($checks, -self::TREND_CHECKS);
+
+            $up = count(array_filter($checks, function($check) {
+                return $check['status'] !== 'unhealthy';
+            }));
+            $latencies = array_column($recent, 'latency_ms');
+
+            $dashboard[] = [
+                'id' => $destination['id'],
+                'name' => $destination['name'] ?? $destination['id'],
+                'type' => $destination['type'] ?? 'Local',
+                'enabled' => !empty($destination['enabled']),
+                'status' => empty($destination['enabled']) ? 'disabled' : ($last['status'] ?? 'unknown'),
+                'last' => $last,
+                'trend' => array_map(function($check) {
+                    return ['checked_at' => $check['checked_at'], 'status' => $check['status'], 'latency_ms' => $check['latency_ms']];
+                }, $recent),
+                'uptime_percent' => empty($checks) ? null : round($up / count($checks) * 100, 1),
+                'avg_latency_ms' => empty($latencies) ? null : (int)round(array_sum($latencies) / count($latencies)),
+                'latency_trend' => self::latencyTrend($latencies),
+                'schedules' => $dependents[$destination['id']] ?? []
+            ];
+        }
+
+        return $dashboard;
+    }
+
+    // ========================================================================
+    // HELPERS
+    // ========================================================================
+
+    /**
+     * Get the enabled destinations (local storage included)
+     *
+     * @return array Destination configurations
+     */
+    private function getEnabledDestinations() {
+        return array_values(array_filter($this->parser->getAvailableDestinations(true)['destinations'], function($destination) {
+            return !empty($destination['enabled']);
+        }));
+    }
+
+    /**
+     * Map destinations to the active schedules that write to them (copies and fallback included)
+     *
+     * @return array Destination ID => list of schedules (id, name, user, next_run)
+     */
+    public static function getDependentSchedules() {
+        $dependents = [];
+        foreach (glob(BackBorkQueue::SCHEDULES_DIR . '/*.json') as $file) {
+            $schedule = json_decode(file_get_contents($file), true);
+            if (!$schedule || (isset($schedule['enabled']) && $schedule['enabled'] === false)) {
+                continue;
+            }
+
+            $destinationIDs = BackBorkQueue::getJobDestinations($schedule);
+            if (!empty($schedule['fallback_destination'])) {
+                $destinationIDs[] = $schedule['fallback_destination'];
+            }
+            foreach (array_unique($destinationIDs) as $destinationID) {
+                $dependents[$destinationID][] = [
+                    'id' => $schedule['id'] ?? basename($file, '.json'),
+                    'name' => $schedule['name'] ?? ($schedule['id'] ?? basename($file, '.json')),
+                    'user' => $schedule['user'] ?? 'root',
+                    'next_run' => $schedule['next_run'] ?? null
+                ];
+            }
+        }
+        return $dependents;
+    }
+
+    /**
+     * Compare the newer half of a latency series with the older half
+     *
+     * @param array $latencies Latencies in ms, oldest first
+     * @return string|null rising, falling or steady (null with fewer than 4 samples)
+     */
+    private static function latencyTrend($latencies) {
+        if (count($latencies) < 4) {
+            return null;
+        }
+
+        $half = intdiv(count($latencies), 2);
+        $older = array_sum(array_slice($latencies, 0, $half)) / $half;
+        $newer = array_sum(array_slice($latencies, -$half)) / $half;
+
+        if ($older > 0 && $newer > $older * 1.5) {
+            return 'rising';
+        }
+        if ($newer > 0 && $older > $newer * 1.5) {
+            return 'falling';
+        }
+        return 'steady';
+    }
+
+    /**
+     * Rank a status for comparisons
+     *
+     * @param string $status healthy, warning or unhealthy
+     * @return int 0 (healthy) to 2 (unhealthy)
+     */
+    private static function severity($status) {
+        $rank = array_search($status, self::STATUSES, true);
+        return $rank === false ? 0 : $rank;
+    }
+
+    /**
+     * Get the history file for a destination
+     *
+     * @param string $destinationID Destination ID
+     * @return string Path under HEALTH_DIR
+     */
+    private function getHistoryFile($destinationID) {
+        return self::HEALTH_DIR . '/' . preg_replace('/[^A-Za-z0-9_.-]/', '_', basename((string)$destinationID)) . '.json';
+    }
+}
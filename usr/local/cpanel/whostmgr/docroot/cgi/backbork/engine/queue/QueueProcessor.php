@@ -35,8 +35,11 @@ class BackBorkQueueProcessor {
     /** Lock file path to prevent concurrent processing */
     const LOCK_FILE = '/tmp/backbork_queue.lock';
     
-    /** Maximum concurrent backups (keep at 1 to prevent server overload) */
-    const MAX_CONCURRENT = 1;
+    /** Seconds between worker checks while jobs are in flight */
+    const WORKER_POLL_INTERVAL = 5;
+    
+    /** PHP binary used to launch background queue workers */
+    const PHP_BIN = '/usr/local/cpanel/3rdparty/bin/php';
     
     // ========================================================================
     // PROPERTIES
@@ -51,6 +54,9 @@ class BackBorkQueueProcessor {
     /** @var BackBorkConfig Configuration manager */
     private $config;
     
+    /** @var array Workers started by this run, keyed by job ID (pid, item) */
+    private $workers = [];
+    
     // ========================================================================
     // CONSTRUCTOR
     // ========================================================================
@@ -72,8 +78,10 @@ class BackBorkQueueProcessor {
     /**
      * Process all pending queue items
      * 
-     * Main entry point called by cron. Processes all queued backup/restore
-     * jobs one at a time, tracking success/failure for each.
+     * Main entry point called by cron. Hands queued backup/restore jobs to
+     * background workers (api/runner.php) up to root's concurrency limits,
+     * then waits for every worker to report back before returning, so the
+     * caller still gets one combined result.
      * 
      * @return array Processing results with counts and account lists
      */
@@ -91,12 +99,29 @@ class BackBorkQueueProcessor {
         
         BackBorkConfig::debugLog('processQueue: Lock acquired, starting processing');
         
+        // Queue processor paused by root: leave everything queued until resumed
+        if (BackBorkQueue::isQueuePaused()) {
+            BackBorkConfig::debugLog('processQueue: Queue is paused, not dispatching');
+            $this->releaseLock();
+            return [
+                'success' => true,
+                'message' => 'Queue processor paused, skipped',
+                'processed' => 0,
+                'skipped' => true,
+                'paused' => true
+            ];
+        }
+        
         try {
-            $results = [];
-            $processed = 0;
-            $failed = 0;
-            $processedAccounts = [];
-            $failedAccounts = [];
+            $summary = [
+                'processed' => 0,
+                'failed' => 0,
+                'processed_accounts' => [],
+                'failed_accounts' => [],
+                'retrying' => 0,
+                'retrying_accounts' => [],
+                'results' => []
+            ];
             
             // Get all pending queue items (running as root since cron runs as root)
             $queueData = $this->queue->getQueue('root', true);
@@ -115,21 +140,40 @@ class BackBorkQueueProcessor {
                 ];
             }
             
-            // Process each queued job sequentially
-            foreach ($queuedJobs as $item) {
-                $id = $item['id'];
-                $itemAccounts = $item['accounts'] ?? [];
-                $itemStatus = $item['status'] ?? 'MISSING';
+            $limits = BackBorkConfig::getResourceLimits();
+            BackBorkConfig::debugLog('processQueue: Limits: ' . $limits['max_concurrent_jobs'] . ' total, '
+                . $limits['max_jobs_per_destination'] . ' per destination, ' . $limits['max_jobs_per_reseller'] . ' per reseller');
+            
+            // Dispatch until nothing else can start and every worker has reported back.
+            // The queue is re-read before each dispatch so priority changes, reordering
+            // and pauses made mid-run are honoured.
+            $attempted = [];
+            while (true) {
+                $this->reapWorkers($summary);
                 
-                BackBorkConfig::debugLog('processQueue: Processing job ' . $id . ' with status: ' . $itemStatus);
+                // Queue paused mid-run: stop dispatching, but let running workers finish
+                $item = null;
+                if (!BackBorkQueue::isQueuePaused()) {
+                    $item = $this->nextQueuedJob($attempted, $limits);
+                }
                 
-                // Only process jobs with 'queued' status
-                if (!isset($item['status']) || $item['status'] !== 'queued') {
-                    BackBorkConfig::debugLog('processQueue: Skipping job ' . $id . ' - status not queued');
+                if ($item === null) {
+                    if (empty($this->workers)) {
+                        break;
+                    }
+                    // Wait for a worker to free a slot
+                    sleep(self::WORKER_POLL_INTERVAL);
+                    
+                    // Heartbeat: touch lock file to show we're still alive
+                    // Keeps lock mtime fresh for monitoring (PID check is primary)
+                    $this->touchLock();
                     continue;
                 }
                 
-                BackBorkConfig::debugLog('processQueue: Moving job ' . $id . ' to running');
+                $id = $item['id'];
+                $attempted[$id] = true;
+                
+                BackBorkConfig::debugLog('processQueue: Moving job ' . $id . ' to running (priority: ' . ($item['priority'] ?? 'normal') . ')');
                 
                 // Move job to running directory and update status
                 $moveResult = $this->queue->moveJob($id, BackBorkQueue::getQueueDir(), BackBorkQueue::getRunningDir(), [
@@ -142,63 +186,51 @@ class BackBorkQueueProcessor {
                     continue;
                 }
                 
-                BackBorkConfig::debugLog('processQueue: Executing job ' . $id);
-                
-                // Execute the job (backup or restore)
-                $result = $this->processItem($id, $item);
-                $results[$id] = $result;
-                
-                BackBorkConfig::debugLog('processQueue: Job ' . $id . ' result: ' . ($result['success'] ? 'success' : 'failed') . ' - ' . ($result['message'] ?? 'no message'));
-                
-                // Handle job completion
-                if (!empty($result['cancelled'])) {
-                    // Job was cancelled: move to completed with cancelled status
-                    $this->queue->moveJob($id, BackBorkQueue::getRunningDir(), BackBorkQueue::getCompletedDir(), [
-                        'status' => 'cancelled',
-                        'completed_at' => date('Y-m-d H:i:s'),
-                        'result' => $result['message'] ?? 'Cancelled by user'
-                    ]);
-                    $failed++;
-                    $failedAccounts = array_merge($failedAccounts, $itemAccounts);
-                } elseif ($result['success']) {
-                    // Success: move to completed directory
-                    $this->queue->moveJob($id, BackBorkQueue::getRunningDir(), BackBorkQueue::getCompletedDir(), [
-                        'status' => 'completed',
-                        'completed_at' => date('Y-m-d H:i:s'),
-                        'result' => $result['message'] ?? 'Success'
-                    ]);
-                    $processed++;
-                    $processedAccounts = array_merge($processedAccounts, $itemAccounts);
+                $pid = $this->spawnWorker($id);
+                if ($pid > 0) {
+                    BackBorkConfig::debugLog('processQueue: Job ' . $id . ' dispatched to worker pid ' . $pid);
+                    $this->workers[$id] = ['pid' => $pid, 'item' => $item];
                 } else {
-                    // Failure: move to completed with failed status
-                    $this->queue->moveJob($id, BackBorkQueue::getRunningDir(), BackBorkQueue::getCompletedDir(), [
-                        'status' => 'failed',
-                        'completed_at' => date('Y-m-d H:i:s'),
-                        'error' => $result['message'] ?? 'Unknown error'
-                    ]);
-                    $failed++;
-                    $failedAccounts = array_merge($failedAccounts, $itemAccounts);
+                    // No background worker available: run the job in this process instead
+                    BackBorkConfig::debugLog('processQueue: Could not spawn worker for ' . $id . ', running inline');
+                    $this->recordResult($id, $item, $this->executeJob($id, $item), $summary);
                 }
                 
-                // Heartbeat: touch lock file to show we're still alive
-                // Keeps lock mtime fresh for monitoring (PID check is primary)
                 $this->touchLock();
             }
             
             $this->releaseLock();
             
             // Build comprehensive result summary
-            $allAccounts = array_merge($processedAccounts, $failedAccounts);
+            $processed = $summary['processed'];
+            $failed = $summary['failed'];
+            $retrying = $summary['retrying'];
+            $allAccounts = array_merge($summary['processed_accounts'], $summary['failed_accounts'], $summary['retrying_accounts']);
+            
+            $message = "Processed {$processed} items, {$failed} failed";
+            if ($retrying > 0) {
+                $message .= ", {$retrying} queued for retry";
+            }
+            
+            // Backups left waiting for the window are not failures, but say why they didn't run
+            $window = BackBorkConfig::getBackupWindowStatus();
+            if (!$window['open']) {
+                $message .= $window['next_open']
+                    ? ", backups held until {$window['next_open']} (backup window)"
+                    : ', backups held (backup window)';
+            }
             
             return [
                 'success' => true,
-                'message' => "Processed {$processed} items, {$failed} failed",
+                'message' => $message,
                 'processed' => $processed,
                 'failed' => $failed,
+                'retrying' => $retrying,
                 'accounts' => $allAccounts,
-                'processed_accounts' => $processedAccounts,
-                'failed_accounts' => $failedAccounts,
-                'results' => $results
+                'processed_accounts' => $summary['processed_accounts'],
+                'failed_accounts' => $summary['failed_accounts'],
+                'retrying_accounts' => $summary['retrying_accounts'],
+                'results' => $summary['results']
             ];
             
         } catch (Exception $e) {
@@ -212,10 +244,301 @@ class BackBorkQueueProcessor {
         }
     }
     
+    /**
+     * Get the next job to dispatch in queue order
+     * 
+     * Only 'queued' jobs are eligible (paused jobs wait for resume, retries wait
+     * out their backoff, backups wait for the backup window). Jobs already
+     * attempted in this run are skipped so a job that fails to move can't loop.
+     * Jobs with a destination or reseller already at its cap are passed over
+     * (they stay queued) so jobs behind them can use the free slot. A job
+     * copying to several destinations holds a slot on each of them.
+     * 
+     * @param array $attempted Job IDs already handled this run (as keys)
+     * @param array $limits Limits from BackBorkConfig::getResourceLimits()
+     * @return array|null Job data, or null when nothing can start right now
+     */
+    private function nextQueuedJob($attempted, $limits) {
+        $queueData = $this->queue->getQueue('root', true);
+        
+        // Tally the slots held by live workers (ours, plus any left by an earlier run)
+        $active = 0;
+        $perDestination = [];
+        $perReseller = [];
+        foreach ($queueData['running'] ?? [] as $job) {
+            if (!isset($this->workers[$job['id']]) && !$this->isProcessRunning((int)($job['worker_pid'] ?? 0))) {
+                continue;
+            }
+            $active++;
+            foreach (BackBorkQueue::getJobDestinations($job) as $destination) {
+                $perDestination[$destination] = ($perDestination[$destination] ?? 0) + 1;
+            }
+            $owner = $job['user'] ?? 'root';
+            $perReseller[$owner] = ($perReseller[$owner] ?? 0) + 1;
+        }
+        
+        if ($active >= $limits['max_concurrent_jobs']) {
+            return null;
+        }
+        
+        // Restores are never held back - they are how you recover
+        $windowOpen = $queueData['backup_window']['open'] ?? true;
+        
+        foreach ($queueData['queued'] ?? [] as $job) {
+            if (isset($attempted[$job['id']])) {
+                continue;
+            }
+            if (($job['status'] ?? '') !== 'queued' || BackBorkQueue::isRetryWaiting($job)) {
+                continue;
+            }
+            if (!$windowOpen && ($job['type'] ?? 'backup') === 'backup') {
+                continue;
+            }
+            
+            if ($limits['max_jobs_per_destination'] > 0) {
+                foreach (BackBorkQueue::getJobDestinations($job) as $destination) {
+                    if (($perDestination[$destination] ?? 0) >= $limits['max_jobs_per_destination']) {
+                        continue 2;
+                    }
+                }
+            }
+            
+            // Reseller caps never hold back root's own jobs
+            $owner = $job['user'] ?? 'root';
+            if ($owner !== 'root' && $limits['max_jobs_per_reseller'] > 0 && ($perReseller[$owner] ?? 0) >= $limits['max_jobs_per_reseller']) {
+                continue;
+            }
+            
+            return $job;
+        }
+        return null;
+    }
+    
+    // ========================================================================
+    // WORKERS
+    // ========================================================================
+    
+    /**
+     * Launch a background worker for a job already moved to running
+     * 
+     * @param string $jobID Queue job ID
+     * @return int Worker PID, or 0 if the worker could not be started
+     */
+    private function spawnWorker($jobID) {
+        if (!is_executable(self::PHP_BIN)) {
+            return 0;
+        }
+        
+        // Job file for the CLI runner (it deletes the file on pickup)
+        $jobFile = BackBorkQueue::getWorkersDir() . '/' . $jobID . '.job';
+        $jobData = [
+            'type' => 'queue_job',
+            'job_id' => $jobID,
+            'created_at' => date('Y-m-d H:i:s')
+        ];
+        if (file_put_contents($jobFile, json_encode($jobData)) === false) {
+            return 0;
+        }
+        chmod($jobFile, 0600);
+        
+        // Background the runner and echo its PID back
+        $runnerScript = dirname(__DIR__, 2) . '/api/runner.php';
+        $cmd = escapeshellarg(self::PHP_BIN) . ' ' . escapeshellarg($runnerScript) . ' ' . escapeshellarg($jobFile) . ' > /dev/null 2>&1 & echo $!';
+        $pid = (int)trim((string)exec($cmd));
+        
+        if ($pid <= 0 && file_exists($jobFile)) {
+            unlink($jobFile);
+        }
+        
+        return $pid;
+    }
+    
+    /**
+     * Collect results from workers that have finished
+     * 
+     * A worker that exits without writing its result (fatal error, killed)
+     * fails its job here so it doesn't sit in running forever.
+     * 
+     * @param array $summary Running totals, updated in place
+     */
+    private function reapWorkers(&$summary) {
+        foreach ($this->workers as $id => $worker) {
+            $resultFile = $this->getWorkerResultFile($id);
+            
+            // Still working and nothing reported yet
+            if (!file_exists($resultFile) && $this->isProcessRunning($worker['pid'])) {
+                continue;
+            }
+            
+            $result = null;
+            if (file_exists($resultFile)) {
+                $result = json_decode(file_get_contents($resultFile), true);
+                unlink($resultFile);
+            }
+            
+            if (!is_array($result)) {
+                $result = ['success' => false, 'message' => 'Queue worker exited without reporting a result'];
+                $result = $this->completeJob($id, $worker['item'], $result);
+            }
+            
+            BackBorkConfig::debugLog('processQueue: Job ' . $id . ' result: ' . ($result['success'] ? 'success' : 'failed') . ' - ' . ($result['message'] ?? 'no message'));
+            
+            unset($this->workers[$id]);
+            $this->recordResult($id, $worker['item'], $result, $summary);
+        }
+    }
+    
+    /**
+     * Run a queued job inside a worker process
+     * 
+     * Called by api/runner.php. Executes the job, moves it out of running,
+     * and leaves the result for the dispatching processor to collect.
+     * 
+     * @param string $jobID Queue job ID (must already be in running)
+     * @return array Result from the job
+     */
+    public function runWorker($jobID) {
+        $item = $this->queue->getJob($jobID);
+        if (!$item) {
+            $result = ['success' => false, 'message' => 'Job not found in running: ' . $jobID];
+        } else {
+            // Record our PID so other processor runs count this slot as taken
+            $this->queue->updateJob($jobID, ['worker_pid' => getmypid()], BackBorkQueue::getRunningDir());
+            $result = $this->executeJob($jobID, $item);
+        }
+        
+        // Write then rename so the dispatcher never reads a partial result
+        $resultFile = $this->getWorkerResultFile($jobID);
+        file_put_contents($resultFile . '.tmp', json_encode($result));
+        chmod($resultFile . '.tmp', 0600);
+        rename($resultFile . '.tmp', $resultFile);
+        
+        return $result;
+    }
+    
+    /**
+     * Get the result hand-off file for a worker
+     * 
+     * @param string $jobID Queue job ID
+     * @return string File path
+     */
+    private function getWorkerResultFile($jobID) {
+        return BackBorkQueue::getWorkersDir() . '/' . $jobID . '.result';
+    }
+    
     // ========================================================================
     // ITEM PROCESSING
     // ========================================================================
     
+    /**
+     * Execute a running job and move it to its final state
+     * 
+     * @param string $id Queue item ID
+     * @param array $item Queue item data
+     * @return array Result with success status and message
+     */
+    private function executeJob($id, $item) {
+        BackBorkConfig::debugLog('executeJob: Executing job ' . $id);
+        
+        // Execute the job (backup or restore)
+        $result = $this->processItem($id, $item);
+        
+        return $this->completeJob($id, $item, $result);
+    }
+    
+    /**
+     * Move a finished job out of running based on its result
+     * 
+     * A failed backup whose retry policy has attempts left gets a child retry
+     * job queued; its ID is added to the result as 'retry_job_id'.
+     * Scheduled backups are then added to their schedule's run history.
+     * 
+     * @param string $id Queue item ID
+     * @param array $item Queue item data
+     * @param array $result Result from processItem
+     * @return array The result, with retry_job_id when a retry was queued
+     */
+    private function completeJob($id, $item, $result) {
+        if (!empty($result['paused'])) {
+            // Job was paused: back to the queue holding only the accounts still to do
+            $doneAccounts = array_values(array_diff($item['accounts'] ?? [], $result['remaining_accounts']));
+            $this->queue->moveJob($id, BackBorkQueue::getRunningDir(), BackBorkQueue::getQueueDir(), [
+                'status' => 'paused',
+                'accounts' => $result['remaining_accounts'],
+                'accounts_done' => array_merge($item['accounts_done'] ?? [], $doneAccounts),
+                'paused_at' => date('Y-m-d H:i:s'),
+                'previous_log_ids' => array_merge($item['previous_log_ids'] ?? [], [$result['backup_id']]),
+                'result' => $result['message']
+            ]);
+        } elseif (!empty($result['cancelled'])) {
+            // Job was cancelled: move to completed with cancelled status
+            $this->queue->moveJob($id, BackBorkQueue::getRunningDir(), BackBorkQueue::getCompletedDir(), [
+                'status' => 'cancelled',
+                'completed_at' => date('Y-m-d H:i:s'),
+                'result' => $result['message'] ?? 'Cancelled by user'
+            ]);
+        } elseif ($result['success']) {
+            // Success: move to completed directory
+            $this->queue->moveJob($id, BackBorkQueue::getRunningDir(), BackBorkQueue::getCompletedDir(), [
+                'status' => 'completed',
+                'completed_at' => date('Y-m-d H:i:s'),
+                'result' => $result['message'] ?? 'Success'
+            ]);
+        } else {
+            // Failure: queue a retry if the policy allows, then move to completed with failed status
+            $retryID = $this->queue->scheduleRetry($item, $result);
+            $this->queue->moveJob($id, BackBorkQueue::getRunningDir(), BackBorkQueue::getCompletedDir(), [
+                'status' => 'failed',
+                'completed_at' => date('Y-m-d H:i:s'),
+                'error' => $result['message'] ?? 'Unknown error',
+                'retry_job_id' => $retryID
+            ]);
+            if ($retryID !== null) {
+                $result['retry_job_id'] = $retryID;
+            }
+        }
+        
+        $this->queue->recordScheduleRun($item, $result);
+        
+        return $result;
+    }
+    
+    /**
+     * Add a finished job to the run's success/failure totals
+     * 
+     * @param string $id Queue item ID
+     * @param array $item Queue item data as dispatched
+     * @param array $result Result from the job
+     * @param array $summary Running totals, updated in place
+     */
+    private function recordResult($id, $item, $result, &$summary) {
+        $summary['results'][$id] = $result;
+        $itemAccounts = $item['accounts'] ?? [];
+        
+        if (!empty($result['retry_job_id'])) {
+            // Not a failure yet - the retry job reports the final outcome
+            $summary['retrying']++;
+            $summary['retrying_accounts'] = array_merge($summary['retrying_accounts'], $itemAccounts);
+            return;
+        }
+        
+        if (!empty($result['paused'])) {
+            // The finished part still counts, so failures in it are reported now
+            $itemAccounts = array_values(array_diff($itemAccounts, $result['remaining_accounts']));
+            $succeeded = $result['success'];
+        } else {
+            $succeeded = $result['success'] && empty($result['cancelled']);
+        }
+        
+        if ($succeeded) {
+            $summary['processed']++;
+            $summary['processed_accounts'] = array_merge($summary['processed_accounts'], $itemAccounts);
+        } else {
+            $summary['failed']++;
+            $summary['failed_accounts'] = array_merge($summary['failed_accounts'], $itemAccounts);
+        }
+    }
+    
     /**
      * Process a single queue item (backup or restore)
      * 
@@ -246,12 +569,12 @@ class BackBorkQueueProcessor {
      * Delegates actual backup execution to BackupManager.
      * 
      * @param string $jobID Queue job ID for progress updates
-     * @param array $item Queue item data with accounts, destination, user
+     * @param array $item Queue item data with accounts, destination(s), user
      * @return array Result from BackupManager
      */
     private function processBackupItem($jobID, $item) {
         $accounts = $item['accounts'] ?? [];
-        $destination = $item['destination'] ?? 'local';
+        $destinations = BackBorkQueue::getJobDestinations($item);
         $user = $item['user'] ?? 'root';
         $scheduleID = $item['schedule_id'] ?? null;
         $retention = (int)($item['retention'] ?? 30);
@@ -260,10 +583,30 @@ class BackBorkQueueProcessor {
             return ['success' => false, 'message' => 'No accounts specified'];
         }
         
+        // Let BackupManager label retries and hold back failure notices while attempts remain
+        $retryPolicy = !empty($item['retry']) ? BackBorkQueue::normaliseRetryPolicy($item['retry']) : null;
+        $this->backupManager->setRetryContext($retryPolicy ? [
+            'attempt' => (int)($item['retry_attempt'] ?? 0),
+            'max_attempts' => $retryPolicy['attempts'],
+            'original_job_id' => $item['original_job_id'] ?? $jobID,
+            'original_log_id' => $item['original_log_id'] ?? null
+        ] : null);
+        
+        // Profile and schedule-level pkgacct settings win over the owner's saved config
+        $resolved = BackBorkProfiles::resolveSettings($item['profile_id'] ?? null, $user, $item['pkgacct_overrides'] ?? []);
+        $this->backupManager->setConfigOverrides($resolved['settings'], $resolved['profile'], $item['profile_id'] ?? null);
+        
+        // Schedule runs can swap to a fallback when the primary destination is disabled or unreachable
+        $this->backupManager->setFallbackDestination($item['fallback_destination'] ?? null);
+        
+        // Pre-generate the backup ID so the running job links to its log and progress
+        $backupID = BackBorkBackupManager::generateBackupID();
+        
         // Set initial progress in running job
         $this->queue->updateJob($jobID, [
             'accounts_total' => count($accounts),
-            'accounts_completed' => 0
+            'accounts_completed' => 0,
+            'log_id' => $backupID
         ], BackBorkQueue::getRunningDir());
         
         // Create progress callback for BackupManager
@@ -274,7 +617,7 @@ class BackBorkQueueProcessor {
         };
         
         // Execute backup via BackupManager with progress callback, job ID, and schedule info
-        return $this->backupManager->createBackup($accounts, $destination, $user, $progressCallback, $jobID, $scheduleID, $retention);
+        return $this->backupManager->createBackup($accounts, $destinations, $user, $progressCallback, $jobID, $scheduleID, $retention, $backupID);
     }
     
     /**
@@ -296,15 +639,19 @@ class BackBorkQueueProcessor {
             return ['success' => false, 'message' => 'No backup file specified'];
         }
         
+        // Pre-generate the restore ID so the running job links to its log and progress
+        $restoreID = 'restore_' . time() . '_' . substr(md5($backupFile), 0, 8);
+        
         // Set progress for single-account restore (1 total, 0 completed initially)
         $this->queue->updateJob($jobID, [
             'accounts_total' => 1,
-            'accounts_completed' => 0
+            'accounts_completed' => 0,
+            'log_id' => $restoreID
         ], BackBorkQueue::getRunningDir());
         
         // Execute restore via RestoreManager
         $restoreManager = new BackBorkRestoreManager();
-        $result = $restoreManager->restoreAccount($backupFile, $destination, $options, $user);
+        $result = $restoreManager->restoreAccountWithID($backupFile, $destination, $options, $user, $restoreID);
         
         // Mark complete
         $this->queue->updateJob($jobID, [
@@ -355,10 +702,16 @@ class BackBorkQueueProcessor {
             $scheduleType = $schedule['schedule'] ?? $schedule['frequency'] ?? 'daily';
             $preferredHour = $schedule['preferred_time'] ?? $schedule['hour'] ?? 2;
             $dayOfWeek = $schedule['day_of_week'] ?? 0;  // 0=Sunday default
+            $cron = $schedule['cron'] ?? null;            // Custom schedules only
 
             // Ensure next_run is calculated if missing
             if (empty($schedule['next_run'])) {
-                $schedule['next_run'] = $this->queue->calculateNextRun($scheduleType, $preferredHour, $dayOfWeek);
+                $schedule['next_run'] = $this->queue->calculateNextRun($scheduleType, $preferredHour, $dayOfWeek, $cron);
+            }
+            
+            // A cron expression that no longer matches any date never runs
+            if (empty($schedule['next_run'])) {
+                continue;
             }
 
             // Skip if not yet due
@@ -366,41 +719,20 @@ class BackBorkQueueProcessor {
                 continue;
             }
 
-            // Get schedule parameters
-            $accounts = $schedule['accounts'] ?? [];
-            $destination = $schedule['destination'] ?? 'local';
-            $user = $schedule['user'] ?? 'root';
-            
-            // === HANDLE "ALL ACCOUNTS" MODE ===
-            // Dynamically resolve accounts at runtime based on schedule owner
-            if (!empty($schedule['all_accounts']) || (is_array($accounts) && in_array('*', $accounts))) {
-                // Resolve '*' to actual accounts for this user
-                $acl = new BackBorkACL();
-                $accountsEngine = new BackBorkWhmApiAccounts();
-                $isScheduleOwnerRoot = ($user === 'root');
-                
-                // Get accounts accessible by the schedule owner
-                $accessibleAccounts = $accountsEngine->getAccessibleAccounts($user, $isScheduleOwnerRoot);
-                $accounts = array_column($accessibleAccounts, 'user');
-                
-                BackBorkConfig::debugLog('processSchedules: Resolved all_accounts for ' . $user . ' to ' . count($accounts) . ' accounts');
+            // Add schedule's backup job to the queue ("all accounts" resolves
+            // to the schedule owner's accounts at this point)
+            $queued = $this->queue->queueScheduleRun($scheduleID, $schedule);
+            if (empty($queued['success'])) {
+                BackBorkConfig::debugLog('processSchedules: Could not queue schedule ' . $scheduleID . ': ' . ($queued['message'] ?? 'Unknown error'));
             }
-            
-            // Add schedule's backup job to the queue
-            $retention = (int)($schedule['retention'] ?? 30);
-            $options = [
-                'schedule_id' => $scheduleID,
-                'retention' => $retention
-            ];
-            $this->queue->addToQueue($accounts, $destination, 'once', $user, $options);
 
             // Update schedule metadata for next run
             $schedule['last_run'] = date('Y-m-d H:i:s', $currentTime);
-            $schedule['last_status'] = 'queued';
-            $schedule['next_run'] = $this->queue->calculateNextRun($scheduleType, $preferredHour, $dayOfWeek);
+            $schedule['last_status'] = !empty($queued['success']) ? 'queued' : 'failed';
+            $schedule['next_run'] = $this->queue->calculateNextRun($scheduleType, $preferredHour, $dayOfWeek, $cron);
             file_put_contents($file, json_encode($schedule, JSON_PRETTY_PRINT));
             
-            $results[$scheduleID] = 'Queued';
+            $results[$scheduleID] = !empty($queued['success']) ? 'Queued' : 'Failed: ' . ($queued['message'] ?? 'Unknown error');
         }
         
         return [
@@ -770,6 +1102,9 @@ class BackBorkQueueProcessor {
      * Iterates through all schedules and enforces backup count limits.
      * Uses COUNT-BASED retention: keeps exactly N backups per account,
      * deletes the oldest ones that exceed the retention count.
+     * Schedules with GFS tiers (retention_gfs) keep the newest backup of
+     * each recent day/week/month/year instead and ignore the count.
+     * An expired archive is deleted from every destination a copy landed on.
      * 
      * Runs hourly to ensure backup counts stay within limits.
      * Retention value of 0 means unlimited (no pruning).
@@ -803,30 +1138,56 @@ class BackBorkQueueProcessor {
             $scheduleUser = $schedule['user'] ?? 'root';
             $scheduleName = $schedule['name'] ?? $scheduleID;
             
-            // Get retention count (0 = unlimited, skip pruning)
+            // Get retention count (0 = unlimited, skip pruning) or GFS tiers
             $retentionCount = (int)($schedule['retention'] ?? 30);
-            if ($retentionCount <= 0) {
+            $gfsPolicy = BackBorkQueue::normaliseGfsPolicy($schedule['retention_gfs'] ?? null);
+            if ($retentionCount <= 0 && $gfsPolicy === null) {
                 $results[$scheduleID] = ['skipped' => true, 'reason' => 'unlimited retention'];
                 continue;
             }
             
-            // Get destination for this schedule
-            $destinationID = $schedule['destination'] ?? 'local';
-            $destination = $parser->getDestinationByID($destinationID);
+            // Get every destination this schedule copies to (unusable ones are logged and skipped)
+            $targets = [];
+            $skipReason = null;
+            foreach (BackBorkQueue::getJobDestinations($schedule) as $destinationID) {
+                $destination = $parser->getDestinationByID($destinationID);
+                
+                if (!$destination) {
+                    $skipReason = 'invalid destination';
+                    // Log invalid destination to GUI Log
+                    BackBorkLog::logEvent($scheduleUser, 'prune', [$scheduleName], false, 
+                        "Pruning skipped for schedule '{$scheduleName}': invalid destination '{$destinationID}'", 'cron');
+                    continue;
+                }
+                
+                // Skip if destination is disabled
+                if (empty($destination['enabled'])) {
+                    $skipReason = 'destination disabled';
+                    BackBorkLog::logEvent($scheduleUser, 'prune', [$scheduleName], false, 
+                        "Pruning skipped for schedule '{$scheduleName}': destination '{$destination['name']}' is disabled", 'cron');
+                    continue;
+                }
+                
+                $targets[$destinationID] = [
+                    'destination' => $destination,
+                    'transport' => $validator->getTransportForDestination($destination)
+                ];
+            }
             
-            if (!$destination) {
-                $results[$scheduleID] = ['skipped' => true, 'reason' => 'invalid destination'];
-                // Log invalid destination to GUI Log
-                BackBorkLog::logEvent($scheduleUser, 'prune', [$scheduleName], false, 
-                    "Pruning skipped for schedule '{$scheduleName}': invalid destination '{$destinationID}'", 'cron');
-                continue;
+            // Runs that switched to the fallback left copies there too (pruned only while it's usable)
+            $fallbackID = $schedule['fallback_destination'] ?? null;
+            if (!empty($fallbackID) && !isset($targets[$fallbackID])) {
+                $destination = $parser->getDestinationByID($fallbackID);
+                if ($destination && !empty($destination['enabled'])) {
+                    $targets[$fallbackID] = [
+                        'destination' => $destination,
+                        'transport' => $validator->getTransportForDestination($destination)
+                    ];
+                }
             }
             
-            // Skip if destination is disabled
-            if (empty($destination['enabled'])) {
-                $results[$scheduleID] = ['skipped' => true, 'reason' => 'destination disabled'];
-                BackBorkLog::logEvent($scheduleUser, 'prune', [$scheduleName], false, 
-                    "Pruning skipped for schedule '{$scheduleName}': destination '{$destination['name']}' is disabled", 'cron');
+            if (empty($targets)) {
+                $results[$scheduleID] = ['skipped' => true, 'reason' => $skipReason];
                 continue;
             }
             
@@ -837,82 +1198,89 @@ class BackBorkQueueProcessor {
             }
             
             // Get accounts in this schedule (may be dynamic for all_accounts)
-            $accounts = $schedule['accounts'] ?? [];
-            
-            // Handle "all accounts" mode - get the actual account list
-            if (!empty($schedule['all_accounts']) || (is_array($accounts) && in_array('*', $accounts))) {
-                $user = $schedule['user'] ?? 'root';
-                $acl = new BackBorkACL();
-                $accountsEngine = new BackBorkWhmApiAccounts();
-                $isScheduleOwnerRoot = ($user === 'root');
-                $accessibleAccounts = $accountsEngine->getAccessibleAccounts($user, $isScheduleOwnerRoot);
-                $accounts = array_column($accessibleAccounts, 'user');
-            }
-            
-            // Get transport for this destination
-            $transport = $validator->getTransportForDestination($destination);
+            $accounts = BackBorkQueue::resolveScheduleAccounts($schedule);
             
             // Prune backups for each account using manifest
             $schedulePruned = 0;
             $prunedFiles = [];
-            $filesToRemove = [];
+            $removedCopies = [];
+            $prunedTargets = [];
             
             foreach ($accounts as $account) {
                 // Get expired entries from manifest for this account
-                $expiredEntries = $manifest->getExpiredEntries($scheduleID, $account, $retentionCount);
+                $expiredEntries = $gfsPolicy !== null
+                    ? $manifest->getGfsExpiredEntries($scheduleID, $account, $gfsPolicy)
+                    : $manifest->getExpiredEntries($scheduleID, $account, $retentionCount);
                 
                 foreach ($expiredEntries as $entry) {
                     $filename = $entry['file'] ?? '';
                     if (empty($filename)) continue;
                     
-                    // Delete the main backup file
+                    // Entries list the destinations their copies landed on; older ones predate that
+                    $copyIDs = $entry['destinations'] ?? [$schedule['destination'] ?? 'local'];
                     $remotePath = $account . '/' . $filename;
-                    $deleteResult = $transport->delete($remotePath, $destination);
                     
-                    if ($deleteResult['success']) {
-                        $schedulePruned++;
-                        $prunedFiles[] = $remotePath;
-                        $filesToRemove[] = $filename;
-                        BackBorkConfig::debugLog("pruneOldBackups: Deleted {$filename} for schedule {$scheduleID}");
+                    foreach ($copyIDs as $destinationID) {
+                        // Copies on destinations the schedule no longer uses (or can't reach) are left for later
+                        if (!isset($targets[$destinationID])) {
+                            continue;
+                        }
+                        $target = $targets[$destinationID];
                         
-                        // Also delete associated database backup if exists
-                        if (!empty($entry['db_file'])) {
-                            $dbPath = $account . '/' . $entry['db_file'];
-                            $transport->delete($dbPath, $destination);
+                        // Delete the main backup file
+                        $deleteResult = $target['transport']->delete($remotePath, $target['destination']);
+                        
+                        if ($deleteResult['success']) {
+                            $schedulePruned++;
+                            $prunedFiles[] = count($targets) > 1 ? "{$remotePath} ({$target['destination']['name']})" : $remotePath;
+                            $removedCopies[$filename][] = $destinationID;
+                            $prunedTargets[$destinationID] = $target['destination'];
+                            BackBorkConfig::debugLog("pruneOldBackups: Deleted {$filename} from {$destinationID} for schedule {$scheduleID}");
+                            
+                            // Also delete associated database backup if exists
+                            if (!empty($entry['db_file'])) {
+                                $dbPath = $account . '/' . $entry['db_file'];
+                                $target['transport']->delete($dbPath, $target['destination']);
+                            }
+                        } else {
+                            BackBorkConfig::debugLog("pruneOldBackups: Failed to delete {$filename} from {$destinationID}: " . ($deleteResult['message'] ?? 'Unknown error'));
                         }
-                    } else {
-                        BackBorkConfig::debugLog("pruneOldBackups: Failed to delete {$filename}: " . ($deleteResult['message'] ?? 'Unknown error'));
                     }
                 }
             }
             
-            // Update manifest to remove pruned entries
-            if (!empty($filesToRemove)) {
-                $manifest->removeEntries($scheduleID, $filesToRemove);
+            // Update manifest to drop pruned copies (and entries with none left)
+            if (!empty($removedCopies)) {
+                $manifest->removeCopies($scheduleID, $removedCopies);
             }
             
-            $results[$scheduleID] = ['pruned' => $schedulePruned, 'retention_count' => $retentionCount];
+            $results[$scheduleID] = ['pruned' => $schedulePruned, 'retention_count' => $retentionCount, 'retention_gfs' => $gfsPolicy];
             $totalPruned += $schedulePruned;
             
             // Log pruning to GUI Log for this schedule (only if something pruned)
             if ($schedulePruned > 0) {
                 // Build schedule attributes for Account/Config column
-                $destType = strtolower($destination['type'] ?? 'local');
-                $destName = ($destType === 'local') 
-                    ? ($destination['name'] ?? 'Local')
-                    : ($destination['host'] ?? $destination['name'] ?? 'Remote');
+                $destNames = [];
+                $anyRemote = false;
+                foreach ($prunedTargets as $destination) {
+                    $destType = strtolower($destination['type'] ?? 'local');
+                    $anyRemote = $anyRemote || $destType !== 'local';
+                    $destNames[] = ($destType === 'local') 
+                        ? ($destination['name'] ?? 'Local')
+                        : ($destination['host'] ?? $destination['name'] ?? 'Remote');
+                }
                 $intervalName = ucfirst($schedule['schedule'] ?? 'Unknown');
                 $scheduleAttrs = [
                     "Interval: {$intervalName}",
-                    "Destination: {$destName}",
-                    "Retention: {$retentionCount}",
+                    (count($destNames) > 1 ? "Destinations: " : "Destination: ") . implode(', ', $destNames),
+                    "Retention: " . BackBorkQueue::describeRetention($schedule),
                     "Schedule: {$scheduleID}"
                 ];
                 
                 // Build file list for Details/Output column (one per line)
                 $fileListFormatted = "Deleted:\n" . implode("\n", $prunedFiles);
                 
-                $logType = ($destType === 'local') ? 'prune_local' : 'prune_remote';
+                $logType = $anyRemote ? 'prune_remote' : 'prune_local';
                 BackBorkLog::logEvent($scheduleUser, $logType, $scheduleAttrs, true, $fileListFormatted, 'cron');
             }
         }
@@ -0,0 +1,586 @@
+<?php
+/**
+ *  BackBork KISS :: Open-source Disaster Recovery Plugin (for WHM)
+ *   Copyright (C) The Network Crew Pty Ltd & Velocity Host Pty Ltd
+ *   https://github.com/The-Network-Crew/BackBork-KISS-for-WHM/
+ *
+ *  THIS FILE:
+ *   File-level restore: browse the home directory inside a backup archive
+ *   and extract only the chosen files and folders. Also lists the database
+ *   dumps in the archive for single-database restores.
+ *
+ *  This program is free software: you can redistribute it and/or modify
+ *   it under the terms of the GNU Affero General Public License as published by
+ *   the Free Software Foundation, either version 3 of the License, or
+ *   (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *   but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *   MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *   GNU Affero General Public License for more details.
+ *
+ *  You should have received a copy of the GNU Affero General Public License
+ *   along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ *
+ *  @package BackBork
+ *  @version See version.php (constant: BACKBORK_VERSION)
+ *  @author The Network Crew Pty Ltd & Velocity Host Pty Ltd
+ */
+
+/**
+ * File-level restore handler.
+ *
+ * Listing a large archive means reading all of it (and downloading it first
+ * for remote destinations), so the home directory listing and the database
+ * dumps are cached per backup and every folder opened in the browser is
+ * served from that index.
+ *
+ * Extraction runs as the account user, so a symlink planted in the live home
+ * directory cannot be used to write outside it.
+ */
+class BackBorkFileRestore {
+
+    // ========================================================================
+    // CONSTANTS
+    // ========================================================================
+
+    /** Directory holding cached archive listings (one file per backup) */
+    const INDEX_DIR = '/usr/local/cpanel/3rdparty/backbork/file_index';
+
+    /** Seconds a cached listing is kept before it is rebuilt */
+    const INDEX_MAX_AGE = 86400;
+
+    /** Most paths accepted in one file restore */
+    const MAX_PATHS = 500;
+
+    /** Where selected paths can be restored to */
+    const TARGETS = ['live', 'directory'];
+
+    /** Prefix of the side directory created for 'directory' restores */
+    const SIDE_DIR_PREFIX = 'backbork_restore_';
+
+    /** @var BackBorkRetrieval Backup file retrieval service */
+    private $retrieval;
+
+    /**
+     * Constructor - Ensure the index directory exists
+     */
+    public function __construct() {
+        $this->retrieval = new BackBorkRetrieval();
+
+        if (!is_dir(self::INDEX_DIR)) {
+            mkdir(self::INDEX_DIR, 0700, true);
+        }
+    }
+
+    // ========================================================================
+    // BROWSING
+    // ========================================================================
+
+    /**
+     * List one folder of the home directory stored in a backup
+     *
+     * @param string $destinationID Destination ID where backup is stored
+     * @param string $backupFile Backup file path at destination
+     * @param string $path Folder relative to the home directory ('' = top level)
+     * @return array Result with path, entries (name, path, type, size) and total_files
+     */
+    public function browse($destinationID, $backupFile, $path = '') {
+        $path = self::normalisePath($path);
+        if ($path === null) {
+            return ['success' => false, 'message' => 'Invalid path'];
+        }
+
+        $index = $this->getIndex($destinationID, $backupFile);
+        if (!$index['success']) {
+            return $index;
+        }
+
+        $handle = fopen($index['file'], 'r');
+        if (!$handle) {
+            return ['success' => false, 'message' => 'Failed to read archive listing'];
+        }
+
+        // Collect direct children; folders only listed implicitly by their contents still show up
+        $prefix = $path === '' ? '' : $path . '/';
+        $entries = [];
+        $total = 0;
+        while (($line = fgets($handle)) !== false) {
+            $parts = explode("\t", rtrim($line, "\n"), 3);
+            if (count($parts) !== 3 || $parts[0] === '#') {
+                continue;
+            }
+            list($type, $size, $entryPath) = $parts;
+            if ($type === 'db') {
+                continue;
+            }
+            if ($type !== 'dir') {
+                $total++;
+            }
+            if ($prefix !== '' && strpos($entryPath, $prefix) !== 0) {
+                continue;
+            }
+
+            $rest = substr($entryPath, strlen($prefix));
+            if ($rest === '' || $rest === false) {
+                continue;
+            }
+
+            $slash = strpos($rest, '/');
+            $name = $slash === false ? $rest : substr($rest, 0, $slash);
+            if (!isset($entries[$name])) {
+                $entries[$name] = ['name' => $name, 'path' => $prefix . $name, 'type' => 'dir', 'size' => 0];
+            }
+            if ($slash === false) {
+                $entries[$name]['type'] = $type;
+                $entries[$name]['size'] += $type === 'dir' ? 0 : (int)$size;
+            } else {
+                $entries[$name]['size'] += (int)$size;
+            }
+        }
+        fclose($handle);
+
+        // Folders first, then by name
+        $entries = array_values($entries);
+        usort($entries, function($a, $b) {
+            if (($a['type'] === 'dir') !== ($b['type'] === 'dir')) {
+                return $a['type'] === 'dir' ? -1 : 1;
+            }
+            return strcasecmp($a['name'], $b['name']);
+        });
+
+        return [
+            'success' => true,
+            'path' => $path,
+            'entries' => $entries,
+            'total_files' => $total
+        ];
+    }
+
+    /**
+     * List every indexed home directory entry under a path
+     *
+     * @param string $destinationID Destination ID where backup is stored
+     * @param string $backupFile Backup file path at destination
+     * @param string $path Path relative to the home directory (e.g. 'mail')
+     * @return array Result with entries (type, size, path), in archive order
+     */
+    public function listEntries($destinationID, $backupFile, $path) {
+        $path = self::normalisePath($path);
+        if ($path === null || $path === '') {
+            return ['success' => false, 'message' => 'Invalid path'];
+        }
+        
+        $index = $this->getIndex($destinationID, $backupFile);
+        if (!$index['success']) {
+            return $index;
+        }
+        
+        $entries = [];
+        foreach (file($index['file'], FILE_IGNORE_NEW_LINES) as $line) {
+            $parts = explode("\t", $line, 3);
+            if (count($parts) === 3 && $parts[0] !== '#' && $parts[0] !== 'db' && strpos($parts[2], $path . '/') === 0) {
+                $entries[] = ['type' => $parts[0], 'size' => (int)$parts[1], 'path' => $parts[2]];
+            }
+        }
+        return ['success' => true, 'entries' => $entries];
+    }
+    
+    /**
+     * List the MySQL databases dumped into a backup
+     *
+     * @param string $destinationID Destination ID where backup is stored
+     * @param string $backupFile Backup file path at destination
+     * @return array Result with databases (name, size) sorted by name
+     */
+    public function listDatabases($destinationID, $backupFile) {
+        $index = $this->getIndex($destinationID, $backupFile);
+        if (!$index['success']) {
+            return $index;
+        }
+        
+        $databases = [];
+        foreach (file($index['file'], FILE_IGNORE_NEW_LINES) as $line) {
+            $parts = explode("\t", $line, 3);
+            if (count($parts) === 3 && $parts[0] === 'db') {
+                $databases[] = ['name' => $parts[2], 'size' => (int)$parts[1]];
+            }
+        }
+        
+        usort($databases, function($a, $b) {
+            return strcmp($a['name'], $b['name']);
+        });
+        
+        return ['success' => true, 'databases' => $databases];
+    }
+    
+    /**
+     * Add up the extracted size of selected paths and database dumps
+     *
+     * Read from the cached listing; when there is none it is built from the
+     * local copy of the archive, so nothing is downloaded again.
+     *
+     * @param string $destinationID Destination ID where backup is stored
+     * @param string $backupFile Backup file path at destination
+     * @param string $archivePath Local path to the same archive
+     * @param array $paths Paths relative to the home directory (a folder counts everything under it)
+     * @param array $databases Names of the database dumps selected
+     * @return array Result with success status and bytes
+     */
+    public function getSelectionSize($destinationID, $backupFile, $archivePath, $paths, $databases = []) {
+        $indexFile = $this->getIndexPath($destinationID, $backupFile);
+        if (!$this->isIndexFresh($indexFile)) {
+            $result = $this->buildIndex($archivePath, $indexFile);
+            if (!$result['success']) {
+                return $result;
+            }
+        }
+
+        $handle = fopen($indexFile, 'r');
+        if (!$handle) {
+            return ['success' => false, 'message' => 'Failed to read archive listing'];
+        }
+
+        $bytes = 0;
+        while (($line = fgets($handle)) !== false) {
+            $parts = explode("\t", rtrim($line, "\n"), 3);
+            if (count($parts) !== 3 || $parts[0] === '#' || $parts[0] === 'dir') {
+                continue;
+            }
+            if ($parts[0] === 'db') {
+                $bytes += in_array($parts[2], $databases, true) ? (int)$parts[1] : 0;
+                continue;
+            }
+            foreach ($paths as $path) {
+                if ($parts[2] === $path || strpos($parts[2], $path . '/') === 0) {
+                    $bytes += (int)$parts[1];
+                    break;
+                }
+            }
+        }
+        fclose($handle);
+
+        return ['success' => true, 'bytes' => $bytes];
+    }
+
+    /**
+     * Get the cached listing for a backup, building it if missing or stale
+     *
+     * @param string $destinationID Destination ID where backup is stored
+     * @param string $backupFile Backup file path at destination
+     * @return array Result with success status and file (index path)
+     */
+    private function getIndex($destinationID, $backupFile) {
+        $indexFile = $this->getIndexPath($destinationID, $backupFile);
+        if ($this->isIndexFresh($indexFile)) {
+            return ['success' => true, 'file' => $indexFile];
+        }
+
+        $this->pruneIndexes();
+
+        $retrieved = $this->retrieval->retrieveBackup($destinationID, $backupFile);
+        if (!$retrieved['success']) {
+            return ['success' => false, 'message' => 'Retrieval failed: ' . ($retrieved['message'] ?? 'Unknown error')];
+        }
+        $localPath = $retrieved['local_path'];
+
+        $result = $this->buildIndex($localPath, $indexFile);
+
+        // Remote archives were only downloaded to be listed
+        if (strpos($localPath, BackBorkRetrieval::TEMP_DIR) === 0 && file_exists($localPath)) {
+            unlink($localPath);
+        }
+
+        if (!$result['success']) {
+            return $result;
+        }
+        return ['success' => true, 'file' => $indexFile];
+    }
+
+    /**
+     * Where the listing for a backup is cached
+     *
+     * @param string $destinationID Destination ID where backup is stored
+     * @param string $backupFile Backup file path at destination
+     * @return string Index file path
+     */
+    private function getIndexPath($destinationID, $backupFile) {
+        return self::INDEX_DIR . '/' . md5($destinationID . '|' . $backupFile) . '.idx';
+    }
+
+    /**
+     * Whether a cached listing exists and is younger than INDEX_MAX_AGE
+     *
+     * @param string $indexFile Index file path
+     * @return bool True if the listing can be used as is
+     */
+    private function isIndexFresh($indexFile) {
+        return file_exists($indexFile) && filemtime($indexFile) > time() - self::INDEX_MAX_AGE;
+    }
+
+    /**
+     * List the home directory entries and database dumps of an archive into an index file
+     *
+     * Each line is "type<TAB>size<TAB>path" with path relative to the home directory,
+     * or "db<TAB>size<TAB>name" for each mysql/<name>.sql dump.
+     *
+     * @param string $archivePath Local path to the backup archive
+     * @param string $indexFile Index file to write
+     * @return array Result with success status and message
+     */
+    private function buildIndex($archivePath, $indexFile) {
+        $root = self::getArchiveRoot($archivePath);
+        if ($root === null) {
+            return ['success' => false, 'message' => 'Could not read archive'];
+        }
+        $homePrefix = $root . '/homedir/';
+        $mysqlPrefix = $root . '/mysql/';
+
+        $cmd = 'tar -tvzf ' . escapeshellarg($archivePath) . ' --quoting-style=literal 2>/dev/null';
+        $pipe = popen($cmd, 'r');
+        $tmpFile = $indexFile . '.tmp';
+        $out = fopen($tmpFile, 'w');
+        if (!$pipe || !$out) {
+            return ['success' => false, 'message' => 'Failed to list archive'];
+        }
+        chmod($tmpFile, 0600);
+
+        fwrite($out, "#\t0\t" . $homePrefix . "\n");
+        $count = 0;
+        while (($line = fgets($pipe)) !== false) {
+            // drwxr-xr-x user/user 0 2026-10-19 02:00 backup-..._user/homedir/public_html
+            if (!preg_match('/^(\S)\S*\s+\S+\s+(\d+)\s+\S+\s+\S+\s+(.+)$/', rtrim($line, "\n"), $m)) {
+                continue;
+            }
+            $name = $m[3];
+            if ($m[1] === 'l') {
+                $name = preg_replace('/ -> .*$/', '', $name);
+            } elseif ($m[1] === 'h') {
+                $name = preg_replace('/ link to .*$/', '', $name);
+            }
+            // pkgacct dumps each database to mysql/<name>.sql
+            if (strpos($name, $mysqlPrefix) === 0 && $m[1] === '-'
+                && preg_match('/^([A-Za-z0-9_]+)\.sql$/', substr($name, strlen($mysqlPrefix)), $db)) {
+                fwrite($out, "db\t" . $m[2] . "\t" . $db[1] . "\n");
+                $count++;
+                continue;
+            }
+            if (strpos($name, $homePrefix) !== 0) {
+                continue;
+            }
+
+            $relative = trim(substr($name, strlen($homePrefix)), '/');
+            if ($relative === '') {
+                continue;
+            }
+            $type = $m[1] === 'd' ? 'dir' : ($m[1] === 'l' ? 'link' : 'file');
+            fwrite($out, $type . "\t" . $m[2] . "\t" . $relative . "\n");
+            $count++;
+        }
+        pclose($pipe);
+        fclose($out);
+
+        if ($count === 0) {
+            unlink($tmpFile);
+            return ['success' => false, 'message' => 'Backup contains no home directory files or databases'];
+        }
+
+        rename($tmpFile, $indexFile);
+        return ['success' => true, 'message' => $count . ' entries indexed'];
+    }
+
+    /**
+     * Remove cached listings older than INDEX_MAX_AGE
+     */
+    private function pruneIndexes() {
+        foreach (glob(self::INDEX_DIR . '/*.idx') as $file) {
+            if (filemtime($file) < time() - self::INDEX_MAX_AGE) {
+                unlink($file);
+            }
+        }
+    }
+
+    // ========================================================================
+    // RESTORING
+    // ========================================================================
+
+    /**
+     * Extract selected paths from an archive into the account's home directory
+     *
+     * @param string $archivePath Local path to the backup archive
+     * @param string $account Account the backup belongs to
+     * @param array $paths Paths relative to the home directory
+     * @param string $target 'live' (over the home directory) or 'directory' (new side folder)
+     * @param array $exclude Name patterns to leave out (e.g. 'dovecot*')
+     * @return array Result with success status, message, target_dir, paths and output
+     */
+    public function restorePaths($archivePath, $account, $paths, $target, $exclude = []) {
+        $paths = self::normalisePaths($paths);
+        if (empty($paths)) {
+            return ['success' => false, 'message' => 'No valid paths selected'];
+        }
+        if (count($paths) > self::MAX_PATHS) {
+            return ['success' => false, 'message' => 'Too many paths selected (max ' . self::MAX_PATHS . ')'];
+        }
+        if (!in_array($target, self::TARGETS, true)) {
+            return ['success' => false, 'message' => 'Invalid restore target'];
+        }
+
+        $home = $this->getHomeDirectory($account);
+        if ($home === null) {
+            return ['success' => false, 'message' => 'Account ' . $account . ' does not exist on this server'];
+        }
+
+        $root = self::getArchiveRoot($archivePath);
+        if ($root === null) {
+            return ['success' => false, 'message' => 'Could not read archive'];
+        }
+        $homePrefix = $root . '/homedir/';
+
+        $targetDir = $home;
+        if ($target === 'directory') {
+            $targetDir = $home . '/' . self::SIDE_DIR_PREFIX . date('Ymd_His');
+            $mkdirOutput = [];
+            $mkdirCode = 0;
+            exec('runuser -u ' . escapeshellarg($account) . ' -- mkdir ' . escapeshellarg($targetDir) . ' 2>&1', $mkdirOutput, $mkdirCode);
+            if ($mkdirCode !== 0) {
+                return ['success' => false, 'message' => 'Could not create ' . $targetDir . ': ' . implode(' ', $mkdirOutput)];
+            }
+        }
+
+        // Root opens the archive; tar itself runs as the account user
+        $members = array_map(function($path) use ($homePrefix) {
+            return escapeshellarg($homePrefix . $path);
+        }, $paths);
+        // Exclusions must come before --no-wildcards so their patterns still match
+        $excludeArgs = '';
+        foreach ($exclude as $pattern) {
+            $excludeArgs .= ' --exclude=' . escapeshellarg($pattern);
+        }
+        $cmd = 'runuser -u ' . escapeshellarg($account) . ' -- tar -xzpf - --no-same-owner' . $excludeArgs . ' --no-wildcards'
+            . ' --strip-components=2 -C ' . escapeshellarg($targetDir) . ' ' . implode(' ', $members)
+            . ' < ' . escapeshellarg($archivePath) . ' 2>&1';
+
+        BackBorkConfig::debugLog('FILE RESTORE COMMAND: ' . $cmd);
+
+        $output = [];
+        $returnCode = 0;
+        exec($cmd, $output, $returnCode);
+
+        if ($returnCode !== 0) {
+            return [
+                'success' => false,
+                'message' => 'File restore failed (exit code ' . $returnCode . ')',
+                'target_dir' => $targetDir,
+                'paths' => $paths,
+                'output' => $output
+            ];
+        }
+
+        return [
+            'success' => true,
+            'message' => 'Restored ' . count($paths) . ' path(s) to ' . $targetDir,
+            'target_dir' => $targetDir,
+            'paths' => $paths,
+            'output' => $output
+        ];
+    }
+
+    // ========================================================================
+    // HELPERS
+    // ========================================================================
+
+    /**
+     * Clean up a list of selected paths
+     *
+     * Drops invalid entries, duplicates, and paths already covered by a selected parent folder.
+     *
+     * @param array $paths Paths relative to the home directory
+     * @return array Normalised paths
+     */
+    public static function normalisePaths($paths) {
+        $clean = [];
+        foreach ((array)$paths as $path) {
+            $path = self::normalisePath($path);
+            if ($path !== null && $path !== '') {
+                $clean[$path] = true;
+            }
+        }
+
+        $clean = array_keys($clean);
+        sort($clean);
+        $result = [];
+        foreach ($clean as $path) {
+            $covered = false;
+            foreach ($result as $parent) {
+                if (strpos($path, $parent . '/') === 0) {
+                    $covered = true;
+                    break;
+                }
+            }
+            if (!$covered) {
+                $result[] = $path;
+            }
+        }
+        return $result;
+    }
+
+    /**
+     * Normalise a path relative to the home directory
+     *
+     * @param string $path Path as sent by the browser
+     * @return string|null Path without leading/trailing slashes, or null if it escapes the home directory
+     */
+    private static function normalisePath($path) {
+        $path = trim((string)$path, '/');
+        if ($path === '') {
+            return '';
+        }
+        if (strpos($path, "\0") !== false) {
+            return null;
+        }
+
+        foreach (explode('/', $path) as $segment) {
+            if ($segment === '' || $segment === '.' || $segment === '..') {
+                return null;
+            }
+        }
+        return $path;
+    }
+
+    /**
+     * Work out the top-level directory of an archive (e.g. "backup-..._user")
+     *
+     * @param string $archivePath Local path to the backup archive
+     * @return string|null Directory name, or null if the archive can't be read
+     */
+    public static function getArchiveRoot($archivePath) {
+        $first = trim((string)shell_exec('tar -tzf ' . escapeshellarg($archivePath) . ' 2>/dev/null | head -1'));
+        if ($first === '') {
+            return null;
+        }
+
+        return explode('/', $first)[0];
+    }
+
+    /**
+     * Look up an account's home directory
+     *
+     * @param string $account Account username
+     * @return string|null Home directory, or null if the user is missing or a system account
+     */
+    private function getHomeDirectory($account) {
+        $passwd = @file('/etc/passwd', FILE_IGNORE_NEW_LINES);
+        foreach ($passwd ?: [] as $line) {
+            $fields = explode(':', $line);
+            if (count($fields) >= 6 && $fields[0] === $account) {
+                // Never extract as root or another system user
+                if ((int)$fields[2] < 500 || !is_dir($fields[5])) {
+                    return null;
+                }
+                return rtrim($fields[5], '/');
+            }
+        }
+        return null;
+    }
+}
@@ -0,0 +1,477 @@
+<?php
+/**
+ *  BackBork KISS :: Open-source Disaster Recovery Plugin (for WHM)
+ *   Copyright (C) The Network Crew Pty Ltd & Velocity Host Pty Ltd
+ *   https://github.com/The-Network-Crew/BackBork-KISS-for-WHM/
+ *
+ *  THIS FILE:
+ *   Mailbox restore: list the email accounts and Maildir folders in a backup
+ *   and restore chosen ones without touching other mailboxes.
+ *
+ *  This program is free software: you can redistribute it and/or modify
+ *   it under the terms of the GNU Affero General Public License as published by
+ *   the Free Software Foundation, either version 3 of the License, or
+ *   (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *   but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *   MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *   GNU Affero General Public License for more details.
+ *
+ *  You should have received a copy of the GNU Affero General Public License
+ *   along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ *
+ *  @package BackBork
+ *  @version See version.php (constant: BACKBORK_VERSION)
+ *  @author The Network Crew Pty Ltd & Velocity Host Pty Ltd
+ */
+
+/**
+ * Mailbox restore handler.
+ *
+ * cPanel keeps mail as Maildir++ under ~/mail: mail/<domain>/<user>/ for each
+ * email account, and mail/ itself for the account's default mailbox. The inbox
+ * is the cur/new pair at the top of a mailbox; other folders are dot-directories
+ * (.Sent, .Archive.2024) beside it.
+ *
+ * Two modes:
+ *   - merge:  extract over the live mailbox; messages already there are kept
+ *   - folder: put everything in a new "Restored_<date>" folder of the live mailbox
+ *
+ * Dovecot's index and quota cache files are never restored, so the live ones
+ * stay in charge and simply pick up the restored messages.
+ */
+class BackBorkMailRestore {
+
+    // ========================================================================
+    // CONSTANTS
+    // ========================================================================
+
+    /** How restored mail is placed in the live mailbox */
+    const MODES = ['merge', 'folder'];
+
+    /** Most mailboxes accepted in one restore */
+    const MAX_MAILBOXES = 100;
+
+    /** Name prefix of the folder created by 'folder' restores */
+    const FOLDER_PREFIX = 'Restored_';
+
+    /** Files left out of every mail restore (Dovecot indexes, quota cache) */
+    const EXCLUDE = ['dovecot*', 'maildirsize'];
+
+    /** @var BackBorkFileRestore Archive listing and extraction */
+    private $files;
+
+    /** @var BackBorkWhmApiAccounts Account lookups and UAPI calls */
+    private $accounts;
+
+    /**
+     * Constructor - Set up archive and account helpers
+     */
+    public function __construct() {
+        $this->files = new BackBorkFileRestore();
+        $this->accounts = new BackBorkWhmApiAccounts();
+    }
+
+    // ========================================================================
+    // LISTING
+    // ========================================================================
+
+    /**
+     * List the mailboxes and their folders stored in a backup
+     *
+     * @param string $destinationID Destination ID where backup is stored
+     * @param string $backupFile Backup file path at destination
+     * @param string $account Account the backup belongs to (names the default mailbox)
+     * @return array Result with mailboxes (path, address, is_default, messages, size, folders)
+     */
+    public function listMailboxes($destinationID, $backupFile, $account) {
+        $listed = $this->files->listEntries($destinationID, $backupFile, 'mail');
+        if (!$listed['success']) {
+            return $listed;
+        }
+
+        $mailboxes = [];
+        foreach ($listed['entries'] as $entry) {
+            $parts = explode('/', $entry['path']);
+
+            // mail/<domain>/<user>/... is an email account; the rest of mail/ is the default mailbox
+            if (count($parts) >= 3 && strpos($parts[1], '.') > 0 && $parts[2][0] !== '.'
+                && !in_array($parts[2], ['cur', 'new', 'tmp'], true)) {
+                $path = 'mail/' . $parts[1] . '/' . $parts[2];
+                $address = $parts[2] . '@' . $parts[1];
+                $rest = array_slice($parts, 3);
+            } else {
+                $path = 'mail';
+                $address = $account;
+                $rest = array_slice($parts, 1);
+            }
+
+            if (empty($rest)) {
+                continue;
+            }
+            if (in_array($rest[0], ['cur', 'new'], true)) {
+                $folder = 'INBOX';
+                $messageDepth = 2;
+            } elseif ($rest[0][0] === '.' && isset($rest[1]) && in_array($rest[1], ['cur', 'new'], true)) {
+                $folder = $rest[0];
+                $messageDepth = 3;
+            } else {
+                continue;
+            }
+
+            if (!isset($mailboxes[$path])) {
+                $mailboxes[$path] = [
+                    'path' => $path,
+                    'address' => $address,
+                    'is_default' => $path === 'mail',
+                    'messages' => 0,
+                    'size' => 0,
+                    'folders' => []
+                ];
+            }
+            if (!isset($mailboxes[$path]['folders'][$folder])) {
+                $mailboxes[$path]['folders'][$folder] = [
+                    'name' => $folder,
+                    'label' => self::folderLabel($folder),
+                    'messages' => 0,
+                    'size' => 0
+                ];
+            }
+
+            // Count message files only, not the cur/new directories themselves
+            if ($entry['type'] === 'file' && count($rest) === $messageDepth) {
+                $mailboxes[$path]['folders'][$folder]['messages']++;
+                $mailboxes[$path]['folders'][$folder]['size'] += $entry['size'];
+                $mailboxes[$path]['messages']++;
+                $mailboxes[$path]['size'] += $entry['size'];
+            }
+        }
+
+        // Default mailbox first, then by address; Inbox first, then by folder name
+        $mailboxes = array_values($mailboxes);
+        usort($mailboxes, function($a, $b) {
+            if ($a['is_default'] !== $b['is_default']) {
+                return $a['is_default'] ? -1 : 1;
+            }
+            return strcasecmp($a['address'], $b['address']);
+        });
+        foreach ($mailboxes as &$mailbox) {
+            $folders = array_values($mailbox['folders']);
+            usort($folders, function($a, $b) {
+                if (($a['name'] === 'INBOX') !== ($b['name'] === 'INBOX')) {
+                    return $a['name'] === 'INBOX' ? -1 : 1;
+                }
+                return strcasecmp($a['label'], $b['label']);
+            });
+            $mailbox['folders'] = $folders;
+        }
+        unset($mailbox);
+
+        return ['success' => true, 'mailboxes' => $mailboxes];
+    }
+
+    // ========================================================================
+    // RESTORING
+    // ========================================================================
+
+    /**
+     * Clean up the mailboxes picked for a mail restore
+     *
+     * Each item is {path, folders}: path as given by listMailboxes(), folders
+     * a list of folder names ('INBOX', '.Sent') or empty for the whole mailbox.
+     *
+     * @param array $mailboxes Items as sent by the Restore tab
+     * @return array Result with success status, message and mailboxes (normalised items)
+     */
+    public static function normaliseMailboxRestores($mailboxes) {
+        $clean = [];
+        foreach ((array)$mailboxes as $item) {
+            $path = BackBorkFileRestore::normalisePaths([$item['path'] ?? ''])[0] ?? '';
+            if ($path !== 'mail' && !preg_match('#^mail/[^/]+\.[^/]+/[^/.][^/]*$#', $path)) {
+                return ['success' => false, 'message' => 'Invalid mailbox: ' . ($item['path'] ?? '')];
+            }
+
+            $folders = [];
+            foreach ((array)($item['folders'] ?? []) as $folder) {
+                $folder = (string)$folder;
+                if ($folder !== 'INBOX' && !preg_match('#^\.[^/.][^/]*$#', $folder)) {
+                    return ['success' => false, 'message' => 'Invalid mail folder: ' . $folder];
+                }
+                $folders[$folder] = true;
+            }
+            // mail/ also holds every email account's mailbox, so the default one is restored by folder
+            if ($path === 'mail' && empty($folders)) {
+                return ['success' => false, 'message' => 'Choose the folders to restore for the default mailbox'];
+            }
+
+            // Picking the same mailbox twice merges its folder choices; an empty list means all
+            if (isset($clean[$path])) {
+                $clean[$path]['folders'] = empty($clean[$path]['folders']) || empty($folders)
+                    ? [] : array_values(array_unique(array_merge($clean[$path]['folders'], array_keys($folders))));
+                continue;
+            }
+            $clean[$path] = ['path' => $path, 'folders' => array_keys($folders)];
+        }
+
+        if (empty($clean)) {
+            return ['success' => false, 'message' => 'No mailboxes selected'];
+        }
+        if (count($clean) > self::MAX_MAILBOXES) {
+            return ['success' => false, 'message' => 'Too many mailboxes selected (max ' . self::MAX_MAILBOXES . ')'];
+        }
+
+        return ['success' => true, 'message' => count($clean) . ' mailbox(es) selected', 'mailboxes' => array_values($clean)];
+    }
+
+    /**
+     * Restore one mailbox (or some of its folders) from an archive
+     *
+     * An email account deleted since the backup is recreated first, with its
+     * old password hash and quota from the backup.
+     *
+     * @param string $archivePath Local path to the backup archive
+     * @param string $account Account the backup belongs to
+     * @param array $item Normalised item from normaliseMailboxRestores()
+     * @param string $mode 'merge' or 'folder'
+     * @return array Result with success status, message and log (lines for the restore log)
+     */
+    public function restoreMailbox($archivePath, $account, $item, $mode) {
+        $log = [];
+        $home = $this->accounts->getAccountHomeDir($account);
+        if ($home === null) {
+            return ['success' => false, 'message' => 'Account ' . $account . ' does not exist on this server', 'log' => $log];
+        }
+
+        $address = $account;
+        if ($item['path'] !== 'mail') {
+            list(, $domain, $user) = explode('/', $item['path']);
+            $address = $user . '@' . $domain;
+
+            $ensured = $this->ensureEmailAccount($archivePath, $account, $home, $domain, $user);
+            if (!$ensured['success']) {
+                return ['success' => false, 'message' => $address . ': ' . $ensured['message'], 'log' => $log];
+            }
+            if ($ensured['created']) {
+                $log[] = "Recreated email account {$address} with its password from the backup";
+            }
+        }
+
+        $paths = self::getArchivePaths($item);
+        $what = empty($item['folders']) ? 'all folders' : implode(', ', array_map([self::class, 'folderLabel'], $item['folders']));
+
+        if ($mode === 'merge') {
+            $result = $this->files->restorePaths($archivePath, $account, $paths, 'live', self::EXCLUDE);
+            foreach ($result['output'] ?? [] as $line) {
+                $log[] = "[tar] {$line}";
+            }
+            if (!$result['success']) {
+                return ['success' => false, 'message' => $address . ': ' . $result['message'], 'log' => $log];
+            }
+            return ['success' => true, 'message' => "Merged {$what} into {$address}", 'log' => $log];
+        }
+
+        return $this->restoreToFolder($archivePath, $account, $home, $item['path'], $paths, $address, $what, $log);
+    }
+
+    /**
+     * Archive paths (relative to the home directory) holding a mailbox item's chosen folders
+     *
+     * @param array $item Normalised item from normaliseMailboxRestores()
+     * @return array Paths to extract; the mailbox itself when no folders were chosen
+     */
+    public static function getArchivePaths($item) {
+        // The inbox is the cur/new pair; every other folder is its own directory
+        $paths = [];
+        foreach ($item['folders'] as $folder) {
+            if ($folder === 'INBOX') {
+                $paths[] = $item['path'] . '/cur';
+                $paths[] = $item['path'] . '/new';
+            } else {
+                $paths[] = $item['path'] . '/' . $folder;
+            }
+        }
+        if (empty($paths)) {
+            $paths[] = $item['path'];
+        }
+        return $paths;
+    }
+
+    /**
+     * Stage mail in a side directory, then move it into a new folder of the live mailbox
+     *
+     * @param string $archivePath Local path to the backup archive
+     * @param string $account Account the backup belongs to
+     * @param string $home Account home directory
+     * @param string $mailboxPath Mailbox path relative to the home directory
+     * @param array $paths Archive paths to extract (relative to the home directory)
+     * @param string $address Mailbox address (for messages)
+     * @param string $what Folders being restored (for messages)
+     * @param array $log Log lines so far
+     * @return array Result with success status, message and log
+     */
+    private function restoreToFolder($archivePath, $account, $home, $mailboxPath, $paths, $address, $what, $log) {
+        $liveMailbox = $home . '/' . $mailboxPath;
+        if (!is_dir($liveMailbox)) {
+            return ['success' => false, 'message' => "{$address}: live mailbox not found at {$liveMailbox}", 'log' => $log];
+        }
+
+        $staged = $this->files->restorePaths($archivePath, $account, $paths, 'directory', self::EXCLUDE);
+        foreach ($staged['output'] ?? [] as $line) {
+            $log[] = "[tar] {$line}";
+        }
+        if (!$staged['success']) {
+            if (!empty($staged['target_dir'])) {
+                $this->runAsUser($account, 'rm -rf ' . escapeshellarg($staged['target_dir']));
+            }
+            return ['success' => false, 'message' => $address . ': ' . $staged['message'], 'log' => $log];
+        }
+
+        $stagedMailbox = $staged['target_dir'] . '/' . $mailboxPath;
+        $folderName = self::FOLDER_PREFIX . date('Ymd_His');
+        $errors = [];
+        $moved = 0;
+
+        // Inbox messages become the new folder itself; other folders nest under it (.Restored_X.Sent)
+        if (is_dir($stagedMailbox . '/cur') || is_dir($stagedMailbox . '/new')) {
+            $dest = $liveMailbox . '/.' . $folderName;
+            $commands = ['mkdir -p ' . escapeshellarg($dest . '/tmp'), 'touch ' . escapeshellarg($dest . '/maildirfolder')];
+            foreach (['cur', 'new'] as $sub) {
+                $commands[] = is_dir($stagedMailbox . '/' . $sub)
+                    ? 'mv ' . escapeshellarg($stagedMailbox . '/' . $sub) . ' ' . escapeshellarg($dest . '/' . $sub)
+                    : 'mkdir -p ' . escapeshellarg($dest . '/' . $sub);
+            }
+            $result = $this->runAsUser($account, implode(' && ', $commands));
+            if ($result['success']) {
+                $moved++;
+            } else {
+                $errors[] = 'Inbox: ' . $result['message'];
+            }
+        }
+        foreach (glob($stagedMailbox . '/.*', GLOB_ONLYDIR) ?: [] as $dir) {
+            $folder = basename($dir);
+            if ($folder === '.' || $folder === '..') {
+                continue;
+            }
+            $result = $this->runAsUser($account, 'mv ' . escapeshellarg($dir) . ' ' . escapeshellarg($liveMailbox . '/.' . $folderName . $folder));
+            if ($result['success']) {
+                $moved++;
+            } else {
+                $errors[] = self::folderLabel($folder) . ': ' . $result['message'];
+            }
+        }
+
+        $this->runAsUser($account, 'rm -rf ' . escapeshellarg($staged['target_dir']));
+
+        if (!empty($errors)) {
+            return ['success' => false, 'message' => "{$address}: could not move into {$folderName}: " . implode('; ', $errors), 'log' => $log];
+        }
+        if ($moved === 0) {
+            return ['success' => false, 'message' => "{$address}: no mail found to restore", 'log' => $log];
+        }
+
+        $log[] = "Mail clients may need to subscribe to {$folderName} before it is listed";
+        return ['success' => true, 'message' => "Restored {$what} of {$address} into folder {$folderName}", 'log' => $log];
+    }
+
+    /**
+     * Make sure an email account exists, recreating it from the backup if it was deleted
+     *
+     * @param string $archivePath Local path to the backup archive
+     * @param string $account Account the backup belongs to
+     * @param string $home Account home directory
+     * @param string $domain Mail domain
+     * @param string $user Local part of the address
+     * @return array Result with success status, message and created flag
+     */
+    private function ensureEmailAccount($archivePath, $account, $home, $domain, $user) {
+        foreach (@file($home . '/etc/' . $domain . '/passwd', FILE_IGNORE_NEW_LINES) ?: [] as $line) {
+            if (strpos($line, $user . ':') === 0) {
+                return ['success' => true, 'message' => 'Email account exists', 'created' => false];
+            }
+        }
+
+        // Read the old password hash and quota straight from the archive (nothing written to disk)
+        $root = BackBorkFileRestore::getArchiveRoot($archivePath);
+        if ($root === null) {
+            return ['success' => false, 'message' => 'Could not read archive', 'created' => false];
+        }
+        $etcPrefix = $root . '/homedir/etc/' . $domain . '/';
+
+        $hash = null;
+        foreach (explode("\n", $this->readArchiveFile($archivePath, $etcPrefix . 'shadow')) as $line) {
+            $fields = explode(':', $line);
+            if ($fields[0] === $user && !empty($fields[1])) {
+                $hash = $fields[1];
+                break;
+            }
+        }
+        if ($hash === null) {
+            return ['success' => false, 'message' => 'Email account no longer exists and the backup has no password for it', 'created' => false];
+        }
+
+        $quotaMB = 0;
+        foreach (explode("\n", $this->readArchiveFile($archivePath, $etcPrefix . 'quota')) as $line) {
+            $fields = explode(':', $line);
+            if ($fields[0] === $user && isset($fields[1]) && (int)$fields[1] > 0) {
+                $quotaMB = (int)ceil((int)$fields[1] / 1048576);
+                break;
+            }
+        }
+
+        $created = $this->accounts->callUapi($account, 'Email', 'add_pop', [
+            'email' => $user,
+            'domain' => $domain,
+            'password_hash' => $hash,
+            'quota' => $quotaMB
+        ]);
+        if (!$created['success']) {
+            return ['success' => false, 'message' => 'Could not recreate email account: ' . $created['message'], 'created' => false];
+        }
+
+        return ['success' => true, 'message' => 'Email account recreated', 'created' => true];
+    }
+
+    // ========================================================================
+    // HELPERS
+    // ========================================================================
+
+    /**
+     * Read one small file from an archive
+     *
+     * @param string $archivePath Local path to the backup archive
+     * @param string $member Full member name inside the archive
+     * @return string File contents ('' if missing)
+     */
+    private function readArchiveFile($archivePath, $member) {
+        return (string)shell_exec('tar -xzOf ' . escapeshellarg($archivePath) . ' --no-wildcards '
+            . escapeshellarg($member) . ' 2>/dev/null');
+    }
+
+    /**
+     * Run a shell command as the account user
+     *
+     * @param string $account Account username
+     * @param string $command Command line (already escaped)
+     * @return array Result with success status and message (command output)
+     */
+    private function runAsUser($account, $command) {
+        $output = [];
+        $returnCode = 0;
+        exec('runuser -u ' . escapeshellarg($account) . ' -- sh -c ' . escapeshellarg($command) . ' 2>&1', $output, $returnCode);
+        return ['success' => $returnCode === 0, 'message' => implode(' ', $output)];
+    }
+
+    /**
+     * Turn a Maildir++ folder name into what mail clients show
+     *
+     * @param string $folder 'INBOX' or a dot-directory name (e.g. '.Archive.2024')
+     * @return string Label (e.g. 'Archive/2024')
+     */
+    public static function folderLabel($folder) {
+        if ($folder === 'INBOX') {
+            return 'Inbox';
+        }
+        return str_replace('.', '/', substr($folder, 1));
+    }
+}
@@ -0,0 +1,575 @@
+<?php
+/**
+ *  BackBork KISS :: Open-source Disaster Recovery Plugin (for WHM)
+ *   Copyright (C) The Network Crew Pty Ltd & Velocity Host Pty Ltd
+ *   https://github.com/The-Network-Crew/BackBork-KISS-for-WHM/
+ *
+ *  THIS FILE:
+ *   Restore pre-flight checks: compare a backup with the live server and
+ *   report what a restore would overwrite and what would conflict.
+ *
+ *  This program is free software: you can redistribute it and/or modify
+ *   it under the terms of the GNU Affero General Public License as published by
+ *   the Free Software Foundation, either version 3 of the License, or
+ *   (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *   but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *   MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *   GNU Affero General Public License for more details.
+ *
+ *  You should have received a copy of the GNU Affero General Public License
+ *   along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ *
+ *  @package BackBork
+ *  @version See version.php (constant: BACKBORK_VERSION)
+ *  @author The Network Crew Pty Ltd & Velocity Host Pty Ltd
+ */
+
+/**
+ * Restore pre-flight checker.
+ *
+ * Each check has a status:
+ *   - ok:       nothing to worry about (may still say what gets replaced)
+ *   - warning:  the restore can go ahead, but the result may differ from the backup
+ *   - conflict: the restore would fail or damage another account; blocked unless root overrides
+ *
+ * Only small metadata is read from the archive (cp/, userdata/, mysql/*.create),
+ * in a single pass.
+ */
+class BackBorkRestorePreflight {
+
+    // ========================================================================
+    // CONSTANTS
+    // ========================================================================
+
+    /** Archives grow when extracted; warn when free space is under this many times the archive size */
+    const EXPANSION_FACTOR = 2;
+
+    /** Where cPanel keeps hosting packages */
+    const PACKAGES_DIR = '/var/cpanel/packages';
+
+    /** Where cPanel keeps per-domain settings (PHP version etc) */
+    const USERDATA_DIR = '/var/cpanel/userdata';
+
+    /** Reports of background pre-flight runs, polled by the restore modal */
+    const RESULTS_DIR = '/usr/local/cpanel/3rdparty/backbork/preflight';
+
+    /** Seconds a finished or abandoned report is kept */
+    const RESULT_MAX_AGE = 86400;
+
+    /** Seconds a run may stay 'running' before it is reported as failed (runner died) */
+    const RUNNING_TIMEOUT = 600;
+
+    /** @var BackBorkRetrieval Backup download handler */
+    private $retrieval;
+
+    /** @var BackBorkWhmApiAccounts Account, domain and UAPI lookups */
+    private $accounts;
+
+    /** @var BackBorkFileRestore Archive listing (sizes of selected files, mail and dumps) */
+    private $files;
+
+    /**
+     * Constructor - Set up retrieval, account and listing helpers
+     */
+    public function __construct() {
+        $this->retrieval = new BackBorkRetrieval();
+        $this->accounts = new BackBorkWhmApiAccounts();
+        $this->files = new BackBorkFileRestore();
+    }
+
+    // ========================================================================
+    // PUBLIC API
+    // ========================================================================
+
+    /**
+     * Run all pre-flight checks for a backup at a destination
+     *
+     * Remote archives are downloaded for this and deleted again afterwards,
+     * so it is run by the background runner rather than in a web request.
+     *
+     * @param string $destinationID Destination ID where backup is stored
+     * @param string $backupFile Backup file path at destination
+     * @param string $account Account the backup belongs to
+     * @param array $options Restore options as sent to restore_backup
+     * @return array Report with success status, checks, conflicts and warnings counts
+     */
+    public function check($destinationID, $backupFile, $account, $options) {
+        $retrieved = $this->retrieval->retrieveBackup($destinationID, $backupFile);
+        if (!$retrieved['success']) {
+            return ['success' => false, 'message' => 'Retrieval failed: ' . ($retrieved['message'] ?? 'Unknown error')];
+        }
+        $localPath = $retrieved['local_path'];
+
+        $verification = $this->retrieval->verifyBackupFile($localPath);
+        if ($verification['valid']) {
+            $checks = array_merge(
+                [$this->item('integrity', 'Archive integrity', 'ok', 'Archive reads cleanly (' . $this->formatSize($verification['size']) . ')')],
+                $this->analyse($localPath, $account, $options, $destinationID, $backupFile)['checks']
+            );
+        } else {
+            // Nothing else can be read from a broken archive
+            $checks = [$this->item('integrity', 'Archive integrity', 'conflict', $verification['message'])];
+        }
+
+        if (strpos($localPath, BackBorkRetrieval::TEMP_DIR) === 0 && file_exists($localPath)) {
+            unlink($localPath);
+        }
+
+        return $this->report($checks);
+    }
+
+    /**
+     * Check a local, already verified archive against the live server
+     *
+     * Used by check() and again by the restore itself just before it starts.
+     *
+     * @param string $archivePath Local path to the backup archive
+     * @param string $account Account the backup belongs to
+     * @param array $options Restore options as sent to restore_backup
+     * @param string $destinationID Destination ID the backup came from (finds its cached listing)
+     * @param string $backupFile Backup file path at destination
+     * @return array Report with success status, checks, conflicts and warnings counts
+     */
+    public function analyse($archivePath, $account, $options, $destinationID, $backupFile) {
+        $checks = [];
+
+        if (!empty($options['files']) || !empty($options['mailboxes'])) {
+            // Extracted as the live account, so only that account's state matters
+            $live = $this->accounts->getAccountSummary($account);
+            $checks[] = $this->checkSuspended($live, $account);
+            if (!empty($options['files'])) {
+                $paths = BackBorkFileRestore::normalisePaths($options['files']);
+            } else {
+                $items = BackBorkMailRestore::normaliseMailboxRestores($options['mailboxes'])['mailboxes'] ?? [];
+                $paths = array_merge([], ...array_map([BackBorkMailRestore::class, 'getArchivePaths'], $items));
+            }
+            $sizing = $this->files->getSelectionSize($destinationID, $backupFile, $archivePath, $paths);
+            $checks[] = $this->checkSelectionSpace($sizing, $live);
+            return $this->report($checks);
+        }
+
+        if (!empty($options['databases'])) {
+            $live = $this->accounts->getAccountSummary($account);
+            $items = BackBorkSQLRestore::normaliseDatabaseRestores($options['databases'])['databases'] ?? [];
+            $checks[] = $this->checkDatabases(array_column($items, 'target'), $account, $live !== null);
+            $sizing = $this->files->getSelectionSize($destinationID, $backupFile, $archivePath, [], array_column($items, 'name'));
+            $checks[] = $this->checkSelectionSpace($sizing, $live);
+            return $this->report($checks);
+        }
+
+        // Whole account, possibly as a new account name
+        $meta = $this->readMetadata($archivePath, $account);
+        $target = BackBorkRestoreManager::normaliseTargetOptions($options, $account)['target'] ?? null;
+        $targetUser = $target['newuser'] ?? $account;
+        $live = $this->accounts->getAccountSummary($targetUser);
+
+        if ($live) {
+            $checks[] = $this->item('account', 'Account', 'warning', "{$targetUser} exists and will be overwritten by the backup");
+        } else {
+            $checks[] = $this->item('account', 'Account', 'ok', "{$targetUser} will be created");
+        }
+        $checks[] = $this->checkSuspended($live, $targetUser);
+
+        if ($meta['cp'] === null) {
+            $checks[] = $this->item('metadata', 'Backup details', 'warning', 'No cp/' . $account . ' file in the backup; domains, package and PHP version were not checked');
+        } else {
+            $checks[] = $this->checkDomains($meta['domains'], $targetUser, $target !== null);
+            $checks[] = $this->checkPackage($meta['plan'], $live);
+            $checks[] = $this->checkPhpVersion($meta['php_version'], $meta['main_domain'], $targetUser, $live);
+        }
+
+        // restorepkg gives databases the new username's prefix when renaming
+        $databases = array_map(function($name) use ($account, $target) {
+            return $target && strpos($name, $account . '_') === 0 ? $target['newuser'] . '_' . substr($name, strlen($account) + 1) : $name;
+        }, $meta['databases']);
+        $checks[] = $this->checkDatabases($databases, $targetUser, $live !== null);
+
+        $checks[] = $this->checkDiskSpace($archivePath, $live);
+
+        return $this->report($checks);
+    }
+
+    // ========================================================================
+    // BACKGROUND RESULTS
+    // ========================================================================
+
+    /**
+     * Validate a pre-flight run ID (prevents path traversal)
+     *
+     * @param string $preflightID ID from preflight_restore
+     * @return bool True if well-formed
+     */
+    public static function isValidID($preflightID) {
+        return (bool)preg_match('/^preflight_\d+_[a-f0-9]{16}$/', (string)$preflightID);
+    }
+
+    /**
+     * Save the state of a background pre-flight run
+     *
+     * Written as 'running' by the router before the runner starts, then
+     * replaced with the report ('complete') or an error ('failed').
+     *
+     * @param string $preflightID Run ID
+     * @param array $result Status, owner and (when done) the report
+     * @return bool True if written
+     */
+    public static function writeResult($preflightID, $result) {
+        if (!self::isValidID($preflightID)) {
+            return false;
+        }
+        if (!is_dir(self::RESULTS_DIR)) {
+            mkdir(self::RESULTS_DIR, 0700, true);
+        }
+
+        // Reports nobody came back for
+        foreach (glob(self::RESULTS_DIR . '/*.json') ?: [] as $file) {
+            if (filemtime($file) < time() - self::RESULT_MAX_AGE) {
+                unlink($file);
+            }
+        }
+
+        $file = self::RESULTS_DIR . '/' . $preflightID . '.json';
+        if (file_put_contents($file, json_encode($result)) === false) {
+            return false;
+        }
+        chmod($file, 0600);
+        return true;
+    }
+
+    /**
+     * Read the state of a background pre-flight run
+     *
+     * @param string $preflightID Run ID
+     * @return array|null Saved result, or null if unknown or expired
+     */
+    public static function readResult($preflightID) {
+        if (!self::isValidID($preflightID)) {
+            return null;
+        }
+        $data = @file_get_contents(self::RESULTS_DIR . '/' . $preflightID . '.json');
+        $result = $data !== false ? json_decode($data, true) : null;
+        return is_array($result) ? $result : null;
+    }
+
+    // ========================================================================
+    // CHECKS
+    // ========================================================================
+
+    /**
+     * Warn when the account being restored into is suspended
+     *
+     * @param array|null $live Live account summary (null if it doesn't exist)
+     * @param string $account Account name (for messages)
+     * @return array Check item
+     */
+    private function checkSuspended($live, $account) {
+        if ($live && !empty($live['suspended'])) {
+            $reason = trim((string)($live['suspendreason'] ?? ''));
+            return $this->item('suspended', 'Suspension', 'warning', "{$account} is suspended" . ($reason !== '' && $reason !== 'not suspended' ? " ({$reason})" : '')
+                . '; it stays suspended after the restore');
+        }
+        return $this->item('suspended', 'Suspension', 'ok', $live ? "{$account} is not suspended" : 'New account');
+    }
+
+    /**
+     * Find backup domains that already live on this server
+     *
+     * @param array $domains Domains from the backup
+     * @param string $targetUser Account being restored into
+     * @param bool $isNewAccount Whether the restore creates a new account name
+     * @return array Check item
+     */
+    private function checkDomains($domains, $targetUser, $isNewAccount) {
+        $conflicts = [];
+        $replaced = [];
+        foreach ($domains as $domain) {
+            $holder = $this->accounts->getDomainAccount($domain);
+            if ($holder === null) {
+                continue;
+            }
+            // A new account can't take domains from anyone, including the original account
+            if ($holder === $targetUser && !$isNewAccount) {
+                $replaced[] = $domain;
+            } else {
+                $conflicts[] = "{$domain} ({$holder})";
+            }
+        }
+
+        if (!empty($conflicts)) {
+            return $this->item('domains', 'Domains', 'conflict', 'Already on another account: ' . implode(', ', $conflicts));
+        }
+        if (!empty($replaced)) {
+            return $this->item('domains', 'Domains', 'ok', count($replaced) . " domain(s) already on {$targetUser} will be replaced: " . implode(', ', $replaced));
+        }
+        return $this->item('domains', 'Domains', 'ok', count($domains) . ' domain(s), none on this server yet');
+    }
+
+    /**
+     * Find databases that already exist, and whether they belong to the account
+     *
+     * @param array $names Database names the restore will write
+     * @param string $targetUser Account being restored into
+     * @param bool $accountExists Whether that account exists on this server
+     * @return array Check item
+     */
+    private function checkDatabases($names, $targetUser, $accountExists) {
+        if (empty($names)) {
+            return $this->item('databases', 'Databases', 'ok', 'No SQL dumps in the backup');
+        }
+
+        $existing = [];
+        exec('mysql -N -e ' . escapeshellarg('SHOW DATABASES') . ' 2>/dev/null', $existing);
+
+        $owned = [];
+        if ($accountExists) {
+            $listed = $this->accounts->callUapi($targetUser, 'Mysql', 'list_databases');
+            $owned = array_column((array)($listed['data'] ?? []), 'database');
+        }
+
+        $conflicts = [];
+        $replaced = [];
+        foreach ($names as $name) {
+            if (!in_array($name, $existing, true)) {
+                continue;
+            }
+            if (in_array($name, $owned, true)) {
+                $replaced[] = $name;
+            } else {
+                $conflicts[] = $name;
+            }
+        }
+
+        if (!empty($conflicts)) {
+            return $this->item('databases', 'Databases', 'conflict', "In use outside {$targetUser}: " . implode(', ', $conflicts));
+        }
+        if (!empty($replaced)) {
+            return $this->item('databases', 'Databases', 'warning', count($replaced) . ' database(s) will be overwritten: ' . implode(', ', $replaced));
+        }
+        return $this->item('databases', 'Databases', 'ok', count($names) . ' database(s), none in use yet');
+    }
+
+    /**
+     * Compare the backup's hosting package with the live one
+     *
+     * @param string $plan Package recorded in the backup
+     * @param array|null $live Live account summary (null if it doesn't exist)
+     * @return array Check item
+     */
+    private function checkPackage($plan, $live) {
+        if ($plan === '') {
+            return $this->item('package', 'Package', 'ok', 'No package recorded in the backup');
+        }
+        if (!in_array($plan, ['default', 'undefined'], true) && !is_file(self::PACKAGES_DIR . '/' . $plan)) {
+            return $this->item('package', 'Package', 'warning', "Package {$plan} from the backup doesn't exist on this server");
+        }
+        $livePlan = $live['plan'] ?? '';
+        if ($live && $livePlan !== $plan) {
+            return $this->item('package', 'Package', 'warning', "Backup has package {$plan}, the live account has {$livePlan}");
+        }
+        return $this->item('package', 'Package', 'ok', "Package {$plan}");
+    }
+
+    /**
+     * Compare the PHP version of the backup's main domain with the live one
+     *
+     * @param string $version PHP version recorded in the backup (e.g. 'ea-php81')
+     * @param string $domain Main domain from the backup
+     * @param string $targetUser Account being restored into
+     * @param array|null $live Live account summary (null if it doesn't exist)
+     * @return array Check item
+     */
+    private function checkPhpVersion($version, $domain, $targetUser, $live) {
+        if ($version === '' || $version === 'inherit') {
+            return $this->item('php', 'PHP version', 'ok', 'Backup uses the server default PHP version');
+        }
+        if (!is_dir('/opt/cpanel/' . basename($version))) {
+            return $this->item('php', 'PHP version', 'warning', "{$version} from the backup isn't installed here; the site will use the server default");
+        }
+
+        $liveVersion = '';
+        if ($live && $domain !== '') {
+            $userdata = @file_get_contents(self::USERDATA_DIR . '/' . $targetUser . '/' . basename($domain));
+            if ($userdata && preg_match('/^phpversion:\s*[\'"]?([\w.-]+)/m', $userdata, $matches)) {
+                $liveVersion = $matches[1];
+            }
+        }
+        if ($liveVersion !== '' && $liveVersion !== $version) {
+            return $this->item('php', 'PHP version', 'warning', "Backup uses {$version}, the live site uses {$liveVersion}");
+        }
+        return $this->item('php', 'PHP version', 'ok', $version);
+    }
+
+    /**
+     * Check there is room for the restore on the home partition and in the account's quota
+     *
+     * @param string $archivePath Local path to the backup archive
+     * @param array|null $live Live account summary (null if it doesn't exist)
+     * @return array Check item
+     */
+    private function checkDiskSpace($archivePath, $live) {
+        $size = (int)filesize($archivePath);
+        $homePath = $live && !empty($live['homedir']) ? dirname($live['homedir']) : '/home';
+        $free = (int)@disk_free_space($homePath);
+
+        if ($free < $size) {
+            return $this->item('disk', 'Disk space', 'conflict', 'Only ' . $this->formatSize($free) . " free on {$homePath}; the archive alone is " . $this->formatSize($size));
+        }
+        if ($free < $size * self::EXPANSION_FACTOR) {
+            return $this->item('disk', 'Disk space', 'warning', $this->formatSize($free) . " free on {$homePath} for a " . $this->formatSize($size)
+                . ' archive; extracted data may not fit');
+        }
+
+        // accountsummary gives the quota as e.g. "1024M" or "unlimited"
+        $limit = $live['disklimit'] ?? 'unlimited';
+        if ($live && preg_match('/^(\d+)M$/', $limit, $matches) && $size > (int)$matches[1] * 1048576) {
+            return $this->item('disk', 'Disk space', 'warning', 'Archive (' . $this->formatSize($size) . ") is larger than the account's {$limit} quota");
+        }
+
+        return $this->item('disk', 'Disk space', 'ok', $this->formatSize($free) . " free on {$homePath}, quota " . ($live ? $limit : 'from package'));
+    }
+
+    /**
+     * Check there is room for a file, mailbox or database selection
+     *
+     * Sized from the archive listing, which gives extracted sizes, so only the
+     * selection counts rather than the whole archive.
+     *
+     * @param array $sizing Result of BackBorkFileRestore::getSelectionSize()
+     * @param array|null $live Live account summary (null if it doesn't exist)
+     * @return array Check item
+     */
+    private function checkSelectionSpace($sizing, $live) {
+        $homePath = $live && !empty($live['homedir']) ? dirname($live['homedir']) : '/home';
+        $free = (int)@disk_free_space($homePath);
+
+        if (empty($sizing['success'])) {
+            return $this->item('disk', 'Disk space', 'warning', "Couldn't size the selection (" . ($sizing['message'] ?? 'unknown error') . '); '
+                . $this->formatSize($free) . " free on {$homePath}");
+        }
+
+        $size = (int)$sizing['bytes'];
+        if ($free < $size) {
+            return $this->item('disk', 'Disk space', 'conflict', 'Only ' . $this->formatSize($free) . " free on {$homePath}; the selection is " . $this->formatSize($size));
+        }
+
+        // accountsummary gives quota and usage as e.g. "1024M" / "512M"
+        $limit = $live['disklimit'] ?? 'unlimited';
+        if ($live && preg_match('/^(\d+)M$/', $limit, $limitMatch)) {
+            $used = preg_match('/^(\d+)M$/', $live['diskused'] ?? '', $usedMatch) ? (int)$usedMatch[1] * 1048576 : 0;
+            if ($used + $size > (int)$limitMatch[1] * 1048576) {
+                return $this->item('disk', 'Disk space', 'warning', 'Selection (' . $this->formatSize($size) . ') plus current usage (' . $this->formatSize($used)
+                    . ") is over the account's {$limit} quota; files it overwrites don't count twice, so it may still fit");
+            }
+        }
+
+        return $this->item('disk', 'Disk space', 'ok', 'Selection is ' . $this->formatSize($size) . ', ' . $this->formatSize($free) . " free on {$homePath}");
+    }
+
+    // ========================================================================
+    // HELPERS
+    // ========================================================================
+
+    /**
+     * Read the account details a restore would apply from an archive
+     *
+     * @param string $archivePath Local path to the backup archive
+     * @param string $account Account the backup belongs to
+     * @return array cp (raw file or null), domains, main_domain, plan, php_version and databases
+     */
+    private function readMetadata($archivePath, $account) {
+        $meta = ['cp' => null, 'domains' => [], 'main_domain' => '', 'plan' => '', 'php_version' => '', 'databases' => []];
+
+        $root = BackBorkFileRestore::getArchiveRoot($archivePath);
+        if ($root === null) {
+            return $meta;
+        }
+
+        // One pass for every small file needed; members missing from older backups are simply skipped
+        $tmpDir = BackBorkRetrieval::TEMP_DIR . '/preflight_' . uniqid();
+        mkdir($tmpDir, 0700, true);
+        exec('tar -xzf ' . escapeshellarg($archivePath) . ' -C ' . escapeshellarg($tmpDir) . ' --wildcards '
+            . escapeshellarg($root . '/cp/*') . ' ' . escapeshellarg($root . '/userdata/*') . ' '
+            . escapeshellarg($root . '/mysql/*.create') . ' 2>/dev/null');
+
+        $cp = @file_get_contents($tmpDir . '/' . $root . '/cp/' . $account);
+        if ($cp !== false) {
+            $meta['cp'] = $cp;
+            foreach (explode("\n", $cp) as $line) {
+                if (!preg_match('/^([A-Z]+)(\d*)=(.*)$/', trim($line), $matches)) {
+                    continue;
+                }
+                if ($matches[1] === 'DNS' && $matches[3] !== '') {
+                    $meta['domains'][] = strtolower($matches[3]);
+                    if ($matches[2] === '') {
+                        $meta['main_domain'] = strtolower($matches[3]);
+                    }
+                } elseif ($matches[1] === 'PLAN' && $matches[2] === '') {
+                    $meta['plan'] = $matches[3];
+                }
+            }
+            $meta['domains'] = array_values(array_unique($meta['domains']));
+        }
+
+        if ($meta['main_domain'] !== '') {
+            $userdata = @file_get_contents($tmpDir . '/' . $root . '/userdata/' . basename($meta['main_domain']));
+            if ($userdata && preg_match('/^phpversion:\s*[\'"]?([\w.-]+)/m', $userdata, $matches)) {
+                $meta['php_version'] = $matches[1];
+            }
+        }
+
+        foreach (glob($tmpDir . '/' . $root . '/mysql/*.create') ?: [] as $createFile) {
+            $meta['databases'][] = basename($createFile, '.create');
+        }
+        sort($meta['databases']);
+
+        exec('rm -rf ' . escapeshellarg($tmpDir));
+
+        return $meta;
+    }
+
+    /**
+     * Build one check item
+     *
+     * @param string $id Check identifier
+     * @param string $label Label shown in the report
+     * @param string $status 'ok', 'warning' or 'conflict'
+     * @param string $message Details
+     * @return array Check item
+     */
+    private function item($id, $label, $status, $message) {
+        return ['id' => $id, 'label' => $label, 'status' => $status, 'message' => $message];
+    }
+
+    /**
+     * Wrap check items into a report with totals
+     *
+     * @param array $checks Check items
+     * @return array Report with success status, checks, conflicts and warnings counts
+     */
+    private function report($checks) {
+        $statuses = array_column($checks, 'status');
+        return [
+            'success' => true,
+            'checks' => $checks,
+            'conflicts' => count(array_keys($statuses, 'conflict', true)),
+            'warnings' => count(array_keys($statuses, 'warning', true))
+        ];
+    }
+
+    /**
+     * Format file size in human-readable units
+     *
+     * @param int $bytes Size in bytes
+     * @return string Formatted size with unit (e.g., "15.3 MB")
+     */
+    private function formatSize($bytes) {
+        $units = ['B', 'KB', 'MB', 'GB', 'TB'];
+        $bytes = max($bytes, 0);
+        $pow = floor(($bytes ? log($bytes) : 0) / log(1024));
+        $pow = min($pow, count($units) - 1);
+        $bytes /= pow(1024, $pow);
+        return round($bytes, 2) . ' ' . $units[$pow];
+    }
+}
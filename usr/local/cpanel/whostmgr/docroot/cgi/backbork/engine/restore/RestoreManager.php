@@ -42,6 +42,12 @@ class BackBorkRestoreManager {
     // Directory for operation logs
     const LOG_DIR = '/usr/local/cpanel/3rdparty/backbork/logs';
     
+    // cPanel username rules for restoring under a new name (lowercase, starts with a letter, max 16)
+    const NEWUSER_PATTERN = '/^[a-z][a-z0-9]{0,15}$/';
+    
+    // Primary domain accepted for a renamed restore
+    const DOMAIN_PATTERN = '/^(?=.{4,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/';
+    
     /** @var BackBorkConfig User/global configuration handler */
     private $config;
     
@@ -108,7 +114,9 @@ class BackBorkRestoreManager {
      * 
      * @param string $backupFile Path to backup file or remote path
      * @param string $destinationID Destination ID where backup is stored
-     * @param array $options Restore options (force, newuser, ip)
+     * @param array $options Restore options (force, newuser + newdomain/temp_domain, ip, owner), files + file_target for a file-level restore,
+     *                       databases for a single-database restore, or mailboxes + mail_mode for a mail restore;
+     *                       override_conflicts runs it despite pre-flight conflicts
      * @param string $user User initiating restore (for logging/permissions)
      * @param string $restoreID Unique restore ID for tracking
      * @return array Result with success status and details
@@ -156,16 +164,70 @@ class BackBorkRestoreManager {
         // Extract account name from backup filename for logging/notifications
         $account = $this->extractAccountFromFilename(basename($backupFile));
         
+        // File-level restores extract selected home directory paths instead of running restorepkg
+        $filePaths = !empty($options['files']) ? BackBorkFileRestore::normalisePaths($options['files']) : [];
+        $fileTarget = $options['file_target'] ?? 'live';
+        
+        // Single-database restores import chosen SQL dumps, optionally under new names
+        $databases = [];
+        if (empty($filePaths) && !empty($options['databases'])) {
+            $databases = BackBorkSQLRestore::normaliseDatabaseRestores($options['databases'])['databases'] ?? [];
+        }
+        
+        // Mail restores bring back chosen mailboxes/folders, merged or as a new folder
+        $mailboxes = [];
+        $mailMode = $options['mail_mode'] ?? 'merge';
+        if (empty($filePaths) && empty($databases) && !empty($options['mailboxes'])) {
+            $mailboxes = BackBorkMailRestore::normaliseMailboxRestores($options['mailboxes'])['mailboxes'] ?? [];
+        }
+        
+        // Whole-account restores can create a new account from the backup instead
+        $target = null;
+        if (empty($filePaths) && empty($databases) && empty($mailboxes)) {
+            $target = self::normaliseTargetOptions($options, $account)['target'] ?? null;
+        }
+        
         // Start logging
         $this->writeLog($logFile, "=== BACKBORK RESTORE OPERATION ===");
         $this->writeLog($logFile, "Account: {$account}");
         $this->writeLog($logFile, "Backup file: " . basename($backupFile));
         $this->writeLog($logFile, "Source: {$destName} ({$destType})");
+        if (!empty($filePaths)) {
+            $this->writeLog($logFile, "Mode: File-level restore of " . count($filePaths) . " path(s) to "
+                . ($fileTarget === 'directory' ? 'a side directory' : 'the live home directory'));
+            foreach ($filePaths as $filePath) {
+                $this->writeLog($logFile, "  ~/{$filePath}");
+            }
+        } elseif (!empty($databases)) {
+            $this->writeLog($logFile, "Mode: Database restore of " . count($databases) . " database(s)");
+            foreach ($databases as $db) {
+                $this->writeLog($logFile, "  {$db['name']}" . ($db['target'] !== $db['name'] ? " -> {$db['target']}" : '')
+                    . ($db['user'] !== '' ? " (grant to {$db['user']})" : ''));
+            }
+        } elseif (!empty($mailboxes)) {
+            $this->writeLog($logFile, "Mode: Mail restore of " . count($mailboxes) . " mailbox(es), "
+                . ($mailMode === 'folder' ? 'into a new folder' : 'merged into the live mailbox'));
+            foreach ($mailboxes as $mailbox) {
+                $this->writeLog($logFile, "  ~/{$mailbox['path']}"
+                    . (empty($mailbox['folders']) ? '' : ' (' . implode(', ', $mailbox['folders']) . ')'));
+            }
+        } elseif ($target) {
+            $this->writeLog($logFile, "Mode: Restore as new account {$target['newuser']}");
+            $this->writeLog($logFile, "  Domain: " . ($target['temp_domain'] ? 'temporary subdomain of the hostname'
+                : ($target['domain'] !== '' ? $target['domain'] : 'as in backup')));
+            $this->writeLog($logFile, "  IP: " . ($target['ip'] !== '' ? $target['ip'] : 'shared (default)'));
+            $this->writeLog($logFile, "  Owner: {$target['owner']}");
+        }
         $this->writeLog($logFile, str_repeat('-', 60));
         
+        // Structured progress sidecar (read by get_restore_log / stream_events)
+        $progress = new BackBorkProgress($restoreID, 'restore', [$account]);
+        $progress->startAccount(0);
+        
         // ====================================================================
         // STEP 1: Retrieve backup file
         // ====================================================================
+        $progress->startPhase('retrieve');
         if ($isRemote) {
             $this->writeLog($logFile, "Downloading backup from remote destination...");
             $this->writeLog($logFile, "Remote path: {$backupFile}");
@@ -182,6 +244,7 @@ class BackBorkRestoreManager {
             $logType = $isRemote ? 'restore_remote' : 'restore_local';
             $destInfo = $isRemote ? 'Host: ' . ($destination['host'] ?? $destName) : 'Destination: ' . $destName;
             $this->logOperation($user, $logType, ["{$account} ({$durationStr})"], false, $destInfo . "\nRetrieval failed: " . ($retrieveResult['message'] ?? 'Unknown error'), $restoreID);
+            $progress->finish('failed');
             $retrieveResult['restore_id'] = $restoreID;
             $retrieveResult['log_file'] = $logFile;
             return $retrieveResult;
@@ -196,6 +259,7 @@ class BackBorkRestoreManager {
         }
         
         // Log download success
+        $progress->setBytes($retrieveResult['size'] ?? filesize($localPath));
         $fileSize = $this->formatSize($retrieveResult['size'] ?? filesize($localPath));
         if ($isRemote) {
             $this->writeLog($logFile, "Download complete! Size: {$fileSize}");
@@ -208,6 +272,7 @@ class BackBorkRestoreManager {
         // ====================================================================
         // STEP 2: Verify backup file
         // ====================================================================
+        $progress->startPhase('verify');
         $this->writeLog($logFile, "Verifying backup file integrity...");
         
         // Verify backup file integrity and format
@@ -219,20 +284,75 @@ class BackBorkRestoreManager {
             $logType = $isRemote ? 'restore_remote' : 'restore_local';
             $destInfo = $isRemote ? 'Host: ' . ($destination['host'] ?? $destName) : 'Destination: ' . $destName;
             $this->logOperation($user, $logType, ["{$account} ({$durationStr})"], false, $destInfo . "\nInvalid backup file: " . $verification['message'], $restoreID);
+            $progress->finish('failed');
             return ['success' => false, 'message' => 'Invalid backup file: ' . $verification['message'], 'restore_id' => $restoreID, 'log_file' => $logFile];
         }
         
         $this->writeLog($logFile, "Backup file verified successfully.");
+        
+        // A new account needs a free username and domains, checked now that the archive is here
+        if ($target) {
+            $targetCheck = $this->checkRestoreTarget($target, $localPath, $account);
+            if (!$targetCheck['success']) {
+                $this->writeLog($logFile, "ERROR: " . $targetCheck['message']);
+                $this->cleanupFilesWithLog($filesToCleanup, $logFile);
+                $durationStr = $this->formatDuration(microtime(true) - $restoreStartTime);
+                $logType = $isRemote ? 'restore_remote' : 'restore_local';
+                $destInfo = $isRemote ? 'Host: ' . ($destination['host'] ?? $destName) : 'Destination: ' . $destName;
+                $this->logOperation($user, $logType, ["{$account} ({$durationStr})"], false, $destInfo . "\n" . $targetCheck['message'], $restoreID);
+                $progress->finish('failed');
+                return ['success' => false, 'message' => $targetCheck['message'], 'restore_id' => $restoreID, 'log_file' => $logFile];
+            }
+            $target = $targetCheck['target'];
+            $this->writeLog($logFile, "New account {$target['newuser']} can be created (backup domain: "
+                . ($targetCheck['backup_domain'] ?? 'unknown') . ")");
+        }
+        
+        // Pre-flight: the server may have changed since the report shown in the restore modal
+        $this->writeLog($logFile, "Running pre-flight checks...");
+        $preflight = new BackBorkRestorePreflight();
+        $report = $preflight->analyse($localPath, $account, $options, $destinationID, $backupFile);
+        $conflicts = [];
+        foreach ($report['checks'] as $check) {
+            $this->writeLog($logFile, "  [" . strtoupper($check['status']) . "] {$check['label']}: {$check['message']}");
+            if ($check['status'] === 'conflict') {
+                $conflicts[] = "{$check['label']}: {$check['message']}";
+            }
+        }
+        if (!empty($conflicts) && empty($options['override_conflicts'])) {
+            $message = 'Pre-flight conflicts: ' . implode('; ', $conflicts);
+            $this->writeLog($logFile, "ERROR: " . $message);
+            $this->cleanupFilesWithLog($filesToCleanup, $logFile);
+            $durationStr = $this->formatDuration(microtime(true) - $restoreStartTime);
+            $logType = $isRemote ? 'restore_remote' : 'restore_local';
+            $destInfo = $isRemote ? 'Host: ' . ($destination['host'] ?? $destName) : 'Destination: ' . $destName;
+            $this->logOperation($user, $logType, ["{$account} ({$durationStr})"], false, $destInfo . "\n" . $message, $restoreID);
+            $progress->finish('failed');
+            return ['success' => false, 'message' => $message, 'restore_id' => $restoreID, 'log_file' => $logFile];
+        }
+        if (!empty($conflicts)) {
+            $this->writeLog($logFile, "WARNING: Continuing despite " . count($conflicts) . " conflict(s) - overridden by {$user}");
+        }
         $this->writeLog($logFile, str_repeat('-', 60));
         
         // ====================================================================
         // STEP 3: Check for accompanying DB backup
         // ====================================================================
         // Check for accompanying DB backup file (from mariadb-backup/mysqlbackup)
-        $dbBackupFile = $this->findDbBackupFile($backupFile, $destinationID);
+        // Not needed when only home directory files, single databases or mailboxes are being restored
+        $dbBackupFile = empty($filePaths) && empty($databases) && empty($mailboxes)
+            ? $this->findDbBackupFile($backupFile, $destinationID) : null;
+        
+        // Hot DB data is restored into the original account's database names, which a new account doesn't own
+        if ($dbBackupFile && $target) {
+            $this->writeLog($logFile, "WARNING: Skipping database backup " . basename($dbBackupFile)
+                . " - hot DB data can't be restored under a new account name");
+            $dbBackupFile = null;
+        }
         $dbLocalPath = null;
         
         if ($dbBackupFile) {
+            $progress->startPhase('retrieve_db');
             $this->writeLog($logFile, "Found accompanying database backup: " . basename($dbBackupFile));
             BackBorkConfig::debugLog("Found DB backup file: {$dbBackupFile}");
             
@@ -246,12 +366,15 @@ class BackBorkRestoreManager {
                 if ($isRemote && strpos($dbLocalPath, '/home/backbork_tmp') === 0) {
                     $filesToCleanup[] = $dbLocalPath;
                 }
+                $progress->setBytes($dbRetrieveResult['size'] ?? filesize($dbLocalPath));
                 $dbSize = $this->formatSize($dbRetrieveResult['size'] ?? filesize($dbLocalPath));
                 $this->writeLog($logFile, "Database backup ready ({$dbSize})");
             } else {
                 $this->writeLog($logFile, "Warning: Could not retrieve database backup - " . ($dbRetrieveResult['message'] ?? 'Unknown error'));
             }
             $this->writeLog($logFile, str_repeat('-', 60));
+        } else {
+            $progress->skipPhase('retrieve_db');
         }
         
         // ====================================================================
@@ -261,6 +384,7 @@ class BackBorkRestoreManager {
         // Send start notification if user has enabled it
         $notifyStart = !empty($userConfig['notify_restore_start']);
         if ($notifyStart) {
+            $progress->startPhase('notify_start');
             $this->writeLog($logFile, "Sending restore start notification...");
             $this->notify->sendNotification(
                 'restore_start',
@@ -273,18 +397,99 @@ class BackBorkRestoreManager {
                 ],
                 $userConfig
             );
+        } else {
+            $progress->skipPhase('notify_start');
         }
         
         // ====================================================================
         // STEP 5: Restore main backup (includes schema if hot DB was used)
         // ====================================================================
-        $this->writeLog($logFile, "Restoring account using restorepkg...");
-        $this->writeLog($logFile, "Source: " . basename($localPath));
-        
-        // Pass account name to restore options so restorepkg gets correct --user=
-        $options['account'] = $account;
-        
-        $result = $this->executeRestoreTool($localPath, $options, $logFile);
+        $progress->startPhase('restore');
+        if (!empty($filePaths)) {
+            $this->writeLog($logFile, "Extracting selected files as {$account}...");
+            $fileRestore = new BackBorkFileRestore();
+            $result = $fileRestore->restorePaths($localPath, $account, $filePaths, $fileTarget);
+            foreach ($result['output'] ?? [] as $line) {
+                $this->writeLog($logFile, "[tar] {$line}");
+            }
+            if ($result['success']) {
+                $this->writeLog($logFile, "Files restored to: " . $result['target_dir']);
+            }
+        } elseif (!empty($databases)) {
+            $sqlRestore = new BackBorkSQLRestore();
+            $restored = [];
+            $errors = [];
+            foreach ($databases as $db) {
+                $this->writeLog($logFile, "Restoring database {$db['name']}...");
+                $dbResult = $sqlRestore->restoreDatabaseFromArchive($localPath, $account, $db);
+                foreach ($dbResult['log'] as $line) {
+                    $this->writeLog($logFile, "  {$line}");
+                }
+                if ($dbResult['success']) {
+                    $restored[] = $dbResult['message'];
+                } else {
+                    $errors[] = $dbResult['message'];
+                    $this->writeLog($logFile, "ERROR: " . $dbResult['message']);
+                }
+            }
+            
+            // Every picked database was asked for explicitly, so any failure fails the restore
+            $result = [
+                'success' => empty($errors),
+                'message' => empty($errors)
+                    ? implode('; ', $restored)
+                    : 'Restored ' . count($restored) . ' of ' . count($databases) . ' database(s): ' . implode('; ', $errors)
+            ];
+        } elseif (!empty($mailboxes)) {
+            $mailRestore = new BackBorkMailRestore();
+            $restored = [];
+            $errors = [];
+            foreach ($mailboxes as $mailbox) {
+                $this->writeLog($logFile, "Restoring mailbox ~/{$mailbox['path']}...");
+                $mailResult = $mailRestore->restoreMailbox($localPath, $account, $mailbox, $mailMode);
+                foreach ($mailResult['log'] as $line) {
+                    $this->writeLog($logFile, "  {$line}");
+                }
+                if ($mailResult['success']) {
+                    $restored[] = $mailResult['message'];
+                    $this->writeLog($logFile, "  " . $mailResult['message']);
+                } else {
+                    $errors[] = $mailResult['message'];
+                    $this->writeLog($logFile, "ERROR: " . $mailResult['message']);
+                }
+            }
+            
+            $result = [
+                'success' => empty($errors),
+                'message' => empty($errors)
+                    ? implode('; ', $restored)
+                    : 'Restored ' . count($restored) . ' of ' . count($mailboxes) . ' mailbox(es): ' . implode('; ', $errors)
+            ];
+        } else {
+            $this->writeLog($logFile, "Restoring account using restorepkg...");
+            $this->writeLog($logFile, "Source: " . basename($localPath));
+            
+            // Pass account name to restore options so restorepkg gets correct --user=
+            $options['account'] = $account;
+            // Only the checked target reaches restorepkg's --newuser/--ip
+            $options['newuser'] = $target['newuser'] ?? '';
+            $options['ip'] = $target['ip'] ?? '';
+            
+            $result = $this->executeRestoreTool($localPath, $options, $logFile);
+            
+            // restorepkg only renames the user and sets the IP; the domain and owner change afterwards
+            if ($result['success'] && $target) {
+                $targetResult = $this->applyRestoreTarget($target);
+                if ($targetResult['success']) {
+                    $this->writeLog($logFile, "Restored as new account: {$target['newuser']}" . ($targetResult['message'] !== '' ? ' (' . $targetResult['message'] . ')' : ''));
+                    $result['message'] .= " (as {$target['newuser']})";
+                } else {
+                    // The account exists by now, so this is a warning rather than a failed restore
+                    $this->writeLog($logFile, "WARNING: Account {$target['newuser']} restored but not updated - " . $targetResult['message']);
+                    $result['message'] .= " (as {$target['newuser']}; Warning: " . $targetResult['message'] . ')';
+                }
+            }
+        }
         
         if (!$result['success']) {
             $this->writeLog($logFile, "ERROR: Restore failed - " . $result['message']);
@@ -293,18 +498,28 @@ class BackBorkRestoreManager {
             $logType = $isRemote ? 'restore_remote' : 'restore_local';
             $destInfo = $isRemote ? 'Host: ' . ($destination['host'] ?? $destName) : 'Destination: ' . $destName;
             $this->logOperation($user, $logType, ["{$account} ({$durationStr})"], false, $destInfo . "\n" . $result['message'], $restoreID);
+            $progress->finish('failed');
             $result['restore_id'] = $restoreID;
             $result['log_file'] = $logFile;
             return $result;
         }
         
-        $this->writeLog($logFile, "Account restore completed successfully.");
+        if (!empty($filePaths)) {
+            $this->writeLog($logFile, "File restore completed successfully.");
+        } elseif (!empty($databases)) {
+            $this->writeLog($logFile, "Database restore completed successfully.");
+        } elseif (!empty($mailboxes)) {
+            $this->writeLog($logFile, "Mail restore completed successfully.");
+        } else {
+            $this->writeLog($logFile, "Account restore completed successfully.");
+        }
         $this->writeLog($logFile, str_repeat('-', 60));
         
         // ====================================================================
         // STEP 6: Restore DB data if hot backup file exists
         // ====================================================================
         if ($dbLocalPath && file_exists($dbLocalPath)) {
+            $progress->startPhase('restore_db');
             $this->writeLog($logFile, "Restoring database data from hot backup...");
             BackBorkConfig::debugLog("Restoring database data from: {$dbLocalPath}");
             
@@ -321,11 +536,18 @@ class BackBorkRestoreManager {
                 $result['message'] .= ' (DB data restored)';
             }
             $this->writeLog($logFile, str_repeat('-', 60));
+        } else {
+            $progress->skipPhase('restore_db');
         }
         
         // ====================================================================
         // STEP 7: Cleanup temp files
         // ====================================================================
+        if (!empty($filesToCleanup)) {
+            $progress->startPhase('cleanup');
+        } else {
+            $progress->skipPhase('cleanup');
+        }
         $this->cleanupFilesWithLog($filesToCleanup, $logFile);
         
         // Log the operation to centralised log (with duration)
@@ -339,6 +561,7 @@ class BackBorkRestoreManager {
         // STEP 8: Send completion notification
         // ====================================================================
         // Check notification preferences
+        $progress->startPhase('notify_complete');
         $notifySuccess = !empty($userConfig['notify_restore_success']);
         $notifyFailure = !empty($userConfig['notify_restore_failure']);
         
@@ -375,6 +598,8 @@ class BackBorkRestoreManager {
         $this->writeLog($logFile, str_repeat('=', 60));
         $this->writeLog($logFile, "RESTORE COMPLETED SUCCESSFULLY");
         $this->writeLog($logFile, str_repeat('=', 60));
+        $progress->finishAccount(true);
+        $progress->finish('completed');
         
         $result['restore_id'] = $restoreID;
         $result['log_file'] = $logFile;
@@ -534,6 +759,14 @@ class BackBorkRestoreManager {
             $command .= ' --disable=' . escapeshellarg(implode(',', $disableModules));
         }
         
+        // Restore under a different username and/or onto a specific IP
+        if (!empty($options['newuser'])) {
+            $command .= ' --newuser=' . escapeshellarg($options['newuser']);
+        }
+        if (!empty($options['ip'])) {
+            $command .= ' --ip=' . escapeshellarg($options['ip']);
+        }
+        
         // Add --skipaccount to skip account verification (required before path)
         $command .= ' --skipaccount';
         
@@ -695,10 +928,25 @@ class BackBorkRestoreManager {
                 'type' => 'string',
                 'default' => ''
             ],
+            'newdomain' => [
+                'label' => 'New primary domain (with a different username)',
+                'type' => 'string',
+                'default' => ''
+            ],
+            'temp_domain' => [
+                'label' => 'Use a temporary subdomain of the hostname (with a different username)',
+                'type' => 'boolean',
+                'default' => false
+            ],
             'ip' => [
                 'label' => 'Assign to specific IP',
                 'type' => 'string',
                 'default' => ''
+            ],
+            'owner' => [
+                'label' => 'Owner of the new account (root or a reseller)',
+                'type' => 'string',
+                'default' => 'root'
             ]
         ];
         
@@ -774,6 +1022,155 @@ class BackBorkRestoreManager {
         return false;
     }
     
+    /**
+     * Validate the options for restoring a backup under a new account name.
+     * newdomain, temp_domain, ip and owner only apply together with newuser.
+     * 
+     * @param array $options Restore options
+     * @param string $account Account the backup belongs to
+     * @return array Result with success status, message and target (null when not renaming)
+     */
+    public static function normaliseTargetOptions($options, $account) {
+        $newUser = strtolower(trim((string)($options['newuser'] ?? '')));
+        $domain = strtolower(trim((string)($options['newdomain'] ?? '')));
+        $tempDomain = !empty($options['temp_domain']);
+        $ip = trim((string)($options['ip'] ?? ''));
+        $owner = trim((string)($options['owner'] ?? ''));
+        
+        if ($newUser === '') {
+            if ($domain !== '' || $tempDomain || $ip !== '' || $owner !== '') {
+                return ['success' => false, 'message' => 'A new username is required to change the domain, IP or owner', 'target' => null];
+            }
+            return ['success' => true, 'message' => 'Restoring to the original account', 'target' => null];
+        }
+        
+        if (!preg_match(self::NEWUSER_PATTERN, $newUser)) {
+            return ['success' => false, 'message' => 'Invalid username (lowercase letters and digits, starting with a letter, max 16)', 'target' => null];
+        }
+        if ($newUser === $account) {
+            return ['success' => false, 'message' => 'New username is the same as the backup\'s account', 'target' => null];
+        }
+        if ($domain !== '' && $tempDomain) {
+            return ['success' => false, 'message' => 'Choose either a new domain or a temporary subdomain', 'target' => null];
+        }
+        if ($domain !== '' && !preg_match(self::DOMAIN_PATTERN, $domain)) {
+            return ['success' => false, 'message' => 'Invalid domain: ' . $domain, 'target' => null];
+        }
+        if ($ip !== '' && !filter_var($ip, FILTER_VALIDATE_IP)) {
+            return ['success' => false, 'message' => 'Invalid IP address: ' . $ip, 'target' => null];
+        }
+        if ($owner !== '' && $owner !== 'root' && !preg_match('/^[a-z][a-z0-9_]{0,15}$/', $owner)) {
+            return ['success' => false, 'message' => 'Invalid owner: ' . $owner, 'target' => null];
+        }
+        
+        return [
+            'success' => true,
+            'message' => 'Restoring as ' . $newUser,
+            'target' => [
+                'newuser' => $newUser,
+                'domain' => $domain,
+                'temp_domain' => $tempDomain,
+                'ip' => $ip,
+                'owner' => $owner !== '' ? $owner : 'root'
+            ]
+        ];
+    }
+    
+    /**
+     * Check the server can take a new account from this backup.
+     * restorepkg creates the account with the backup's primary domain before
+     * it can be changed, so that domain must be free on this server too.
+     * 
+     * @param array $target Target from normaliseTargetOptions()
+     * @param string $archivePath Local path to the backup archive
+     * @param string $account Account the backup belongs to
+     * @return array Result with success status, message, target (temporary domain filled in) and backup_domain
+     */
+    private function checkRestoreTarget($target, $archivePath, $account) {
+        if ($this->accountExists($target['newuser'])) {
+            return ['success' => false, 'message' => "Account {$target['newuser']} already exists on this server"];
+        }
+        
+        if ($target['owner'] !== 'root') {
+            $system = new BackBorkWhmApiSystem();
+            if (!in_array($target['owner'], $system->getResellers()['resellers'], true)) {
+                return ['success' => false, 'message' => "Owner {$target['owner']} is not a reseller on this server"];
+            }
+        }
+        
+        $accounts = new BackBorkWhmApiAccounts();
+        $backupDomain = $this->getBackupDomain($archivePath, $account);
+        if ($backupDomain !== null && ($holder = $accounts->getDomainAccount($backupDomain)) !== null) {
+            return ['success' => false, 'message' => "Domain {$backupDomain} from the backup already belongs to {$holder} on this server, "
+                . "so restorepkg can't create the new account (restore it on another server, or remove the domain first)"];
+        }
+        
+        if ($target['temp_domain']) {
+            $system = new BackBorkWhmApiSystem();
+            $target['domain'] = $target['newuser'] . '.' . strtolower($system->getHostname());
+        }
+        if ($target['domain'] !== '' && ($holder = $accounts->getDomainAccount($target['domain'])) !== null) {
+            return ['success' => false, 'message' => "Domain {$target['domain']} already belongs to {$holder} on this server"];
+        }
+        
+        return ['success' => true, 'message' => 'Target is free', 'target' => $target, 'backup_domain' => $backupDomain];
+    }
+    
+    /**
+     * Give a newly restored account its new primary domain and owner.
+     * 
+     * @param array $target Checked target from checkRestoreTarget()
+     * @return array Result with success status and message (what changed)
+     */
+    private function applyRestoreTarget($target) {
+        $fields = [];
+        if ($target['domain'] !== '') {
+            $fields['DNS'] = $target['domain'];
+        }
+        if ($target['owner'] !== 'root') {
+            $fields['OWNER'] = $target['owner'];
+        }
+        if (empty($fields)) {
+            return ['success' => true, 'message' => ''];
+        }
+        
+        $accounts = new BackBorkWhmApiAccounts();
+        $result = $accounts->modifyAccount($target['newuser'], $fields);
+        if (!$result['success']) {
+            return ['success' => false, 'message' => 'modifyacct failed: ' . $result['message']];
+        }
+        
+        $changes = [];
+        if (isset($fields['DNS'])) {
+            $changes[] = 'domain ' . $fields['DNS'];
+        }
+        if (isset($fields['OWNER'])) {
+            $changes[] = 'owner ' . $fields['OWNER'];
+        }
+        return ['success' => true, 'message' => implode(', ', $changes)];
+    }
+    
+    /**
+     * Read the primary domain recorded in a backup (cp/<user> DNS= line).
+     * 
+     * @param string $archivePath Local path to the backup archive
+     * @param string $account Account the backup belongs to
+     * @return string|null Domain, or null if not found
+     */
+    private function getBackupDomain($archivePath, $account) {
+        $root = BackBorkFileRestore::getArchiveRoot($archivePath);
+        if ($root === null) {
+            return null;
+        }
+        
+        $userFile = (string)shell_exec('tar -xzOf ' . escapeshellarg($archivePath) . ' --no-wildcards '
+            . escapeshellarg($root . '/cp/' . $account) . ' 2>/dev/null');
+        if (preg_match('/^DNS=(.+)$/m', $userFile, $matches)) {
+            return strtolower(trim($matches[1]));
+        }
+        return null;
+    }
+    
     /**
      * Extract account name from backup filename.
      * Parses official cPanel backup naming convention:
@@ -34,6 +34,9 @@
  *   - mariadb-backup: Uses --export then tablespace import, or SQL dumps
  *   - mysqlbackup: Uses image-to-backup-dir then copy-back
  *   - SQL dumps: Direct mysql client import
+ * 
+ * Also restores single databases from the mysql/<name>.sql dumps inside a
+ * pkgacct archive, optionally under a new name and granted to another DB user.
  */
 class BackBorkSQLRestore {
     
@@ -51,6 +54,9 @@ class BackBorkSQLRestore {
         '/opt/mysql/meb/bin/mysqlbackup'
     ];
     
+    // Most databases accepted in one single-database restore
+    const MAX_DATABASES = 50;
+    
     /**
      * Find the mariadb-backup binary.
      * 
@@ -531,6 +537,137 @@ class BackBorkSQLRestore {
         ];
     }
     
+    /**
+     * Clean up the databases picked for a single-database restore.
+     * Each item is {name, target, user}: target '' restores over the original,
+     * user '' leaves privileges as they are.
+     * 
+     * @param array $databases Items as sent by the Restore tab
+     * @return array Result with success status, message and databases (normalised items)
+     */
+    public static function normaliseDatabaseRestores($databases) {
+        $clean = [];
+        $targets = [];
+        
+        foreach ((array)$databases as $item) {
+            $name = trim((string)($item['name'] ?? ''));
+            $target = trim((string)($item['target'] ?? ''));
+            $dbUser = trim((string)($item['user'] ?? ''));
+            $target = $target === '' ? $name : $target;
+            
+            foreach (['name' => $name, 'target' => $target, 'user' => $dbUser] as $field => $value) {
+                if (($value !== '' || $field !== 'user') && !preg_match('/^[A-Za-z0-9_]{1,64}$/', $value)) {
+                    return ['success' => false, 'message' => "Invalid database {$field}: {$value}"];
+                }
+            }
+            
+            // Two databases restored into one would overwrite each other
+            if (isset($targets[$target])) {
+                return ['success' => false, 'message' => "Database {$target} is the target of more than one restore"];
+            }
+            $targets[$target] = true;
+            
+            $clean[] = ['name' => $name, 'target' => $target, 'user' => $dbUser];
+        }
+        
+        if (empty($clean)) {
+            return ['success' => false, 'message' => 'No databases selected'];
+        }
+        if (count($clean) > self::MAX_DATABASES) {
+            return ['success' => false, 'message' => 'Too many databases selected (max ' . self::MAX_DATABASES . ')'];
+        }
+        
+        return ['success' => true, 'message' => count($clean) . ' database(s) selected', 'databases' => $clean];
+    }
+    
+    /**
+     * Restore one database from the SQL dump inside a pkgacct archive.
+     * The target is created through cPanel if the account doesn't have it yet;
+     * an existing target is imported over (tables in the dump are replaced).
+     * 
+     * @param string $archivePath Local path to the backup archive
+     * @param string $account Account username
+     * @param array $item Normalised item from normaliseDatabaseRestores()
+     * @return array Result with success status, message and log (lines for the restore log)
+     */
+    public function restoreDatabaseFromArchive($archivePath, $account, $item) {
+        $log = [];
+        $name = $item['name'];
+        $target = $item['target'];
+        
+        $root = BackBorkFileRestore::getArchiveRoot($archivePath);
+        if ($root === null) {
+            return ['success' => false, 'message' => 'Could not read archive', 'log' => $log];
+        }
+        
+        // Only import into databases the account owns; anything else must be created as the account,
+        // which also makes cPanel track it and apply its naming rules
+        $uapi = new BackBorkWhmApiAccounts();
+        $listed = $uapi->callUapi($account, 'Mysql', 'list_databases');
+        if (!$listed['success']) {
+            return ['success' => false, 'message' => 'Could not list databases for ' . $account . ': ' . $listed['message'], 'log' => $log];
+        }
+        $owned = array_column($listed['data'] ?: [], 'database');
+        
+        if (!in_array($target, $owned, true)) {
+            $created = $uapi->callUapi($account, 'Mysql', 'create_database', ['name' => $target]);
+            if (!$created['success']) {
+                return ['success' => false, 'message' => "Could not create {$target}: " . $created['message'], 'log' => $log];
+            }
+            $log[] = "Created database {$target}";
+        } else {
+            $log[] = ($target === $name ? "Importing over existing database {$target}" : "Importing into existing database {$target}");
+        }
+        
+        // Extract just this dump
+        $extractDir = BackBorkRetrieval::TEMP_DIR . '/db_single_' . $account . '_' . time() . '_' . substr(md5($target), 0, 6);
+        if (!mkdir($extractDir, 0700, true)) {
+            return ['success' => false, 'message' => "Failed to create extraction directory: {$extractDir}", 'log' => $log];
+        }
+        
+        $member = $root . '/mysql/' . $name . '.sql';
+        $output = [];
+        $returnCode = 0;
+        exec('tar -xzf ' . escapeshellarg($archivePath) . ' -C ' . escapeshellarg($extractDir)
+            . ' --strip-components=2 --no-wildcards ' . escapeshellarg($member) . ' 2>&1', $output, $returnCode);
+        $sqlFile = $extractDir . '/' . $name . '.sql';
+        
+        if ($returnCode !== 0 || !file_exists($sqlFile)) {
+            $this->removeDirectory($extractDir);
+            return ['success' => false, 'message' => "Dump for {$name} not found in backup", 'log' => $log];
+        }
+        $log[] = "Extracted {$name}.sql (" . round(filesize($sqlFile) / 1048576, 1) . " MB)";
+        
+        // Import the dump
+        BackBorkConfig::debugLog("Importing {$name}.sql into {$target}");
+        $importOutput = shell_exec('mysql ' . escapeshellarg($target) . ' < ' . escapeshellarg($sqlFile) . ' 2>&1');
+        $this->removeDirectory($extractDir);
+        
+        if ($importOutput && stripos($importOutput, 'error') !== false) {
+            return ['success' => false, 'message' => "Import into {$target} failed: " . trim($importOutput), 'log' => $log];
+        }
+        $log[] = "Imported {$name}.sql into {$target}";
+        
+        // Grant the chosen DB user access (must already exist in cPanel)
+        if ($item['user'] !== '') {
+            $granted = $uapi->callUapi($account, 'Mysql', 'set_privileges_on_database', [
+                'user' => $item['user'],
+                'database' => $target,
+                'privileges' => 'ALL PRIVILEGES'
+            ]);
+            if (!$granted['success']) {
+                return ['success' => false, 'message' => "Restored {$target}, but could not grant {$item['user']}: " . $granted['message'], 'log' => $log];
+            }
+            $log[] = "Granted ALL PRIVILEGES on {$target} to {$item['user']}";
+        }
+        
+        return [
+            'success' => true,
+            'message' => $target === $name ? "Restored {$name}" : "Restored {$name} as {$target}",
+            'log' => $log
+        ];
+    }
+    
     /**
      * Recursively remove a directory and its contents.
      * 
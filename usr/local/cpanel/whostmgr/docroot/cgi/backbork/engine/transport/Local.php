@@ -67,8 +67,18 @@ class BackBorkTransportLocal implements BackBorkTransportInterface {
             }
         }
         
-        // Copy file to destination with secure permissions
-        if (copy($localPath, $destFile)) {
+        // Copy file to destination; with a nice/ionice priority configured the
+        // copy goes through cp so the I/O runs at that priority too
+        $priority = BackBorkConfig::getProcessPriorityPrefix('upload');
+        if ($priority !== '') {
+            exec($priority . '/bin/cp ' . escapeshellarg($localPath) . ' ' . escapeshellarg($destFile) . ' 2>&1', $cpOutput, $cpCode);
+            $copied = ($cpCode === 0);
+        } else {
+            $copied = copy($localPath, $destFile);
+        }
+        
+        // Secure permissions on the copied file
+        if ($copied) {
             chmod($destFile, 0600);  // Read/write owner only
             return [
                 'success' => true,
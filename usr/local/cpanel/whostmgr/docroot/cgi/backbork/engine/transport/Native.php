@@ -52,8 +52,9 @@ class BackBorkTransportNative implements BackBorkTransportInterface {
             ];
         }
         
-        // Build command
-        $cmd = '/usr/local/cpanel/3rdparty/bin/perl ' . escapeshellarg(self::PERL_HELPER);
+        // Build command (uploads run at root's configured upload nice/ionice priority)
+        $cmd = ($action === 'upload') ? BackBorkConfig::getProcessPriorityPrefix('upload') : '';
+        $cmd .= '/usr/local/cpanel/3rdparty/bin/perl ' . escapeshellarg(self::PERL_HELPER);
         $cmd .= ' --action=' . escapeshellarg($action);
         
         foreach ($args as $key => $value) {
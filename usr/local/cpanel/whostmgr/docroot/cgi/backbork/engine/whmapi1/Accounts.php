@@ -28,7 +28,8 @@
 
 /**
  * WHM API wrapper for account-related operations.
- * Provides methods to list, query, and verify cPanel accounts.
+ * Provides methods to list, query, and verify cPanel accounts,
+ * and to run UAPI calls as an account.
  * Handles root vs reseller access restrictions.
  */
 class BackBorkWhmApiAccounts {
@@ -36,6 +37,9 @@ class BackBorkWhmApiAccounts {
     // Path to WHM API command-line tool
     const WHMAPI_BIN = '/usr/local/cpanel/bin/whmapi1';
     
+    // Path to cPanel UAPI command-line tool (runs calls as the account)
+    const UAPI_BIN = '/usr/local/cpanel/bin/uapi';
+    
     /**
      * Get list of accounts accessible by a specific user.
      * Root users see all accounts; resellers only see accounts they own.
@@ -75,7 +79,8 @@ class BackBorkWhmApiAccounts {
                     'email' => isset($acct['email']) ? $acct['email'] : '',
                     'plan' => isset($acct['plan']) ? $acct['plan'] : '',
                     'suspended' => isset($acct['suspended']) ? (bool)$acct['suspended'] : false,
-                    'suspendreason' => isset($acct['suspendreason']) ? $acct['suspendreason'] : ''
+                    'suspendreason' => isset($acct['suspendreason']) ? $acct['suspendreason'] : '',
+                    'disk_used' => isset($acct['diskused']) ? (int)$acct['diskused'] : 0  // MB (listaccts gives e.g. "512M")
                 ];
             }
         }
@@ -83,6 +88,51 @@ class BackBorkWhmApiAccounts {
         return $accounts;
     }
     
+    /**
+     * Filter an account list by a schedule's account selector.
+     * Every criterion set in the selector must match; unset ones match anything.
+     * 
+     * @param array $accounts Account info arrays from getAccessibleAccounts()
+     * @param array $selector Normalised selector (see BackBorkQueue::normaliseAccountSelector)
+     * @return array Matching account info arrays
+     */
+    public function filterAccounts($accounts, $selector) {
+        return array_values(array_filter($accounts, function($acct) use ($selector) {
+            if ($selector['owner'] !== '' && ($acct['owner'] ?? '') !== $selector['owner']) {
+                return false;
+            }
+            if ($selector['plan'] !== '' && ($acct['plan'] ?? '') !== $selector['plan']) {
+                return false;
+            }
+            if ($selector['suspended'] !== 'any' && !empty($acct['suspended']) !== ($selector['suspended'] === 'suspended')) {
+                return false;
+            }
+            
+            // Disk usage bounds in MB
+            $diskUsed = (int)($acct['disk_used'] ?? 0);
+            if ($selector['disk_min_mb'] !== null && $diskUsed < $selector['disk_min_mb']) {
+                return false;
+            }
+            if ($selector['disk_max_mb'] !== null && $diskUsed > $selector['disk_max_mb']) {
+                return false;
+            }
+            
+            // Pattern: shell wildcards (shop*, *.com.au) or plain text found in the username or domain
+            if ($selector['pattern'] !== '') {
+                $pattern = $selector['pattern'];
+                $subjects = [strtolower($acct['user']), strtolower($acct['domain'] ?? '')];
+                foreach ($subjects as $subject) {
+                    if (strpbrk($pattern, '*?[') !== false ? fnmatch($pattern, $subject) : strpos($subject, $pattern) !== false) {
+                        return true;
+                    }
+                }
+                return false;
+            }
+            
+            return true;
+        }));
+    }
+    
     /**
      * Get detailed summary for a specific account.
      * Returns full account information from WHM.
@@ -154,4 +204,75 @@ class BackBorkWhmApiAccounts {
         // Fall back to standard /home/username if not specified
         return $summary ? ($summary['homedir'] ?? '/home/' . $account) : null;
     }
+    
+    /**
+     * Change settings of an existing account (primary domain, owner, etc).
+     * 
+     * @param string $account Account username
+     * @param array $fields modifyacct parameters (e.g. DNS, OWNER)
+     * @return array Result with success status and message
+     */
+    public function modifyAccount($account, $fields) {
+        $command = self::WHMAPI_BIN . ' modifyacct --output=json user=' . escapeshellarg($account);
+        foreach ($fields as $key => $value) {
+            $command .= ' ' . escapeshellarg($key . '=' . $value);
+        }
+        
+        $data = json_decode((string)shell_exec($command . ' 2>/dev/null'), true);
+        if (!isset($data['metadata']['result'])) {
+            return ['success' => false, 'message' => 'No response from whmapi1'];
+        }
+        
+        return [
+            'success' => $data['metadata']['result'] == 1,
+            'message' => $data['metadata']['reason'] ?? ''
+        ];
+    }
+    
+    /**
+     * Get the account a domain belongs to.
+     * Reads /etc/userdomains, which covers main, addon, parked and sub domains.
+     * 
+     * @param string $domain Domain name
+     * @return string|null Owning account, or null if the domain isn't on this server
+     */
+    public function getDomainAccount($domain) {
+        $domain = strtolower($domain);
+        foreach (@file('/etc/userdomains', FILE_IGNORE_NEW_LINES) ?: [] as $line) {
+            $parts = explode(':', $line, 2);
+            if (count($parts) === 2 && strtolower(trim($parts[0])) === $domain) {
+                return trim($parts[1]);
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Call a UAPI function as a cPanel account.
+     * 
+     * @param string $account Account username
+     * @param string $module UAPI module (e.g. Mysql)
+     * @param string $function UAPI function
+     * @param array $args Function arguments
+     * @return array Result with success status, message (joined errors) and data
+     */
+    public function callUapi($account, $module, $function, $args = []) {
+        $command = self::UAPI_BIN . ' --user=' . escapeshellarg($account) . ' --output=json '
+            . escapeshellarg($module) . ' ' . escapeshellarg($function);
+        foreach ($args as $key => $value) {
+            $command .= ' ' . escapeshellarg($key . '=' . $value);
+        }
+        
+        $data = json_decode((string)shell_exec($command . ' 2>/dev/null'), true);
+        $result = $data['result'] ?? null;
+        if (!$result) {
+            return ['success' => false, 'message' => 'No response from uapi', 'data' => null];
+        }
+        
+        return [
+            'success' => !empty($result['status']),
+            'message' => implode('; ', (array)($result['errors'] ?? [])),
+            'data' => $result['data'] ?? null
+        ];
+    }
 }
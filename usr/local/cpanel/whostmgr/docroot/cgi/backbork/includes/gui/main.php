@@ -54,6 +54,10 @@ if (!defined('BACKBORK_VERSION')) {
                 <span class="processing-cog">⚙️</span>
                 <span class="label">Processing</span>
             </div>
+            <div class="status-item paused" id="status-paused-indicator" style="display: none;" title="Queue processor is paused - no new jobs will start">
+                <span class="paused-icon">⏸</span>
+                <span class="label">Paused</span>
+            </div>
             <div class="status-item restores" title="Active restore operations in progress">
                 <span class="label">Restores</span>
                 <span class="value" id="status-restores">0</span>
@@ -161,6 +165,8 @@ if (!defined('BACKBORK_VERSION')) {
             <strong>Warning:</strong> This will overwrite existing data for the selected account. Make sure you have a recent backup if needed.
         </div>
         <div id="restore-confirm-details"></div>
+        <!-- Pre-flight report: overwrites and conflicts found on this server -->
+        <div id="restore-preflight"></div>
         <div style="margin-top: 20px; text-align: right;">
             <button class="btn btn-secondary" onclick="closeModal('restore-modal')">Cancel</button>
             <button class="btn btn-danger" id="btn-confirm-restore">Confirm Restore</button>
@@ -45,16 +45,47 @@
                     <option value="">Loading destinations...</option>
                 </select>
             </div>
+            <!-- Profile: named pkgacct settings (Settings tab) instead of the saved defaults -->
+            <div class="form-group">
+                <label for="backup-profile">Backup Profile</label>
+                <select id="backup-profile" class="profile-select">
+                    <option value="" selected>Saved settings (no profile)</option>
+                </select>
+            </div>
+        </div>
+        
+        <!-- Extra copies: the same archive is also sent to each ticked destination (3-2-1) -->
+        <div class="form-group">
+            <label>Also Copy To (optional)</label>
+            <div id="backup-replicas" class="checkbox-group replica-destinations" data-primary="backup-destination"></div>
         </div>
 
         <!-- Account Selection: Checkboxes for each accessible account -->
         <div class="form-group">
             <label>Select Account/s to Backup</label>
+            <!-- Filters: narrow the list by name, owner, package, state or disk usage -->
+            <div class="account-filters" id="backup-account-filters">
+                <input type="search" id="backup-filter-pattern" placeholder="Search user or domain (e.g. shop*)">
+                <select id="backup-filter-owner" title="Owner / reseller">
+                    <option value="">All owners</option>
+                </select>
+                <select id="backup-filter-plan" title="Package">
+                    <option value="">All packages</option>
+                </select>
+                <select id="backup-filter-suspended" title="Account state">
+                    <option value="any">Any state</option>
+                    <option value="active">Active only</option>
+                    <option value="suspended">Suspended only</option>
+                </select>
+                <input type="number" id="backup-filter-disk-min" min="0" placeholder="Min disk MB">
+                <input type="number" id="backup-filter-disk-max" min="0" placeholder="Max disk MB">
+                <span class="account-filter-count" id="backup-filter-count"></span>
+            </div>
             <div class="account-list" id="backup-account-list">
                 <div class="select-all-container">
-                    <!-- Toggle all visible accounts at once -->
+                    <!-- Toggle all visible (filtered) accounts at once -->
                     <label>
-                        <input type="checkbox" id="select-all-backup"> Select All
+                        <input type="checkbox" id="select-all-backup"> Select All (Listed)
                     </label>
                 </div>
                 <div id="backup-accounts-container">
@@ -74,6 +105,14 @@
                 <button type="button" class="btn btn-secondary" id="btn-backup-queue">
                     📋 Add to Queue
                 </button>
+                <!-- Queue priority: where the queued job lands (urgent is root-only) -->
+                <select id="backup-queue-priority" class="queue-priority-select" title="Queue priority">
+                    <?php if ($isRoot): ?>
+                        <option value="urgent">Urgent</option>
+                    <?php endif; ?>
+                    <option value="normal" selected>Normal</option>
+                    <option value="low">Low</option>
+                </select>
             </div>
         </div>
     </div>
@@ -84,10 +123,12 @@
             <h3 style="margin: 0;">Backup Progress</h3>
             <div id="backup-status-message"></div>
         </div>
-        <!-- Progress bar updated via JavaScript polling -->
+        <!-- Progress bar driven by structured progress from the live event stream -->
         <div class="progress-bar">
             <div class="progress-bar-fill" id="backup-progress-bar" style="width: 0%"></div>
         </div>
+        <!-- Phase/account breakdown with throughput and ETA -->
+        <div id="backup-progress-detail" class="job-progress"></div>
         <!-- Real-time log output from backup process -->
         <div id="backup-log"></div>
     </div>
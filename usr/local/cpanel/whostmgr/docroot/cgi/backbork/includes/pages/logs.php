@@ -73,13 +73,24 @@ if (isset($acl) && $acl instanceof BackBorkACL) {
                     <optgroup label="Queue">
                         <option value="queue_add">Queue - Add</option>
                         <option value="kill_all_jobs">Queue - Kill All</option>
+                        <option value="job_pause">Queue - Pause Job</option>
+                        <option value="queue_pause">Queue - Pause Processor</option>
+                        <option value="queue_priority">Queue - Priority</option>
                         <option value="queue_process">Queue - Process</option>
                         <option value="queue_cron_process">Queue - Process (Cron)</option>
                         <option value="queue_remove">Queue - Remove</option>
+                        <option value="queue_reorder">Queue - Reorder</option>
+                        <option value="job_resume">Queue - Resume Job</option>
+                        <option value="queue_resume">Queue - Resume Processor</option>
+                        <option value="queue_retry">Queue - Retry</option>
+                        <option value="queue_run_next">Queue - Run Next</option>
                     </optgroup>
                     <optgroup label="Schedules">
                         <option value="schedule_create">Schedule - Create</option>
                         <option value="schedule_delete">Schedule - Delete</option>
+                        <option value="schedule_pause">Schedule - Pause</option>
+                        <option value="schedule_resume">Schedule - Resume</option>
+                        <option value="schedule_run">Schedule - Run Now</option>
                     </optgroup>
                     <optgroup label="System">
                         <option value="global_config_update">Config - Update (Global)</option>
@@ -42,6 +42,10 @@
             <button id="btn-kill-queue" class="btn btn-kill-queue">
                 <span class="btn-icon">☠️</span> Kill All Jobs
             </button>
+            <!-- Root-only: Stop/start dispatching queued jobs (label flips via JavaScript) -->
+            <button id="btn-pause-queue" class="btn btn-pause-queue">
+                <span class="btn-icon">⏸</span> Pause Queue
+            </button>
         <?php else: ?>
             <!-- Reseller view: Informational message about cron processing -->
             <div class="cron-info-box">
@@ -49,6 +53,10 @@
                 <strong>Queue processing runs automatically every 5 minutes.</strong> Manual processing requires root access.
             </div>
         <?php endif; ?>
+        <!-- Shown while root has paused the queue processor -->
+        <div id="queue-paused-banner" class="queue-paused-banner" style="display: none;"></div>
+        <!-- Shown while queued backups wait for the backup window or a blackout date to pass -->
+        <div id="backup-window-banner" class="queue-paused-banner" style="display: none;"></div>
     </div>
     
     <!-- ================================================================
@@ -78,7 +86,8 @@
 
     <!-- ================================================================
          QUEUED JOBS TABLE
-         Shows pending jobs waiting for cron processing
+         Shows pending jobs waiting for cron processing, in processing order
+         Rows can be dragged to reorder; root can also use "Run Next"
          Root can cancel queued jobs; resellers can only cancel their own
     ================================================================ -->
     <div class="backbork-card">
@@ -87,8 +96,10 @@
             <table class="backbork-table">
                 <thead>
                     <tr>
+                        <th class="queue-order-col">#</th>
                         <th>Accounts</th>
                         <th>Job</th>
+                        <th>Priority</th>
                         <th>Destination</th>
                         <th>Queued</th>
                         <th>Actions</th>
@@ -96,7 +107,7 @@
                 </thead>
                 <!-- Table body populated via JavaScript API call -->
                 <tbody id="queue-tbody">
-                    <tr><td colspan="5">Loading...</td></tr>
+                    <tr><td colspan="7">Loading...</td></tr>
                 </tbody>
             </table>
         </div>
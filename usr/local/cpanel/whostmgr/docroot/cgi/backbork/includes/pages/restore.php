@@ -32,6 +32,8 @@
      - Select source destination and account
      - Browse available backup files
      - Choose granular restore options (home dir, mysql, mail, etc.)
+     - Or browse the archive's home directory and restore selected files
+     - Or restore selected databases, optionally under a new name
 ======================================================================== -->
 <div id="panel-restore" class="backbork-panel">
     <div class="backbork-card">
@@ -63,8 +65,19 @@
             </select>
         </div>
 
+        <!-- Restore Type: Whole account via restorepkg, selected home directory files, or selected databases -->
+        <div class="form-group">
+            <label for="restore-mode">What to Restore</label>
+            <select id="restore-mode">
+                <option value="account">Whole account</option>
+                <option value="files">Selected files and folders</option>
+                <option value="databases">Selected databases</option>
+                <option value="mail">Selected mailboxes</option>
+            </select>
+        </div>
+        
         <!-- Restore Options Card: Granular control over what to restore -->
-        <div class="backbork-card">
+        <div class="backbork-card" id="restore-account-options">
             <h3>Restore Options</h3>
             <!-- Each checkbox controls a specific restorepkg option -->
             <div class="checkbox-group">
@@ -77,8 +90,126 @@
                 <label><input type="checkbox" name="restore_subdomains" checked> Subdomains</label>
                 <label><input type="checkbox" name="restore_addon_domains" checked> Addon Domains</label>
             </div>
+            
+            <?php if ($isRoot): ?>
+            <!-- Restore As: create a new account from the backup (staging copy, renamed user) -->
+            <div class="checkbox-group" style="margin-top: 16px;">
+                <label><input type="checkbox" id="restore-as-new"> Restore as a new account</label>
+            </div>
+            <div id="restore-target-fields" style="display: none; margin-top: 12px;">
+                <p style="font-size: 12px; color: var(--text-muted); margin-bottom: 12px;">The backup's primary domain must not exist on this server, even when a new domain is set. Hot database backups are not restored under a new name.</p>
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="restore-target-user">New Username</label>
+                        <input type="text" id="restore-target-user" maxlength="16" pattern="[a-z][a-z0-9]*" placeholder="e.g. stagingcopy">
+                    </div>
+                    <div class="form-group">
+                        <label for="restore-target-domain-mode">Primary Domain</label>
+                        <select id="restore-target-domain-mode">
+                            <option value="keep">Same as backup</option>
+                            <option value="new">New domain</option>
+                            <option value="temp">Temporary subdomain (username.hostname)</option>
+                        </select>
+                        <input type="text" id="restore-target-domain" placeholder="staging.example.com" style="display: none; margin-top: 8px;">
+                    </div>
+                </div>
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="restore-target-ip">IP Address</label>
+                        <input type="text" id="restore-target-ip" placeholder="Shared IP (default)">
+                    </div>
+                    <div class="form-group">
+                        <label for="restore-target-owner">Owner</label>
+                        <select id="restore-target-owner">
+                            <option value="root">root</option>
+                        </select>
+                    </div>
+                </div>
+            </div>
+            <?php endif; ?>
         </div>
 
+        <!-- File Browser Card: Pick paths from the home directory stored in the backup -->
+        <div class="backbork-card" id="restore-file-options" style="display: none;">
+            <h3>Files to Restore</h3>
+            <p style="font-size: 12px; color: var(--text-muted); margin-bottom: 12px;">Opening a backup the first time reads the whole archive (and downloads it from remote storage), so it can take a while.</p>
+            <div id="restore-file-breadcrumb" class="file-breadcrumb"></div>
+            <div class="table-container file-browser">
+                <table class="backbork-table">
+                    <thead>
+                        <tr>
+                            <th style="width: 40px;"></th>
+                            <th>Name</th>
+                            <th>Size</th>
+                        </tr>
+                    </thead>
+                    <tbody id="restore-file-tbody">
+                        <tr><td colspan="3">Select a backup first...</td></tr>
+                    </tbody>
+                </table>
+            </div>
+            <div id="restore-file-selected" class="file-selected"></div>
+            
+            <div class="form-group" style="margin-top: 12px;">
+                <label for="restore-file-target">Restore To</label>
+                <select id="restore-file-target">
+                    <option value="live">Live home directory (overwrite existing files)</option>
+                    <option value="directory">New folder in the home directory (backbork_restore_DATE)</option>
+                </select>
+            </div>
+        </div>
+        
+        <!-- Database Card: Pick MySQL databases from the backup, each over the original or under a new name -->
+        <div class="backbork-card" id="restore-database-options" style="display: none;">
+            <h3>Databases to Restore</h3>
+            <p style="font-size: 12px; color: var(--text-muted); margin-bottom: 12px;">Leave "Restore As" empty to import over the original. A new name is created in cPanel for the account, and can be granted to an existing database user to compare before overwriting.</p>
+            <div class="table-container">
+                <table class="backbork-table">
+                    <thead>
+                        <tr>
+                            <th style="width: 40px;"></th>
+                            <th>Database</th>
+                            <th>Dump Size</th>
+                            <th>Restore As</th>
+                            <th>Grant To User</th>
+                        </tr>
+                    </thead>
+                    <tbody id="restore-database-tbody">
+                        <tr><td colspan="5">Select a backup first...</td></tr>
+                    </tbody>
+                </table>
+            </div>
+        </div>
+        
+        <!-- Mail Card: Pick email accounts or single folders from the backup -->
+        <div class="backbork-card" id="restore-mail-options" style="display: none;">
+            <h3>Mail to Restore</h3>
+            <p style="font-size: 12px; color: var(--text-muted); margin-bottom: 12px;">Tick a mailbox for all of its folders, or just the folders you need. Email accounts deleted since the backup are recreated with their old password.</p>
+            <div class="table-container">
+                <table class="backbork-table">
+                    <thead>
+                        <tr>
+                            <th style="width: 40px;"></th>
+                            <th>Mailbox / Folder</th>
+                            <th>Messages</th>
+                            <th>Size</th>
+                        </tr>
+                    </thead>
+                    <tbody id="restore-mail-tbody">
+                        <tr><td colspan="4">Select a backup first...</td></tr>
+                    </tbody>
+                </table>
+            </div>
+            
+            <div class="form-group" style="margin-top: 12px;">
+                <label for="restore-mail-mode">Restore Into</label>
+                <select id="restore-mail-mode">
+                    <option value="merge">Existing folders (merge, keeps current mail)</option>
+                    <option value="folder">New folder in each mailbox (Restored_DATE)</option>
+                </select>
+            </div>
+        </div>
+        
         <!-- Restore trigger button - opens confirmation modal -->
         <button type="button" class="btn btn-primary" id="btn-restore">
             🔄 Start Restore
@@ -91,10 +222,12 @@
             <h3 style="margin: 0;">Restore Progress</h3>
             <div id="restore-status-message"></div>
         </div>
-        <!-- Progress bar updated via JavaScript polling -->
+        <!-- Progress bar driven by structured progress from the live event stream -->
         <div class="progress-bar">
             <div class="progress-bar-fill" id="restore-progress-bar" style="width: 0%"></div>
         </div>
+        <!-- Phase/account breakdown with throughput and ETA -->
+        <div id="restore-progress-detail" class="job-progress"></div>
         <!-- Real-time log output from restore process -->
         <div id="restore-log"></div>
     </div>
@@ -32,6 +32,23 @@
 // ============================================================================
 $scheduleAcl = BackBorkBootstrap::getACL();  // Get ACL instance from Bootstrap
 $scheduleIsRoot = $scheduleAcl->isRoot();     // Check if current user is root
+
+// ============================================================================
+// PKGACCT OVERRIDES - On/off settings a schedule can override, split as on the
+// Settings tab (split and template backups are root-only there too)
+// ============================================================================
+$scheduleOverrideModes = [];
+$scheduleOverrideSkips = [];
+foreach (BackBorkProfiles::FLAG_LABELS as $flagKey => $flagLabel) {
+    if (!$scheduleIsRoot && in_array($flagKey, BackBorkQueue::PKGACCT_ROOT_ONLY_OPTIONS, true)) {
+        continue;
+    }
+    if (strpos($flagKey, 'skip_') === 0) {
+        $scheduleOverrideSkips[$flagKey] = $flagLabel;
+    } else {
+        $scheduleOverrideModes[$flagKey] = $flagLabel;
+    }
+}
 ?>
 <!-- Schedule Panel: Manage automated backup schedules -->
 <div id="panel-schedule" class="backbork-panel">
@@ -62,9 +79,23 @@ $scheduleIsRoot = $scheduleAcl->isRoot();     // Check if current user is root
                     <option value="daily" selected>Daily</option>
                     <option value="weekly">Weekly</option>
                     <option value="monthly">Monthly</option>
+                    <option value="custom">Custom (cron)</option>
                 </select>
             </div>
         </div>
+        
+        <div class="form-group">
+            <label>Also Copy To (optional)</label>
+            <div id="schedule-replicas" class="checkbox-group replica-destinations" data-primary="schedule-destination"></div>
+        </div>
+        
+        <div class="form-group">
+            <label for="schedule-fallback">Fallback Storage (optional)</label>
+            <select id="schedule-fallback" class="fallback-destination-select">
+                <option value="">None</option>
+            </select>
+            <p style="font-size: 12px; color: var(--text-muted); margin-top: 8px;">Takes the backup instead of Backup Storage when that is disabled in WHM or fails its connection test at run time.</p>
+        </div>
 
         <div class="form-row">
             <div class="form-group">
@@ -83,6 +114,9 @@ $scheduleIsRoot = $scheduleAcl->isRoot();     // Check if current user is root
             </div>
         </div>
         
+        <!-- Shown when the chosen time falls outside root's backup window -->
+        <p id="schedule-window-warning" class="schedule-window-warning" style="display: none;"></p>
+        
         <!-- Day of Week selector - shown only for Weekly schedules -->
         <div class="form-row" id="schedule-dow-row" style="display: none;">
             <div class="form-group">
@@ -102,19 +136,136 @@ $scheduleIsRoot = $scheduleAcl->isRoot();     // Check if current user is root
             </div>
         </div>
         
+        <!-- Custom frequency: a cron expression, typed or built with the picker -->
+        <div id="schedule-custom-row" class="schedule-custom-panel" style="display: none;">
+            <div class="form-row">
+                <div class="form-group">
+                    <label>Days of Week (none = every day)</label>
+                    <div class="cron-day-picker" id="schedule-cron-days">
+                        <?php foreach (['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'] as $dayNum => $dayName): ?>
+                            <label><input type="checkbox" value="<?php echo $dayNum; ?>"> <?php echo $dayName; ?></label>
+                        <?php endforeach; ?>
+                    </div>
+                </div>
+                <div class="form-group">
+                    <label for="schedule-cron-dom">Days of Month (e.g. 1,15 - blank = any)</label>
+                    <input type="text" id="schedule-cron-dom" placeholder="any">
+                </div>
+            </div>
+            <div class="form-row">
+                <div class="form-group">
+                    <label for="schedule-cron-hours">Hours to Run (e.g. 2,14)</label>
+                    <input type="text" id="schedule-cron-hours" value="2">
+                </div>
+                <div class="form-group">
+                    <label for="schedule-cron-every">Or Every N Hours</label>
+                    <select id="schedule-cron-every">
+                        <option value="">-</option>
+                        <?php foreach ([2, 3, 4, 6, 8, 12] as $everyHours): ?>
+                            <option value="<?php echo $everyHours; ?>">Every <?php echo $everyHours; ?> hours</option>
+                        <?php endforeach; ?>
+                    </select>
+                </div>
+            </div>
+            <div class="form-group">
+                <label for="schedule-cron">Cron Expression (minute hour day month weekday)</label>
+                <input type="text" id="schedule-cron" value="0 2 * * *" spellcheck="false" autocomplete="off">
+            </div>
+        </div>
+        
+        <!-- Plain-English timing and the next runs, refreshed as the form changes -->
+        <div id="schedule-preview" class="schedule-preview"></div>
+        
+        <!-- Retry policy - failed runs are re-queued as child jobs after a backoff -->
+        <div class="form-row">
+            <div class="form-group">
+                <label for="schedule-retry-attempts">Retry Failed Backups</label>
+                <select id="schedule-retry-attempts">
+                    <option value="0" selected>Don't retry</option>
+                    <?php for ($i = 1; $i <= BackBorkQueue::RETRY_MAX_ATTEMPTS; $i++): ?>
+                        <option value="<?php echo $i; ?>"><?php echo $i; ?> attempt<?php echo $i > 1 ? 's' : ''; ?></option>
+                    <?php endfor; ?>
+                </select>
+            </div>
+            <div class="form-group">
+                <label for="schedule-retry-backoff">Retry Backoff (minutes, doubles each attempt)</label>
+                <input type="number" id="schedule-retry-backoff" value="<?php echo BackBorkQueue::DEFAULT_RETRY_BACKOFF; ?>" min="1" max="<?php echo BackBorkQueue::RETRY_MAX_BACKOFF; ?>">
+            </div>
+        </div>
+        <div class="form-group">
+            <label>
+                <input type="checkbox" id="schedule-retry-failed-only" checked> Retry only the accounts that failed
+            </label>
+        </div>
+        
+        <!-- Retention policy - keep the last N archives, or grandfather-father-son tiers -->
+        <div class="form-row">
+            <div class="form-group">
+                <label for="schedule-retention-mode">Retention Policy</label>
+                <select id="schedule-retention-mode">
+                    <option value="count" selected>Keep the last N backups</option>
+                    <option value="gfs">GFS (daily / weekly / monthly / yearly)</option>
+                </select>
+            </div>
+            <div class="form-group">
+                <!-- Spacer for alignment -->
+            </div>
+        </div>
+        <div class="form-row" id="schedule-gfs-row" style="display: none;">
+            <div class="form-group">
+                <label for="schedule-gfs-daily">Daily Backups Kept</label>
+                <input type="number" id="schedule-gfs-daily" value="7" min="0" max="<?php echo BackBorkQueue::GFS_MAX_KEEP; ?>">
+            </div>
+            <div class="form-group">
+                <label for="schedule-gfs-weekly">Weekly Backups Kept</label>
+                <input type="number" id="schedule-gfs-weekly" value="4" min="0" max="<?php echo BackBorkQueue::GFS_MAX_KEEP; ?>">
+            </div>
+            <div class="form-group">
+                <label for="schedule-gfs-monthly">Monthly Backups Kept</label>
+                <input type="number" id="schedule-gfs-monthly" value="12" min="0" max="<?php echo BackBorkQueue::GFS_MAX_KEEP; ?>">
+            </div>
+            <div class="form-group">
+                <label for="schedule-gfs-yearly">Yearly Backups Kept</label>
+                <input type="number" id="schedule-gfs-yearly" value="0" min="0" max="<?php echo BackBorkQueue::GFS_MAX_KEEP; ?>">
+            </div>
+        </div>
+        
         <p style="font-size: 12px; color: var(--text-muted); margin: -10px 0 15px 0;">
-            💡 Time of Day applies to Daily, Weekly, and Monthly schedules. Monthly runs on the 1st.
+            💡 Time of Day applies to Daily, Weekly, and Monthly schedules. Monthly runs on the 1st. Use Custom for several times, days or hours.
+            GFS retention keeps the newest backup of each recent day, week, month and year, and replaces the Retained Backups count.
         </p>
 
         <!-- Account Selection: Choose which accounts to include in schedule -->
         <div class="form-group">
             <label>Accounts to be covered by this Schedule</label>
+            <!-- Filters: narrow the list by name, owner, package, state or disk usage -->
+            <div class="account-filters" id="schedule-account-filters">
+                <input type="search" id="schedule-filter-pattern" placeholder="Search user or domain (e.g. shop*)">
+                <select id="schedule-filter-owner" title="Owner / reseller">
+                    <option value="">All owners</option>
+                </select>
+                <select id="schedule-filter-plan" title="Package">
+                    <option value="">All packages</option>
+                </select>
+                <select id="schedule-filter-suspended" title="Account state">
+                    <option value="any">Any state</option>
+                    <option value="active">Active only</option>
+                    <option value="suspended">Suspended only</option>
+                </select>
+                <input type="number" id="schedule-filter-disk-min" min="0" placeholder="Min disk MB">
+                <input type="number" id="schedule-filter-disk-max" min="0" placeholder="Max disk MB">
+                <span class="account-filter-count" id="schedule-filter-count"></span>
+            </div>
             <div class="account-list" id="schedule-account-list">
                 <div class="select-all-container" style="display: flex; gap: 24px; flex-wrap: wrap;">
                     <!-- All Accounts: Dynamic mode - includes all accessible accounts at runtime -->
                     <label style="font-weight: 600; color: var(--primary);">
                         <input type="checkbox" id="schedule-all-accounts"> 🌐 All Accounts (Dynamic)
                     </label>
+                    <!-- Match Filters: Dynamic mode - accounts matching the filters above at runtime -->
+                    <label style="font-weight: 600; color: var(--primary);">
+                        <input type="checkbox" id="schedule-use-selector"> 🎯 Match Filters (Dynamic)
+                    </label>
                     <!-- Select All Listed: Static mode - selects currently visible accounts -->
                     <label>
                         <input type="checkbox" id="select-all-schedule"> Select All (Listed)
@@ -127,8 +278,83 @@ $scheduleIsRoot = $scheduleAcl->isRoot();     // Check if current user is root
             <p id="all-accounts-hint" style="display: none; font-size: 12px; color: var(--text-muted); margin-top: 8px;">
                 💡 When "All Accounts" is enabled, the schedule will dynamically include all accounts accessible to you at runtime.
             </p>
+            <p id="schedule-selector-hint" class="account-selector-hint" style="display: none;">
+                🎯 Each run backs up the accounts matching the filters at that time, including accounts added later. The list shows what matches now.
+            </p>
+        </div>
+        
+        <!-- Exclusions: with All Accounts or Match Filters, these accounts are never backed up -->
+        <div class="form-group" id="schedule-exclude-row" style="display: none;">
+            <label for="schedule-exclude">Exclude Accounts (usernames or patterns, e.g. staging*, oldsite)</label>
+            <input type="text" id="schedule-exclude" placeholder="none" spellcheck="false" autocomplete="off">
         </div>
 
+        <!-- Backup profile and overrides - overrides win over the profile, which wins over the Settings tab -->
+        <div class="form-row">
+            <div class="form-group">
+                <label for="schedule-profile">Backup Profile</label>
+                <select id="schedule-profile" class="profile-select">
+                    <option value="" selected>Saved settings (no profile)</option>
+                </select>
+            </div>
+            <div class="form-group">
+                <!-- Spacer for alignment -->
+            </div>
+        </div>
+        <div class="form-group">
+            <label>
+                <input type="checkbox" id="schedule-use-overrides"> ⚙ Override Backup Settings for this Schedule
+            </label>
+        </div>
+        <div class="schedule-overrides" id="schedule-overrides-row" style="display: none;">
+            <div class="form-row">
+                <div class="form-group">
+                    <label for="schedule-override-db-backup-method">Database Backup Method</label>
+                    <select id="schedule-override-db-backup-method" data-override="db_backup_method">
+                        <option value="" selected>Settings default</option>
+                        <option value="pkgacct">pkgacct (default mysqldump)</option>
+                        <option value="mariadb-backup">mariadb-backup (hot backup)</option>
+                        <option value="mysqlbackup">mysqlbackup (MySQL Enterprise)</option>
+                        <option value="skip">Skip databases entirely</option>
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label for="schedule-override-dbbackup-type">Database Backup Type (pkgacct)</label>
+                    <select id="schedule-override-dbbackup-type" data-override="dbbackup_type">
+                        <option value="" selected>Settings default</option>
+                        <option value="all">All (full backup)</option>
+                        <option value="schema">Schema only</option>
+                        <option value="name">Database names only</option>
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label for="schedule-override-compression-option">Compression</label>
+                    <select id="schedule-override-compression-option" data-override="compression_option">
+                        <option value="" selected>Settings default</option>
+                        <option value="compress">Compress (Gzip)</option>
+                        <option value="nocompress">No Compression</option>
+                    </select>
+                </div>
+            </div>
+            <?php foreach (['Backup Mode' => $scheduleOverrideModes, 'Exclude from Backup' => $scheduleOverrideSkips] as $overrideGroup => $overrideOptions): ?>
+                <?php if (empty($overrideOptions)) continue; ?>
+                <h4><?php echo $overrideGroup; ?></h4>
+                <div class="schedule-overrides-grid">
+                    <?php foreach ($overrideOptions as $overrideKey => $overrideLabel): ?>
+                        <label>
+                            <span><?php echo htmlspecialchars($overrideLabel); ?></span>
+                            <select data-override="<?php echo $overrideKey; ?>">
+                                <option value="" selected>Default</option>
+                                <option value="1">Yes</option>
+                                <option value="0">No</option>
+                            </select>
+                        </label>
+                    <?php endforeach; ?>
+                </div>
+            <?php endforeach; ?>
+            <p class="schedule-overrides-hint">Anything left on Default follows the chosen profile, or your Backup Settings (pkgacct Options) on the Settings tab.</p>
+        </div>
+        
         <button type="button" class="btn btn-primary" id="btn-create-schedule">
             ⏰ Create Schedule
         </button>
@@ -138,30 +364,77 @@ $scheduleIsRoot = $scheduleAcl->isRoot();     // Check if current user is root
         <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 16px;">
             <h3 style="margin: 0;">Active Schedules</h3>
             <?php if ($scheduleIsRoot): ?>
-            <!-- Root-only: Filter schedules by owner - allows viewing reseller schedules -->
-            <div class="form-group" style="margin: 0; min-width: 200px;">
-                <select id="schedule-view-user" style="margin: 0;">
-                    <option value="all">All Users</option>
-                    <!-- Additional users populated via JavaScript API call -->
-                </select>
+            <div style="display: flex; gap: 8px; align-items: center;">
+                <!-- Root-only: Pause/resume every schedule of the user picked in the filter (maintenance) -->
+                <div id="schedule-owner-actions" style="display: none; gap: 8px;">
+                    <button type="button" class="btn btn-sm btn-secondary" onclick="setOwnerSchedulesPaused(true)">⏸ Pause All</button>
+                    <button type="button" class="btn btn-sm btn-secondary" onclick="setOwnerSchedulesPaused(false)">▶ Resume All</button>
+                </div>
+                <!-- Root-only: Filter schedules by owner - allows viewing reseller schedules -->
+                <div class="form-group" style="margin: 0; min-width: 200px;">
+                    <select id="schedule-view-user" style="margin: 0;">
+                        <option value="all">All Users</option>
+                        <!-- Additional users populated via JavaScript API call -->
+                    </select>
+                </div>
             </div>
             <?php endif; ?>
         </div>
+        <!-- Bulk Edit Toolbar (shown once schedules are ticked in the table) -->
+        <div class="bulk-actions-bar schedule-bulk-bar" id="schedule-bulk-bar" style="display: none;">
+            <div class="bulk-selected-count" id="schedule-bulk-count">0 selected</div>
+            <select id="schedule-bulk-operation">
+                <option value="destination">Change destination</option>
+                <option value="retention">Change retention</option>
+                <option value="time">Change time of day</option>
+                <option value="delete">Delete</option>
+            </select>
+            <div class="schedule-bulk-field" data-operation="destination">
+                <select id="schedule-bulk-destination" class="destination-select">
+                    <option value="">Loading destinations...</option>
+                </select>
+            </div>
+            <div class="schedule-bulk-field" data-operation="retention" style="display: none;">
+                <select id="schedule-bulk-retention-mode">
+                    <option value="count" selected>Keep the last N</option>
+                    <option value="gfs">GFS tiers</option>
+                </select>
+                <input type="number" id="schedule-bulk-retention" value="30" min="0" max="365" title="0 = unlimited">
+                <div id="schedule-bulk-gfs-row" class="schedule-bulk-gfs" style="display: none;">
+                    <label>Daily <input type="number" id="schedule-bulk-gfs-daily" value="7" min="0" max="<?php echo BackBorkQueue::GFS_MAX_KEEP; ?>"></label>
+                    <label>Weekly <input type="number" id="schedule-bulk-gfs-weekly" value="4" min="0" max="<?php echo BackBorkQueue::GFS_MAX_KEEP; ?>"></label>
+                    <label>Monthly <input type="number" id="schedule-bulk-gfs-monthly" value="12" min="0" max="<?php echo BackBorkQueue::GFS_MAX_KEEP; ?>"></label>
+                    <label>Yearly <input type="number" id="schedule-bulk-gfs-yearly" value="0" min="0" max="<?php echo BackBorkQueue::GFS_MAX_KEEP; ?>"></label>
+                </div>
+            </div>
+            <div class="schedule-bulk-field" data-operation="time" style="display: none;">
+                <select id="schedule-bulk-time" title="Custom (cron) schedules keep their own hours">
+                    <?php for ($i = 0; $i < 24; $i++): ?>
+                        <option value="<?php echo $i; ?>" <?php echo $i === 2 ? 'selected' : ''; ?>><?php echo sprintf('%02d:00', $i); ?></option>
+                    <?php endfor; ?>
+                </select>
+            </div>
+            <button type="button" class="btn btn-primary btn-sm" id="btn-schedule-bulk-apply" onclick="applyScheduleBulkAction()">Apply to Selected</button>
+        </div>
         <div class="table-container">
             <table class="backbork-table" id="schedules-table">
                 <thead>
                     <tr>
+                        <th class="schedule-select-col"><input type="checkbox" id="schedule-select-all" onchange="toggleSelectAllSchedules()" title="Select all schedules"></th>
                         <th>Accounts</th>
                         <th>Destination</th>
                         <th>Frequency</th>
                         <th>Retain</th>
+                        <th>Last Run</th>
+                        <th>Duration</th>
+                        <th>Size</th>
                         <th>Next Run</th>
                         <?php if ($scheduleIsRoot): ?><th>Owner</th><?php endif; ?>
                         <th>Actions</th>
                     </tr>
                 </thead>
                 <tbody id="schedules-tbody">
-                    <tr><td colspan="<?php echo $scheduleIsRoot ? '7' : '6'; ?>">Loading schedules...</td></tr>
+                    <tr><td colspan="<?php echo $scheduleIsRoot ? '11' : '10'; ?>">Loading schedules...</td></tr>
                 </tbody>
             </table>
         </div>
@@ -194,9 +467,22 @@ $scheduleIsRoot = $scheduleAcl->isRoot();     // Check if current user is root
                         <option value="daily">Daily</option>
                         <option value="weekly">Weekly</option>
                         <option value="monthly">Monthly</option>
+                        <option value="custom">Custom (cron)</option>
                     </select>
                 </div>
             </div>
+            
+            <div class="form-group">
+                <label>Also Copy To (optional)</label>
+                <div id="edit-schedule-replicas" class="checkbox-group replica-destinations" data-primary="edit-schedule-destination"></div>
+            </div>
+            
+            <div class="form-group">
+                <label for="edit-schedule-fallback">Fallback Storage (optional)</label>
+                <select id="edit-schedule-fallback" class="fallback-destination-select">
+                    <option value="">None</option>
+                </select>
+            </div>
 
             <div class="form-row">
                 <div class="form-group">
@@ -213,6 +499,8 @@ $scheduleIsRoot = $scheduleAcl->isRoot();     // Check if current user is root
                 </div>
             </div>
             
+            <p id="edit-schedule-window-warning" class="schedule-window-warning" style="display: none;"></p>
+            
             <!-- Day of Week selector - shown only for Weekly schedules -->
             <div class="form-row" id="edit-schedule-dow-row" style="display: none;">
                 <div class="form-group">
@@ -231,15 +519,137 @@ $scheduleIsRoot = $scheduleAcl->isRoot();     // Check if current user is root
                     <!-- Spacer for alignment -->
                 </div>
             </div>
+            
+            <!-- Custom frequency: a cron expression, typed or built with the picker -->
+            <div id="edit-schedule-custom-row" class="schedule-custom-panel" style="display: none;">
+                <div class="form-row">
+                    <div class="form-group">
+                        <label>Days of Week (none = every day)</label>
+                        <div class="cron-day-picker" id="edit-schedule-cron-days">
+                            <?php foreach (['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'] as $dayNum => $dayName): ?>
+                                <label><input type="checkbox" value="<?php echo $dayNum; ?>"> <?php echo $dayName; ?></label>
+                            <?php endforeach; ?>
+                        </div>
+                    </div>
+                    <div class="form-group">
+                        <label for="edit-schedule-cron-dom">Days of Month (e.g. 1,15 - blank = any)</label>
+                        <input type="text" id="edit-schedule-cron-dom" placeholder="any">
+                    </div>
+                </div>
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="edit-schedule-cron-hours">Hours to Run (e.g. 2,14)</label>
+                        <input type="text" id="edit-schedule-cron-hours" value="2">
+                    </div>
+                    <div class="form-group">
+                        <label for="edit-schedule-cron-every">Or Every N Hours</label>
+                        <select id="edit-schedule-cron-every">
+                            <option value="">-</option>
+                            <?php foreach ([2, 3, 4, 6, 8, 12] as $everyHours): ?>
+                                <option value="<?php echo $everyHours; ?>">Every <?php echo $everyHours; ?> hours</option>
+                            <?php endforeach; ?>
+                        </select>
+                    </div>
+                </div>
+                <div class="form-group">
+                    <label for="edit-schedule-cron">Cron Expression (minute hour day month weekday)</label>
+                    <input type="text" id="edit-schedule-cron" value="0 2 * * *" spellcheck="false" autocomplete="off">
+                </div>
+            </div>
+            
+            <div id="edit-schedule-preview" class="schedule-preview"></div>
+            
+            <!-- Retry policy - failed runs are re-queued as child jobs after a backoff -->
+            <div class="form-row">
+                <div class="form-group">
+                    <label for="edit-schedule-retry-attempts">Retry Failed Backups</label>
+                    <select id="edit-schedule-retry-attempts">
+                        <option value="0" selected>Don't retry</option>
+                        <?php for ($i = 1; $i <= BackBorkQueue::RETRY_MAX_ATTEMPTS; $i++): ?>
+                            <option value="<?php echo $i; ?>"><?php echo $i; ?> attempt<?php echo $i > 1 ? 's' : ''; ?></option>
+                        <?php endfor; ?>
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label for="edit-schedule-retry-backoff">Retry Backoff (minutes, doubles each attempt)</label>
+                    <input type="number" id="edit-schedule-retry-backoff" value="<?php echo BackBorkQueue::DEFAULT_RETRY_BACKOFF; ?>" min="1" max="<?php echo BackBorkQueue::RETRY_MAX_BACKOFF; ?>">
+                </div>
+            </div>
+            <div class="form-group">
+                <label>
+                    <input type="checkbox" id="edit-schedule-retry-failed-only" checked> Retry only the accounts that failed
+                </label>
+            </div>
+            
+            <!-- Retention policy - keep the last N archives, or grandfather-father-son tiers -->
+            <div class="form-row">
+                <div class="form-group">
+                    <label for="edit-schedule-retention-mode">Retention Policy</label>
+                    <select id="edit-schedule-retention-mode">
+                        <option value="count" selected>Keep the last N backups</option>
+                        <option value="gfs">GFS (daily / weekly / monthly / yearly)</option>
+                    </select>
+                </div>
+                <div class="form-group">
+                    <!-- Spacer for alignment -->
+                </div>
+            </div>
+            <div class="form-row" id="edit-schedule-gfs-row" style="display: none;">
+                <div class="form-group">
+                    <label for="edit-schedule-gfs-daily">Daily Backups Kept</label>
+                    <input type="number" id="edit-schedule-gfs-daily" value="7" min="0" max="<?php echo BackBorkQueue::GFS_MAX_KEEP; ?>">
+                </div>
+                <div class="form-group">
+                    <label for="edit-schedule-gfs-weekly">Weekly Backups Kept</label>
+                    <input type="number" id="edit-schedule-gfs-weekly" value="4" min="0" max="<?php echo BackBorkQueue::GFS_MAX_KEEP; ?>">
+                </div>
+                <div class="form-group">
+                    <label for="edit-schedule-gfs-monthly">Monthly Backups Kept</label>
+                    <input type="number" id="edit-schedule-gfs-monthly" value="12" min="0" max="<?php echo BackBorkQueue::GFS_MAX_KEEP; ?>">
+                </div>
+                <div class="form-group">
+                    <label for="edit-schedule-gfs-yearly">Yearly Backups Kept</label>
+                    <input type="number" id="edit-schedule-gfs-yearly" value="0" min="0" max="<?php echo BackBorkQueue::GFS_MAX_KEEP; ?>">
+                </div>
+            </div>
+            
+            <!-- Archives the new retention policy would delete, checked before saving -->
+            <div class="form-group">
+                <button type="button" class="btn btn-secondary btn-sm" id="btn-preview-prune">
+                    🔍 Preview Pruning
+                </button>
+                <div id="edit-schedule-prune-preview" class="prune-preview" style="display: none;"></div>
+            </div>
 
             <!-- Account Selection -->
             <div class="form-group">
                 <label>Accounts covered by this Schedule</label>
+                <!-- Filters: narrow the list by name, owner, package, state or disk usage -->
+                <div class="account-filters" id="edit-schedule-account-filters">
+                    <input type="search" id="edit-schedule-filter-pattern" placeholder="Search user or domain (e.g. shop*)">
+                    <select id="edit-schedule-filter-owner" title="Owner / reseller">
+                        <option value="">All owners</option>
+                    </select>
+                    <select id="edit-schedule-filter-plan" title="Package">
+                        <option value="">All packages</option>
+                    </select>
+                    <select id="edit-schedule-filter-suspended" title="Account state">
+                        <option value="any">Any state</option>
+                        <option value="active">Active only</option>
+                        <option value="suspended">Suspended only</option>
+                    </select>
+                    <input type="number" id="edit-schedule-filter-disk-min" min="0" placeholder="Min disk MB">
+                    <input type="number" id="edit-schedule-filter-disk-max" min="0" placeholder="Max disk MB">
+                    <span class="account-filter-count" id="edit-schedule-filter-count"></span>
+                </div>
                 <div class="account-list" id="edit-schedule-account-list" style="max-height: 250px;">
                     <div class="select-all-container" style="display: flex; gap: 24px; flex-wrap: wrap;">
                         <label style="font-weight: 600; color: var(--primary);">
                             <input type="checkbox" id="edit-schedule-all-accounts"> 🌐 All Accounts (Dynamic)
                         </label>
+                        <label style="font-weight: 600; color: var(--primary);">
+                            <input type="checkbox" id="edit-schedule-use-selector"> 🎯 Match Filters (Dynamic)
+                        </label>
                         <label>
                             <input type="checkbox" id="edit-select-all-accounts"> Select All (Listed)
                         </label>
@@ -248,6 +658,79 @@ $scheduleIsRoot = $scheduleAcl->isRoot();     // Check if current user is root
                         <div class="loading-spinner"></div> Loading accounts...
                     </div>
                 </div>
+                <p id="edit-schedule-selector-hint" class="account-selector-hint" style="display: none;">
+                    🎯 Each run backs up the accounts matching the filters at that time. The list shows what matches now.
+                </p>
+            </div>
+            
+            <div class="form-group" id="edit-schedule-exclude-row" style="display: none;">
+                <label for="edit-schedule-exclude">Exclude Accounts (usernames or patterns, e.g. staging*, oldsite)</label>
+                <input type="text" id="edit-schedule-exclude" placeholder="none" spellcheck="false" autocomplete="off">
+            </div>
+            
+            <div class="form-row">
+                <div class="form-group">
+                    <label for="edit-schedule-profile">Backup Profile</label>
+                    <select id="edit-schedule-profile" class="profile-select">
+                        <option value="" selected>Saved settings (no profile)</option>
+                    </select>
+                </div>
+                <div class="form-group">
+                    <!-- Spacer for alignment -->
+                </div>
+            </div>
+            <div class="form-group">
+                <label>
+                    <input type="checkbox" id="edit-schedule-use-overrides"> ⚙ Override Backup Settings for this Schedule
+                </label>
+            </div>
+            <div class="schedule-overrides" id="edit-schedule-overrides-row" style="display: none;">
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="edit-schedule-override-db-backup-method">Database Backup Method</label>
+                        <select id="edit-schedule-override-db-backup-method" data-override="db_backup_method">
+                            <option value="" selected>Settings default</option>
+                            <option value="pkgacct">pkgacct (default mysqldump)</option>
+                            <option value="mariadb-backup">mariadb-backup (hot backup)</option>
+                            <option value="mysqlbackup">mysqlbackup (MySQL Enterprise)</option>
+                            <option value="skip">Skip databases entirely</option>
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label for="edit-schedule-override-dbbackup-type">Database Backup Type (pkgacct)</label>
+                        <select id="edit-schedule-override-dbbackup-type" data-override="dbbackup_type">
+                            <option value="" selected>Settings default</option>
+                            <option value="all">All (full backup)</option>
+                            <option value="schema">Schema only</option>
+                            <option value="name">Database names only</option>
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label for="edit-schedule-override-compression-option">Compression</label>
+                        <select id="edit-schedule-override-compression-option" data-override="compression_option">
+                            <option value="" selected>Settings default</option>
+                            <option value="compress">Compress (Gzip)</option>
+                            <option value="nocompress">No Compression</option>
+                        </select>
+                    </div>
+                </div>
+                <?php foreach (['Backup Mode' => $scheduleOverrideModes, 'Exclude from Backup' => $scheduleOverrideSkips] as $overrideGroup => $overrideOptions): ?>
+                    <?php if (empty($overrideOptions)) continue; ?>
+                    <h4><?php echo $overrideGroup; ?></h4>
+                    <div class="schedule-overrides-grid">
+                        <?php foreach ($overrideOptions as $overrideKey => $overrideLabel): ?>
+                            <label>
+                                <span><?php echo htmlspecialchars($overrideLabel); ?></span>
+                                <select data-override="<?php echo $overrideKey; ?>">
+                                    <option value="" selected>Default</option>
+                                    <option value="1">Yes</option>
+                                    <option value="0">No</option>
+                                </select>
+                            </label>
+                        <?php endforeach; ?>
+                    </div>
+                <?php endforeach; ?>
+                <p class="schedule-overrides-hint">Anything left on Default follows the chosen profile, or the schedule owner's Backup Settings (pkgacct Options).</p>
             </div>
 
             <div style="display: flex; gap: 12px; margin-top: 20px;">
@@ -95,6 +95,14 @@ $settingsIsRoot = $settingsAcl->isRoot();     // Check if current user is root
                     <span class="option-desc">Notify when backups are pruned!</span>
                 </span>
             </label>
+            <!-- Destination Health Alerts: Notify root when a destination schedules use turns unhealthy -->
+            <label>
+                <input type="checkbox" id="notify-destination-health" checked> 
+                <span class="option-text">
+                    <span class="option-name">🩺 Destination Health Alerts</span>
+                    <span class="option-desc">Notify before schedules hit a failing destination!</span>
+                </span>
+            </label>
         </div>
         <div class="alert alert-info" style="margin-top: 15px;">
             <strong>Debug Logging:</strong> Once enabled, run <code>tail -f /usr/local/cpanel/logs/error_log</code> and re-create the problem.
@@ -150,6 +158,44 @@ $settingsIsRoot = $settingsAcl->isRoot();     // Check if current user is root
             <div class="loading-spinner"></div> Loading destinations...
         </div>
     </div>
+    
+    <!-- ================================================================
+         ROOT-ONLY: Destination Health
+         Background connection, write, free space and latency checks
+    ================================================================ -->
+    <div class="backbork-card">
+        <h3>Destination Health</h3>
+        <p style="font-size: 13px; color: var(--text-secondary); margin-bottom: 16px;">
+            Enabled destinations are checked in the background: connection, a small write and delete, free space (local only) and response time. Destinations a schedule is about to use are re-checked early.
+        </p>
+        
+        <div class="form-row">
+            <div class="form-group">
+                <label for="health-check-interval">Check Every (minutes, 0 = off)</label>
+                <input type="number" id="health-check-interval" value="60" min="0" max="1440">
+            </div>
+        </div>
+        
+        <div class="table-container">
+            <table class="backbork-table">
+                <thead>
+                    <tr>
+                        <th>Destination</th>
+                        <th>Status</th>
+                        <th>Last Checked</th>
+                        <th>Trend</th>
+                        <th>Latency</th>
+                        <th>Free Space</th>
+                        <th>Actions</th>
+                    </tr>
+                </thead>
+                <tbody id="destination-health-tbody">
+                    <tr><td colspan="7">Loading health checks...</td></tr>
+                </tbody>
+            </table>
+        </div>
+        <button class="btn btn-secondary" id="btn-check-health-all" style="margin-top: 12px;">🩺 Check All Now</button>
+    </div>
     <?php endif; ?>
 
     <div class="backbork-card">
@@ -339,6 +385,211 @@ $settingsIsRoot = $settingsAcl->isRoot();     // Check if current user is root
         </div>
     </div>
 
+    <!-- ================================================================
+         Backup Profiles: named pkgacct settings ("Full", "DB only")
+         picked in Backup Now, Add to Queue and the schedule forms
+    ================================================================ -->
+    <div class="backbork-card">
+        <h3>Backup Profiles</h3>
+        <p style="font-size: 13px; color: var(--text-secondary); margin-bottom: 16px;">
+            A profile replaces the Backup Settings above for any backup or schedule it is picked for.<?php if ($settingsIsRoot): ?> Shared profiles can be used (not changed) by resellers.<?php endif; ?>
+        </p>
+        
+        <div class="table-container">
+            <table class="backbork-table">
+                <thead>
+                    <tr>
+                        <th>Name</th>
+                        <th>Settings</th>
+                        <th>Owner</th>
+                        <th>Actions</th>
+                    </tr>
+                </thead>
+                <tbody id="profiles-tbody">
+                    <tr><td colspan="4">Loading profiles...</td></tr>
+                </tbody>
+            </table>
+        </div>
+        
+        <!-- Profile editor: blank for a new profile, filled by Edit -->
+        <h4 id="profile-editor-title" style="margin: 20px 0 12px 0; font-size: 13px; color: var(--text-secondary);">New Profile</h4>
+        <input type="hidden" id="profile-id" value="">
+        <div class="form-row">
+            <div class="form-group">
+                <label for="profile-name">Profile Name</label>
+                <input type="text" id="profile-name" maxlength="<?php echo BackBorkProfiles::NAME_MAX_LENGTH; ?>" placeholder="e.g. DB only">
+            </div>
+            <div class="form-group">
+                <label for="profile-db-backup-method">Database Backup Method</label>
+                <select id="profile-db-backup-method" data-profile-setting="db_backup_method">
+                    <option value="pkgacct" selected>pkgacct (default mysqldump)</option>
+                    <option value="mariadb-backup">mariadb-backup (hot backup)</option>
+                    <option value="mysqlbackup">mysqlbackup (MySQL Enterprise)</option>
+                    <option value="skip">Skip databases entirely</option>
+                </select>
+            </div>
+        </div>
+        <div class="form-row">
+            <div class="form-group">
+                <label for="profile-dbbackup-type">Database Backup Type (pkgacct)</label>
+                <select id="profile-dbbackup-type" data-profile-setting="dbbackup_type">
+                    <option value="all" selected>All (full backup)</option>
+                    <option value="schema">Schema only</option>
+                    <option value="name">Database names only</option>
+                </select>
+            </div>
+            <div class="form-group">
+                <label for="profile-compression-option">Compression</label>
+                <select id="profile-compression-option" data-profile-setting="compression_option">
+                    <option value="compress" selected>Compress (Gzip)</option>
+                    <option value="nocompress">No Compression</option>
+                </select>
+            </div>
+        </div>
+        
+        <?php if ($settingsIsRoot): ?>
+        <h4 style="margin: 20px 0 12px 0; font-size: 13px; color: var(--text-secondary);">Backup Mode</h4>
+        <div class="checkbox-group">
+            <?php foreach (BackBorkQueue::PKGACCT_ROOT_ONLY_OPTIONS as $flagKey): ?>
+                <label><input type="checkbox" data-profile-setting="<?php echo $flagKey; ?>"> <?php echo htmlspecialchars(BackBorkProfiles::FLAG_LABELS[$flagKey]); ?></label>
+            <?php endforeach; ?>
+        </div>
+        <?php endif; ?>
+        
+        <h4 style="margin: 20px 0 12px 0; font-size: 13px; color: var(--text-secondary);">Exclude from Backup</h4>
+        <div class="checkbox-group">
+            <?php foreach (BackBorkProfiles::FLAG_LABELS as $flagKey => $flagLabel): ?>
+                <?php if (strpos($flagKey, 'skip_') !== 0) continue; ?>
+                <label><input type="checkbox" data-profile-setting="<?php echo $flagKey; ?>"> <?php echo htmlspecialchars($flagLabel); ?></label>
+            <?php endforeach; ?>
+        </div>
+        
+        <?php if ($settingsIsRoot): ?>
+        <div class="form-group" style="margin-top: 16px;">
+            <label>
+                <input type="checkbox" id="profile-shared"> 🤝 Share with resellers
+            </label>
+        </div>
+        <?php endif; ?>
+        
+        <div style="display: flex; gap: 12px; margin-top: 16px;">
+            <button type="button" class="btn btn-primary" id="btn-save-profile">💾 Save Profile</button>
+            <button type="button" class="btn btn-secondary" id="btn-profile-from-settings" title="Fill the editor from the Backup Settings above">Copy Backup Settings</button>
+            <button type="button" class="btn btn-secondary" id="btn-reset-profile">New Profile</button>
+        </div>
+    </div>
+    
+    <?php if ($settingsIsRoot): ?>
+    <!-- ================================================================
+         ROOT-ONLY: Queue Concurrency & Resource Limits
+         Parallelism caps enforced at dispatch, nice/ionice for heavy work
+    ================================================================ -->
+    <div class="backbork-card">
+        <h3>Queue Concurrency &amp; Resource Limits</h3>
+        <p style="font-size: 13px; color: var(--text-secondary); margin-bottom: 16px;">
+            Applies server-wide. Queued jobs over a limit wait for a free slot; pkgacct and uploads each run at their own CPU/I/O priority.
+        </p>
+        
+        <div class="form-row">
+            <div class="form-group">
+                <label for="max-concurrent-jobs">Parallel Jobs (total)</label>
+                <input type="number" id="max-concurrent-jobs" value="1" min="1" max="16">
+            </div>
+            <div class="form-group">
+                <label for="max-jobs-per-destination">Per Destination (0 = no limit)</label>
+                <input type="number" id="max-jobs-per-destination" value="0" min="0" max="16">
+            </div>
+            <div class="form-group">
+                <label for="max-jobs-per-reseller">Per Reseller (0 = no limit)</label>
+                <input type="number" id="max-jobs-per-reseller" value="0" min="0" max="16">
+            </div>
+        </div>
+
+        <div class="form-row">
+            <div class="form-group">
+                <label for="pkgacct-nice-level">pkgacct CPU Priority (nice 0-19)</label>
+                <input type="number" id="pkgacct-nice-level" value="0" min="0" max="19">
+            </div>
+            <div class="form-group">
+                <label for="pkgacct-ionice-class">pkgacct I/O Priority (ionice)</label>
+                <select id="pkgacct-ionice-class">
+                    <option value="" selected>Unchanged</option>
+                    <option value="best-effort">Best effort</option>
+                    <option value="idle">Idle (only when disk is free)</option>
+                </select>
+            </div>
+            <div class="form-group">
+                <label for="pkgacct-ionice-level">pkgacct Best-effort Level (0-7)</label>
+                <input type="number" id="pkgacct-ionice-level" value="4" min="0" max="7">
+            </div>
+        </div>
+        
+        <div class="form-row">
+            <div class="form-group">
+                <label for="upload-nice-level">Upload CPU Priority (nice 0-19)</label>
+                <input type="number" id="upload-nice-level" value="0" min="0" max="19">
+            </div>
+            <div class="form-group">
+                <label for="upload-ionice-class">Upload I/O Priority (ionice)</label>
+                <select id="upload-ionice-class">
+                    <option value="" selected>Unchanged</option>
+                    <option value="best-effort">Best effort</option>
+                    <option value="idle">Idle (only when disk is free)</option>
+                </select>
+            </div>
+            <div class="form-group">
+                <label for="upload-ionice-level">Upload Best-effort Level (0-7)</label>
+                <input type="number" id="upload-ionice-level" value="4" min="0" max="7">
+            </div>
+        </div>
+    </div>
+
+    <!-- ================================================================
+         ROOT-ONLY: Backup Window & Blackout Dates
+         Queued backups only start inside the window and never on blackout days
+    ================================================================ -->
+    <div class="backbork-card">
+        <h3>Backup Window &amp; Blackout Dates</h3>
+        <p style="font-size: 13px; color: var(--text-secondary); margin-bottom: 16px;">
+            Applies server-wide, in server time. Queued backups that can't start inside the window wait for the next one; running jobs finish and restores are never held.
+        </p>
+        
+        <div class="checkbox-group checkbox-group-admin">
+            <label>
+                <input type="checkbox" id="backup-window-enabled"> 
+                <span class="option-text">
+                    <span class="option-name">🕐 Backup Window</span>
+                    <span class="option-desc">Only start backups between these hours!</span>
+                </span>
+            </label>
+        </div>
+
+        <div class="form-row" style="margin-top: 16px;">
+            <div class="form-group">
+                <label for="backup-window-start">Window Opens</label>
+                <select id="backup-window-start">
+                    <?php for ($i = 0; $i < 24; $i++): ?>
+                        <option value="<?php echo $i; ?>" <?php echo $i === 1 ? 'selected' : ''; ?>><?php echo sprintf('%02d:00', $i); ?></option>
+                    <?php endfor; ?>
+                </select>
+            </div>
+            <div class="form-group">
+                <label for="backup-window-end">Window Closes</label>
+                <select id="backup-window-end">
+                    <?php for ($i = 0; $i < 24; $i++): ?>
+                        <option value="<?php echo $i; ?>" <?php echo $i === 6 ? 'selected' : ''; ?>><?php echo sprintf('%02d:00', $i); ?></option>
+                    <?php endfor; ?>
+                </select>
+            </div>
+        </div>
+
+        <div class="form-group">
+            <label for="blackout-dates">Blackout Dates (one per line: YYYY-MM-DD or YYYY-MM-DD..YYYY-MM-DD, then an optional label)</label>
+            <textarea id="blackout-dates" rows="4" placeholder="2026-11-27..2026-11-30 Black Friday"></textarea>
+        </div>
+    </div>
+    <?php endif; ?>
+
     <div class="backbork-card" style="padding: 16px 20px;">
         <button type="button" class="btn btn-primary" id="btn-save-settings">
             💾 Save Settings
@@ -53,6 +53,12 @@ if (isset($_GET['action']) && $_GET['action'] === 'serve_download') {
     exit;
 }
 
+// Handle stream_events: EventSource can't send X-Requested-With, so route it explicitly
+if (isset($_GET['action']) && $_GET['action'] === 'stream_events') {
+    require_once(__DIR__ . '/api/router.php');
+    exit;
+}
+
 // Initialise Bootstrap (handles ACL check)
 if (!BackBorkBootstrap::init()) {
     BackBorkBootstrap::accessDenied();
@@ -42,8 +42,14 @@ return [
     
     // Backup configuration
     'accounts' => [], // Array of account usernames
-    'destination' => 'local', // Destination ID
+    'exclude_accounts' => [], // Usernames/glob patterns skipped by all-accounts schedules
+    'destination' => 'local', // Destination ID (primary copy)
+    'destinations' => ['local'], // Every destination getting a copy, primary first
+    'fallback_destination' => null, // Takes the primary copy when the primary is disabled or unreachable
     'retention' => 30, // Days to keep backups
+    'retention_gfs' => null, // GFS tiers (daily, weekly, monthly, yearly) - replaces retention when set
+    'pkgacct_overrides' => [], // Backup settings (skip_*, compression_option, ...) replacing the user config
+    'profile_id' => null, // Named backup profile, applied under pkgacct_overrides
     
     // Notification settings
     'notify_on_success' => true,